@@ -6,6 +6,7 @@
  * - dist/ for traditional Node deployments
  * - public/ assets for Vercel static delivery
  * - dist/server.js as the compiled runtime used by the root server.js wrapper
+ * - dist/migrate.js, the cryptexa-migrate storage migration command
  */
 
 const fs = require('fs');
@@ -86,7 +87,27 @@ function minifyCss(css) {
     .trim();
 }
 
-function buildClientBundle() {
+function buildWorkerBundle() {
+  const entry = path.join(SRC_DIR, 'crypto', 'worker.ts');
+  if (!esbuild || !fs.existsSync(entry)) {
+    return null;
+  }
+
+  console.log('Bundling src/crypto/worker.ts...');
+  const result = esbuild.buildSync({
+    entryPoints: [entry],
+    bundle: true,
+    minify: true,
+    write: false,
+    format: 'iife',
+    target: ['es2020'],
+    sourcemap: false,
+  });
+
+  return result.outputFiles[0].text;
+}
+
+function buildClientBundle(workerFileName) {
   if (esbuild && fs.existsSync(SRC_DIR) && fs.existsSync(path.join(SRC_DIR, 'app.ts'))) {
     console.log('Bundling src/app.ts...');
     const result = esbuild.buildSync({
@@ -97,6 +118,8 @@ function buildClientBundle() {
       format: 'iife',
       target: ['es2020'],
       sourcemap: false,
+      // Without a worker bundle the app keeps crypto on the main thread
+      define: workerFileName ? { __CRYPTO_WORKER_URL__: JSON.stringify(`./${workerFileName}`) } : {},
     });
 
     return result.outputFiles[0].text;
@@ -129,13 +152,22 @@ ensureDir(PUBLIC_DIR);
 for (const file of OBSOLETE_PUBLIC_FILES) {
   removeFileFromTargets(file, [PUBLIC_DIR, BUILD_DIR]);
 }
-removeMatchingFilesFromTargets(/^(?:app\.[a-f0-9]{8}\.js|styles\.[a-f0-9]{8}\.css)$/i, [PUBLIC_DIR, BUILD_DIR]);
+removeMatchingFilesFromTargets(/^(?:app\.[a-f0-9]{8}\.js|crypto-worker\.[a-f0-9]{8}\.js|styles\.[a-f0-9]{8}\.css)$/i, [PUBLIC_DIR, BUILD_DIR]);
 
 function getHash(content) {
   return nodeCrypto.createHash('sha256').update(content).digest('hex').substring(0, 8);
 }
 
-const clientBundle = buildClientBundle();
+const workerBundle = buildWorkerBundle();
+let workerHashedName = null;
+if (workerBundle) {
+  workerHashedName = `crypto-worker.${getHash(workerBundle)}.js`;
+  writeFileToTargets('crypto-worker.js', workerBundle, [BUILD_DIR, PUBLIC_DIR]);
+  writeFileToTargets(workerHashedName, workerBundle, [BUILD_DIR, PUBLIC_DIR]);
+  console.log(`Wrote crypto worker to crypto-worker.js and ${workerHashedName}`);
+}
+
+const clientBundle = buildClientBundle(workerHashedName);
 const appHash = getHash(clientBundle);
 const appHashedName = `app.${appHash}.js`;
 writeFileToTargets('app.js', clientBundle, [BUILD_DIR, PUBLIC_DIR]);
@@ -171,6 +203,23 @@ if (esbuild && fs.existsSync('server-app.ts')) {
   console.log('Compiled dist/server.js');
 }
 
+const MIGRATE_ENTRY = path.join(SRC_DIR, 'server', 'bin', 'cryptexa-migrate.ts');
+if (esbuild && fs.existsSync(MIGRATE_ENTRY)) {
+  console.log('Compiling cryptexa-migrate...');
+  esbuild.buildSync({
+    entryPoints: [MIGRATE_ENTRY],
+    platform: 'node',
+    bundle: true,
+    packages: 'external',
+    outfile: path.join(BUILD_DIR, 'migrate.js'),
+    target: 'node18',
+    format: 'cjs',
+    banner: { js: '#!/usr/bin/env node' },
+  });
+  fs.chmodSync(path.join(BUILD_DIR, 'migrate.js'), 0o755);
+  console.log('Compiled dist/migrate.js');
+}
+
 const indexHtmlPaths = [
   path.join(BUILD_DIR, 'index.html'),
   path.join(PUBLIC_DIR, 'index.html')
@@ -205,7 +254,8 @@ if (fs.existsSync('package.json')) {
   delete pkg.devDependencies;
   pkg.scripts = {
     start: pkg.scripts.start,
-    prod: pkg.scripts.prod
+    prod: pkg.scripts.prod,
+    migrate: pkg.scripts.migrate
   };
 
   fs.writeFileSync(
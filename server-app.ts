@@ -4,13 +4,26 @@
 
   API:
     GET  /api/json?site=siteName
-      -> { status: "success", isNew, eContent, currentDBVersion, expectedDBVersion, currentHashContent }
+      -> { status: "success", isNew, eContent, chunked?, currentDBVersion, expectedDBVersion, currentHashContent }
     POST /api/save
-      body: { site, initHashContent, currentHashContent, encryptedContent }
-      -> { status: "success", currentHashContent } or overwrite error
+      body: { site, initHashContent, currentHashContent, encryptedContent, writeToken?, newWriteToken? }
+         or { site, initHashContent, currentHashContent, encryptedKey, manifest, chunkIds, chunks, writeToken?, newWriteToken? }
+         (chunks holds only the chunks the stored version lacks; the rest are kept by id)
+      -> { status: "success", currentHashContent } or overwrite error, 403 without the site's write token
     POST /api/delete
-      body: { site, initHashContent }
-      -> { status: "success" } or overwrite error
+      body: { site, initHashContent, writeToken? }
+      -> { status: "success" } or overwrite error, 403 without the site's write token
+         (the site is kept as a tombstone for DELETE_RETENTION_DAYS, then purged)
+    POST /api/restore
+      body: { site, initHashContent, writeToken? }   (initHashContent: the token the site was deleted with)
+      -> { status: "success", currentHashContent } or 404 when no tombstone matches, 403 without the write token
+    GET  /api/events?site=siteName
+      -> text/event-stream of `change` events: { currentHashContent } after every save, delete (null) or restore,
+         starting with the current token
+    GET  /api/history?site=siteName
+      -> { status: "success", currentRev, revisions: [{ rev, updatedAt, size }] }
+    GET  /api/revision?site=siteName&rev=N
+      -> { status: "success", rev, updatedAt, eContent, chunked? } or not-found error
 */
 
 import express, { Request, Response, NextFunction } from 'express';
@@ -19,8 +32,22 @@ import fs from 'fs';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import compression from 'compression';
-import { MongoClient, Db, MongoServerError } from 'mongodb';
-import { normalizeSiteKey, validateEncryptedContent, validateHashToken } from './src/server/validation.js';
+import {
+    assembleChunkList,
+    normalizeSiteKey,
+    parseByteSize,
+    parseRevisionNumber,
+    validateChunkedSave,
+    validateEncryptedContent,
+    validateHashToken,
+    validateWriteToken
+} from './src/server/validation.js';
+import { hashWriteToken, matchesWriteKey } from './src/server/write-access.js';
+import { SiteEvents, type SiteChange } from './src/server/site-events.js';
+import type { ChunkedSave, ValidationResult } from './src/server/validation.js';
+import { createStorageAdapter } from './src/server/storage/index.js';
+import type { ChunkFields, SiteData, SiteRevision, StorageAdapter } from './src/server/storage/index.js';
+import type { ChunkedContent } from './src/types/global.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -29,6 +56,8 @@ const PROJECT_ROOT = process.cwd();
 const PUBLIC_DIR = path.join(PROJECT_ROOT, 'public');
 const IS_VERCEL = Boolean(process.env.VERCEL);
 const MAX_CONTENT_SIZE = process.env.MAX_CONTENT_SIZE || '4mb';
+// Reported to clients so they can reject imports that could not be saved
+const MAX_CONTENT_BYTES = parseByteSize(MAX_CONTENT_SIZE);
 const DEFAULT_RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000;
 const DEFAULT_RATE_LIMIT_MAX = NODE_ENV === 'production' ? 100 : 1000;
 
@@ -98,14 +127,24 @@ app.use('/api', limiter);
 
 const MONGODB_URI = process.env.MONGODB_URI;
 const DB_FILE = process.env.DB_FILE || path.join(PROJECT_ROOT, 'db.json');
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(PROJECT_ROOT, 'cryptexa.sqlite');
 const DB_TYPE = process.env.DB_TYPE || (IS_VERCEL ? 'mongodb' : 'file');
 const DB_VERSION = 2;
+const HISTORY_LIMIT = parsePositiveInteger(process.env.HISTORY_LIMIT, 10);
+const DELETE_RETENTION_MS = parsePositiveInteger(process.env.DELETE_RETENTION_DAYS, 7) * 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+// Other processes can write to MongoDB and SQLite, so their changes are polled for
+const EVENTS_POLL_MS = process.env.EVENTS_POLL_MS !== undefined
+    ? Number.parseInt(process.env.EVENTS_POLL_MS, 10) || 0
+    : DB_TYPE === 'mongodb' || DB_TYPE === 'sqlite' ? 5000 : 0;
+const EVENTS_HEARTBEAT_MS = 25 * 1000;
 const RUNTIME_FILE_SEARCH_DIRS = NODE_ENV === 'development'
     ? [PROJECT_ROOT, PUBLIC_DIR, path.join(PROJECT_ROOT, 'dist')]
     : [PUBLIC_DIR, path.join(PROJECT_ROOT, 'dist'), PROJECT_ROOT];
 
 const STATIC_ASSETS: Array<[route: string, fileName: string]> = [
     ['/app.js', 'app.js'],
+    ['/crypto-worker.js', 'crypto-worker.js'],
     ['/styles.css', 'styles.css'],
     ['/favicon-32.png', 'favicon-32.png'],
     ['/favicon-16.png', 'favicon-16.png'],
@@ -151,271 +190,166 @@ function redactRequestUrl(requestUrl: string): string {
 const INDEX_FILE = resolveRuntimeFile('index.html');
 const STATIC_ASSET_FILES = new Map(STATIC_ASSETS.map(([route, fileName]) => [route, resolveRuntimeFile(fileName)]));
 
-let mongoClient: MongoClient | null = null;
-let mongoDb: Db | null = null;
-let mongoConnectPromise: Promise<void> | null = null;
 let databaseInitPromise: Promise<void> | null = null;
 
-interface SiteData {
-    site?: string;
-    encryptedContent: string;
-    currentHashContent: string | null;
-    updatedAt: number;
+function toChunkedContent(site: ChunkFields): ChunkedContent | undefined {
+    if (!site.chunks || !site.encryptedKey || !site.manifest) {
+        return undefined;
+    }
+    return { encryptedKey: site.encryptedKey, manifest: site.manifest, chunks: site.chunks };
 }
 
-interface FileDB {
-    sites: Record<string, SiteData>;
-}
+/** Outcome of checking a save or delete against the stored site */
+type WriteCheck =
+    | { status: 'allowed'; existing: SiteData | null }
+    | { status: 'denied' | 'conflict' };
 
-function loadDB(): FileDB {
-    const backupFile = `${DB_FILE}.bak`;
-    if (!fs.existsSync(DB_FILE)) {
-        if (fs.existsSync(backupFile)) {
-            try {
-                const raw = fs.readFileSync(backupFile, 'utf-8');
-                console.warn(`Database file missing; loaded backup ${backupFile}`);
-                return JSON.parse(raw) as FileDB;
-            } catch (error) {
-                console.error('Database backup load error:', error);
-            }
-        }
-        return { sites: {} };
-    }
+const WRITE_DENIED_MESSAGE = 'Write access denied. The workspace password is required.';
 
-    try {
-        const raw = fs.readFileSync(DB_FILE, 'utf-8');
-        return JSON.parse(raw) as FileDB;
-    } catch (error) {
-        try {
-            const raw = fs.readFileSync(backupFile, 'utf-8');
-            console.warn(`Database file could not be read; loaded backup ${backupFile}`);
-            return JSON.parse(raw) as FileDB;
-        } catch {
-            console.error('Database load error:', error);
-            return { sites: {} };
-        }
+function storedSize(site: SiteRevision): number {
+    const chunked = toChunkedContent(site);
+    if (!chunked) {
+        return site.encryptedContent.length;
     }
+    return chunked.chunks.reduce(
+        (total, chunk) => total + chunk.data.length,
+        chunked.encryptedKey.length + chunked.manifest.length
+    );
 }
 
-class FileDatabaseStore {
-    private writeQueue: Promise<void> = Promise.resolve();
-    private directoryReady = false;
-
-    load(): FileDB {
-        return loadDB();
-    }
-
-    save(db: FileDB): Promise<void> {
-        const writeTask = this.writeQueue
-            .catch(() => undefined)
-            .then(async () => {
-                const tmpFile = `${DB_FILE}.${process.pid}.${Date.now()}.tmp`;
-                const backupFile = `${DB_FILE}.bak`;
-                let activeMovedToBackup = false;
-                try {
-                    await this.ensureDirectory();
-                    await fs.promises.writeFile(tmpFile, JSON.stringify(db), 'utf-8');
-
-                    if (fs.existsSync(backupFile)) {
-                        await fs.promises.unlink(backupFile);
-                    }
-
-                    if (fs.existsSync(DB_FILE)) {
-                        await fs.promises.rename(DB_FILE, backupFile);
-                        activeMovedToBackup = true;
-                    }
-
-                    await fs.promises.rename(tmpFile, DB_FILE);
-                } catch (error) {
-                    await fs.promises.unlink(tmpFile).catch(() => undefined);
-                    if (activeMovedToBackup && !fs.existsSync(DB_FILE) && fs.existsSync(backupFile)) {
-                        await fs.promises.rename(backupFile, DB_FILE).catch((restoreError) => {
-                            console.error('Database restore error:', restoreError);
-                        });
-                    }
-                    console.error('Database save error:', error);
-                    throw error;
-                }
-            });
+/**
+ * Site storage on top of the adapter chosen by DB_TYPE. Adds the parts that
+ * are the same for every backend, such as assembling chunked saves.
+ */
+class Database {
+    readonly adapter: StorageAdapter;
 
-        this.writeQueue = writeTask;
-        return writeTask;
+    constructor(adapter: StorageAdapter) {
+        this.adapter = adapter;
     }
 
-    private async ensureDirectory(): Promise<void> {
-        if (this.directoryReady) {
-            return;
-        }
-
-        await fs.promises.mkdir(path.dirname(DB_FILE), { recursive: true });
-        this.directoryReady = true;
+    getSite(siteKey: string): Promise<SiteData | null> {
+        return this.adapter.getSite(siteKey);
     }
-}
 
-const fileDatabaseStore = new FileDatabaseStore();
+    /**
+     * Checks a save or delete against the site's write secret. Sites stored
+     * without one accept any writer. A stale token is reported here already,
+     * so the secret checked belongs to the version the compare-and-swap replaces.
+     * A new site replacing a deleted one needs the deleted site's secret, since
+     * the save purges the tombstone and its history.
+     */
+    async checkWrite(siteKey: string, initHashContent: string, writeToken: string | null): Promise<WriteCheck> {
+        const existing = await this.getSite(siteKey);
+        if (existing && (existing.currentHashContent || '') !== initHashContent) {
+            return { status: 'conflict' };
+        }
+        const writeKeyHash = existing ? existing.writeKeyHash : (await this.getDeletedSite(siteKey))?.writeKeyHash;
+        if (writeKeyHash && !matchesWriteKey(writeKeyHash, writeToken)) {
+            return { status: 'denied' };
+        }
+        return { status: 'allowed', existing };
+    }
 
-async function connectMongoDB(): Promise<void> {
-    if (mongoDb) {
-        return;
+    getHistory(siteKey: string): Promise<SiteRevision[]> {
+        return this.adapter.getHistory(siteKey);
     }
 
-    if (mongoConnectPromise) {
-        await mongoConnectPromise;
-        return;
+    getRevision(siteKey: string, rev: number): Promise<SiteRevision | null> {
+        return this.adapter.getRevision(siteKey, rev);
     }
 
-    if (!MONGODB_URI) {
-        throw new Error('MONGODB_URI environment variable is required for MongoDB mode');
+    saveSiteIfUnchanged(siteKey: string, initHashContent: string, data: SiteData): Promise<boolean> {
+        return this.adapter.saveSiteIfUnchanged(siteKey, initHashContent, data);
     }
 
-    mongoConnectPromise = (async () => {
-        try {
-            mongoClient = new MongoClient(MONGODB_URI);
-            await mongoClient.connect();
-            mongoDb = mongoClient.db('cryptexa');
-            console.log('Connected to MongoDB');
+    /**
+     * Saves a chunked workspace. Chunks the client did not upload are taken from
+     * the stored version; the write itself goes through saveSiteIfUnchanged, so a
+     * save racing this one fails the token check instead of mixing chunk lists.
+     * @returns ok:false when the save references chunks the server does not have
+     */
+    async saveChunksIfUnchanged(
+        siteKey: string,
+        initHashContent: string,
+        save: ChunkedSave,
+        meta: Pick<SiteData, 'currentHashContent' | 'updatedAt' | 'writeKeyHash'>
+    ): Promise<ValidationResult<boolean>> {
+        const existing = await this.getSite(siteKey);
+        if (existing && (existing.currentHashContent || '') !== initHashContent) {
+            return { ok: true, value: false };
+        }
 
-            await mongoDb.collection('sites').createIndex({ site: 1 }, { unique: true });
-        } catch (error) {
-            console.error('MongoDB connection failed:', error);
-            throw error;
+        const chunks = assembleChunkList(save, existing?.chunks || []);
+        if (!chunks.ok) {
+            return chunks;
         }
-    })();
 
-    try {
-        await mongoConnectPromise;
-    } catch (error) {
-        mongoConnectPromise = null;
-        throw error;
+        const saved = await this.saveSiteIfUnchanged(siteKey, initHashContent, {
+            encryptedContent: '',
+            encryptedKey: save.encryptedKey,
+            manifest: save.manifest,
+            chunks: chunks.value,
+            ...meta
+        });
+        return { ok: true, value: saved };
     }
-}
 
-class Database {
-    private fileDb: FileDB;
-    private fileMutationQueue: Promise<void> = Promise.resolve();
-
-    constructor() {
-        this.fileDb = DB_TYPE === 'file' ? fileDatabaseStore.load() : { sites: {} };
+    deleteSiteIfUnchanged(siteKey: string, initHashContent: string): Promise<boolean> {
+        return this.adapter.deleteSiteIfUnchanged(siteKey, initHashContent);
     }
 
-    private runFileMutation<T>(task: () => Promise<T>): Promise<T> {
-        const mutation = this.fileMutationQueue
-            .catch(() => undefined)
-            .then(task);
-
-        this.fileMutationQueue = mutation.then(() => undefined, () => undefined);
-        return mutation;
+    getDeletedSite(siteKey: string): Promise<SiteData | null> {
+        return this.adapter.getDeletedSite(siteKey);
     }
 
-    async getSite(siteKey: string): Promise<SiteData | null> {
-        if (DB_TYPE === 'mongodb' && mongoDb) {
-            const doc = await mongoDb.collection<SiteData>('sites').findOne({ site: siteKey });
-            return doc ? {
-                encryptedContent: doc.encryptedContent,
-                currentHashContent: doc.currentHashContent,
-                updatedAt: doc.updatedAt
-            } : null;
-        }
-
-        return this.fileDb.sites[siteKey] || null;
+    restoreSiteIfUnchanged(siteKey: string, deletedHashContent: string): Promise<boolean> {
+        return this.adapter.restoreSiteIfUnchanged(siteKey, deletedHashContent);
     }
 
-    async saveSiteIfUnchanged(siteKey: string, initHashContent: string, data: SiteData): Promise<boolean> {
-        if (DB_TYPE === 'mongodb' && mongoDb) {
-            const collection = mongoDb.collection<SiteData>('sites');
-            const document: SiteData = {
-                site: siteKey,
-                encryptedContent: data.encryptedContent,
-                currentHashContent: data.currentHashContent,
-                updatedAt: data.updatedAt
-            };
-
-            // If empty initHashContent, attempt fast insert first
-            if (!initHashContent) {
-                try {
-                    await collection.insertOne(document);
-                    return true;
-                } catch (error) {
-                    if (error instanceof MongoServerError && error.code === 11000) {
-                        const updateResult = await collection.updateOne(
-                            {
-                                site: siteKey,
-                                $or: [
-                                    { currentHashContent: '' },
-                                    { currentHashContent: null },
-                                    { currentHashContent: { $exists: false } }
-                                ]
-                            },
-                            { $set: document }
-                        );
-                        return updateResult.matchedCount > 0;
-                    }
-                    throw error;
-                }
+    /** Permanently removes workspaces deleted longer than DELETE_RETENTION_DAYS ago */
+    async purgeExpired(): Promise<void> {
+        try {
+            const purged = await this.adapter.purgeDeletedSites(Date.now() - DELETE_RETENTION_MS);
+            if (purged > 0) {
+                console.log(`Purged ${purged} deleted workspaces`);
             }
-
-            const currentHashFilter = { site: siteKey, currentHashContent: initHashContent };
-            const updateResult = await collection.updateOne(currentHashFilter, { $set: document });
-            return updateResult.matchedCount > 0;
+        } catch (error) {
+            console.error('Purge job error:', error);
         }
-
-        return this.runFileMutation(async () => {
-            const existing = this.fileDb.sites[siteKey] || null;
-            if (existing && (existing.currentHashContent || '') !== initHashContent) {
-                return false;
-            }
-
-            this.fileDb.sites[siteKey] = data;
-            await fileDatabaseStore.save(this.fileDb);
-            return true;
-        });
     }
+}
 
-    async deleteSiteIfUnchanged(siteKey: string, initHashContent: string): Promise<boolean> {
-        if (DB_TYPE === 'mongodb' && mongoDb) {
-            const collection = mongoDb.collection('sites');
-            const currentHashFilter = initHashContent
-                ? { site: siteKey, currentHashContent: initHashContent }
-                : {
-                    site: siteKey,
-                    $or: [
-                        { currentHashContent: '' },
-                        { currentHashContent: null },
-                        { currentHashContent: { $exists: false } }
-                    ]
-                };
-            const deleteResult = await collection.deleteOne(currentHashFilter);
-            if (deleteResult.deletedCount > 0) {
-                return true;
-            }
-
-            const existing = await collection.findOne({ site: siteKey });
-            return !existing;
-        }
-
-        return this.runFileMutation(async () => {
-            const existing = this.fileDb.sites[siteKey] || null;
-            if (!existing) {
-                return true;
-            }
+const database = new Database(createStorageAdapter({
+    type: DB_TYPE,
+    historyLimit: HISTORY_LIMIT,
+    dbFile: DB_FILE,
+    sqliteFile: SQLITE_FILE,
+    mongoUri: MONGODB_URI
+}));
 
-            if ((existing.currentHashContent || '') !== initHashContent) {
-                return false;
-            }
+const siteEvents = new SiteEvents({
+    readToken: async (siteKey) => (await database.getSite(siteKey))?.currentHashContent ?? null,
+    pollIntervalMs: EVENTS_POLL_MS
+});
 
-            delete this.fileDb.sites[siteKey];
-            await fileDatabaseStore.save(this.fileDb);
-            return true;
-        });
+function validateRuntimeConfiguration(): void {
+    if (IS_VERCEL && DB_TYPE !== 'mongodb') {
+        throw new Error('Vercel deployments require DB_TYPE=mongodb because local filesystem persistence is not durable.');
     }
 }
 
-const database = new Database();
+let purgeTimer: NodeJS.Timeout | null = null;
 
-function validateRuntimeConfiguration(): void {
-    if (IS_VERCEL && DB_TYPE !== 'mongodb') {
-        throw new Error('Vercel deployments require DB_TYPE=mongodb because local filesystem persistence is not durable.');
+function startPurgeJob(): void {
+    if (purgeTimer) {
+        return;
     }
+
+    void database.purgeExpired();
+    purgeTimer = setInterval(() => { void database.purgeExpired(); }, PURGE_INTERVAL_MS);
+    // The job must not keep the process alive on its own
+    purgeTimer.unref();
 }
 
 async function initializeDatabase(): Promise<void> {
@@ -423,9 +357,8 @@ async function initializeDatabase(): Promise<void> {
         databaseInitPromise = (async () => {
             validateRuntimeConfiguration();
 
-            if (DB_TYPE === 'mongodb') {
-                await connectMongoDB();
-            }
+            await database.adapter.connect();
+            startPurgeJob();
         })();
     }
 
@@ -459,7 +392,7 @@ for (const [route, fileName] of STATIC_ASSETS) {
     });
 }
 
-app.get(/^\/(?:app|styles)\.[a-f0-9]{8}\.(?:js|css)$/i, (req: Request, res: Response, next: NextFunction) => {
+app.get(/^\/(?:app|crypto-worker|styles)\.[a-f0-9]{8}\.(?:js|css)$/i, (req: Request, res: Response, next: NextFunction) => {
     const filePath = resolveRuntimeFile(path.basename(req.path));
     setStaticCacheHeaders(res, filePath);
     res.sendFile(filePath, (error) => {
@@ -492,6 +425,10 @@ app.get('/:site', (req: Request, res: Response, next: NextFunction) => {
     }
 
     setStaticCacheHeaders(res, INDEX_FILE);
+    if (req.query.import === 'backup') {
+        // An offline backup page opened this workspace and hands it tabs through window.opener
+        res.setHeader('Cross-Origin-Opener-Policy', 'unsafe-none');
+    }
     res.sendFile(INDEX_FILE);
 });
 
@@ -510,7 +447,8 @@ app.get('/api/json', async (req: Request, res: Response): Promise<Response> => {
                 eContent: '',
                 currentDBVersion: DB_VERSION,
                 expectedDBVersion: DB_VERSION,
-                currentHashContent: null
+                currentHashContent: null,
+                maxContentBytes: MAX_CONTENT_BYTES
             });
         }
 
@@ -518,9 +456,11 @@ app.get('/api/json', async (req: Request, res: Response): Promise<Response> => {
             status: 'success',
             isNew: false,
             eContent: entry.encryptedContent,
+            chunked: toChunkedContent(entry),
             currentDBVersion: DB_VERSION,
             expectedDBVersion: DB_VERSION,
-            currentHashContent: entry.currentHashContent || null
+            currentHashContent: entry.currentHashContent || null,
+            maxContentBytes: MAX_CONTENT_BYTES
         });
     } catch (error) {
         console.error('Get endpoint error:', error);
@@ -528,9 +468,123 @@ app.get('/api/json', async (req: Request, res: Response): Promise<Response> => {
     }
 });
 
+app.get('/api/events', async (req: Request, res: Response): Promise<void> => {
+    const siteValidation = normalizeSiteKey(req.query.site);
+    if (!siteValidation.ok) {
+        res.status(400).json({ status: 'error', message: siteValidation.message });
+        return;
+    }
+
+    // Registered before the lookup so a client gone by then is never subscribed
+    let closed = false;
+    let stop = (): void => {
+        closed = true;
+    };
+    req.on('close', () => stop());
+
+    let entry: SiteData | null;
+    try {
+        entry = await database.getSite(siteValidation.value);
+    } catch (error) {
+        console.error('Events endpoint error:', error);
+        res.status(500).json({ status: 'error', message: 'Failed to subscribe' });
+        return;
+    }
+    if (closed) return;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-store',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    // Compression buffers output; flush so every event goes out immediately
+    const write = (chunk: string): void => {
+        res.write(chunk);
+        res.flush();
+    };
+    const send = (change: SiteChange): void => {
+        write(`event: change\ndata: ${JSON.stringify(change)}\n\n`);
+    };
+
+    const currentHashContent = entry?.currentHashContent ?? null;
+    write('retry: 5000\n\n');
+    send({ currentHashContent });
+    const unsubscribe = siteEvents.subscribe(siteValidation.value, currentHashContent, send);
+    const heartbeat = setInterval(() => write(': ping\n\n'), EVENTS_HEARTBEAT_MS);
+    stop = (): void => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    };
+});
+
+app.get('/api/history', async (req: Request, res: Response): Promise<Response> => {
+    try {
+        const siteValidation = normalizeSiteKey(req.query.site);
+        if (!siteValidation.ok) {
+            return res.status(400).json({ status: 'error', message: siteValidation.message });
+        }
+
+        const entry = await database.getSite(siteValidation.value);
+        const history = entry ? await database.getHistory(siteValidation.value) : [];
+        return res.json({
+            status: 'success',
+            currentRev: entry ? entry.rev || 0 : null,
+            revisions: history.map((revision) => ({
+                rev: revision.rev,
+                updatedAt: revision.updatedAt,
+                size: storedSize(revision)
+            }))
+        });
+    } catch (error) {
+        console.error('History endpoint error:', error);
+        return res.status(500).json({ status: 'error', message: 'Failed to retrieve history' });
+    }
+});
+
+app.get('/api/revision', async (req: Request, res: Response): Promise<Response> => {
+    try {
+        const siteValidation = normalizeSiteKey(req.query.site);
+        if (!siteValidation.ok) {
+            return res.status(400).json({ status: 'error', message: siteValidation.message });
+        }
+
+        const revValidation = parseRevisionNumber(req.query.rev);
+        if (!revValidation.ok) {
+            return res.status(400).json({ status: 'error', message: revValidation.message });
+        }
+
+        // Revisions of a deleted workspace stay hidden until it is restored
+        const entry = await database.getSite(siteValidation.value);
+        const revision = entry ? await database.getRevision(siteValidation.value, revValidation.value) : null;
+        if (!revision) {
+            return res.status(404).json({ status: 'error', message: 'Revision not found' });
+        }
+
+        return res.json({
+            status: 'success',
+            rev: revision.rev,
+            updatedAt: revision.updatedAt,
+            eContent: revision.encryptedContent,
+            chunked: toChunkedContent(revision)
+        });
+    } catch (error) {
+        console.error('Revision endpoint error:', error);
+        return res.status(500).json({ status: 'error', message: 'Failed to retrieve revision' });
+    }
+});
+
 app.post('/api/save', async (req: Request, res: Response): Promise<Response> => {
     try {
-        const { site, initHashContent, currentHashContent, encryptedContent } = req.body || {};
+        const {
+            site,
+            initHashContent,
+            currentHashContent,
+            encryptedContent,
+            encryptedKey,
+            writeToken,
+            newWriteToken
+        } = req.body || {};
 
         const siteValidation = normalizeSiteKey(site);
         if (!siteValidation.ok) {
@@ -547,17 +601,62 @@ app.post('/api/save', async (req: Request, res: Response): Promise<Response> =>
             return res.status(400).json({ status: 'error', message: currentHashValidation.message });
         }
 
-        const encryptedContentValidation = validateEncryptedContent(encryptedContent);
-        if (!encryptedContentValidation.ok) {
-            return res.status(400).json({ status: 'error', message: encryptedContentValidation.message });
+        const writeTokenValidation = validateWriteToken(writeToken);
+        if (!writeTokenValidation.ok) {
+            return res.status(400).json({ status: 'error', message: writeTokenValidation.message });
+        }
+
+        const newWriteTokenValidation = validateWriteToken(newWriteToken, 'newWriteToken');
+        if (!newWriteTokenValidation.ok) {
+            return res.status(400).json({ status: 'error', message: newWriteTokenValidation.message });
+        }
+
+        let chunkedSave: ChunkedSave | null = null;
+        let singleContent = '';
+        if (encryptedKey !== undefined) {
+            const chunkedValidation = validateChunkedSave(req.body);
+            if (!chunkedValidation.ok) {
+                return res.status(400).json({ status: 'error', message: chunkedValidation.message });
+            }
+            chunkedSave = chunkedValidation.value;
+        } else {
+            const encryptedContentValidation = validateEncryptedContent(encryptedContent);
+            if (!encryptedContentValidation.ok) {
+                return res.status(400).json({ status: 'error', message: encryptedContentValidation.message });
+            }
+            singleContent = encryptedContentValidation.value;
         }
 
         const siteKey = siteValidation.value;
-        const wasSaved = await database.saveSiteIfUnchanged(siteKey, initHashValidation.value, {
-            encryptedContent: encryptedContentValidation.value,
-            currentHashContent: currentHashValidation.value,
-            updatedAt: Date.now()
-        });
+        const check = await database.checkWrite(siteKey, initHashValidation.value, writeTokenValidation.value);
+        if (check.status === 'denied') {
+            return res.status(403).json({ status: 'denied', message: WRITE_DENIED_MESSAGE });
+        }
+
+        let wasSaved = false;
+        if (check.status === 'allowed') {
+            // A new write token replaces the secret; the first token sent to an open site sets it
+            const nextWriteToken = newWriteTokenValidation.value || writeTokenValidation.value;
+            const writeKeyHash = nextWriteToken ? hashWriteToken(nextWriteToken) : check.existing?.writeKeyHash;
+            const meta = {
+                currentHashContent: currentHashValidation.value,
+                updatedAt: Date.now(),
+                ...(writeKeyHash ? { writeKeyHash } : {})
+            };
+
+            if (chunkedSave) {
+                const result = await database.saveChunksIfUnchanged(siteKey, initHashValidation.value, chunkedSave, meta);
+                if (!result.ok) {
+                    return res.status(400).json({ status: 'error', message: result.message });
+                }
+                wasSaved = result.value;
+            } else {
+                wasSaved = await database.saveSiteIfUnchanged(siteKey, initHashValidation.value, {
+                    encryptedContent: singleContent,
+                    ...meta
+                });
+            }
+        }
 
         if (!wasSaved) {
             return res.json({
@@ -566,6 +665,7 @@ app.post('/api/save', async (req: Request, res: Response): Promise<Response> =>
             });
         }
 
+        siteEvents.publish(siteKey, { currentHashContent: currentHashValidation.value });
         return res.json({ status: 'success', currentHashContent: currentHashValidation.value });
     } catch (error) {
         console.error('Save endpoint error:', error);
@@ -575,7 +675,7 @@ app.post('/api/save', async (req: Request, res: Response): Promise<Response> =>
 
 app.post('/api/delete', async (req: Request, res: Response): Promise<Response> => {
     try {
-        const { site, initHashContent } = req.body || {};
+        const { site, initHashContent, writeToken } = req.body || {};
         const siteValidation = normalizeSiteKey(site);
         if (!siteValidation.ok) {
             return res.status(400).json({ status: 'error', message: siteValidation.message });
@@ -586,7 +686,18 @@ app.post('/api/delete', async (req: Request, res: Response): Promise<Response> =
             return res.status(400).json({ status: 'error', message: initHashValidation.message });
         }
 
-        const wasDeleted = await database.deleteSiteIfUnchanged(siteValidation.value, initHashValidation.value);
+        const writeTokenValidation = validateWriteToken(writeToken);
+        if (!writeTokenValidation.ok) {
+            return res.status(400).json({ status: 'error', message: writeTokenValidation.message });
+        }
+
+        const check = await database.checkWrite(siteValidation.value, initHashValidation.value, writeTokenValidation.value);
+        if (check.status === 'denied') {
+            return res.status(403).json({ status: 'denied', message: WRITE_DENIED_MESSAGE });
+        }
+
+        const wasDeleted = check.status === 'allowed'
+            && await database.deleteSiteIfUnchanged(siteValidation.value, initHashValidation.value);
         if (!wasDeleted) {
             return res.json({
                 status: 'error',
@@ -594,6 +705,7 @@ app.post('/api/delete', async (req: Request, res: Response): Promise<Response> =
             });
         }
 
+        siteEvents.publish(siteValidation.value, { currentHashContent: null });
         return res.json({ status: 'success' });
     } catch (error) {
         console.error('Delete endpoint error:', error);
@@ -601,6 +713,48 @@ app.post('/api/delete', async (req: Request, res: Response): Promise<Response> =
     }
 });
 
+app.post('/api/restore', async (req: Request, res: Response): Promise<Response> => {
+    try {
+        const { site, initHashContent, writeToken } = req.body || {};
+        const siteValidation = normalizeSiteKey(site);
+        if (!siteValidation.ok) {
+            return res.status(400).json({ status: 'error', message: siteValidation.message });
+        }
+
+        const initHashValidation = validateHashToken(initHashContent, 'initHashContent');
+        if (!initHashValidation.ok) {
+            return res.status(400).json({ status: 'error', message: initHashValidation.message });
+        }
+
+        const writeTokenValidation = validateWriteToken(writeToken);
+        if (!writeTokenValidation.ok) {
+            return res.status(400).json({ status: 'error', message: writeTokenValidation.message });
+        }
+
+        // Same answer for unknown workspaces and wrong tokens, so restore cannot probe for deleted sites
+        const tombstone = await database.getDeletedSite(siteValidation.value);
+        if (!tombstone || (tombstone.currentHashContent || '') !== initHashValidation.value) {
+            return res.status(404).json({ status: 'error', message: 'No deleted workspace matches this token.' });
+        }
+        if (tombstone.writeKeyHash && !matchesWriteKey(tombstone.writeKeyHash, writeTokenValidation.value)) {
+            return res.status(403).json({ status: 'denied', message: WRITE_DENIED_MESSAGE });
+        }
+
+        if (!await database.restoreSiteIfUnchanged(siteValidation.value, initHashValidation.value)) {
+            return res.json({
+                status: 'error',
+                message: 'Site was modified in the meantime. Reload first.'
+            });
+        }
+
+        siteEvents.publish(siteValidation.value, { currentHashContent: tombstone.currentHashContent || '' });
+        return res.json({ status: 'success', currentHashContent: tombstone.currentHashContent || '' });
+    } catch (error) {
+        console.error('Restore endpoint error:', error);
+        return res.status(500).json({ status: 'error', message: 'Failed to restore data' });
+    }
+});
+
 app.use((err: Error & { status?: number }, _req: Request, res: Response, _next: NextFunction) => {
     if (NODE_ENV === 'production') {
         console.error(`${new Date().toISOString()} ERROR:`, err.message);
@@ -623,13 +777,15 @@ app.use((_req: Request, res: Response) => {
 async function gracefulShutdown(signal: string): Promise<void> {
     console.log(`${signal} received, shutting down gracefully`);
 
-    if (mongoClient) {
-        try {
-            await mongoClient.close();
-            console.log('MongoDB connection closed');
-        } catch (error) {
-            console.error('Error closing MongoDB connection:', error);
-        }
+    if (purgeTimer) {
+        clearInterval(purgeTimer);
+    }
+    siteEvents.close();
+
+    try {
+        await database.adapter.close();
+    } catch (error) {
+        console.error('Error closing database:', error);
     }
 
     process.exit(0);
@@ -646,7 +802,9 @@ async function startServer(): Promise<void> {
 
             if (DB_TYPE === 'mongodb') {
                 console.log('MongoDB: connected');
-            } else {
+            } else if (DB_TYPE === 'sqlite') {
+                console.log(`SQLite file: ${SQLITE_FILE}`);
+            } else if (DB_TYPE === 'file') {
                 console.log(`Database file: ${DB_FILE}`);
             }
 
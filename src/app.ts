@@ -8,35 +8,71 @@
 */
 
 import { debounce, fetchWithRetry } from "./utils/fetch.js";
-import { qs, qsa, on, setPasswordMode } from "./utils/dom.js";
+import { getSeparatorHex, sha512Hex } from "./utils/crypto-helpers.js";
+import { MANIFEST_AAD } from "./crypto/chunks.js";
+import { qs, qsa, on, setPasswordMode, downloadBlob } from "./utils/dom.js";
 import { getSiteFromUrl, getUrlPasswordFromUrl, removeUrlPassword } from "./utils/url.js";
 import { WORKSPACE_ID_REQUIREMENTS, normalizeWorkspaceId } from "./utils/workspace.js";
 import { toast } from "./ui/toast.js";
-import { openPasswordDialog } from "./ui/dialogs.js";
+import { openConfirmDialog, openPasswordDialog } from "./ui/dialogs.js";
+import { openHistoryDialog } from "./ui/history.js";
+import { openMergeConflictDialog } from "./ui/merge-dialog.js";
+import { hideUpdateBanner, showUpdateBanner } from "./ui/update-banner.js";
+import { downloadMarkdownExport } from "./ui/markdown-export.js";
+import { getImportBudget, getImportSize, readImportFiles } from "./ui/import.js";
+import {
+    BACKUP_IMPORT_NONCE_PARAM,
+    BACKUP_IMPORT_QUERY,
+    BACKUP_IMPORT_READY,
+    buildBackupPage,
+    isBackupPageOrigin,
+    readBackupImportMessage,
+    readBackupImportNonce
+} from "./ui/backup-page.js";
+import type { ImportResult } from "./ui/import.js";
+import type { BackupTab } from "./ui/backup-page.js";
 import { initTheme, wireThemeToggle } from "./ui/themes.js";
 import { initGlobalSearch, openSearch, markSearchIndexDirty } from "./ui/search.js";
 import { initPasswordStrengthIndicators } from "./ui/password-strength.js";
 import { initTabSwitcher, openTabSwitcher, setTabModified, clearAllModified } from "./ui/tab-switcher.js";
+import { cycleMarkdownView, initMarkdownPreview } from "./ui/markdown-preview.js";
+import { toggleTaskLine } from "./ui/checklists.js";
 import {
     initTabsLayout,
     activateTab,
     addTab,
     focusActiveTextarea,
-    getTitleFromContent,
+    getLineIndexAtY,
+    getLineNumberFromPosition,
     updateGutterForTextarea,
     updateActiveLineHighlight,
     updateSelectedLinesHighlight,
     setContentOfTabs,
     getContentFromTabs,
+    getActiveTabId,
+    getTabSnapshots,
+    reopenClosedTab,
     onWindowResize,
     getCurrentTabTitle
 } from "./ui/tabs.js";
 import { ClientState, setTabFunctions } from "./state/ClientState.js";
+import type { RemoteChange } from "./state/ClientState.js";
+import { AutosaveController, getStoredAutosaveDelay, storeAutosaveDelay } from "./state/autosave.js";
+import type { AutosaveStatus } from "./state/autosave.js";
+import { WORKSPACE_DOCUMENT_FORMAT } from "./state/document.js";
+import {
+    formatTabPayload,
+    getTitleFromContent,
+    TAB_COLOR_METADATA_PREFIX,
+    MOBILE_METADATA_HINT
+} from "./state/tab-payload.js";
+import type { StoredContent } from "./types/global.js";
 
 setTabFunctions({
     focusActiveTextarea,
     getContentFromTabs,
-    setContentOfTabs
+    setContentOfTabs,
+    getActiveTabId
 });
 
 declare global {
@@ -63,10 +99,15 @@ const SHORTCUTS: ShortcutDef[] = [
     { keys: "Ctrl/Cmd + Shift + F", description: "Open search" },
     { keys: "Ctrl/Cmd + Shift + P", description: "Open tab switcher" },
     { keys: "Ctrl/Cmd + Alt + T", description: "Create new tab" },
+    { keys: "Ctrl/Cmd + Shift + T", description: "Reopen last closed tab" },
+    { keys: "Ctrl/Cmd + Alt + P", description: "Switch Markdown preview: editor, split, preview" },
+    { keys: "Ctrl/Cmd + Enter", description: "Check or uncheck the task on the current line" },
     { keys: "Ctrl/Cmd + Tab", description: "Next tab" },
     { keys: "Ctrl/Cmd + Shift + Tab", description: "Previous tab" },
     { keys: "Ctrl/Cmd + 1-9", description: "Jump to tab by number" },
     { keys: "Ctrl/Cmd + E", description: "Export encrypted backup" },
+    { keys: "Ctrl/Cmd + Shift + E", description: "Export tabs as Markdown ZIP" },
+    { keys: "Ctrl/Cmd + Shift + H", description: "Open revision history" },
     { keys: "Ctrl/Cmd + Shift + G", description: "Toggle theme" },
     { keys: "F1", description: "Open shortcuts help" },
     { keys: "Escape", description: "Close dialog or focus editor" }
@@ -85,6 +126,14 @@ if (URL_PASSWORD_RESULT.shouldScrub) {
 }
 
 let state: ClientState | null = null;
+let autosave: AutosaveController | null = null;
+let pendingReplayInterval: ReturnType<typeof setInterval> | null = null;
+let hasPendingSaves = false;
+/** Tabs posted by a backup page, waiting for the workspace to be unlocked */
+let pendingBackupTabs: BackupTab[] | null = null;
+let workspaceInitialized = false;
+
+const PENDING_REPLAY_INTERVAL_MS = 15 * 1000;
 let ignoreInputEvent = true;
 let healthCheckInterval: ReturnType<typeof setInterval> | null = null;
 let landingInitialized = false;
@@ -199,6 +248,7 @@ function initLanding(): void {
 
 function updateButtonEnablement(isTextModified: boolean, isSiteNew: boolean): void {
     const workspace = getState();
+    if (isTextModified) autosave?.notifyChange();
     const saveButton = qs<HTMLButtonElement>("#button-save");
     const saveNewButton = qs<HTMLButtonElement>("#button-savenew");
     const reloadButton = qs<HTMLButtonElement>("#button-reload");
@@ -223,7 +273,7 @@ function updateStatusIndicator(status: string, text: string): void {
     const statusText = qs<HTMLElement>(".status-text");
     if (!indicator || !statusText) return;
 
-    indicator.classList.remove("saving", "error", "modified");
+    indicator.classList.remove("saving", "error", "modified", "offline");
     if (status && status !== "ready") {
         indicator.classList.add(status);
     }
@@ -239,6 +289,37 @@ function updateLastSaved(): void {
     lastSaved.classList.remove("hidden");
 }
 
+function handleRemoteChange(change: RemoteChange): void {
+    const workspace = getState();
+    showUpdateBanner({
+        message: change.deleted ? "Workspace deleted elsewhere." : "Workspace updated elsewhere.",
+        onReload: () => {
+            void workspace.reloadSite().then(() => autosave?.resume());
+        },
+        onMerge: change.deleted ? undefined : () => {
+            void workspace.mergeRemoteChanges().then((merged) => {
+                if (merged) autosave?.resume();
+            });
+        }
+    });
+}
+
+/**
+ * Autosave stops at a conflict so the editor is never rewritten mid-typing;
+ * it resumes once the user saves, merges or reloads
+ */
+function handleSaveConflict(): void {
+    autosave?.pause();
+    updateStatusIndicator("error", "Conflict");
+    toast("Autosave paused: this workspace was saved elsewhere. Merge, reload or save to continue.", "warning", 5000);
+    handleRemoteChange({ deleted: false });
+}
+
+function handleWriteDenied(): void {
+    autosave?.pause();
+    updateStatusIndicator("error", "Locked");
+}
+
 function hideLastSaved(): void {
     const lastSaved = qs<HTMLElement>("#last-saved");
     lastSaved?.classList.add("hidden");
@@ -261,6 +342,40 @@ function setupStatusTracking(): void {
     });
 }
 
+function handleStatusChange(status: string, text: string): void {
+    updateStatusIndicator(status, text);
+    if (status === "offline") {
+        hasPendingSaves = true;
+        startPendingReplay();
+    }
+}
+
+async function replayPendingSaves(): Promise<void> {
+    const workspace = getState();
+    if (await workspace.getPendingSaveCount() === 0) {
+        stopPendingReplay();
+        return;
+    }
+    if (!(await checkServerHealth())) return;
+
+    await workspace.replayPendingSave();
+    if (await workspace.getPendingSaveCount() === 0) stopPendingReplay();
+}
+
+function startPendingReplay(): void {
+    if (pendingReplayInterval) return;
+    pendingReplayInterval = setInterval(() => {
+        void replayPendingSaves();
+    }, PENDING_REPLAY_INTERVAL_MS);
+}
+
+function stopPendingReplay(): void {
+    hasPendingSaves = false;
+    if (!pendingReplayInterval) return;
+    clearInterval(pendingReplayInterval);
+    pendingReplayInterval = null;
+}
+
 async function checkServerHealth(): Promise<boolean> {
     try {
         const response = await fetchWithRetry("/health", { method: "GET" }, 1, 5000);
@@ -300,53 +415,20 @@ function handleGlobalErrors(): void {
     });
 }
 
-function exportEncryptedBackup(eContent: string): void {
+async function exportEncryptedBackup(eContent: StoredContent): Promise<void> {
     const siteId = SITE_ID || "workspace";
-    const title = `Cryptexa Encrypted Backup (${siteId})`;
-    const html = `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${title}</title></head>
-<body>
-<h3>${title}</h3>
-<p>Enter password to decrypt this backup locally. No network is required.</p>
-<input type="password" id="pw" placeholder="Password"/>
-<button id="dec">Decrypt</button>
-<pre id="out" style="white-space:pre-wrap;margin-top:12px;"></pre>
-<script>
-const textEncoder = new TextEncoder(); const textDecoder = new TextDecoder();
-function hexToBuf(hex){const len=hex.length/2;const out=new Uint8Array(len);for(let i=0;i<len;i++)out[i]=parseInt(hex.substr(i*2,2),16);return out.buffer;}
-async function pbkdf2KeyFromPassword(password, saltHex, iterations=150000){
-  const salt=hexToBuf(saltHex);
-  const baseKey=await crypto.subtle.importKey("raw", textEncoder.encode(password), {name:"PBKDF2"}, false, ["deriveKey"]);
-  return await crypto.subtle.deriveKey({name:"PBKDF2",salt,iterations,hash:"SHA-256"}, baseKey, {name:"AES-GCM",length:256}, false, ["decrypt"]);
-}
-async function aesGcmDecryptHex(ivHex, cipherHex, password, saltHex){
-  const key=await pbkdf2KeyFromPassword(password, saltHex);
-  const plainBuf=await crypto.subtle.decrypt({name:"AES-GCM", iv:hexToBuf(ivHex)}, key, hexToBuf(cipherHex));
-  return textDecoder.decode(plainBuf);
-}
-document.getElementById("dec").onclick=async()=>{
-  const pw=document.getElementById("pw").value||"";
-  const payload=${JSON.stringify(eContent)};
-  const parts=payload.split(":");
-  if(parts.length!==3){document.getElementById("out").textContent="Invalid payload";return;}
-  const [saltHex,ivHex,cipherHex]=parts;
-  try{
-    const plain=await aesGcmDecryptHex(ivHex,cipherHex,pw,saltHex);
-    document.getElementById("out").textContent=plain;
-  }catch(e){
-    document.getElementById("out").textContent="Decryption failed.";
-  }
-};
-<${"/"}script>
-</body></html>`;
-    const blob = new Blob([html], { type: "text/html" });
-    const url = URL.createObjectURL(blob);
-    const anchor = document.createElement("a");
-    anchor.href = url;
-    anchor.download = `cryptexa-backup-${siteId}.html`;
-    document.body.appendChild(anchor);
-    anchor.click();
-    URL.revokeObjectURL(url);
-    anchor.remove();
+    const html = buildBackupPage({
+        site: siteId,
+        eContent,
+        separator: await getSeparatorHex(),
+        siteHash: getState().siteHash || await sha512Hex(siteId),
+        appOrigin: window.location.origin,
+        colorPrefix: TAB_COLOR_METADATA_PREFIX,
+        metadataHint: MOBILE_METADATA_HINT,
+        manifestAad: MANIFEST_AAD,
+        documentFormat: WORKSPACE_DOCUMENT_FORMAT
+    });
+    downloadBlob(new Blob([html], { type: "text/html" }), `cryptexa-backup-${siteId}.html`);
 }
 
 function triggerExport(): void {
@@ -356,7 +438,141 @@ function triggerExport(): void {
         toast("Nothing to export yet.", "warning", 1400);
         return;
     }
-    exportEncryptedBackup(encrypted);
+    void exportEncryptedBackup(encrypted);
+}
+
+function triggerMarkdownExport(): void {
+    const workspace = getState();
+    if (!workspace.getIsNew() && !workspace.getPassword()) {
+        toast("Unlock the workspace before exporting it.", "warning", 1800);
+        return;
+    }
+    downloadMarkdownExport(getTabSnapshots(), SITE_ID || "workspace");
+    toast("Exported tabs as plain text. The ZIP is not encrypted.", "warning", 2600);
+}
+
+async function importNotes(files: File[]): Promise<void> {
+    if (files.length === 0) return;
+    const workspace = getState();
+    if (!workspace.getIsNew() && !workspace.getPassword()) {
+        toast("Unlock the workspace before importing notes.", "warning", 1800);
+        return;
+    }
+
+    const existing = getTabSnapshots().map((tab) => tab.content).join("");
+    let result: ImportResult;
+    try {
+        result = await readImportFiles(files, getImportBudget(workspace.maxContentBytes, existing));
+    } catch (error) {
+        toast(error instanceof Error ? error.message : "Import failed.", "error", 3200);
+        return;
+    }
+
+    const skipped = result.skipped.length > 0 ? ` Skipped ${result.skipped.length} unsupported file(s).` : "";
+    if (result.tabs.length === 0) {
+        toast(`No .txt or .md notes to import.${skipped}`, "warning", 2200);
+        return;
+    }
+
+    addImportedTabs(result.tabs);
+    autosave?.notifyChange();
+    toast(`Imported ${result.tabs.length} tab(s).${skipped}`, "success", 2200);
+}
+
+function addImportedTabs(tabs: BackupTab[]): void {
+    const onModified = (): void => getState().updateIsTextModified(true);
+    for (const tab of tabs) {
+        addTab(false, formatTabPayload(tab.content, { color: tab.color, pinned: tab.pinned }), null, onModified);
+    }
+}
+
+/**
+ * A backup page that opened this workspace with BACKUP_IMPORT_QUERY posts its
+ * decrypted tabs once told the workspace is listening. Only its first message
+ * carrying the nonce from the URL is read, and the tabs wait for the user to
+ * confirm them.
+ */
+function listenForBackupImport(): void {
+    const url = new URL(window.location.href);
+    const [name, value] = BACKUP_IMPORT_QUERY.split("=");
+    if (url.searchParams.get(name!) !== value) return;
+    const nonce = readBackupImportNonce(url.searchParams);
+    url.searchParams.delete(name!);
+    url.searchParams.delete(BACKUP_IMPORT_NONCE_PARAM);
+    window.history.replaceState(window.history.state, "", url.href);
+
+    const opener = window.opener as Window | null;
+    if (!opener || !nonce) return;
+
+    const onMessage = (event: MessageEvent): void => {
+        if (event.source !== opener || !isBackupPageOrigin(event.origin, window.location.origin)) return;
+        const tabs = readBackupImportMessage(event.data, nonce);
+        if (!tabs) return;
+        window.removeEventListener("message", onMessage);
+        pendingBackupTabs = tabs;
+        if (workspaceInitialized) {
+            applyBackupImport();
+        } else {
+            toast(`Unlock the workspace to review ${tabs.length} tab(s) from the backup.`, "info", 3200);
+        }
+    };
+    window.addEventListener("message", onMessage);
+    // Backup pages are usually opened from a local file, whose origin cannot be named
+    opener.postMessage({ type: BACKUP_IMPORT_READY, nonce }, "*");
+}
+
+function applyBackupImport(): void {
+    const tabs = pendingBackupTabs;
+    if (!tabs) return;
+    pendingBackupTabs = null;
+
+    const existing = getTabSnapshots().map((tab) => tab.content).join("");
+    if (getImportSize(tabs) > getImportBudget(getState().maxContentBytes, existing)) {
+        toast("The backup does not fit into this workspace.", "error", 3200);
+        return;
+    }
+
+    const title = qs<HTMLElement>("#dialog-confirm-backup-import-title");
+    const list = qs<HTMLElement>("#backup-import-tabs");
+    if (!title || !list) return;
+    title.textContent = `Import ${tabs.length} tab(s) from a backup?`;
+    list.replaceChildren(...tabs.map((tab) => {
+        const item = document.createElement("li");
+        item.textContent = getTitleFromContent(tab.content);
+        return item;
+    }));
+
+    openConfirmDialog("#dialog-confirm-backup-import", (ok) => {
+        if (!ok) {
+            toast("Backup import cancelled.", "info", 2000);
+            return;
+        }
+        addImportedTabs(tabs);
+        toast(`Imported ${tabs.length} tab(s) from the backup. Save to encrypt and upload them.`, "success", 3200);
+    });
+}
+
+function openImportPicker(): void {
+    const input = qs<HTMLInputElement>("#import-file-input");
+    if (!input) return;
+    input.value = "";
+    input.click();
+}
+
+function openRevisionHistory(): void {
+    const workspace = getState();
+    if (workspace.getIsNew()) {
+        toast("No history yet. Save the workspace first.", "warning", 1800);
+        return;
+    }
+
+    void openHistoryDialog({
+        loadRevisions: () => workspace.fetchHistory(),
+        decryptRevision: (rev) => workspace.decryptRevision(rev),
+        onRestore: async (rev) => {
+            await workspace.restoreRevision(rev);
+        }
+    });
 }
 
 function cycleTabs(direction: 1 | -1): void {
@@ -377,18 +593,71 @@ function jumpToTabByNumber(index: number): void {
     if (target) activateTab(target);
 }
 
+/**
+ * Checks or unchecks a task line and records the edit like typing would
+ */
+function toggleTaskOnLine(textarea: HTMLTextAreaElement, lineIndex: number): void {
+    if (!toggleTaskLine(textarea, lineIndex)) return;
+    getState().updateIsTextModified(true);
+    const wasIgnoringInputEvent = ignoreInputEvent;
+    textarea.dispatchEvent(new Event("input", { bubbles: true }));
+    if (wasIgnoringInputEvent) {
+        markSearchIndexDirty(textarea.closest(".tab-panel")?.id);
+    }
+    scheduleEditorHighlightUpdate(textarea);
+}
+
 function createNewTab(): void {
     addTab(false, "", qs(".tab-header.active"), () => getState().updateIsTextModified(true));
 }
 
 function triggerSave(forceNewPassword: boolean): void {
     const workspace = getState();
+    autosave?.cancel();
     if (!forceNewPassword && !workspace.getIsNew()) {
         updateStatusIndicator("saving", "Saving");
     }
     void workspace.saveSite(forceNewPassword || workspace.getIsNew());
 }
 
+function updateAutosaveStatus(status: AutosaveStatus): void {
+    if (status === "saving") {
+        updateStatusIndicator("saving", "Autosaving\u2026");
+    } else if (status === "failed") {
+        // Queued offline saves already show their own status
+        if (!hasPendingSaves) updateStatusIndicator("error", "Autosave failed");
+    } else if (!getState().getIsTextModified()) {
+        clearAllModified();
+    }
+}
+
+function initAutosave(): void {
+    autosave = new AutosaveController({
+        delayMs: getStoredAutosaveDelay(),
+        save: () => getState().autosave(),
+        canSave: () => {
+            const workspace = getState();
+            return !workspace.getIsNew() && workspace.getIsTextModified();
+        },
+        onStatusChange: updateAutosaveStatus
+    });
+
+    const select = qs<HTMLSelectElement>("#autosave-delay");
+    if (select) {
+        select.value = String(autosave.getDelay());
+        on(select, "change", () => {
+            const delayMs = Number(select.value) || 0;
+            storeAutosaveDelay(delayMs);
+            autosave?.setDelay(delayMs);
+        });
+    }
+
+    // Unloading pages cannot wait for a save; the unsaved changes prompt covers them
+    document.addEventListener("visibilitychange", () => {
+        if (document.visibilityState === "hidden") void autosave?.flush();
+    });
+}
+
 function isFormField(target: EventTarget | null): boolean {
     if (!(target instanceof HTMLElement)) return false;
     const tag = target.tagName;
@@ -468,12 +737,47 @@ function initKeyboardShortcuts(): void {
             return;
         }
 
+        if (isCtrlOrCmd && key === "Enter" && !event.shiftKey && !event.altKey) {
+            const textarea = event.target;
+            if (!(textarea instanceof HTMLTextAreaElement) || !textarea.classList.contains("textarea-contents")) return;
+            event.preventDefault();
+            toggleTaskOnLine(textarea, getLineNumberFromPosition(textarea.value, textarea.selectionStart) - 1);
+            return;
+        }
+
+        if (isCtrlOrCmd && event.altKey && keyLower === "p") {
+            event.preventDefault();
+            const activeHeader = qs<HTMLElement>(".tab-header.active");
+            if (activeHeader) cycleMarkdownView(activeHeader);
+            return;
+        }
+
+        if (isCtrlOrCmd && event.shiftKey && keyLower === "t") {
+            event.preventDefault();
+            if (!reopenClosedTab(0, () => getState().updateIsTextModified(true))) {
+                toast("No recently closed tabs.", "info", 1400);
+            }
+            return;
+        }
+
+        if (isCtrlOrCmd && event.shiftKey && keyLower === "e") {
+            event.preventDefault();
+            triggerMarkdownExport();
+            return;
+        }
+
         if (isCtrlOrCmd && keyLower === "e") {
             event.preventDefault();
             triggerExport();
             return;
         }
 
+        if (isCtrlOrCmd && event.shiftKey && keyLower === "h") {
+            event.preventDefault();
+            openRevisionHistory();
+            return;
+        }
+
         if (isCtrlOrCmd && event.shiftKey && keyLower === "g") {
             event.preventDefault();
             qs<HTMLButtonElement>("#theme-toggle")?.click();
@@ -509,14 +813,54 @@ function wireWorkspaceButtons(): void {
         void getState().deleteSite();
     });
     on(qs("#button-export") as HTMLElement, "click", triggerExport);
+    on(qs("#button-export-markdown") as HTMLElement, "click", triggerMarkdownExport);
+    on(qs("#button-import") as HTMLElement, "click", openImportPicker);
+    on(qs("#import-file-input") as HTMLElement, "change", (event) => {
+        void importNotes(Array.from((event.target as HTMLInputElement).files || []));
+    });
+    on(qs("#button-history") as HTMLElement, "click", openRevisionHistory);
     on(qs("#search-button") as HTMLElement, "click", openSearch);
     on(qs("#help-button") as HTMLElement, "click", openHelpDialog);
 }
 
+function hasDraggedFiles(event: DragEvent): boolean {
+    return !!event.dataTransfer && Array.from(event.dataTransfer.types).includes("Files");
+}
+
+function wireImportDrop(): void {
+    const strip = qs<HTMLElement>(".tab-headers");
+    const container = qs<HTMLElement>(".tab-headers-container");
+    if (!strip || !container) return;
+
+    strip.addEventListener("dragover", (event) => {
+        if (!hasDraggedFiles(event)) return;
+        event.preventDefault();
+        event.dataTransfer!.dropEffect = "copy";
+        container.classList.add("drag-active");
+    });
+    strip.addEventListener("dragleave", (event) => {
+        if (!strip.contains(event.relatedTarget as Node | null)) {
+            container.classList.remove("drag-active");
+        }
+    });
+    strip.addEventListener("drop", (event) => {
+        container.classList.remove("drag-active");
+        if (!hasDraggedFiles(event)) return;
+        event.preventDefault();
+        void importNotes(Array.from(event.dataTransfer!.files));
+    });
+}
+
 function wireWorkspaceEvents(): void {
     if (workspaceEventsWired) return;
     workspaceEventsWired = true;
 
+    window.addEventListener("online", () => {
+        if (hasPendingSaves) void replayPendingSaves();
+    });
+
+    wireImportDrop();
+
     let pendingRaf = 0;
 
     document.addEventListener("input", (event) => {
@@ -525,6 +869,7 @@ function wireWorkspaceEvents(): void {
         if (ignoreInputEvent || !state) return;
 
         state.updateIsTextModified(true);
+        autosave?.notifyChange();
 
         const textarea = event.target;
         const activeTabTitle = getCurrentTabTitle();
@@ -541,7 +886,7 @@ function wireWorkspaceEvents(): void {
                 }
                 markSearchIndexDirty(textarea.closest(".tab-panel")?.id);
             } catch {
-                void 0;
+                // The title and search index catch up on the next input
             }
 
             const panel = textarea.closest(".tab-panel") as HTMLElement | null;
@@ -571,6 +916,16 @@ function wireWorkspaceEvents(): void {
         });
     });
 
+    document.addEventListener("click", (event) => {
+        if (!(event.target instanceof Element)) return;
+        const gutter = event.target.closest(".line-gutter");
+        const textarea = gutter?.parentElement?.querySelector<HTMLTextAreaElement>("textarea.textarea-contents");
+        if (!textarea || !state) return;
+
+        toggleTaskOnLine(textarea, getLineIndexAtY(textarea, event.clientY));
+        textarea.focus({ preventScroll: true });
+    });
+
     document.addEventListener("selectionchange", () => {
         const textarea = document.activeElement;
         if (!(textarea instanceof HTMLTextAreaElement)) return;
@@ -598,7 +953,7 @@ function wireWorkspaceEvents(): void {
         scheduleNextFrame(() => {
             const isHuge = textarea.value.length > 50000;
             if (!isHuge && activeTabTitle) {
-                activeTabTitle.textContent = getTitleFromContent();
+                activeTabTitle.textContent = getTitleFromContent(textarea.value);
             }
             markSearchIndexDirty(textarea.closest(".tab-panel")?.id);
 
@@ -670,6 +1025,9 @@ async function finishInitialization(shouldSkipSettingContent?: boolean): Promise
 
     if (shouldSkipSettingContent !== true) {
         await setContentOfTabs(workspace.getContent(), workspace);
+        workspaceInitialized = true;
+        applyBackupImport();
+        void resumePendingSaves();
     } else {
         clearAllModified();
     }
@@ -679,6 +1037,14 @@ async function finishInitialization(shouldSkipSettingContent?: boolean): Promise
     }, 50);
 }
 
+async function resumePendingSaves(): Promise<void> {
+    const count = await getState().getPendingSaveCount();
+    if (count === 0) return;
+
+    handleStatusChange("offline", `Offline \u2013 ${count} pending`);
+    await replayPendingSaves();
+}
+
 function decryptContentAndFinishInitialization(isOld: boolean): void {
     const workspace = getState();
     const openPrompt = () => {
@@ -726,18 +1092,30 @@ async function bootstrapWorkspace(): Promise<void> {
     window.state = state;
 
     state.onButtonEnablementChange = updateButtonEnablement;
-    state.onStatusChange = updateStatusIndicator;
-    state.onLastSavedUpdate = updateLastSaved;
+    state.onStatusChange = handleStatusChange;
+    state.onLastSavedUpdate = () => {
+        // A save only goes through on top of the latest version
+        hideUpdateBanner();
+        updateLastSaved();
+        autosave?.resume();
+    };
     state.onFinishInitialization = (shouldSkipSettingContent?: boolean) => {
         void finishInitialization(shouldSkipSettingContent);
     };
     state.onDecryptAndFinish = decryptContentAndFinishInitialization;
+    state.onMergeConflicts = openMergeConflictDialog;
+    state.onRemoteChange = handleRemoteChange;
+    state.onSaveConflict = handleSaveConflict;
+    state.onWriteDenied = handleWriteDenied;
+    listenForBackupImport();
 
     await state.init();
+    state.watchRemoteChanges();
     initTabsLayout(() => state?.updateIsTextModified(true));
     onWindowResize();
     wireWorkspaceButtons();
     wireWorkspaceEvents();
+    initAutosave();
     startHealthMonitoring();
 
     if (state.getIsNew() || !state.remote.eContent) {
@@ -759,7 +1137,8 @@ document.addEventListener("DOMContentLoaded", () => {
     initKeyboardShortcuts();
     initPasswordStrengthIndicators();
     initGlobalSearch();
-    initTabSwitcher();
+    initTabSwitcher(() => state?.updateIsTextModified(true));
+    initMarkdownPreview();
     initLanding();
     setSiteLabel(SITE_ID);
 
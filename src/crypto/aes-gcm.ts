@@ -3,24 +3,26 @@
  * Provides secure encryption using Web Crypto API with AES-GCM 256-bit
  */
 
-import { pbkdf2KeyFromPassword } from './pbkdf2.js';
+import { deriveAesKey, LEGACY_KDF } from './kdf.js';
 import { hexToBuf, bufToHex, randomHex, textEncoder, textDecoder } from '../utils/crypto-helpers.js';
-import type { EncryptionResult } from '../types/global.js';
+import type { EncryptionResult, KdfParams } from '../types/global.js';
 
 /**
  * Encrypts plaintext using AES-GCM
  * @param plainText - The text to encrypt
  * @param password - User password
  * @param saltHex - Salt in hex format
+ * @param kdf - Key derivation settings (default: legacy PBKDF2, 150000 iterations)
  * @returns Object containing IV and ciphertext in hex format
  */
 export async function aesGcmEncryptHex(
     plainText: string,
     password: string,
-    saltHex: string
+    saltHex: string,
+    kdf: KdfParams = LEGACY_KDF
 ): Promise<EncryptionResult> {
     const ivHex = randomHex(12);
-    const key = await pbkdf2KeyFromPassword(password, saltHex);
+    const key = await deriveAesKey(password, saltHex, kdf);
 
     const cipherBuf = await crypto.subtle.encrypt(
         { name: "AES-GCM", iv: hexToBuf(ivHex) },
@@ -37,15 +39,17 @@ export async function aesGcmEncryptHex(
  * @param cipherHex - Ciphertext in hex format
  * @param password - User password
  * @param saltHex - Salt in hex format
+ * @param kdf - Key derivation settings (default: legacy PBKDF2, 150000 iterations)
  * @returns Decrypted plaintext or empty string on failure
  */
 export async function aesGcmDecryptHex(
     ivHex: string,
     cipherHex: string,
     password: string,
-    saltHex: string
+    saltHex: string,
+    kdf: KdfParams = LEGACY_KDF
 ): Promise<string> {
-    const key = await pbkdf2KeyFromPassword(password, saltHex);
+    const key = await deriveAesKey(password, saltHex, kdf);
 
     try {
         const plainBuf = await crypto.subtle.decrypt(
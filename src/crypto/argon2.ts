@@ -0,0 +1,450 @@
+/**
+ * Argon2id Key Derivation Module
+ * Pure TypeScript Argon2id (RFC 9106, version 0x13) built on BLAKE2b (RFC 7693).
+ *
+ * The algorithm lives entirely inside createArgon2() and touches nothing outside
+ * it, so the offline backup exporter can embed the same code as text.
+ * 64-bit words are kept as little-endian pairs of 32-bit halves.
+ */
+
+import { hexToBuf, textEncoder } from '../utils/crypto-helpers.js';
+
+/** Inputs for a raw Argon2id computation */
+export interface Argon2Input {
+    password: Uint8Array;
+    salt: Uint8Array;
+    secret?: Uint8Array;
+    associatedData?: Uint8Array;
+    memoryKiB: number;
+    passes: number;
+    parallelism: number;
+    tagLength: number;
+}
+
+/** Argon2id parameters as stored in the envelope */
+export interface Argon2Params {
+    memoryKiB: number;
+    passes: number;
+    parallelism: number;
+}
+
+export interface Argon2Api {
+    blake2b(input: Uint8Array, outLength: number): Uint8Array;
+    argon2id(input: Argon2Input): Uint8Array;
+}
+
+/**
+ * Builds the BLAKE2b and Argon2id primitives. Self-contained on purpose (see module note).
+ */
+export function createArgon2(): Argon2Api {
+    const BLAKE2B_IV = new Uint32Array([
+        0xf3bcc908, 0x6a09e667, 0x84caa73b, 0xbb67ae85,
+        0xfe94f82b, 0x3c6ef372, 0x5f1d36f1, 0xa54ff53a,
+        0xade682d1, 0x510e527f, 0x2b3e6c1f, 0x9b05688c,
+        0xfb41bd6b, 0x1f83d9ab, 0x137e2179, 0x5be0cd19
+    ]);
+
+    const SIGMA = new Uint8Array([
+        0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+        14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3,
+        11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4,
+        7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8,
+        9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13,
+        2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9,
+        12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11,
+        13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10,
+        6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5,
+        10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0
+    ]);
+
+    const BLOCK_WORDS = 256; // 1024-byte Argon2 block as 32-bit halves
+    const SYNC_POINTS = 4;
+    const ARGON2_VERSION = 0x13;
+    const ARGON2ID_TYPE = 2;
+
+    const v = new Uint32Array(32);
+    const m = new Uint32Array(32);
+
+    // v[a] += v[b] (64-bit)
+    function add64(arr: Uint32Array, a: number, b: number): void {
+        const lo = arr[a]! + arr[b]!;
+        arr[a + 1] = arr[a + 1]! + arr[b + 1]! + (lo > 0xffffffff ? 1 : 0);
+        arr[a] = lo;
+    }
+
+    // v[a] += (lo, hi)
+    function add64Const(arr: Uint32Array, a: number, lo: number, hi: number): void {
+        const sum = arr[a]! + lo;
+        arr[a + 1] = arr[a + 1]! + hi + (sum > 0xffffffff ? 1 : 0);
+        arr[a] = sum;
+    }
+
+    // arr[x] = rotr64(arr[x] ^ arr[y], n) for n in {16, 24, 32, 63}
+    function xorRotr(arr: Uint32Array, x: number, y: number, n: number): void {
+        const lo = arr[x]! ^ arr[y]!;
+        const hi = arr[x + 1]! ^ arr[y + 1]!;
+        if (n === 32) {
+            arr[x] = hi;
+            arr[x + 1] = lo;
+        } else if (n === 63) {
+            arr[x] = (lo << 1) | (hi >>> 31);
+            arr[x + 1] = (hi << 1) | (lo >>> 31);
+        } else {
+            arr[x] = (lo >>> n) | (hi << (32 - n));
+            arr[x + 1] = (hi >>> n) | (lo << (32 - n));
+        }
+    }
+
+    function blakeMix(a: number, b: number, c: number, d: number, x: number, y: number): void {
+        add64(v, a, b);
+        add64Const(v, a, m[x]!, m[x + 1]!);
+        xorRotr(v, d, a, 32);
+        add64(v, c, d);
+        xorRotr(v, b, c, 24);
+        add64(v, a, b);
+        add64Const(v, a, m[y]!, m[y + 1]!);
+        xorRotr(v, d, a, 16);
+        add64(v, c, d);
+        xorRotr(v, b, c, 63);
+    }
+
+    function blake2bCompress(h: Uint32Array, block: Uint8Array, offset: number, counter: number, last: boolean): void {
+        for (let i = 0; i < 16; i++) {
+            v[i] = h[i]!;
+            v[i + 16] = BLAKE2B_IV[i]!;
+        }
+        v[24] = v[24]! ^ (counter >>> 0);
+        v[25] = v[25]! ^ Math.floor(counter / 0x100000000);
+        if (last) {
+            v[28] = ~v[28]!;
+            v[29] = ~v[29]!;
+        }
+
+        for (let i = 0; i < 32; i++) {
+            const p = offset + i * 4;
+            m[i] = block[p]! | (block[p + 1]! << 8) | (block[p + 2]! << 16) | (block[p + 3]! << 24);
+        }
+
+        for (let round = 0; round < 12; round++) {
+            const s = (round % 10) * 16;
+            blakeMix(0, 8, 16, 24, SIGMA[s]! * 2, SIGMA[s + 1]! * 2);
+            blakeMix(2, 10, 18, 26, SIGMA[s + 2]! * 2, SIGMA[s + 3]! * 2);
+            blakeMix(4, 12, 20, 28, SIGMA[s + 4]! * 2, SIGMA[s + 5]! * 2);
+            blakeMix(6, 14, 22, 30, SIGMA[s + 6]! * 2, SIGMA[s + 7]! * 2);
+            blakeMix(0, 10, 20, 30, SIGMA[s + 8]! * 2, SIGMA[s + 9]! * 2);
+            blakeMix(2, 12, 22, 24, SIGMA[s + 10]! * 2, SIGMA[s + 11]! * 2);
+            blakeMix(4, 14, 16, 26, SIGMA[s + 12]! * 2, SIGMA[s + 13]! * 2);
+            blakeMix(6, 8, 18, 28, SIGMA[s + 14]! * 2, SIGMA[s + 15]! * 2);
+        }
+
+        for (let i = 0; i < 16; i++) {
+            h[i] = h[i]! ^ v[i]! ^ v[i + 16]!;
+        }
+    }
+
+    function blake2b(input: Uint8Array, outLength: number): Uint8Array {
+        const h = new Uint32Array(BLAKE2B_IV);
+        h[0] = h[0]! ^ 0x01010000 ^ outLength;
+
+        let offset = 0;
+        while (input.length - offset > 128) {
+            blake2bCompress(h, input, offset, offset + 128, false);
+            offset += 128;
+        }
+        const last = new Uint8Array(128);
+        last.set(input.subarray(offset));
+        blake2bCompress(h, last, 0, input.length, true);
+
+        const out = new Uint8Array(outLength);
+        for (let i = 0; i < outLength; i++) {
+            out[i] = h[i >> 2]! >>> (8 * (i & 3));
+        }
+        return out;
+    }
+
+    function le32(value: number): Uint8Array {
+        return new Uint8Array([value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff, (value >>> 24) & 0xff]);
+    }
+
+    function concat(parts: Uint8Array[]): Uint8Array {
+        const out = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            out.set(part, offset);
+            offset += part.length;
+        }
+        return out;
+    }
+
+    // Variable-length hash H' from RFC 9106 section 3.3
+    function blake2bLong(input: Uint8Array, outLength: number): Uint8Array {
+        const prefixed = concat([le32(outLength), input]);
+        if (outLength <= 64) return blake2b(prefixed, outLength);
+
+        const out = new Uint8Array(outLength);
+        let previous = blake2b(prefixed, 64);
+        out.set(previous.subarray(0, 32), 0);
+        let written = 32;
+        while (outLength - written > 64) {
+            previous = blake2b(previous, 64);
+            out.set(previous.subarray(0, 32), written);
+            written += 32;
+        }
+        out.set(blake2b(previous, outLength - written), written);
+        return out;
+    }
+
+    // 32x32 -> 64-bit multiply; returns the low half and leaves the high half in mulHi
+    let mulHi = 0;
+    function mul32(a: number, b: number): number {
+        const a0 = a & 0xffff;
+        const a1 = a >>> 16;
+        const b0 = b & 0xffff;
+        const b1 = b >>> 16;
+        const low = a0 * b0;
+        const mid1 = a1 * b0;
+        const mid2 = a0 * b1;
+        const carry = (low >>> 16) + (mid1 & 0xffff) + (mid2 & 0xffff);
+        mulHi = (a1 * b1 + (mid1 >>> 16) + (mid2 >>> 16) + (carry >>> 16)) >>> 0;
+        return (((carry & 0xffff) << 16) | (low & 0xffff)) >>> 0;
+    }
+
+    // r[a] = r[a] + r[b] + 2 * lo32(r[a]) * lo32(r[b])
+    function blaMka(r: Uint32Array, a: number, b: number): void {
+        const productLo = mul32(r[a]!, r[b]!);
+        const productHi = mulHi;
+        const doubledLo = (productLo << 1) >>> 0;
+        const doubledHi = ((productHi << 1) | (productLo >>> 31)) >>> 0;
+        add64(r, a, b);
+        add64Const(r, a, doubledLo, doubledHi);
+    }
+
+    function gb(r: Uint32Array, a: number, b: number, c: number, d: number): void {
+        blaMka(r, a, b);
+        xorRotr(r, d, a, 32);
+        blaMka(r, c, d);
+        xorRotr(r, b, c, 24);
+        blaMka(r, a, b);
+        xorRotr(r, d, a, 16);
+        blaMka(r, c, d);
+        xorRotr(r, b, c, 63);
+    }
+
+    // Permutation P over sixteen 64-bit words given by their u32 offsets in r
+    function permute(r: Uint32Array, w: number[]): void {
+        gb(r, w[0]!, w[4]!, w[8]!, w[12]!);
+        gb(r, w[1]!, w[5]!, w[9]!, w[13]!);
+        gb(r, w[2]!, w[6]!, w[10]!, w[14]!);
+        gb(r, w[3]!, w[7]!, w[11]!, w[15]!);
+        gb(r, w[0]!, w[5]!, w[10]!, w[15]!);
+        gb(r, w[1]!, w[6]!, w[11]!, w[12]!);
+        gb(r, w[2]!, w[7]!, w[8]!, w[13]!);
+        gb(r, w[3]!, w[4]!, w[9]!, w[14]!);
+    }
+
+    const ROW_WORDS: number[][] = [];
+    const COLUMN_WORDS: number[][] = [];
+    for (let i = 0; i < 8; i++) {
+        const row: number[] = [];
+        const column: number[] = [];
+        for (let j = 0; j < 16; j++) {
+            row.push((16 * i + j) * 2);
+            column.push((2 * i + (j & 1) + 16 * (j >> 1)) * 2);
+        }
+        ROW_WORDS.push(row);
+        COLUMN_WORDS.push(column);
+    }
+
+    const blockR = new Uint32Array(BLOCK_WORDS);
+    const blockTmp = new Uint32Array(BLOCK_WORDS);
+
+    // Compression G: out = P(x ^ y) ^ x ^ y (^ out when xoring into a later pass)
+    function fillBlock(
+        x: Uint32Array, xOff: number,
+        y: Uint32Array, yOff: number,
+        out: Uint32Array, outOff: number,
+        withXor: boolean
+    ): void {
+        for (let i = 0; i < BLOCK_WORDS; i++) {
+            const value = x[xOff + i]! ^ y[yOff + i]!;
+            blockR[i] = value;
+            blockTmp[i] = withXor ? value ^ out[outOff + i]! : value;
+        }
+        for (const row of ROW_WORDS) permute(blockR, row);
+        for (const column of COLUMN_WORDS) permute(blockR, column);
+        for (let i = 0; i < BLOCK_WORDS; i++) {
+            out[outOff + i] = blockTmp[i]! ^ blockR[i]!;
+        }
+    }
+
+    function bytesToWords(bytes: Uint8Array, out: Uint32Array, offset: number): void {
+        for (let i = 0; i < BLOCK_WORDS; i++) {
+            const p = i * 4;
+            out[offset + i] = bytes[p]! | (bytes[p + 1]! << 8) | (bytes[p + 2]! << 16) | (bytes[p + 3]! << 24);
+        }
+    }
+
+    function argon2id(input: Argon2Input): Uint8Array {
+        const { password, salt, memoryKiB, passes, parallelism, tagLength } = input;
+        const secret = input.secret || new Uint8Array(0);
+        const associatedData = input.associatedData || new Uint8Array(0);
+
+        if (parallelism < 1 || passes < 1 || tagLength < 4) throw new Error("Invalid Argon2 parameters");
+        if (salt.length < 8) throw new Error("Argon2 salt must be at least 8 bytes");
+        if (memoryKiB < 8 * parallelism) throw new Error("Argon2 memory must be at least 8 KiB per lane");
+
+        const h0 = blake2b(concat([
+            le32(parallelism), le32(tagLength), le32(memoryKiB), le32(passes),
+            le32(ARGON2_VERSION), le32(ARGON2ID_TYPE),
+            le32(password.length), password,
+            le32(salt.length), salt,
+            le32(secret.length), secret,
+            le32(associatedData.length), associatedData
+        ]), 64);
+
+        const segmentLength = Math.floor(memoryKiB / (SYNC_POINTS * parallelism));
+        const laneLength = segmentLength * SYNC_POINTS;
+        const blockCount = laneLength * parallelism;
+        const memory = new Uint32Array(blockCount * BLOCK_WORDS);
+
+        for (let lane = 0; lane < parallelism; lane++) {
+            for (let i = 0; i < 2; i++) {
+                const seed = blake2bLong(concat([h0, le32(i), le32(lane)]), 1024);
+                bytesToWords(seed, memory, (lane * laneLength + i) * BLOCK_WORDS);
+            }
+        }
+
+        const zeroBlock = new Uint32Array(BLOCK_WORDS);
+        const inputBlock = new Uint32Array(BLOCK_WORDS);
+        const addressBlock = new Uint32Array(BLOCK_WORDS);
+
+        const nextAddresses = (): void => {
+            inputBlock[12] = inputBlock[12]! + 1;
+            fillBlock(zeroBlock, 0, inputBlock, 0, addressBlock, 0, false);
+            fillBlock(zeroBlock, 0, addressBlock, 0, addressBlock, 0, false);
+        };
+
+        for (let pass = 0; pass < passes; pass++) {
+            for (let slice = 0; slice < SYNC_POINTS; slice++) {
+                const dataIndependent = pass === 0 && slice < SYNC_POINTS / 2;
+
+                for (let lane = 0; lane < parallelism; lane++) {
+                    if (dataIndependent) {
+                        inputBlock.fill(0);
+                        inputBlock[0] = pass;
+                        inputBlock[2] = lane;
+                        inputBlock[4] = slice;
+                        inputBlock[6] = blockCount;
+                        inputBlock[8] = passes;
+                        inputBlock[10] = ARGON2ID_TYPE;
+                    }
+
+                    let startIndex = 0;
+                    if (pass === 0 && slice === 0) {
+                        startIndex = 2;
+                        if (dataIndependent) nextAddresses();
+                    }
+
+                    let current = lane * laneLength + slice * segmentLength + startIndex;
+                    let previous = current % laneLength === 0 ? current + laneLength - 1 : current - 1;
+
+                    for (let index = startIndex; index < segmentLength; index++, current++, previous++) {
+                        if (current % laneLength === 1) previous = current - 1;
+
+                        let j1: number;
+                        let j2: number;
+                        if (dataIndependent) {
+                            if (index % 128 === 0) nextAddresses();
+                            j1 = addressBlock[(index % 128) * 2]!;
+                            j2 = addressBlock[(index % 128) * 2 + 1]!;
+                        } else {
+                            j1 = memory[previous * BLOCK_WORDS]!;
+                            j2 = memory[previous * BLOCK_WORDS + 1]!;
+                        }
+
+                        const refLane = pass === 0 && slice === 0 ? lane : j2 % parallelism;
+                        const sameLane = refLane === lane;
+
+                        let areaSize: number;
+                        if (pass === 0) {
+                            if (slice === 0) {
+                                areaSize = index - 1;
+                            } else if (sameLane) {
+                                areaSize = slice * segmentLength + index - 1;
+                            } else {
+                                areaSize = slice * segmentLength + (index === 0 ? -1 : 0);
+                            }
+                        } else if (sameLane) {
+                            areaSize = laneLength - segmentLength + index - 1;
+                        } else {
+                            areaSize = laneLength - segmentLength + (index === 0 ? -1 : 0);
+                        }
+
+                        mul32(j1, j1);
+                        const x = mulHi;
+                        mul32(areaSize, x);
+                        const relative = areaSize - 1 - mulHi;
+                        const start = pass === 0 || slice === SYNC_POINTS - 1 ? 0 : (slice + 1) * segmentLength;
+                        const refIndex = (start + relative) % laneLength;
+
+                        fillBlock(
+                            memory, previous * BLOCK_WORDS,
+                            memory, (refLane * laneLength + refIndex) * BLOCK_WORDS,
+                            memory, current * BLOCK_WORDS,
+                            pass > 0
+                        );
+                    }
+                }
+            }
+        }
+
+        const finalBlock = memory.slice((laneLength - 1) * BLOCK_WORDS, laneLength * BLOCK_WORDS);
+        for (let lane = 1; lane < parallelism; lane++) {
+            const offset = (lane * laneLength + laneLength - 1) * BLOCK_WORDS;
+            for (let i = 0; i < BLOCK_WORDS; i++) {
+                finalBlock[i] = finalBlock[i]! ^ memory[offset + i]!;
+            }
+        }
+
+        const finalBytes = new Uint8Array(1024);
+        for (let i = 0; i < 1024; i++) {
+            finalBytes[i] = finalBlock[i >> 2]! >>> (8 * (i & 3));
+        }
+        return blake2bLong(finalBytes, tagLength);
+    }
+
+    return { blake2b, argon2id };
+}
+
+let argon2: Argon2Api | null = null;
+
+/**
+ * Derives an AES-GCM key from a password using Argon2id
+ * @param password - User password
+ * @param saltHex - Salt in hex format
+ * @param params - Memory (KiB), passes and lanes recorded in the envelope
+ * @returns CryptoKey for AES-GCM encryption/decryption
+ */
+export async function argon2idKeyFromPassword(
+    password: string,
+    saltHex: string,
+    params: Argon2Params
+): Promise<CryptoKey> {
+    if (!argon2) argon2 = createArgon2();
+    const tag = argon2.argon2id({
+        password: textEncoder.encode(password),
+        salt: new Uint8Array(hexToBuf(saltHex)),
+        memoryKiB: params.memoryKiB,
+        passes: params.passes,
+        parallelism: params.parallelism,
+        tagLength: 32
+    });
+
+    return await crypto.subtle.importKey(
+        "raw",
+        tag as unknown as BufferSource,
+        { name: "AES-GCM" },
+        false,
+        ["encrypt", "decrypt"]
+    );
+}
@@ -0,0 +1,80 @@
+/**
+ * Chunk Encryption Module
+ * Per-tab AES-GCM chunks under a random workspace key.
+ *
+ * The workspace key is stored wrapped in a password envelope, so saves only
+ * encrypt the tabs that changed and never run the KDF. Each chunk is bound to
+ * its id through the AES-GCM additional data, so chunks cannot be swapped.
+ */
+
+import { hexToBuf, bufToHex, randomHex, textEncoder, textDecoder } from '../utils/crypto-helpers.js';
+
+/** Additional data for the encrypted chunk-id list */
+export const MANIFEST_AAD = "manifest";
+
+/**
+ * Creates a random chunk id (64 bits, hex)
+ */
+export function createChunkId(): string {
+    return randomHex(8);
+}
+
+/**
+ * Generates a random AES-GCM workspace key
+ * @returns The key and its raw bytes in hex, for wrapping
+ */
+export async function generateWorkspaceKey(): Promise<{ key: CryptoKey; keyHex: string }> {
+    const keyHex = randomHex(32);
+    return { key: await importWorkspaceKey(keyHex), keyHex };
+}
+
+/**
+ * Imports raw workspace key bytes
+ * @param keyHex - 256-bit key in hex format
+ */
+export async function importWorkspaceKey(keyHex: string): Promise<CryptoKey> {
+    return await crypto.subtle.importKey(
+        "raw",
+        hexToBuf(keyHex),
+        { name: "AES-GCM" },
+        false,
+        ["encrypt", "decrypt"]
+    );
+}
+
+/**
+ * Encrypts one chunk
+ * @param key - Workspace key
+ * @param plainText - Chunk content
+ * @param aad - Additional data the chunk is bound to (its id, or MANIFEST_AAD)
+ * @returns Chunk in the form iv:cipher (hex)
+ */
+export async function encryptChunk(key: CryptoKey, plainText: string, aad: string): Promise<string> {
+    const ivHex = randomHex(12);
+    const cipherBuf = await crypto.subtle.encrypt(
+        { name: "AES-GCM", iv: hexToBuf(ivHex), additionalData: textEncoder.encode(aad) },
+        key,
+        textEncoder.encode(plainText)
+    );
+    return `${ivHex}:${bufToHex(cipherBuf)}`;
+}
+
+/**
+ * Decrypts one chunk
+ * @returns Chunk content, or null when the chunk is malformed, tampered with or under another key
+ */
+export async function decryptChunk(key: CryptoKey, data: string, aad: string): Promise<string | null> {
+    const [ivHex, cipherHex, extra] = data.split(":");
+    if (!ivHex || cipherHex === undefined || extra !== undefined) return null;
+
+    try {
+        const plainBuf = await crypto.subtle.decrypt(
+            { name: "AES-GCM", iv: hexToBuf(ivHex), additionalData: textEncoder.encode(aad) },
+            key,
+            hexToBuf(cipherHex)
+        );
+        return textDecoder.decode(plainBuf);
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,133 @@
+/**
+ * Ciphertext Envelope Module
+ * Self-describing format for stored workspaces:
+ *
+ *   v3:kdf=pbkdf2-sha256:iter=600000:<salt>:<iv>:<cipher>
+ *   v3:kdf=argon2id:m=19456:t=2:p=1:<salt>:<iv>:<cipher>
+ *
+ * The bare legacy `salt:iv:cipher` form (PBKDF2-SHA256, 150,000 iterations)
+ * is still read; every save writes the current version.
+ */
+
+import { aesGcmEncryptHex, aesGcmDecryptHex } from './aes-gcm.js';
+import { CURRENT_KDF, LEGACY_KDF } from './kdf.js';
+import { randomHex } from '../utils/crypto-helpers.js';
+import type { CipherEnvelope, KdfParams } from '../types/global.js';
+
+export const ENVELOPE_PREFIX = "v3";
+
+export { CURRENT_KDF, LEGACY_KDF };
+
+/** Bounds accepted when reading; guards against payloads that would hang the tab */
+const MIN_ITERATIONS = 1000;
+const MAX_ITERATIONS = 10000000;
+const MAX_ARGON2_MEMORY_KIB = 262144;
+const MAX_ARGON2_PASSES = 10;
+const MAX_ARGON2_PARALLELISM = 16;
+
+function parseBoundedInt(value: string | undefined, min: number, max: number): number | null {
+    if (!value || !/^\d{1,9}$/.test(value)) return null;
+    const parsed = Number(value);
+    return parsed >= min && parsed <= max ? parsed : null;
+}
+
+function parseKdfParams(segments: string[]): KdfParams | null {
+    const params = new Map<string, string>();
+    for (const segment of segments) {
+        const eq = segment.indexOf("=");
+        if (eq <= 0) return null;
+        params.set(segment.slice(0, eq), segment.slice(eq + 1));
+    }
+
+    const kdf = params.get("kdf");
+    if (kdf === "pbkdf2-sha256") {
+        const iterations = parseBoundedInt(params.get("iter"), MIN_ITERATIONS, MAX_ITERATIONS);
+        if (iterations === null) return null;
+        return { kdf, iterations };
+    }
+
+    if (kdf === "argon2id") {
+        const parallelism = parseBoundedInt(params.get("p"), 1, MAX_ARGON2_PARALLELISM);
+        const passes = parseBoundedInt(params.get("t"), 1, MAX_ARGON2_PASSES);
+        if (parallelism === null || passes === null) return null;
+        const memoryKiB = parseBoundedInt(params.get("m"), 8 * parallelism, MAX_ARGON2_MEMORY_KIB);
+        if (memoryKiB === null) return null;
+        return { kdf, memoryKiB, passes, parallelism };
+    }
+
+    return null;
+}
+
+function formatKdfParams(kdf: KdfParams): string {
+    if (kdf.kdf === "argon2id") {
+        return `kdf=argon2id:m=${kdf.memoryKiB}:t=${kdf.passes}:p=${kdf.parallelism}`;
+    }
+    return `kdf=${kdf.kdf}:iter=${kdf.iterations}`;
+}
+
+/**
+ * Parses a stored payload in either the current or the legacy format
+ * @returns The envelope, or null when the payload is malformed or uses an unknown KDF
+ */
+export function parseEnvelope(payload: string): CipherEnvelope | null {
+    const parts = payload.split(":");
+
+    if (parts.length === 3) {
+        const [saltHex, ivHex, cipherHex] = parts;
+        if (!saltHex || !ivHex || !cipherHex) return null;
+        return { version: 2, kdf: LEGACY_KDF, saltHex, ivHex, cipherHex };
+    }
+
+    if (parts[0] !== ENVELOPE_PREFIX || parts.length < 5) return null;
+    const [saltHex, ivHex, cipherHex] = parts.slice(-3);
+    if (!saltHex || !ivHex || !cipherHex) return null;
+
+    const kdf = parseKdfParams(parts.slice(1, -3));
+    if (!kdf) return null;
+    return { version: 3, kdf, saltHex, ivHex, cipherHex };
+}
+
+/**
+ * Serializes an envelope in the current format
+ */
+export function formatEnvelope(envelope: Omit<CipherEnvelope, "version">): string {
+    const { kdf, saltHex, ivHex, cipherHex } = envelope;
+    return `${ENVELOPE_PREFIX}:${formatKdfParams(kdf)}:${saltHex}:${ivHex}:${cipherHex}`;
+}
+
+/**
+ * Encrypts plaintext into a current-format envelope
+ * @param saltHex - Salt to use; defaults to a fresh one. Passing the session
+ *   salt lets the cached key be reused, while the IV stays random per call.
+ */
+export async function encryptEnvelope(
+    plainText: string,
+    password: string,
+    kdf: KdfParams = CURRENT_KDF,
+    saltHex: string = randomHex(16)
+): Promise<string> {
+    const { ivHex, cipherHex } = await aesGcmEncryptHex(plainText, password, saltHex, kdf);
+    return formatEnvelope({ kdf, saltHex, ivHex, cipherHex });
+}
+
+/**
+ * Decrypts a payload in either format
+ * @returns Plaintext, or null when the payload is malformed or the password is wrong
+ */
+export async function decryptEnvelope(payload: string, password: string): Promise<string | null> {
+    const envelope = parseEnvelope(payload);
+    if (!envelope) return null;
+
+    try {
+        const plain = await aesGcmDecryptHex(
+            envelope.ivHex,
+            envelope.cipherHex,
+            password,
+            envelope.saltHex,
+            envelope.kdf
+        );
+        return plain || null;
+    } catch {
+        return null;
+    }
+}
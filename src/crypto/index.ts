@@ -5,3 +5,9 @@
 
 export { aesGcmEncryptHex, aesGcmDecryptHex } from './aes-gcm.js';
 export { pbkdf2KeyFromPassword } from './pbkdf2.js';
+export { argon2idKeyFromPassword, createArgon2 } from './argon2.js';
+export { deriveAesKey, clearKeyCache, sameKdf, ARGON2ID_KDF } from './kdf.js';
+export { createChunkId, generateWorkspaceKey, importWorkspaceKey, encryptChunk, decryptChunk, MANIFEST_AAD } from './chunks.js';
+export { parseEnvelope, formatEnvelope, encryptEnvelope, decryptEnvelope, CURRENT_KDF, LEGACY_KDF } from './envelope.js';
+export { deriveWriteToken, WRITE_TOKEN_ITERATIONS } from './write-token.js';
+export { runCrypto, setCryptoWorkerFactory } from './worker-client.js';
@@ -0,0 +1,87 @@
+/**
+ * KDF Selection Module
+ * Maps the KDF settings recorded in an envelope to the matching key derivation.
+ *
+ * Derived keys are cached per (settings, password, salt) for the session, so
+ * reloads, merges and password checks against the same envelope only pay for
+ * the KDF once. The cache holds nothing the session does not already keep in
+ * memory (the password) and is cleared when the workspace is closed.
+ */
+
+import { pbkdf2KeyFromPassword, DEFAULT_ITERATIONS } from './pbkdf2.js';
+import { argon2idKeyFromPassword } from './argon2.js';
+import type { KdfParams } from '../types/global.js';
+
+/** KDF settings implied by legacy payloads */
+export const LEGACY_KDF: KdfParams = { kdf: "pbkdf2-sha256", iterations: DEFAULT_ITERATIONS };
+
+/** KDF settings used for new saves */
+export const CURRENT_KDF: KdfParams = { kdf: "pbkdf2-sha256", iterations: 600000 };
+
+/** Argon2id settings offered for new workspaces (OWASP minimum: 19 MiB, 2 passes, 1 lane) */
+export const ARGON2ID_KDF: KdfParams = { kdf: "argon2id", memoryKiB: 19456, passes: 2, parallelism: 1 };
+
+/** Most derived keys kept at once; a session rarely needs more than two */
+const KEY_CACHE_LIMIT = 8;
+
+const keyCache = new Map<string, Promise<CryptoKey>>();
+
+function kdfId(kdf: KdfParams): string {
+    return kdf.kdf === "argon2id"
+        ? `argon2id:${kdf.memoryKiB}:${kdf.passes}:${kdf.parallelism}`
+        : `${kdf.kdf}:${kdf.iterations}`;
+}
+
+/**
+ * Checks whether two KDF settings derive the same key from the same password and salt
+ */
+export function sameKdf(a: KdfParams, b: KdfParams): boolean {
+    return kdfId(a) === kdfId(b);
+}
+
+async function runKdf(password: string, saltHex: string, kdf: KdfParams): Promise<CryptoKey> {
+    if (kdf.kdf === "argon2id") {
+        return await argon2idKeyFromPassword(password, saltHex, kdf);
+    }
+    return await pbkdf2KeyFromPassword(password, saltHex, kdf.iterations);
+}
+
+/**
+ * Derives an AES-GCM key with the given KDF settings, reusing the session cache
+ * @param password - User password
+ * @param saltHex - Salt in hex format
+ * @param kdf - KDF settings from the envelope
+ * @returns CryptoKey for AES-GCM encryption/decryption
+ */
+export async function deriveAesKey(password: string, saltHex: string, kdf: KdfParams): Promise<CryptoKey> {
+    const cacheKey = JSON.stringify([kdfId(kdf), saltHex.toLowerCase(), password]);
+    const cached = keyCache.get(cacheKey);
+    if (cached) {
+        // Refresh the entry so the least recently used key is evicted first
+        keyCache.delete(cacheKey);
+        keyCache.set(cacheKey, cached);
+        return await cached;
+    }
+
+    // Cache the pending derivation so concurrent callers share it
+    const pending = runKdf(password, saltHex, kdf);
+    keyCache.set(cacheKey, pending);
+    if (keyCache.size > KEY_CACHE_LIMIT) {
+        const oldest = keyCache.keys().next().value;
+        if (oldest !== undefined) keyCache.delete(oldest);
+    }
+
+    try {
+        return await pending;
+    } catch (error) {
+        if (keyCache.get(cacheKey) === pending) keyCache.delete(cacheKey);
+        throw error;
+    }
+}
+
+/**
+ * Forgets all cached keys, e.g. when the workspace is closed or deleted
+ */
+export function clearKeyCache(): void {
+    keyCache.clear();
+}
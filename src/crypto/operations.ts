@@ -0,0 +1,48 @@
+/**
+ * Crypto Operations Module
+ * The crypto functions the app runs off the main thread, and the messages
+ * used to call them in the crypto worker.
+ */
+
+import { encryptEnvelope, decryptEnvelope } from './envelope.js';
+import { generateWorkspaceKey, importWorkspaceKey, encryptChunk, decryptChunk } from './chunks.js';
+import { clearKeyCache } from './kdf.js';
+import { deriveWriteToken } from './write-token.js';
+
+/** Operations callable through the worker; arguments and results must be structured-cloneable */
+export const cryptoOperations = {
+    encryptEnvelope,
+    decryptEnvelope,
+    generateWorkspaceKey,
+    importWorkspaceKey,
+    encryptChunk,
+    decryptChunk,
+    deriveWriteToken,
+    clearKeyCache
+};
+
+export type CryptoOperations = typeof cryptoOperations;
+export type CryptoOperation = keyof CryptoOperations;
+
+/** Message from the page to the worker */
+export interface CryptoRequest {
+    id: number;
+    op: CryptoOperation;
+    args: unknown[];
+}
+
+/** Message from the worker to the page */
+export type CryptoResponse =
+    | { id: number; ok: true; result: unknown }
+    | { id: number; ok: false; message: string };
+
+/**
+ * Runs an operation in the current thread
+ */
+export async function runCryptoOperation(op: CryptoOperation, args: unknown[]): Promise<unknown> {
+    if (!Object.prototype.hasOwnProperty.call(cryptoOperations, op)) {
+        throw new Error(`Unknown crypto operation: ${op}`);
+    }
+    const operation = cryptoOperations[op] as (...operationArgs: unknown[]) => unknown;
+    return await operation(...args);
+}
@@ -5,8 +5,8 @@
 
 import { hexToBuf, textEncoder } from '../utils/crypto-helpers.js';
 
-/** Default PBKDF2 iterations for security */
-const DEFAULT_ITERATIONS = 150000;
+/** PBKDF2 iterations used by legacy salt:iv:cipher payloads */
+export const DEFAULT_ITERATIONS = 150000;
 
 /**
  * Derives an AES-GCM key from a password using PBKDF2
@@ -0,0 +1,146 @@
+/**
+ * Crypto Worker Client Module
+ * Promise-based calls into the crypto worker. When workers are unavailable,
+ * the worker script fails to load or a value cannot be posted to it, the same
+ * operations run on the main thread instead.
+ */
+
+import {
+    runCryptoOperation,
+    type CryptoOperation,
+    type CryptoOperations,
+    type CryptoRequest,
+    type CryptoResponse
+} from './operations.js';
+
+/** Worker script URL, injected by build.js; undefined in unbundled builds and tests */
+declare const __CRYPTO_WORKER_URL__: string | undefined;
+
+type OperationResult<K extends CryptoOperation> = Awaited<ReturnType<CryptoOperations[K]>>;
+
+interface PendingCall {
+    op: CryptoOperation;
+    args: unknown[];
+    resolve: (value: unknown) => void;
+    reject: (error: Error) => void;
+}
+
+function defaultWorkerFactory(): Worker | null {
+    if (typeof Worker === "undefined" || typeof __CRYPTO_WORKER_URL__ === "undefined") return null;
+    return new Worker(__CRYPTO_WORKER_URL__);
+}
+
+let workerFactory: () => Worker | null = defaultWorkerFactory;
+// undefined: not started yet, null: unavailable for this session
+let worker: Worker | null | undefined;
+let nextCallId = 1;
+const pendingCalls = new Map<number, PendingCall>();
+
+function runLocally(call: PendingCall): void {
+    runCryptoOperation(call.op, call.args).then(call.resolve, call.reject);
+}
+
+function handleResponse(event: MessageEvent<CryptoResponse>): void {
+    const response = event.data;
+    const call = pendingCalls.get(response.id);
+    if (!call) return;
+
+    pendingCalls.delete(response.id);
+    if (response.ok) {
+        call.resolve(response.result);
+    } else {
+        call.reject(new Error(response.message));
+    }
+}
+
+function handleWorkerError(event: Event): void {
+    event.preventDefault();
+    console.warn("Crypto worker failed; using main-thread crypto");
+    worker?.terminate();
+    worker = null;
+
+    const calls = [...pendingCalls.values()];
+    pendingCalls.clear();
+    calls.forEach(runLocally);
+}
+
+function getWorker(): Worker | null {
+    if (worker !== undefined) return worker;
+
+    try {
+        worker = workerFactory();
+    } catch (error) {
+        console.warn("Crypto worker unavailable; using main-thread crypto", error);
+        worker = null;
+    }
+    worker?.addEventListener("message", handleResponse as EventListener);
+    worker?.addEventListener("error", handleWorkerError);
+    return worker;
+}
+
+/**
+ * Runs a crypto operation in the worker, or on the main thread as a fallback
+ * @param op - Operation name from cryptoOperations
+ * @param args - Arguments of that operation
+ * @returns The operation's result
+ */
+export function runCrypto<K extends CryptoOperation>(
+    op: K,
+    ...args: Parameters<CryptoOperations[K]>
+): Promise<OperationResult<K>> {
+    return new Promise<unknown>((resolve, reject) => {
+        const call: PendingCall = { op, args, resolve, reject };
+        const target = getWorker();
+        if (!target) {
+            runLocally(call);
+            return;
+        }
+
+        const id = nextCallId++;
+        pendingCalls.set(id, call);
+        try {
+            target.postMessage({ id, op, args } satisfies CryptoRequest);
+        } catch {
+            // e.g. a browser that cannot clone CryptoKey objects
+            pendingCalls.delete(id);
+            runLocally(call);
+        }
+    }) as Promise<OperationResult<K>>;
+}
+
+/**
+ * Replaces how the crypto worker is created, and drops the current worker.
+ * Returning null makes all operations run on the main thread.
+ */
+export function setCryptoWorkerFactory(factory: () => Worker | null): void {
+    worker?.terminate();
+    worker = undefined;
+    workerFactory = factory;
+
+    const calls = [...pendingCalls.values()];
+    pendingCalls.clear();
+    calls.forEach(runLocally);
+}
+
+// Worker-backed counterparts of the functions in envelope.ts, chunks.ts and write-token.ts
+export const encryptEnvelope = (...args: Parameters<CryptoOperations["encryptEnvelope"]>) =>
+    runCrypto("encryptEnvelope", ...args);
+export const decryptEnvelope = (...args: Parameters<CryptoOperations["decryptEnvelope"]>) =>
+    runCrypto("decryptEnvelope", ...args);
+export const generateWorkspaceKey = () => runCrypto("generateWorkspaceKey");
+export const importWorkspaceKey = (...args: Parameters<CryptoOperations["importWorkspaceKey"]>) =>
+    runCrypto("importWorkspaceKey", ...args);
+export const encryptChunk = (...args: Parameters<CryptoOperations["encryptChunk"]>) =>
+    runCrypto("encryptChunk", ...args);
+export const decryptChunk = (...args: Parameters<CryptoOperations["decryptChunk"]>) =>
+    runCrypto("decryptChunk", ...args);
+export const deriveWriteToken = (...args: Parameters<CryptoOperations["deriveWriteToken"]>) =>
+    runCrypto("deriveWriteToken", ...args);
+
+/**
+ * Forgets cached keys in the worker and on the main thread
+ */
+export async function clearKeyCache(): Promise<void> {
+    await runCrypto("clearKeyCache");
+    if (worker) await runCryptoOperation("clearKeyCache", []);
+}
@@ -0,0 +1,18 @@
+/**
+ * Crypto Worker Entry
+ * Bundled separately by build.js; answers CryptoRequest messages so key
+ * derivation and bulk encryption never block the page.
+ */
+
+import { runCryptoOperation, type CryptoRequest, type CryptoResponse } from './operations.js';
+
+self.addEventListener("message", async (event: MessageEvent<CryptoRequest>) => {
+    const { id, op, args } = event.data;
+    let response: CryptoResponse;
+    try {
+        response = { id, ok: true, result: await runCryptoOperation(op, args) };
+    } catch (error) {
+        response = { id, ok: false, message: error instanceof Error ? error.message : String(error) };
+    }
+    self.postMessage(response);
+});
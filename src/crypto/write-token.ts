@@ -0,0 +1,41 @@
+/**
+ * Write Token Module
+ * Derives the secret that authorizes saves and deletes of a workspace.
+ *
+ * The token is PBKDF2 over the password with a salt bound to the workspace and
+ * kept apart from encryption salts by its own prefix, so it proves knowledge of
+ * the password without revealing any encryption key. The server stores only a
+ * SHA-256 of it.
+ */
+
+import { bufToHex, textEncoder } from '../utils/crypto-helpers.js';
+
+export const WRITE_TOKEN_ITERATIONS = 600000;
+
+/**
+ * Derives the write token for a workspace
+ * @param password - Workspace password
+ * @param siteHash - SHA-512 hex of the workspace name
+ * @returns 32 bytes as hex
+ */
+export async function deriveWriteToken(password: string, siteHash: string): Promise<string> {
+    const baseKey = await crypto.subtle.importKey(
+        "raw",
+        textEncoder.encode(password),
+        { name: "PBKDF2" },
+        false,
+        ["deriveBits"]
+    );
+
+    const bits = await crypto.subtle.deriveBits(
+        {
+            name: "PBKDF2",
+            salt: textEncoder.encode(`cryptexa-write:${siteHash}`),
+            iterations: WRITE_TOKEN_ITERATIONS,
+            hash: "SHA-256"
+        },
+        baseKey,
+        256
+    );
+    return bufToHex(bits);
+}
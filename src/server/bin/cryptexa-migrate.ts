@@ -0,0 +1,5 @@
+import { runMigrateCli } from "../migrate-cli.js";
+
+runMigrateCli(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+});
@@ -0,0 +1,222 @@
+import crypto from "crypto";
+import fs from "fs";
+import { parseArgs } from "util";
+import {
+    createStorageAdapter,
+    migrateStorage,
+    verifyMigration,
+    type StorageAdapter,
+    type StorageConfig
+} from "./storage/index.js";
+
+const DEFAULT_CHECKPOINT = "cryptexa-migrate.checkpoint.json";
+const DEFAULT_HISTORY_LIMIT = 10;
+const PROGRESS_INTERVAL = 500;
+const MAX_LISTED_SITES = 20;
+
+export const MIGRATE_USAGE = `Usage: cryptexa-migrate --from <storage> --to <storage> [options]
+
+Copies every workspace, with its concurrency token, timestamps and revision
+history, from one storage backend to another and verifies the copy. Deleted
+workspaces that have not been purged yet are copied as well.
+
+Storage:
+  file:<path>             JSON database (DB_TYPE=file)
+  sqlite:<path>           SQLite database (DB_TYPE=sqlite)
+  mongodb://...           MongoDB connection string (DB_TYPE=mongodb; also mongodb+srv://)
+
+Options:
+  --dry-run               Compare source and target without writing anything
+  --resume                Continue after the last site recorded in the checkpoint (same --overwrite)
+  --checkpoint <file>     Progress file (default: ${DEFAULT_CHECKPOINT})
+  --overwrite             Replace target workspaces that hold different data
+  --history-limit <n>     Revisions kept per workspace (default: HISTORY_LIMIT or ${DEFAULT_HISTORY_LIMIT})
+  -h, --help              Show this help`;
+
+type Logger = Pick<Console, "log" | "error">;
+
+/** Progress of an interrupted run; specs are stored as fingerprints so URIs with credentials stay out of it */
+interface Checkpoint {
+    source: string;
+    target: string;
+    /** Whether the run replaced conflicting target sites; a resumed run must match it */
+    overwrite: boolean;
+    lastSite: string;
+}
+
+class UsageError extends Error {}
+
+/**
+ * Parses a --from/--to value into adapter settings
+ */
+export function parseStorageSpec(spec: string, historyLimit: number): StorageConfig {
+    const base = { historyLimit, dbFile: "", sqliteFile: "" };
+    if (spec.startsWith("mongodb://") || spec.startsWith("mongodb+srv://")) {
+        return { ...base, type: "mongodb", mongoUri: spec };
+    }
+
+    const separator = spec.indexOf(":");
+    const type = separator > 0 ? spec.slice(0, separator) : "";
+    const location = spec.slice(separator + 1);
+    if ((type === "file" || type === "sqlite") && location) {
+        return type === "file" ? { ...base, type, dbFile: location } : { ...base, type, sqliteFile: location };
+    }
+    throw new UsageError(`Unsupported storage "${spec}"; use file:<path>, sqlite:<path> or a mongodb:// URI`);
+}
+
+function fingerprint(spec: string): string {
+    return crypto.createHash("sha256").update(spec).digest("hex").slice(0, 16);
+}
+
+function readCheckpoint(file: string, expected: Omit<Checkpoint, "lastSite">): string {
+    let checkpoint: Checkpoint;
+    try {
+        checkpoint = JSON.parse(fs.readFileSync(file, "utf-8")) as Checkpoint;
+    } catch {
+        throw new UsageError(`No readable checkpoint at ${file}; run without --resume`);
+    }
+
+    if (checkpoint.source !== expected.source || checkpoint.target !== expected.target) {
+        throw new UsageError(`Checkpoint ${file} belongs to a different --from/--to pair`);
+    }
+    if ((checkpoint.overwrite === true) !== expected.overwrite) {
+        throw new UsageError(`Checkpoint ${file} was written ${checkpoint.overwrite ? "with" : "without"} --overwrite; `
+            + "resume with the same flags or run without --resume");
+    }
+    return checkpoint.lastSite;
+}
+
+function listSites(sites: string[]): string {
+    const listed = sites.slice(0, MAX_LISTED_SITES).join(", ");
+    return sites.length > MAX_LISTED_SITES ? `${listed}, ... (${sites.length - MAX_LISTED_SITES} more)` : listed;
+}
+
+async function migrate(values: Record<string, string | boolean | undefined>, log: Logger): Promise<number> {
+    const from = values.from;
+    const to = values.to;
+    if (typeof from !== "string" || typeof to !== "string") {
+        throw new UsageError("Both --from and --to are required");
+    }
+    if (from === to) {
+        throw new UsageError("--from and --to must name different storage");
+    }
+
+    const limitValue = typeof values["history-limit"] === "string"
+        ? values["history-limit"]
+        : process.env.HISTORY_LIMIT || String(DEFAULT_HISTORY_LIMIT);
+    const historyLimit = Number.parseInt(limitValue, 10);
+    if (!Number.isFinite(historyLimit) || historyLimit <= 0) {
+        throw new UsageError(`Invalid history limit "${limitValue}"`);
+    }
+
+    const dryRun = values["dry-run"] === true;
+    const checkpointFile = typeof values.checkpoint === "string" ? values.checkpoint : DEFAULT_CHECKPOINT;
+    const overwrite = values.overwrite === true;
+    const run = { source: fingerprint(from), target: fingerprint(to), overwrite };
+    const resumeAfter = values.resume === true ? readCheckpoint(checkpointFile, run) : undefined;
+
+    const source = createStorageAdapter(parseStorageSpec(from, historyLimit));
+    const target = createStorageAdapter(parseStorageSpec(to, historyLimit));
+    const opened: StorageAdapter[] = [];
+    try {
+        for (const adapter of [source, target]) {
+            await adapter.connect();
+            opened.push(adapter);
+        }
+
+        if (resumeAfter !== undefined) {
+            log.log(`Resuming after "${resumeAfter}"`);
+        }
+
+        let handled = 0;
+        // A conflict left behind must be handled again by the next run, so the checkpoint stops before it
+        let conflicted = false;
+        const report = await migrateStorage(source, target, {
+            dryRun,
+            overwrite,
+            resumeAfter,
+            onSite: (siteKey, action) => {
+                if (action === "conflict") conflicted = true;
+                if (!dryRun && !conflicted) {
+                    const checkpoint: Checkpoint = { ...run, lastSite: siteKey };
+                    fs.writeFileSync(checkpointFile, JSON.stringify(checkpoint), "utf-8");
+                }
+                if (++handled % PROGRESS_INTERVAL === 0) {
+                    log.log(`${handled} workspaces processed...`);
+                }
+            }
+        });
+
+        const resumed = report.resumed ? `, ${report.resumed} skipped from checkpoint` : "";
+        log.log(dryRun
+            ? `Dry run: would copy ${report.copied}, ${report.identical} already identical${resumed}`
+            : `Copied ${report.copied}, ${report.identical} already identical${resumed}`);
+        if (report.conflicts.length > 0) {
+            log.error(`${report.conflicts.length} workspaces differ in the target and were left alone `
+                + `(use --overwrite to replace them): ${listSites(report.conflicts)}`);
+        }
+        if (dryRun) {
+            return report.conflicts.length > 0 ? 1 : 0;
+        }
+
+        const verification = await verifyMigration(source, target);
+        log.log(`Source: ${verification.sourceCount} workspaces, checksum ${verification.sourceChecksum}`);
+        log.log(`Target: ${verification.targetCount} workspaces, checksum ${verification.targetChecksum}`);
+        if (verification.mismatched.length > 0) {
+            log.error(`Verification failed for ${verification.mismatched.length} workspaces: ${listSites(verification.mismatched)}`);
+            return 1;
+        }
+
+        fs.rmSync(checkpointFile, { force: true });
+        log.log("Verified: every workspace matches the source");
+        return 0;
+    } finally {
+        for (const adapter of opened) {
+            await adapter.close();
+        }
+    }
+}
+
+/**
+ * Runs cryptexa-migrate with the given arguments
+ * @returns Process exit code: 0 when verified, 1 on conflicts or mismatches, 2 on usage errors
+ */
+export async function runMigrateCli(argv: string[], log: Logger = console): Promise<number> {
+    let values: Record<string, string | boolean | undefined>;
+    try {
+        ({ values } = parseArgs({
+            args: argv,
+            options: {
+                from: { type: "string" },
+                to: { type: "string" },
+                "dry-run": { type: "boolean" },
+                resume: { type: "boolean" },
+                checkpoint: { type: "string" },
+                overwrite: { type: "boolean" },
+                "history-limit": { type: "string" },
+                help: { type: "boolean", short: "h" }
+            }
+        }));
+    } catch (error) {
+        log.error(error instanceof Error ? error.message : String(error));
+        log.error(MIGRATE_USAGE);
+        return 2;
+    }
+
+    if (values.help) {
+        log.log(MIGRATE_USAGE);
+        return 0;
+    }
+
+    try {
+        return await migrate(values, log);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            log.error(error.message);
+            log.error("Run cryptexa-migrate --help for usage");
+            return 2;
+        }
+        log.error("Migration failed:", error instanceof Error ? error.message : error);
+        return 1;
+    }
+}
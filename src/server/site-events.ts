@@ -0,0 +1,132 @@
+/** A change to a site, as sent to /api/events subscribers */
+export interface SiteChange {
+    /** The site's concurrency token after the change; null once it was deleted */
+    currentHashContent: string | null;
+}
+
+type SiteListener = (change: SiteChange) => void;
+
+export interface SiteEventsOptions {
+    /** Reads a site's stored token; required for polling */
+    readToken?: (siteKey: string) => Promise<string | null>;
+    /** How often sites with subscribers are re-read; 0 turns polling off */
+    pollIntervalMs?: number;
+}
+
+/**
+ * Fans site changes out to subscribers. Saves and deletes handled by this
+ * process are published directly. When other processes write to the same
+ * storage (MongoDB, a shared SQLite file), a poll interval makes sites that
+ * have subscribers get re-read so their changes show up as well.
+ */
+export class SiteEvents {
+    private readonly listeners = new Map<string, Set<SiteListener>>();
+    /** Last token each subscribed site was seen with */
+    private readonly knownTokens = new Map<string, string | null>();
+    private readonly readToken: SiteEventsOptions["readToken"];
+    private readonly pollIntervalMs: number;
+    private pollTimer: NodeJS.Timeout | null = null;
+    private polling = false;
+
+    constructor(options: SiteEventsOptions = {}) {
+        this.readToken = options.readToken;
+        this.pollIntervalMs = options.readToken ? options.pollIntervalMs ?? 0 : 0;
+    }
+
+    /**
+     * @param currentHashContent - The token the subscriber was just sent, so polling starts from it
+     * @returns Unsubscribe function
+     */
+    subscribe(siteKey: string, currentHashContent: string | null, listener: SiteListener): () => void {
+        let siteListeners = this.listeners.get(siteKey);
+        if (!siteListeners) {
+            siteListeners = new Set();
+            this.listeners.set(siteKey, siteListeners);
+            this.knownTokens.set(siteKey, currentHashContent);
+        }
+        siteListeners.add(listener);
+        this.startPolling();
+
+        return () => {
+            siteListeners.delete(listener);
+            if (siteListeners.size === 0 && this.listeners.get(siteKey) === siteListeners) {
+                this.listeners.delete(siteKey);
+                this.knownTokens.delete(siteKey);
+            }
+            if (this.listeners.size === 0) {
+                this.stopPolling();
+            }
+        };
+    }
+
+    publish(siteKey: string, change: SiteChange): void {
+        const siteListeners = this.listeners.get(siteKey);
+        if (!siteListeners) {
+            return;
+        }
+
+        this.knownTokens.set(siteKey, change.currentHashContent);
+        for (const listener of [...siteListeners]) {
+            try {
+                listener(change);
+            } catch (error) {
+                console.error("Site event listener error:", error);
+            }
+        }
+    }
+
+    subscriberCount(): number {
+        let count = 0;
+        for (const siteListeners of this.listeners.values()) {
+            count += siteListeners.size;
+        }
+        return count;
+    }
+
+    /** Re-reads every subscribed site once and publishes the ones whose token moved */
+    async poll(): Promise<void> {
+        if (!this.readToken || this.polling) {
+            return;
+        }
+
+        this.polling = true;
+        try {
+            for (const siteKey of [...this.listeners.keys()]) {
+                let token: string | null;
+                try {
+                    token = await this.readToken(siteKey);
+                } catch (error) {
+                    console.error("Site event poll error:", error);
+                    return;
+                }
+                if (this.knownTokens.has(siteKey) && this.knownTokens.get(siteKey) !== token) {
+                    this.publish(siteKey, { currentHashContent: token });
+                }
+            }
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    close(): void {
+        this.stopPolling();
+        this.listeners.clear();
+        this.knownTokens.clear();
+    }
+
+    private startPolling(): void {
+        if (this.pollTimer || this.pollIntervalMs <= 0) {
+            return;
+        }
+
+        this.pollTimer = setInterval(() => { void this.poll(); }, this.pollIntervalMs);
+        this.pollTimer.unref();
+    }
+
+    private stopPolling(): void {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+}
@@ -0,0 +1,224 @@
+import fs from "fs";
+import path from "path";
+import { MemoryAdapter, type SiteMap } from "./memory.js";
+import type { SiteData } from "./types.js";
+
+/**
+ * One line of the journal: the site's new state after a save (without
+ * history, which replay rebuilds), the exact entry after any other change
+ * (imports, soft deletes, restores; history included), or a purge
+ */
+type JournalRecord =
+    | { op: "save"; site: string; data: SiteData }
+    | { op: "import"; site: string; data: SiteData }
+    | { op: "delete"; site: string };
+
+export interface FileAdapterOptions {
+    /** Journal size that triggers compaction once it also exceeds the snapshot */
+    compactBytes?: number;
+}
+
+const DEFAULT_COMPACT_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Stores sites in a JSON snapshot plus an append-only journal next to it.
+ * Every mutation appends one line with the site's new state to
+ * `<file>.journal`; once the journal outgrows the snapshot it is compacted
+ * into a new snapshot written through a temp file. The previous snapshot and
+ * journal are kept as `<file>.bak` and `<file>.journal.bak`, and loading falls
+ * back to them when the snapshot is missing or unreadable.
+ *
+ * Save records carry the site's rev, so replaying saves a snapshot already
+ * contains leaves it unchanged, while imports and deletes restore an exact
+ * state. That makes a crash between writing a snapshot and rotating the
+ * journal harmless.
+ */
+export class FileAdapter extends MemoryAdapter {
+    private readonly file: string;
+    private readonly journalFile: string;
+    private readonly compactBytes: number;
+    private directoryReady = false;
+    private snapshotBytes = 0;
+    private journalBytes = 0;
+
+    constructor(file: string, historyLimit: number, options: FileAdapterOptions = {}) {
+        super(historyLimit);
+        this.file = file;
+        this.journalFile = `${file}.journal`;
+        this.compactBytes = options.compactBytes ?? DEFAULT_COMPACT_BYTES;
+    }
+
+    async connect(): Promise<void> {
+        const { db, fromBackup } = this.loadSnapshot();
+        this.db = db;
+
+        let intact = true;
+        if (fromBackup) {
+            intact = this.replay(`${this.journalFile}.bak`) && intact;
+        }
+        intact = this.replay(this.journalFile) && intact;
+
+        // Start from a clean journal so new records never follow a torn line
+        if (!intact || fromBackup) {
+            await this.compact();
+        }
+    }
+
+    /** Folds the journal into a new snapshot */
+    async compact(): Promise<void> {
+        const tmpFile = `${this.file}.${process.pid}.${Date.now()}.tmp`;
+        const backupFile = `${this.file}.bak`;
+        let activeMovedToBackup = false;
+        try {
+            await this.ensureDirectory();
+            const snapshot = JSON.stringify(this.db);
+            await fs.promises.writeFile(tmpFile, snapshot, "utf-8");
+
+            if (fs.existsSync(backupFile)) {
+                await fs.promises.unlink(backupFile);
+            }
+
+            if (fs.existsSync(this.file)) {
+                await fs.promises.rename(this.file, backupFile);
+                activeMovedToBackup = true;
+            }
+
+            await fs.promises.rename(tmpFile, this.file);
+            this.snapshotBytes = Buffer.byteLength(snapshot);
+        } catch (error) {
+            await fs.promises.unlink(tmpFile).catch(() => undefined);
+            if (activeMovedToBackup && !fs.existsSync(this.file) && fs.existsSync(backupFile)) {
+                await fs.promises.rename(backupFile, this.file).catch((restoreError) => {
+                    console.error("Database restore error:", restoreError);
+                });
+            }
+            console.error("Database save error:", error);
+            throw error;
+        }
+
+        // The snapshot already holds every journal record, so a failed rotation only costs replay time
+        try {
+            if (fs.existsSync(this.journalFile)) {
+                await fs.promises.rename(this.journalFile, `${this.journalFile}.bak`);
+            }
+            this.journalBytes = 0;
+        } catch (error) {
+            console.error("Database journal rotation error:", error);
+        }
+    }
+
+    protected async persist(siteKey: string, exact = false): Promise<void> {
+        const site = this.db.sites[siteKey];
+        let record: JournalRecord;
+        if (!site) {
+            record = { op: "delete", site: siteKey };
+        } else if (exact) {
+            record = { op: "import", site: siteKey, data: site };
+        } else {
+            record = { op: "save", site: siteKey, data: { ...site, history: undefined } };
+        }
+        const line = `${JSON.stringify(record)}\n`;
+
+        try {
+            await this.ensureDirectory();
+            await fs.promises.appendFile(this.journalFile, line, "utf-8");
+        } catch (error) {
+            console.error("Database save error:", error);
+            throw error;
+        }
+        this.journalBytes += Buffer.byteLength(line);
+
+        if (this.journalBytes > Math.max(this.compactBytes, this.snapshotBytes)) {
+            try {
+                await this.compact();
+            } catch {
+                // The record is in the journal; compaction is retried after the next save
+            }
+        }
+    }
+
+    private loadSnapshot(): { db: SiteMap; fromBackup: boolean } {
+        const backupFile = `${this.file}.bak`;
+        if (!fs.existsSync(this.file)) {
+            if (fs.existsSync(backupFile)) {
+                try {
+                    const db = this.readSnapshot(backupFile);
+                    console.warn(`Database file missing; loaded backup ${backupFile}`);
+                    return { db, fromBackup: true };
+                } catch (error) {
+                    console.error("Database backup load error:", error);
+                }
+            }
+            return { db: { sites: {} }, fromBackup: false };
+        }
+
+        try {
+            return { db: this.readSnapshot(this.file), fromBackup: false };
+        } catch (error) {
+            try {
+                const db = this.readSnapshot(backupFile);
+                console.warn(`Database file could not be read; loaded backup ${backupFile}`);
+                return { db, fromBackup: true };
+            } catch {
+                console.error("Database load error:", error);
+                return { db: { sites: {} }, fromBackup: false };
+            }
+        }
+    }
+
+    private readSnapshot(file: string): SiteMap {
+        const raw = fs.readFileSync(file, "utf-8");
+        this.snapshotBytes = Buffer.byteLength(raw);
+        return JSON.parse(raw) as SiteMap;
+    }
+
+    /**
+     * Applies a journal file to the loaded snapshot.
+     * @returns False when a line could not be parsed, e.g. one torn by a crash
+     */
+    private replay(file: string): boolean {
+        if (!fs.existsSync(file)) {
+            return true;
+        }
+
+        const raw = fs.readFileSync(file, "utf-8");
+        if (file === this.journalFile) {
+            this.journalBytes = Buffer.byteLength(raw);
+        }
+
+        let intact = true;
+        for (const line of raw.split("\n")) {
+            if (!line) {
+                continue;
+            }
+
+            let record: JournalRecord;
+            try {
+                record = JSON.parse(line) as JournalRecord;
+            } catch {
+                console.warn(`Skipping unreadable database journal entry in ${file}`);
+                intact = false;
+                continue;
+            }
+
+            const existing = this.db.sites[record.site] || null;
+            if (record.op === "delete") {
+                delete this.db.sites[record.site];
+            } else if (record.op === "import") {
+                this.db.sites[record.site] = record.data;
+            } else if (!existing || (existing.rev || 0) < (record.data.rev || 0)) {
+                this.db.sites[record.site] = this.replaceSite(existing, record.data);
+            }
+        }
+        return intact;
+    }
+
+    private async ensureDirectory(): Promise<void> {
+        if (this.directoryReady) {
+            return;
+        }
+
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        this.directoryReady = true;
+    }
+}
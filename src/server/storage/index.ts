@@ -0,0 +1,54 @@
+/**
+ * Storage Index Module
+ * Re-exports the storage adapters and picks one from DB_TYPE
+ */
+
+import { FileAdapter } from "./file.js";
+import { MemoryAdapter } from "./memory.js";
+import { MongoAdapter } from "./mongo.js";
+import { SqliteAdapter } from "./sqlite.js";
+import type { StorageAdapter } from "./types.js";
+
+export { FileAdapter, MemoryAdapter, MongoAdapter, SqliteAdapter };
+export { migrateSqlite, SQLITE_MIGRATIONS } from "./sqlite.js";
+export { migrateStorage, readSite, siteChecksum, verifyMigration } from "./migrate.js";
+export type { MigrationAction, MigrationOptions, MigrationReport, VerificationReport } from "./migrate.js";
+export { pickChunkFields, toRevision } from "./types.js";
+export type { ChunkFields, SiteData, SiteRevision, StorageAdapter } from "./types.js";
+
+export const STORAGE_TYPES = ["file", "sqlite", "mongodb", "memory"] as const;
+export type StorageType = typeof STORAGE_TYPES[number];
+
+export interface StorageConfig {
+    type: string;
+    historyLimit: number;
+    /** JSON file for DB_TYPE=file */
+    dbFile: string;
+    /** Database file for DB_TYPE=sqlite */
+    sqliteFile: string;
+    mongoUri?: string;
+}
+
+export function isStorageType(value: string): value is StorageType {
+    return (STORAGE_TYPES as readonly string[]).includes(value);
+}
+
+/**
+ * Creates the adapter named by config.type; call connect() before use
+ */
+export function createStorageAdapter(config: StorageConfig): StorageAdapter {
+    if (!isStorageType(config.type)) {
+        throw new Error(`Unsupported DB_TYPE "${config.type}"; use one of ${STORAGE_TYPES.join(", ")}`);
+    }
+
+    switch (config.type) {
+        case "mongodb":
+            return new MongoAdapter(config.mongoUri, config.historyLimit);
+        case "sqlite":
+            return new SqliteAdapter(config.sqliteFile, config.historyLimit);
+        case "memory":
+            return new MemoryAdapter(config.historyLimit);
+        case "file":
+            return new FileAdapter(config.dbFile, config.historyLimit);
+    }
+}
@@ -0,0 +1,151 @@
+import { toRevision, type SiteData, type SiteRevision, type StorageAdapter } from "./types.js";
+
+export interface SiteMap {
+    sites: Record<string, SiteData>;
+}
+
+/**
+ * Keeps all sites in one object. Mutations run one at a time and call persist()
+ * before they count as done, which FileAdapter uses to write the JSON file.
+ */
+export class MemoryAdapter implements StorageAdapter {
+    protected db: SiteMap = { sites: {} };
+    private readonly historyLimit: number;
+    private mutationQueue: Promise<void> = Promise.resolve();
+
+    constructor(historyLimit: number) {
+        this.historyLimit = historyLimit;
+    }
+
+    async connect(): Promise<void> {
+        // Nothing to open
+    }
+
+    async close(): Promise<void> {
+        await this.mutationQueue;
+    }
+
+    async getSite(siteKey: string): Promise<SiteData | null> {
+        return this.liveSite(siteKey);
+    }
+
+    async getDeletedSite(siteKey: string): Promise<SiteData | null> {
+        const site = this.db.sites[siteKey];
+        return site?.deletedAt !== undefined ? site : null;
+    }
+
+    async getHistory(siteKey: string): Promise<SiteRevision[]> {
+        return (this.db.sites[siteKey]?.history || []).slice(0, this.historyLimit);
+    }
+
+    async getRevision(siteKey: string, rev: number): Promise<SiteRevision | null> {
+        const history = this.db.sites[siteKey]?.history || [];
+        return history.find((revision) => revision.rev === rev) || null;
+    }
+
+    saveSiteIfUnchanged(siteKey: string, initHashContent: string, data: SiteData): Promise<boolean> {
+        return this.runMutation(async () => {
+            const existing = this.liveSite(siteKey);
+            if (existing ? (existing.currentHashContent || "") !== initHashContent : initHashContent !== "") {
+                return false;
+            }
+
+            // A new site replaces the tombstone of a deleted one, whose rev may be higher
+            const replacesTombstone = !existing && siteKey in this.db.sites;
+            this.db.sites[siteKey] = this.replaceSite(existing, { ...data, rev: (existing?.rev || 0) + 1 });
+            await this.persist(siteKey, replacesTombstone);
+            return true;
+        });
+    }
+
+    deleteSiteIfUnchanged(siteKey: string, initHashContent: string): Promise<boolean> {
+        return this.runMutation(async () => {
+            const existing = this.liveSite(siteKey);
+            if (!existing) {
+                return true;
+            }
+
+            if ((existing.currentHashContent || "") !== initHashContent) {
+                return false;
+            }
+
+            this.db.sites[siteKey] = { ...existing, deletedAt: Date.now() };
+            await this.persist(siteKey, true);
+            return true;
+        });
+    }
+
+    restoreSiteIfUnchanged(siteKey: string, deletedHashContent: string): Promise<boolean> {
+        return this.runMutation(async () => {
+            const tombstone = this.db.sites[siteKey];
+            if (tombstone?.deletedAt === undefined || (tombstone.currentHashContent || "") !== deletedHashContent) {
+                return false;
+            }
+
+            const { deletedAt: _deletedAt, ...site } = tombstone;
+            this.db.sites[siteKey] = site;
+            await this.persist(siteKey, true);
+            return true;
+        });
+    }
+
+    purgeDeletedSites(deletedBefore: number): Promise<number> {
+        return this.runMutation(async () => {
+            const expired = Object.keys(this.db.sites).filter((siteKey) => {
+                const deletedAt = this.db.sites[siteKey]?.deletedAt;
+                return deletedAt !== undefined && deletedAt < deletedBefore;
+            });
+
+            for (const siteKey of expired) {
+                delete this.db.sites[siteKey];
+                await this.persist(siteKey);
+            }
+            return expired.length;
+        });
+    }
+
+    async *listSites(): AsyncIterable<string> {
+        yield* Object.keys(this.db.sites).sort();
+    }
+
+    importSite(siteKey: string, data: SiteData): Promise<void> {
+        return this.runMutation(async () => {
+            this.db.sites[siteKey] = { ...data, history: (data.history || []).slice(0, this.historyLimit) };
+            await this.persist(siteKey, true);
+        });
+    }
+
+    /**
+     * Called after every successful mutation of siteKey
+     * @param exact - The change is more than a save on top of the previous
+     * version (an import, delete or restore), so the entry must be recorded
+     * as it is, history included
+     */
+    protected async persist(_siteKey: string, _exact = false): Promise<void> {
+        // Memory only
+    }
+
+    /** The entry for a save of data, with the version it replaces moved into history */
+    protected replaceSite(existing: SiteData | null, data: SiteData): SiteData {
+        return {
+            ...data,
+            history: existing
+                ? [toRevision(existing), ...(existing.history || [])].slice(0, this.historyLimit)
+                : []
+        };
+    }
+
+    private liveSite(siteKey: string): SiteData | null {
+        const site = this.db.sites[siteKey];
+        return site && site.deletedAt === undefined ? site : null;
+    }
+
+    private runMutation<T>(task: () => Promise<T>): Promise<T> {
+        const mutation = this.mutationQueue
+            .catch(() => undefined)
+            .then(task);
+
+        this.mutationQueue = mutation.then(() => undefined, () => undefined);
+        return mutation;
+    }
+}
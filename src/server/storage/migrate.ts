@@ -0,0 +1,156 @@
+import crypto from "crypto";
+import type { SiteData, SiteRevision, StorageAdapter } from "./types.js";
+
+export type MigrationAction = "copied" | "identical" | "conflict";
+
+export interface MigrationOptions {
+    /** Read and compare only; nothing is written to the target */
+    dryRun?: boolean;
+    /** Replace target sites that differ from the source instead of reporting a conflict */
+    overwrite?: boolean;
+    /** Skip site keys up to and including this one, as recorded by an interrupted run */
+    resumeAfter?: string;
+    /** Called after each site is handled, in key order */
+    onSite?: (siteKey: string, action: MigrationAction) => void | Promise<void>;
+}
+
+export interface MigrationReport {
+    copied: number;
+    identical: number;
+    /** Target sites that already hold different data and were left alone */
+    conflicts: string[];
+    /** Sites skipped because an earlier run handled them */
+    resumed: number;
+}
+
+export interface VerificationReport {
+    sourceCount: number;
+    targetCount: number;
+    sourceChecksum: string;
+    targetChecksum: string;
+    /** Site keys whose data differs or is missing in the target */
+    mismatched: string[];
+}
+
+function revisionFields(revision: SiteRevision): unknown[] {
+    return [
+        revision.rev,
+        revision.encryptedContent,
+        revision.currentHashContent ?? null,
+        revision.updatedAt,
+        revision.chunks ? revision.encryptedKey ?? null : null,
+        revision.chunks ? revision.manifest ?? null : null,
+        revision.chunks ?? null
+    ];
+}
+
+/**
+ * SHA-256 over everything a migration must preserve: the current version with
+ * its rev, token and timestamp, chunk fields, write secret, deletion time, and
+ * the revision history
+ */
+export function siteChecksum(site: SiteData): string {
+    const canonical = JSON.stringify([
+        ...revisionFields({ ...site, rev: site.rev || 0 }),
+        site.writeKeyHash ?? null,
+        site.deletedAt ?? null,
+        (site.history || []).map(revisionFields)
+    ]);
+    return crypto.createHash("sha256").update(canonical).digest("hex");
+}
+
+/** A site or tombstone with its history attached, as importSite expects it */
+export async function readSite(adapter: StorageAdapter, siteKey: string): Promise<SiteData | null> {
+    const site = await adapter.getSite(siteKey) ?? await adapter.getDeletedSite(siteKey);
+    if (!site) {
+        return null;
+    }
+
+    return { ...site, rev: site.rev || 0, history: await adapter.getHistory(siteKey) };
+}
+
+/**
+ * Copies every site from source to target in key order. Target sites that
+ * already match are left as they are, so an interrupted run can simply be
+ * started again; resumeAfter additionally skips the sites it finished.
+ */
+export async function migrateStorage(
+    source: StorageAdapter,
+    target: StorageAdapter,
+    options: MigrationOptions = {}
+): Promise<MigrationReport> {
+    const report: MigrationReport = { copied: 0, identical: 0, conflicts: [], resumed: 0 };
+
+    for await (const siteKey of source.listSites()) {
+        if (options.resumeAfter !== undefined && siteKey <= options.resumeAfter) {
+            report.resumed++;
+            continue;
+        }
+
+        const site = await readSite(source, siteKey);
+        if (!site) {
+            // Purged while the migration was running
+            continue;
+        }
+
+        const existing = await readSite(target, siteKey);
+        let action: MigrationAction;
+        if (existing && siteChecksum(existing) === siteChecksum(site)) {
+            action = "identical";
+            report.identical++;
+        } else if (existing && !options.overwrite) {
+            action = "conflict";
+            report.conflicts.push(siteKey);
+        } else {
+            if (!options.dryRun) {
+                await target.importSite(siteKey, site);
+            }
+            action = "copied";
+            report.copied++;
+        }
+        await options.onSite?.(siteKey, action);
+    }
+
+    return report;
+}
+
+/**
+ * Compares every source site with the target. The aggregate checksums cover
+ * the source's site keys, so sites that exist only in the target are ignored.
+ */
+export async function verifyMigration(source: StorageAdapter, target: StorageAdapter): Promise<VerificationReport> {
+    const sourceHash = crypto.createHash("sha256");
+    const targetHash = crypto.createHash("sha256");
+    const report: VerificationReport = {
+        sourceCount: 0,
+        targetCount: 0,
+        sourceChecksum: "",
+        targetChecksum: "",
+        mismatched: []
+    };
+
+    for await (const siteKey of source.listSites()) {
+        const site = await readSite(source, siteKey);
+        if (!site) {
+            continue;
+        }
+
+        const sourceSum = siteChecksum(site);
+        report.sourceCount++;
+        sourceHash.update(`${siteKey}:${sourceSum}\n`);
+
+        const copy = await readSite(target, siteKey);
+        const targetSum = copy ? siteChecksum(copy) : "missing";
+        if (copy) {
+            report.targetCount++;
+        }
+        targetHash.update(`${siteKey}:${targetSum}\n`);
+        if (targetSum !== sourceSum) {
+            report.mismatched.push(siteKey);
+        }
+    }
+
+    report.sourceChecksum = sourceHash.digest("hex");
+    report.targetChecksum = targetHash.digest("hex");
+    return report;
+}
@@ -0,0 +1,287 @@
+import { MongoClient, MongoServerError, type Db, type UpdateFilter } from "mongodb";
+import { pickChunkFields, toRevision, type SiteData, type SiteRevision, type StorageAdapter } from "./types.js";
+
+interface RevisionDocument extends SiteRevision {
+    site: string;
+}
+
+// Matches a site whose token is empty, the state a new-site save expects
+const EMPTY_TOKEN_FILTER = {
+    $or: [
+        { currentHashContent: "" },
+        { currentHashContent: null },
+        { currentHashContent: { $exists: false } }
+    ]
+};
+
+// Matches live sites; tombstones carry deletedAt
+const LIVE_FILTER = { deletedAt: { $exists: false } };
+const DELETED_FILTER = { deletedAt: { $exists: true } };
+
+function fromDocument(doc: SiteData): SiteData {
+    return {
+        encryptedContent: doc.encryptedContent,
+        currentHashContent: doc.currentHashContent,
+        updatedAt: doc.updatedAt,
+        rev: doc.rev || 0,
+        ...pickChunkFields(doc),
+        ...(doc.writeKeyHash ? { writeKeyHash: doc.writeKeyHash } : {}),
+        ...(typeof doc.deletedAt === "number" ? { deletedAt: doc.deletedAt } : {})
+    };
+}
+
+/**
+ * Stores sites in the `sites` collection and replaced versions in `revisions`.
+ * Saves are a findOneAndUpdate filtered on the token; deletes set deletedAt.
+ */
+export class MongoAdapter implements StorageAdapter {
+    private readonly uri: string | undefined;
+    private readonly dbName: string;
+    private readonly historyLimit: number;
+    private client: MongoClient | null = null;
+    private db: Db | null = null;
+    private connectPromise: Promise<void> | null = null;
+
+    constructor(uri: string | undefined, historyLimit: number, dbName = "cryptexa") {
+        this.uri = uri;
+        this.historyLimit = historyLimit;
+        this.dbName = dbName;
+    }
+
+    async connect(): Promise<void> {
+        if (this.db) {
+            return;
+        }
+
+        if (this.connectPromise) {
+            await this.connectPromise;
+            return;
+        }
+
+        const uri = this.uri;
+        if (!uri) {
+            throw new Error("MONGODB_URI environment variable is required for MongoDB mode");
+        }
+
+        this.connectPromise = (async () => {
+            try {
+                const client = new MongoClient(uri);
+                await client.connect();
+                const db = client.db(this.dbName);
+                console.log("Connected to MongoDB");
+
+                await db.collection("sites").createIndex({ site: 1 }, { unique: true });
+                await db.collection("revisions").createIndex({ site: 1, rev: -1 }, { unique: true });
+                await db.collection("sites").createIndex({ deletedAt: 1 }, { sparse: true });
+                this.client = client;
+                this.db = db;
+            } catch (error) {
+                console.error("MongoDB connection failed:", error);
+                throw error;
+            }
+        })();
+
+        try {
+            await this.connectPromise;
+        } catch (error) {
+            this.connectPromise = null;
+            throw error;
+        }
+    }
+
+    async close(): Promise<void> {
+        const client = this.client;
+        this.client = null;
+        this.db = null;
+        this.connectPromise = null;
+        if (client) {
+            await client.close();
+            console.log("MongoDB connection closed");
+        }
+    }
+
+    async getSite(siteKey: string): Promise<SiteData | null> {
+        const doc = await this.requireDb().collection<SiteData>("sites").findOne({ site: siteKey, ...LIVE_FILTER });
+        return doc ? fromDocument(doc) : null;
+    }
+
+    async getDeletedSite(siteKey: string): Promise<SiteData | null> {
+        const doc = await this.requireDb().collection<SiteData>("sites").findOne({ site: siteKey, ...DELETED_FILTER });
+        return doc ? fromDocument(doc) : null;
+    }
+
+    async getHistory(siteKey: string): Promise<SiteRevision[]> {
+        return this.requireDb().collection<RevisionDocument>("revisions")
+            .find({ site: siteKey }, { projection: { _id: 0, site: 0 } })
+            .sort({ rev: -1 })
+            .limit(this.historyLimit)
+            .toArray();
+    }
+
+    async getRevision(siteKey: string, rev: number): Promise<SiteRevision | null> {
+        return this.requireDb().collection<RevisionDocument>("revisions")
+            .findOne({ site: siteKey, rev }, { projection: { _id: 0, site: 0 } });
+    }
+
+    async saveSiteIfUnchanged(siteKey: string, initHashContent: string, data: SiteData): Promise<boolean> {
+        const collection = this.requireDb().collection<SiteData>("sites");
+        const document: SiteData = {
+            site: siteKey,
+            encryptedContent: data.encryptedContent,
+            currentHashContent: data.currentHashContent,
+            updatedAt: data.updatedAt,
+            ...pickChunkFields(data),
+            ...(data.writeKeyHash ? { writeKeyHash: data.writeKeyHash } : {})
+        };
+        // Fields the save does not set must not survive from the previous version
+        const unset: Record<string, 1> = {};
+        if (!data.chunks) {
+            Object.assign(unset, { encryptedKey: 1, manifest: 1, chunks: 1 });
+        }
+        if (!data.writeKeyHash) {
+            unset.writeKeyHash = 1;
+        }
+        const update: UpdateFilter<SiteData> = Object.keys(unset).length > 0
+            ? { $set: document, $inc: { rev: 1 }, $unset: unset }
+            : { $set: document, $inc: { rev: 1 } };
+
+        // If empty initHashContent, attempt fast insert first
+        if (!initHashContent) {
+            // A new site replaces the tombstone of a deleted one
+            const tombstone = await collection.deleteOne({ site: siteKey, ...DELETED_FILTER });
+            if (tombstone.deletedCount > 0) {
+                await this.requireDb().collection("revisions").deleteMany({ site: siteKey });
+            }
+            try {
+                await collection.insertOne({ ...document, rev: 1 });
+                return true;
+            } catch (error) {
+                if (!(error instanceof MongoServerError && error.code === 11000)) {
+                    throw error;
+                }
+            }
+        }
+
+        const currentHashFilter = initHashContent
+            ? { site: siteKey, ...LIVE_FILTER, currentHashContent: initHashContent }
+            : { site: siteKey, ...LIVE_FILTER, ...EMPTY_TOKEN_FILTER };
+        const previous = await collection.findOneAndUpdate(
+            currentHashFilter,
+            update,
+            { returnDocument: "before" }
+        );
+        if (!previous) {
+            return false;
+        }
+        await this.recordRevision(siteKey, previous);
+        return true;
+    }
+
+    async deleteSiteIfUnchanged(siteKey: string, initHashContent: string): Promise<boolean> {
+        const collection = this.requireDb().collection("sites");
+        const currentHashFilter = initHashContent
+            ? { site: siteKey, ...LIVE_FILTER, currentHashContent: initHashContent }
+            : { site: siteKey, ...LIVE_FILTER, ...EMPTY_TOKEN_FILTER };
+        const deleteResult = await collection.updateOne(currentHashFilter, { $set: { deletedAt: Date.now() } });
+        if (deleteResult.modifiedCount > 0) {
+            return true;
+        }
+
+        const existing = await collection.findOne({ site: siteKey, ...LIVE_FILTER });
+        return !existing;
+    }
+
+    async restoreSiteIfUnchanged(siteKey: string, deletedHashContent: string): Promise<boolean> {
+        const currentHashFilter = deletedHashContent
+            ? { site: siteKey, ...DELETED_FILTER, currentHashContent: deletedHashContent }
+            : { site: siteKey, ...DELETED_FILTER, ...EMPTY_TOKEN_FILTER };
+        const restored = await this.requireDb().collection("sites")
+            .updateOne(currentHashFilter, { $unset: { deletedAt: 1 } });
+        return restored.modifiedCount > 0;
+    }
+
+    async purgeDeletedSites(deletedBefore: number): Promise<number> {
+        const db = this.requireDb();
+        const sites = db.collection<SiteData>("sites");
+        const expired = await sites
+            .find({ deletedAt: { $lt: deletedBefore } }, { projection: { _id: 0, site: 1 } })
+            .toArray();
+        const siteKeys = expired.map((doc) => doc.site).filter((siteKey): siteKey is string => !!siteKey);
+        if (siteKeys.length === 0) {
+            return 0;
+        }
+
+        // Re-checked so a site recreated in the meantime keeps its document and history
+        const purged = await sites.deleteMany({ site: { $in: siteKeys }, deletedAt: { $lt: deletedBefore } });
+        const recreated = await sites.distinct("site", { site: { $in: siteKeys } });
+        await db.collection("revisions").deleteMany({ site: { $in: siteKeys, $nin: recreated } });
+        return purged.deletedCount;
+    }
+
+    async *listSites(): AsyncIterable<string> {
+        const cursor = this.requireDb().collection<SiteData>("sites")
+            .find({}, { projection: { _id: 0, site: 1 } })
+            .sort({ site: 1 });
+        for await (const doc of cursor) {
+            if (doc.site) {
+                yield doc.site;
+            }
+        }
+    }
+
+    async importSite(siteKey: string, data: SiteData): Promise<void> {
+        const db = this.requireDb();
+        const history = (data.history || []).slice(0, this.historyLimit);
+        await db.collection<SiteData>("sites").replaceOne(
+            { site: siteKey },
+            {
+                site: siteKey,
+                encryptedContent: data.encryptedContent,
+                currentHashContent: data.currentHashContent,
+                updatedAt: data.updatedAt,
+                rev: data.rev || 0,
+                ...pickChunkFields(data),
+                ...(data.writeKeyHash ? { writeKeyHash: data.writeKeyHash } : {}),
+                ...(data.deletedAt !== undefined ? { deletedAt: data.deletedAt } : {})
+            },
+            { upsert: true }
+        );
+
+        const revisions = db.collection<RevisionDocument>("revisions");
+        await revisions.deleteMany({ site: siteKey });
+        if (history.length > 0) {
+            await revisions.insertMany(history.map((revision) => ({ site: siteKey, ...toRevision(revision) })));
+        }
+    }
+
+    private requireDb(): Db {
+        if (!this.db) {
+            throw new Error("MongoDB is not connected");
+        }
+        return this.db;
+    }
+
+    /**
+     * Copies the document a successful save replaced into the revisions
+     * collection and trims the site to the history limit. The save itself has
+     * already committed, so history failures are logged rather than surfaced.
+     */
+    private async recordRevision(siteKey: string, previous: SiteData): Promise<void> {
+        const revisions = this.requireDb().collection<RevisionDocument>("revisions");
+        try {
+            await revisions.insertOne({ site: siteKey, ...toRevision(previous) });
+
+            const oldestKept = await revisions
+                .find({ site: siteKey }, { projection: { rev: 1 } })
+                .sort({ rev: -1 })
+                .skip(this.historyLimit - 1)
+                .limit(1)
+                .next();
+            if (oldestKept) {
+                await revisions.deleteMany({ site: siteKey, rev: { $lt: oldestKept.rev } });
+            }
+        } catch (error) {
+            console.error("Revision history write error:", error);
+        }
+    }
+}
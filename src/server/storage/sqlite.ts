@@ -0,0 +1,344 @@
+import fs from "fs";
+import path from "path";
+import type { DatabaseSync, SQLInputValue } from "node:sqlite";
+import type { EncryptedChunk } from "../../types/global.js";
+import type { SiteData, SiteRevision, StorageAdapter } from "./types.js";
+
+/**
+ * Schema migrations, applied in order. PRAGMA user_version records how many
+ * have run; append new steps instead of editing applied ones.
+ */
+export const SQLITE_MIGRATIONS: readonly string[] = [
+    // Chunked workspaces keep their chunk list as JSON next to the key and manifest
+    `CREATE TABLE sites (
+        site TEXT PRIMARY KEY,
+        encrypted_content TEXT NOT NULL,
+        current_hash_content TEXT,
+        updated_at INTEGER NOT NULL,
+        rev INTEGER NOT NULL DEFAULT 0,
+        encrypted_key TEXT,
+        manifest TEXT,
+        chunks TEXT
+    );
+    CREATE TABLE revisions (
+        site TEXT NOT NULL,
+        rev INTEGER NOT NULL,
+        encrypted_content TEXT NOT NULL,
+        current_hash_content TEXT,
+        updated_at INTEGER NOT NULL,
+        encrypted_key TEXT,
+        manifest TEXT,
+        chunks TEXT,
+        PRIMARY KEY (site, rev)
+    );`,
+    // Write secrets belong to the site, not to its revisions
+    "ALTER TABLE sites ADD COLUMN write_key_hash TEXT;",
+    // Soft deletes keep the row, and its revisions, until the purge job removes it
+    `ALTER TABLE sites ADD COLUMN deleted_at INTEGER;
+    CREATE INDEX sites_deleted_at ON sites (deleted_at) WHERE deleted_at IS NOT NULL;`
+];
+
+interface RevisionRow {
+    rev: number;
+    encrypted_content: string;
+    current_hash_content: string | null;
+    updated_at: number;
+    encrypted_key: string | null;
+    manifest: string | null;
+    chunks: string | null;
+}
+
+interface SiteRow extends RevisionRow {
+    write_key_hash: string | null;
+    deleted_at: number | null;
+}
+
+const LIST_PAGE_SIZE = 500;
+
+/** Columns shared by sites and revisions */
+const ROW_COLUMNS = "rev, encrypted_content, current_hash_content, updated_at, encrypted_key, manifest, chunks";
+const SITE_COLUMNS = `${ROW_COLUMNS}, write_key_hash, deleted_at`;
+
+function fromRow(row: RevisionRow): SiteRevision {
+    const revision: SiteRevision = {
+        rev: row.rev,
+        encryptedContent: row.encrypted_content,
+        currentHashContent: row.current_hash_content,
+        updatedAt: row.updated_at
+    };
+    if (row.chunks !== null && row.encrypted_key !== null && row.manifest !== null) {
+        revision.encryptedKey = row.encrypted_key;
+        revision.manifest = row.manifest;
+        revision.chunks = JSON.parse(row.chunks) as EncryptedChunk[];
+    }
+    return revision;
+}
+
+function fromSiteRow(row: SiteRow): SiteData {
+    const site: SiteData = fromRow(row);
+    if (row.write_key_hash !== null) {
+        site.writeKeyHash = row.write_key_hash;
+    }
+    if (row.deleted_at !== null) {
+        site.deletedAt = row.deleted_at;
+    }
+    return site;
+}
+
+/** Values for ROW_COLUMNS, in order */
+function toRow(revision: SiteRevision): SQLInputValue[] {
+    const chunked = revision.chunks !== undefined;
+    return [
+        revision.rev,
+        revision.encryptedContent,
+        revision.currentHashContent,
+        revision.updatedAt,
+        chunked ? revision.encryptedKey ?? null : null,
+        chunked ? revision.manifest ?? null : null,
+        chunked ? JSON.stringify(revision.chunks) : null
+    ];
+}
+
+/**
+ * Runs the migrations the database has not seen yet, each in its own transaction
+ * @returns The schema version after migrating
+ */
+export function migrateSqlite(db: DatabaseSync, migrations: readonly string[] = SQLITE_MIGRATIONS): number {
+    const row = db.prepare("PRAGMA user_version").get() as { user_version: number } | undefined;
+    let version = row?.user_version ?? 0;
+    if (version > migrations.length) {
+        throw new Error(`SQLite schema version ${version} is newer than this server (${migrations.length})`);
+    }
+
+    for (; version < migrations.length; version++) {
+        db.exec("BEGIN IMMEDIATE");
+        try {
+            db.exec(migrations[version]!);
+            db.exec(`PRAGMA user_version = ${version + 1}`);
+            db.exec("COMMIT");
+        } catch (error) {
+            db.exec("ROLLBACK");
+            throw error;
+        }
+    }
+    return version;
+}
+
+/**
+ * Site storage in a single SQLite file. Saves and deletes are compare-and-swap
+ * statements on the concurrency token, and a save copies the replaced row into
+ * the revisions table in the same transaction. Deletes only set deleted_at.
+ */
+export class SqliteAdapter implements StorageAdapter {
+    private readonly file: string;
+    private readonly historyLimit: number;
+    private database: DatabaseSync | null = null;
+
+    /**
+     * @param file - Database path, or ":memory:"
+     */
+    constructor(file: string, historyLimit: number) {
+        this.file = file;
+        this.historyLimit = historyLimit;
+    }
+
+    /**
+     * Opens (or creates) the database in WAL mode and migrates it.
+     * node:sqlite is loaded here so other backends keep working on older Node versions.
+     */
+    async connect(): Promise<void> {
+        if (this.database) {
+            return;
+        }
+
+        let sqlite: typeof import("node:sqlite");
+        try {
+            sqlite = await import("node:sqlite");
+        } catch {
+            throw new Error("DB_TYPE=sqlite requires Node.js 22.5 or newer (node:sqlite)");
+        }
+
+        if (this.file !== ":memory:") {
+            await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        }
+        const db = new sqlite.DatabaseSync(this.file);
+        db.exec("PRAGMA journal_mode = WAL");
+        db.exec("PRAGMA synchronous = NORMAL");
+        db.exec("PRAGMA busy_timeout = 5000");
+        migrateSqlite(db);
+        this.database = db;
+        console.log(`Opened SQLite database ${this.file}`);
+    }
+
+    async close(): Promise<void> {
+        this.database?.close();
+        this.database = null;
+    }
+
+    async getSite(siteKey: string): Promise<SiteData | null> {
+        const row = this.db.prepare(`SELECT ${SITE_COLUMNS} FROM sites WHERE site = ? AND deleted_at IS NULL`).get(siteKey);
+        return row ? fromSiteRow(row as unknown as SiteRow) : null;
+    }
+
+    async getDeletedSite(siteKey: string): Promise<SiteData | null> {
+        const row = this.db.prepare(`SELECT ${SITE_COLUMNS} FROM sites WHERE site = ? AND deleted_at IS NOT NULL`).get(siteKey);
+        return row ? fromSiteRow(row as unknown as SiteRow) : null;
+    }
+
+    async getHistory(siteKey: string): Promise<SiteRevision[]> {
+        return this.db
+            .prepare(`SELECT ${ROW_COLUMNS} FROM revisions WHERE site = ? ORDER BY rev DESC LIMIT ?`)
+            .all(siteKey, this.historyLimit)
+            .map((row) => fromRow(row as unknown as RevisionRow));
+    }
+
+    async getRevision(siteKey: string, rev: number): Promise<SiteRevision | null> {
+        const row = this.db.prepare(`SELECT ${ROW_COLUMNS} FROM revisions WHERE site = ? AND rev = ?`).get(siteKey, rev);
+        return row ? fromRow(row as unknown as RevisionRow) : null;
+    }
+
+    /**
+     * Writes the site if its stored token still equals initHashContent. An
+     * empty token also matches a site that does not exist yet.
+     */
+    async saveSiteIfUnchanged(siteKey: string, initHashContent: string, data: SiteData): Promise<boolean> {
+        const values: SQLInputValue[] = [
+            data.encryptedContent,
+            data.currentHashContent,
+            data.updatedAt,
+            data.chunks ? data.encryptedKey ?? null : null,
+            data.chunks ? data.manifest ?? null : null,
+            data.chunks ? JSON.stringify(data.chunks) : null,
+            data.writeKeyHash ?? null
+        ];
+
+        return this.transaction(() => {
+            // Keep the version being replaced; rolled back with the save if the swap fails
+            this.db.prepare(`
+                INSERT INTO revisions (site, ${ROW_COLUMNS})
+                SELECT site, ${ROW_COLUMNS} FROM sites
+                WHERE site = ? AND deleted_at IS NULL AND COALESCE(current_hash_content, '') = ?
+            `).run(siteKey, initHashContent);
+
+            const updated = this.db.prepare(`
+                UPDATE sites
+                SET encrypted_content = ?, current_hash_content = ?, updated_at = ?,
+                    encrypted_key = ?, manifest = ?, chunks = ?, write_key_hash = ?, rev = rev + 1
+                WHERE site = ? AND deleted_at IS NULL AND COALESCE(current_hash_content, '') = ?
+            `).run(...values, siteKey, initHashContent);
+
+            if (Number(updated.changes) === 0) {
+                if (initHashContent) return false;
+                // A new site replaces the tombstone of a deleted one
+                this.purgeWhere("site = ? AND deleted_at IS NOT NULL", siteKey);
+                const inserted = this.db.prepare(`
+                    INSERT INTO sites (encrypted_content, current_hash_content, updated_at,
+                        encrypted_key, manifest, chunks, write_key_hash, site, rev)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1)
+                    ON CONFLICT (site) DO NOTHING
+                `).run(...values, siteKey);
+                if (Number(inserted.changes) === 0) return false;
+            }
+
+            this.db.prepare(`
+                DELETE FROM revisions
+                WHERE site = ? AND rev NOT IN (
+                    SELECT rev FROM revisions WHERE site = ? ORDER BY rev DESC LIMIT ?
+                )
+            `).run(siteKey, siteKey, this.historyLimit);
+            return true;
+        });
+    }
+
+    async deleteSiteIfUnchanged(siteKey: string, initHashContent: string): Promise<boolean> {
+        return this.transaction(() => {
+            const deleted = this.db.prepare(`
+                UPDATE sites SET deleted_at = ?
+                WHERE site = ? AND deleted_at IS NULL AND COALESCE(current_hash_content, '') = ?
+            `).run(Date.now(), siteKey, initHashContent);
+            if (Number(deleted.changes) > 0) {
+                return true;
+            }
+            return !this.db.prepare("SELECT 1 FROM sites WHERE site = ? AND deleted_at IS NULL").get(siteKey);
+        });
+    }
+
+    async restoreSiteIfUnchanged(siteKey: string, deletedHashContent: string): Promise<boolean> {
+        const restored = this.db.prepare(`
+            UPDATE sites SET deleted_at = NULL
+            WHERE site = ? AND deleted_at IS NOT NULL AND COALESCE(current_hash_content, '') = ?
+        `).run(siteKey, deletedHashContent);
+        return Number(restored.changes) > 0;
+    }
+
+    async purgeDeletedSites(deletedBefore: number): Promise<number> {
+        let purged = 0;
+        this.transaction(() => {
+            purged = this.purgeWhere("deleted_at < ?", deletedBefore);
+            return true;
+        });
+        return purged;
+    }
+
+    async *listSites(): AsyncIterable<string> {
+        // Paged so a large database is not read into memory at once
+        let after = "";
+        for (;;) {
+            const rows = this.db
+                .prepare("SELECT site FROM sites WHERE site > ? ORDER BY site LIMIT ?")
+                .all(after, LIST_PAGE_SIZE) as unknown as Array<{ site: string }>;
+            for (const row of rows) {
+                yield row.site;
+            }
+            const last = rows[rows.length - 1];
+            if (!last || rows.length < LIST_PAGE_SIZE) {
+                return;
+            }
+            after = last.site;
+        }
+    }
+
+    async importSite(siteKey: string, data: SiteData): Promise<void> {
+        const history = (data.history || []).slice(0, this.historyLimit);
+        this.transaction(() => {
+            this.db.prepare("DELETE FROM revisions WHERE site = ?").run(siteKey);
+            this.db.prepare(`INSERT OR REPLACE INTO sites (site, ${SITE_COLUMNS}) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+                .run(siteKey, ...toRow({ ...data, rev: data.rev || 0 }), data.writeKeyHash ?? null, data.deletedAt ?? null);
+            const insertRevision = this.db.prepare(`INSERT INTO revisions (site, ${ROW_COLUMNS}) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`);
+            for (const revision of history) {
+                insertRevision.run(siteKey, ...toRow(revision));
+            }
+            return true;
+        });
+    }
+
+    private get db(): DatabaseSync {
+        if (!this.database) {
+            throw new Error("SQLite database is not open");
+        }
+        return this.database;
+    }
+
+    /**
+     * Removes the sites matching a condition, with their revisions; call inside a transaction
+     * @returns How many sites were removed
+     */
+    private purgeWhere(condition: string, ...params: SQLInputValue[]): number {
+        this.db.prepare(`DELETE FROM revisions WHERE site IN (SELECT site FROM sites WHERE ${condition})`).run(...params);
+        return Number(this.db.prepare(`DELETE FROM sites WHERE ${condition}`).run(...params).changes);
+    }
+
+    /**
+     * Runs task in an immediate transaction, committing only when it returns true
+     */
+    private transaction(task: () => boolean): boolean {
+        this.db.exec("BEGIN IMMEDIATE");
+        let result = false;
+        try {
+            result = task();
+        } finally {
+            this.db.exec(result ? "COMMIT" : "ROLLBACK");
+        }
+        return result;
+    }
+}
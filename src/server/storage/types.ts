@@ -0,0 +1,90 @@
+import type { EncryptedChunk } from "../../types/global.js";
+
+/** Chunked workspaces keep encryptedContent empty and store these fields instead */
+export interface ChunkFields {
+    encryptedKey?: string;
+    manifest?: string;
+    chunks?: EncryptedChunk[];
+}
+
+export interface SiteRevision extends ChunkFields {
+    rev: number;
+    encryptedContent: string;
+    currentHashContent: string | null;
+    updatedAt: number;
+}
+
+export interface SiteData extends ChunkFields {
+    site?: string;
+    encryptedContent: string;
+    currentHashContent: string | null;
+    updatedAt: number;
+    rev?: number;
+    history?: SiteRevision[];
+    /** SHA-256 of the write token saves and deletes must present; absent for open sites */
+    writeKeyHash?: string;
+    /** Set when the site was deleted; it is kept as a tombstone until purged */
+    deletedAt?: number;
+}
+
+/**
+ * A storage backend. Saves and deletes are compare-and-swap on the site's
+ * concurrency token: they only apply while the stored token equals
+ * initHashContent, where an empty token matches a site that does not exist yet.
+ *
+ * Deleting keeps the site, with its history, as a tombstone (deletedAt set)
+ * until purgeDeletedSites removes it. Tombstones count as missing for
+ * everything else; saving a new site under the name replaces its tombstone.
+ */
+export interface StorageAdapter {
+    /** Opens connections or files; called once before the first request */
+    connect(): Promise<void>;
+    close(): Promise<void>;
+    /** The live site; null for missing and deleted sites */
+    getSite(siteKey: string): Promise<SiteData | null>;
+    /** The tombstone of a deleted site that has not been purged yet */
+    getDeletedSite(siteKey: string): Promise<SiteData | null>;
+    /** Previous versions, newest first, at most the configured history limit */
+    getHistory(siteKey: string): Promise<SiteRevision[]>;
+    getRevision(siteKey: string, rev: number): Promise<SiteRevision | null>;
+    /** @returns False when the token no longer matches */
+    saveSiteIfUnchanged(siteKey: string, initHashContent: string, data: SiteData): Promise<boolean>;
+    /**
+     * Turns the site into a tombstone
+     * @returns False when the token no longer matches; true when the site is gone
+     */
+    deleteSiteIfUnchanged(siteKey: string, initHashContent: string): Promise<boolean>;
+    /**
+     * Brings a tombstone back if its token, the one current when it was deleted, still matches
+     * @returns False when there is no such tombstone
+     */
+    restoreSiteIfUnchanged(siteKey: string, deletedHashContent: string): Promise<boolean>;
+    /**
+     * Permanently removes sites deleted before the given time
+     * @returns How many were removed
+     */
+    purgeDeletedSites(deletedBefore: number): Promise<number>;
+    /** Every stored site key, tombstones included, in ascending order */
+    listSites(): AsyncIterable<string>;
+    /**
+     * Stores a site exactly as given, including its rev, token and history,
+     * replacing any stored version. Used to copy sites between backends.
+     */
+    importSite(siteKey: string, data: SiteData): Promise<void>;
+}
+
+export function pickChunkFields(site: ChunkFields): ChunkFields {
+    return site.chunks
+        ? { encryptedKey: site.encryptedKey, manifest: site.manifest, chunks: site.chunks }
+        : {};
+}
+
+export function toRevision(site: SiteData): SiteRevision {
+    return {
+        rev: site.rev || 0,
+        encryptedContent: site.encryptedContent,
+        currentHashContent: site.currentHashContent,
+        updatedAt: site.updatedAt,
+        ...pickChunkFields(site)
+    };
+}
@@ -1,4 +1,5 @@
 import { WORKSPACE_ID_REQUIREMENTS, normalizeWorkspaceId } from "../utils/workspace.js";
+import type { EncryptedChunk } from "../types/global.js";
 
 export type ValidationResult<T> =
     | { ok: true; value: T }
@@ -6,6 +7,17 @@ export type ValidationResult<T> =
 
 const HASH_TOKEN_PATTERN = /^[A-Za-z0-9._:~-]{0,512}$/;
 const HEX_PATTERN = /^[0-9a-f]+$/i;
+const CHUNK_ID_PATTERN = /^[0-9a-f]{16}$/;
+const MAX_ENCRYPTED_LENGTH = 5 * 1024 * 1024;
+export const MAX_CHUNKS = 1000;
+
+/** A validated chunked save: the new chunk order plus only the chunks the server lacks */
+export interface ChunkedSave {
+    encryptedKey: string;
+    manifest: string;
+    chunkIds: string[];
+    chunks: EncryptedChunk[];
+}
 
 function fail(message: string): ValidationResult<never> {
     return { ok: false, message };
@@ -24,6 +36,8 @@ export function normalizeSiteKey(input: unknown): ValidationResult<string> {
     return { ok: true, value };
 }
 
+// Tokens are opaque here: clients send random `n1.<hex>` nonces, and content-hash
+// tokens stored by older clients must still match for the save that replaces them.
 export function validateHashToken(input: unknown, fieldName: string): ValidationResult<string> {
     if (typeof input !== "string") {
         return fail(`Invalid ${fieldName}`);
@@ -36,36 +50,179 @@ export function validateHashToken(input: unknown, fieldName: string): Validation
     return { ok: true, value: input };
 }
 
-export function validateEncryptedContent(input: unknown): ValidationResult<string> {
+/**
+ * Write tokens are optional; when present they must be the 32-byte hex
+ * derived client-side from the workspace password
+ */
+export function validateWriteToken(input: unknown, fieldName = "writeToken"): ValidationResult<string | null> {
+    if (input === undefined || input === null) {
+        return { ok: true, value: null };
+    }
+
+    if (typeof input !== "string" || input.length !== 64 || !HEX_PATTERN.test(input)) {
+        return fail(`${fieldName} must be 32 bytes of hex`);
+    }
+
+    return { ok: true, value: input.toLowerCase() };
+}
+
+export function validateEncryptedContent(input: unknown, fieldName = "encryptedContent"): ValidationResult<string> {
     if (typeof input !== "string") {
-        return fail("Invalid encryptedContent");
+        return fail(`Invalid ${fieldName}`);
     }
 
-    if (input.length > 5 * 1024 * 1024) {
-        return fail("encryptedContent is too large");
+    if (input.length > MAX_ENCRYPTED_LENGTH) {
+        return fail(`${fieldName} is too large`);
     }
 
     const parts = input.split(":");
-    if (parts.length !== 3) {
-        return fail("encryptedContent must use salt:iv:cipher format");
+    if (parts[0] === "v3") {
+        // v3:kdf=<name>:<param>=<value>...:salt:iv:cipher
+        const params = parts.slice(1, -3);
+        if (parts.length < 5 || !params.every((param) => /^[a-z][a-z0-9]*=[a-z0-9-]{1,32}$/.test(param))) {
+            return fail(`${fieldName} must use v3:kdf=<kdf>:<params>:salt:iv:cipher format`);
+        }
+        if (!params.some((param) => param.startsWith("kdf="))) {
+            return fail(`${fieldName} must name its kdf`);
+        }
+    } else if (parts.length !== 3) {
+        return fail(`${fieldName} must use salt:iv:cipher format`);
     }
 
-    const [saltHex, ivHex, cipherHex] = parts;
+    const [saltHex, ivHex, cipherHex] = parts.slice(-3);
     if (!saltHex || !ivHex || !cipherHex) {
-        return fail("encryptedContent is missing a component");
+        return fail(`${fieldName} is missing a component`);
     }
 
     if (!isEvenHex(saltHex) || saltHex.length < 32) {
-        return fail("encryptedContent salt must be hex and at least 16 bytes");
+        return fail(`${fieldName} salt must be hex and at least 16 bytes`);
     }
 
     if (!isEvenHex(ivHex) || ivHex.length !== 24) {
-        return fail("encryptedContent iv must be 12 bytes of hex");
+        return fail(`${fieldName} iv must be 12 bytes of hex`);
     }
 
     if (!isEvenHex(cipherHex) || cipherHex.length < 32) {
-        return fail("encryptedContent cipher must be hex and include an authentication tag");
+        return fail(`${fieldName} cipher must be hex and include an authentication tag`);
     }
 
     return { ok: true, value: input };
 }
+
+function isChunkData(value: unknown): value is string {
+    if (typeof value !== "string") return false;
+    const [ivHex, cipherHex, extra] = value.split(":");
+    return extra === undefined
+        && !!ivHex && ivHex.length === 24 && isEvenHex(ivHex)
+        && !!cipherHex && cipherHex.length >= 32 && isEvenHex(cipherHex);
+}
+
+export function validateChunkedSave(input: {
+    encryptedKey: unknown;
+    manifest: unknown;
+    chunkIds: unknown;
+    chunks: unknown;
+}): ValidationResult<ChunkedSave> {
+    const keyValidation = validateEncryptedContent(input.encryptedKey, "encryptedKey");
+    if (!keyValidation.ok) {
+        return keyValidation;
+    }
+
+    if (!isChunkData(input.manifest) || input.manifest.length > MAX_ENCRYPTED_LENGTH) {
+        return fail("manifest must use iv:cipher format");
+    }
+
+    const { chunkIds, chunks } = input;
+    if (!Array.isArray(chunkIds) || chunkIds.length === 0 || chunkIds.length > MAX_CHUNKS) {
+        return fail(`chunkIds must list between 1 and ${MAX_CHUNKS} chunks`);
+    }
+    if (!chunkIds.every((id) => typeof id === "string" && CHUNK_ID_PATTERN.test(id))) {
+        return fail("chunkIds must be 16 hex characters each");
+    }
+    if (new Set(chunkIds).size !== chunkIds.length) {
+        return fail("chunkIds must be unique");
+    }
+
+    if (!Array.isArray(chunks) || chunks.length > chunkIds.length) {
+        return fail("Invalid chunks");
+    }
+    const listed = new Set<string>(chunkIds);
+    const uploaded: EncryptedChunk[] = [];
+    for (const chunk of chunks as unknown[]) {
+        const { id, data } = (chunk || {}) as Partial<EncryptedChunk>;
+        if (typeof id !== "string" || !listed.has(id)) {
+            return fail("Every uploaded chunk must be listed in chunkIds");
+        }
+        if (!isChunkData(data)) {
+            return fail("Chunk data must use iv:cipher format");
+        }
+        uploaded.push({ id, data });
+    }
+
+    return {
+        ok: true,
+        value: {
+            encryptedKey: keyValidation.value,
+            manifest: input.manifest,
+            chunkIds: chunkIds as string[],
+            chunks: uploaded
+        }
+    };
+}
+
+/**
+ * Builds the chunk list for a chunked save: uploaded chunks first, otherwise
+ * the unchanged chunk of the same id from the stored version.
+ */
+export function assembleChunkList(save: ChunkedSave, stored: EncryptedChunk[]): ValidationResult<EncryptedChunk[]> {
+    const available = new Map(stored.map((chunk) => [chunk.id, chunk.data]));
+    for (const chunk of save.chunks) {
+        available.set(chunk.id, chunk.data);
+    }
+
+    const chunks: EncryptedChunk[] = [];
+    let totalLength = save.encryptedKey.length + save.manifest.length;
+    for (const id of save.chunkIds) {
+        const data = available.get(id);
+        if (data === undefined) {
+            return fail(`Chunk ${id} is not stored; upload it with the save`);
+        }
+        totalLength += data.length;
+        chunks.push({ id, data });
+    }
+
+    if (totalLength > MAX_ENCRYPTED_LENGTH) {
+        return fail("Workspace is too large");
+    }
+
+    return { ok: true, value: chunks };
+}
+
+export function parseRevisionNumber(input: unknown): ValidationResult<number> {
+    if (typeof input !== "string" && typeof input !== "number") {
+        return fail("Invalid rev");
+    }
+
+    const value = String(input).trim();
+    if (!/^\d{1,15}$/.test(value)) {
+        return fail("rev must be a non-negative integer");
+    }
+
+    return { ok: true, value: Number(value) };
+}
+
+const BYTE_UNITS: Record<string, number> = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+/**
+ * Reads a size such as MAX_CONTENT_SIZE ("4mb", "512kb", "1048576") the way
+ * the body parser does, with 1024-based units; null when it cannot be read
+ */
+export function parseByteSize(input: string): number | null {
+    const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(input.trim());
+    if (!match) {
+        return null;
+    }
+
+    const bytes = Math.floor(Number(match[1]) * BYTE_UNITS[(match[2] || "b").toLowerCase()]!);
+    return bytes > 0 ? bytes : null;
+}
@@ -0,0 +1,22 @@
+import crypto from "crypto";
+
+/**
+ * The value stored for a write token. Tokens are PBKDF2 output, so a plain
+ * SHA-256 keeps them out of the database without making them guessable.
+ */
+export function hashWriteToken(token: string): string {
+    return crypto.createHash("sha256").update(token.toLowerCase()).digest("hex");
+}
+
+/**
+ * Checks a write token against a stored hash in constant time
+ */
+export function matchesWriteKey(writeKeyHash: string, token: string | null): boolean {
+    if (!token) {
+        return false;
+    }
+
+    const expected = Buffer.from(writeKeyHash, "hex");
+    const actual = Buffer.from(hashWriteToken(token), "hex");
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
@@ -3,15 +3,52 @@
  * Manages application state including authentication, content, and server communication
  * 
  * Note: To avoid circular dependencies, UI functions like focusActiveTextarea,
- * getContentFromTabs, and setContentOfTabs should be injected via setTabFunctions().
+ * getContentFromTabs, setContentOfTabs and getActiveTabId should be injected via setTabFunctions().
  */
 
-import { sha512Hex, simpleWeakHash, randomHex } from '../utils/crypto-helpers.js';
-import { aesGcmEncryptHex, aesGcmDecryptHex } from '../crypto/aes-gcm.js';
+import { sha512Hex, createConcurrencyToken, getSeparatorHex } from '../utils/crypto-helpers.js';
+import { parseEnvelope } from '../crypto/envelope.js';
+import { ARGON2ID_KDF, CURRENT_KDF, sameKdf } from '../crypto/kdf.js';
+import { createChunkId, MANIFEST_AAD } from '../crypto/chunks.js';
+import {
+    clearKeyCache,
+    decryptChunk,
+    decryptEnvelope,
+    deriveWriteToken,
+    encryptChunk,
+    encryptEnvelope,
+    generateWorkspaceKey,
+    importWorkspaceKey
+} from '../crypto/worker-client.js';
 import { fetchWithRetry } from '../utils/fetch.js';
 import { showLoader, showHint, hideHint } from '../utils/dom.js';
 import { toast } from '../ui/toast.js';
+import type { ToastType } from '../ui/toast.js';
 import { openNewPasswordDialog, openConfirmDialog, openDeletePasswordDialog } from '../ui/dialogs.js';
+import { mergeTabLists, resolveMergedTabs } from './merge.js';
+import {
+    documentFromParts,
+    parseDocumentTab,
+    parseManifest,
+    partsFromDocument,
+    serializeDocumentTab,
+    serializeManifest
+} from './document.js';
+import { createPendingSaveStore } from './pending-saves.js';
+import type { PendingSave, PendingSaveInput, PendingSaveStore } from './pending-saves.js';
+import type {
+    ChunkedContent,
+    ConflictResolution,
+    EncryptedChunk,
+    HistoryResponse,
+    KdfParams,
+    RevisionResponse,
+    RevisionSummary,
+    SerializedContent,
+    StoredContent,
+    Tab,
+    TabConflict
+} from '../types/global.js';
 
 // ============================================================================
 // TYPES
@@ -20,10 +57,84 @@ import { openNewPasswordDialog, openConfirmDialog, openDeletePasswordDialog } fr
 /** Remote state from server */
 interface RemoteState {
     isNew: boolean;
-    eContent: string | null;
+    eContent: StoredContent | null;
     currentHashContent: string | null;
 }
 
+/** Workspace state as reported by /api/json */
+interface RemoteSnapshot extends RemoteState {
+    currentDBVersion: number;
+    expectedDBVersion: number;
+    /** Largest save request the server accepts; null when it does not say */
+    maxContentBytes: number | null;
+}
+
+/** A change another session made to the open workspace */
+export interface RemoteChange {
+    deleted: boolean;
+}
+
+/** Outcome of merging local edits with a concurrently saved version */
+type MergeOutcome = "merged" | "cancelled" | "unavailable";
+
+/** Unwrapped workspace key, with the password envelope it is stored in */
+interface WorkspaceKey {
+    wrapped: string;
+    key: CryptoKey;
+}
+
+/** Decrypted workspace as workspace text and, for chunked content, its key */
+interface OpenedContent {
+    content: string;
+    /** Active tab recorded in a workspace document */
+    activeTabId: string | null;
+    workspaceKey: WorkspaceKey | null;
+}
+
+/** Picks the stored content out of an /api/json or /api/revision response */
+function readStoredContent(data: { eContent?: string; chunked?: ChunkedContent }): StoredContent | null {
+    return data.chunked || data.eContent || null;
+}
+
+/** The envelope holding the password-derived part of stored content */
+function keyEnvelopeOf(content: StoredContent): string {
+    return typeof content === "string" ? content : content.encryptedKey;
+}
+
+/**
+ * Content fields of an /api/save body. For chunked content only `uploaded`
+ * is sent in full; the server keeps its stored copy of every other chunk.
+ */
+function toSaveFields(content: StoredContent, uploaded?: EncryptedChunk[]): Record<string, unknown> {
+    if (typeof content === "string") return { encryptedContent: content };
+    return {
+        encryptedKey: content.encryptedKey,
+        manifest: content.manifest,
+        chunkIds: content.chunks.map((chunk) => chunk.id),
+        chunks: uploaded || content.chunks
+    };
+}
+
+/**
+ * Whether a failed save is worth queueing for replay: network failures,
+ * timeouts and server errors, but not requests the server rejected as invalid.
+ */
+function isRetryableSaveError(error: Error): boolean {
+    const status = /^HTTP (\d{3})/.exec(error.message)?.[1];
+    return status ? Number(status) >= 500 : true;
+}
+
+/** How many times a save retries after merging before giving up */
+const MAX_MERGE_ATTEMPTS = 2;
+
+/** Options for a single save */
+export interface SaveOptions {
+    /** Network retries handed to fetchWithRetry (default: 0) */
+    retries?: number;
+    /** Skip toasts, the loader and focus changes; a conflict is reported through onSaveConflict instead of merged */
+    silent?: boolean;
+}
+
 /** Callbacks for UI updates */
 export interface ClientStateCallbacks {
     onButtonEnablementChange?: (isTextModified: boolean, isNew: boolean) => void;
@@ -31,6 +142,13 @@ export interface ClientStateCallbacks {
     onLastSavedUpdate?: () => void;
     onFinishInitialization?: (shouldSkipSettingContent?: boolean) => void;
     onDecryptAndFinish?: (isOld: boolean) => void;
+    onMergeConflicts?: (conflicts: TabConflict[]) => Promise<ConflictResolution[] | null>;
+    /** Another session saved or deleted this workspace */
+    onRemoteChange?: (change: RemoteChange) => void;
+    /** A silent save was rejected because another session saved first; nothing was merged */
+    onSaveConflict?: () => void;
+    /** The server refused the write token of a workspace this password opened */
+    onWriteDenied?: () => void;
 }
 
 /** Tab functions interface for dependency injection */
@@ -38,21 +156,24 @@ export interface TabFunctions {
     focusActiveTextarea?: () => void;
     getContentFromTabs?: (state: ClientState) => Promise<string>;
     setContentOfTabs?: (content: string, state: ClientState) => Promise<void>;
+    getActiveTabId?: () => string | null;
 }
 
 // Injected tab functions (set via setTabFunctions to avoid circular deps)
 let _focusActiveTextarea: () => void = () => { };
 let _getContentFromTabs: (state: ClientState) => Promise<string> = async () => "";
 let _setContentOfTabs: (content: string, state: ClientState) => Promise<void> = async () => { };
+let _getActiveTabId: () => string | null = () => null;
 
 /**
  * Injects tab-related functions to avoid circular dependencies
- * @param funcs - Object containing focusActiveTextarea, getContentFromTabs, setContentOfTabs
+ * @param funcs - Object containing focusActiveTextarea, getContentFromTabs, setContentOfTabs, getActiveTabId
  */
 export function setTabFunctions(funcs: TabFunctions): void {
     if (funcs.focusActiveTextarea) _focusActiveTextarea = funcs.focusActiveTextarea;
     if (funcs.getContentFromTabs) _getContentFromTabs = funcs.getContentFromTabs;
     if (funcs.setContentOfTabs) _setContentOfTabs = funcs.setContentOfTabs;
+    if (funcs.getActiveTabId) _getActiveTabId = funcs.getActiveTabId;
 }
 
 /**
@@ -64,16 +185,36 @@ export class ClientState {
     readonly urlPassword: string | null;
     currentDBVersion: number;
     expectedDBVersion: number;
+    /** Largest save request the server accepts, as of the last load */
+    maxContentBytes: number | null;
 
     siteHash: string | null;
     isTextModified: boolean;
     initHashContent: string | null;
     content: string;
+    /** Plaintext as last loaded from or saved to the server; the merge base */
+    baseContent: string;
     password: string;
+    /** Key derivation used for this workspace's saves */
+    kdf: KdfParams;
     initialIsNew: boolean;
     mobileAppMetadataTabContent: string;
+    /** Active tab as of the last load or save */
+    activeTabId: string | null;
 
     remote: RemoteState;
+    pendingSaves: PendingSaveStore;
+    private replayingPendingSave: boolean;
+    /** Key of the stored chunks, unwrapped with the current password */
+    private workspaceKey: WorkspaceKey | null;
+    /** Plaintext of chunks this session encrypted or decrypted, by chunk id */
+    private readonly chunkCache: Map<string, { data: string; plain: string }>;
+    /** Write tokens derived this session, by password */
+    private readonly writeTokens: Map<string, Promise<string>>;
+    /** Change stream from /api/events while watching */
+    private changeEvents: EventSource | null;
+    /** Token of this session's latest save (null for a delete), so its own change event is not reported */
+    private ownChange: string | null | undefined;
 
     // Callbacks for UI updates
     onButtonEnablementChange: ClientStateCallbacks['onButtonEnablementChange'];
@@ -81,26 +222,41 @@ export class ClientState {
     onLastSavedUpdate: ClientStateCallbacks['onLastSavedUpdate'];
     onFinishInitialization: ClientStateCallbacks['onFinishInitialization'];
     onDecryptAndFinish: ClientStateCallbacks['onDecryptAndFinish'];
+    onMergeConflicts: ClientStateCallbacks['onMergeConflicts'];
+    onRemoteChange: ClientStateCallbacks['onRemoteChange'];
+    onSaveConflict: ClientStateCallbacks['onSaveConflict'];
+    onWriteDenied: ClientStateCallbacks['onWriteDenied'];
 
     constructor(siteId: string, urlPassword: string | null = null) {
         this.site = siteId;
         this.urlPassword = urlPassword;
         this.currentDBVersion = 2;
         this.expectedDBVersion = 2;
+        this.maxContentBytes = null;
 
         this.siteHash = null;
         this.isTextModified = false;
         this.initHashContent = null;
         this.content = "";
+        this.baseContent = "";
         this.password = "";
+        this.kdf = CURRENT_KDF;
         this.initialIsNew = true;
         this.mobileAppMetadataTabContent = "";
+        this.activeTabId = null;
 
         this.remote = {
             isNew: true,
             eContent: null,
             currentHashContent: null
         };
+        this.pendingSaves = createPendingSaveStore();
+        this.replayingPendingSave = false;
+        this.workspaceKey = null;
+        this.chunkCache = new Map();
+        this.writeTokens = new Map();
+        this.changeEvents = null;
+        this.ownChange = undefined;
 
         // Callbacks
         this.onButtonEnablementChange = undefined;
@@ -108,6 +264,10 @@ export class ClientState {
         this.onLastSavedUpdate = undefined;
         this.onFinishInitialization = undefined;
         this.onDecryptAndFinish = undefined;
+        this.onMergeConflicts = undefined;
+        this.onRemoteChange = undefined;
+        this.onSaveConflict = undefined;
+        this.onWriteDenied = undefined;
     }
 
     getIsNew(): boolean {
@@ -130,6 +290,10 @@ export class ClientState {
         return this.password;
     }
 
+    getActiveTabId(): string | null {
+        return this.activeTabId;
+    }
+
     getMobileAppMetadataTabContent(): string {
         return this.mobileAppMetadataTabContent;
     }
@@ -153,83 +317,256 @@ export class ClientState {
     }
 
     /**
-     * Concurrency token (non-crypto) for overwrite detection. 
-     * AES-GCM ensures confidentiality/integrity.
+     * Takes the stored concurrency token as the one the next save must match.
+     * Tokens written by older clients (content hashes) are matched as-is once;
+     * that save replaces them with a random token. An empty token tells the
+     * server the workspace has none yet.
      */
-    computeHashContentForDBVersion(
-        contentForHash: string,
-        passwordForHash: string,
-        dbVersion: number
-    ): string {
-        const weak = simpleWeakHash(`${contentForHash}::${passwordForHash}`);
-        return weak + String(dbVersion);
+    setInitHashContent(): void {
+        this.initHashContent = this.remote.currentHashContent || "";
     }
 
-    setInitHashContent(): void {
-        if (this.remote.currentHashContent) {
-            this.initHashContent = this.remote.currentHashContent;
-        } else {
-            this.initHashContent = this.computeHashContentForDBVersion(
-                this.content,
-                this.password || "",
-                this.currentDBVersion
-            );
+    /**
+     * Decrypts stored content. Single envelopes decrypt directly; chunked content
+     * unwraps the workspace key, checks the chunk order against the manifest and
+     * decrypts the chunks. Either way the site hash must match. Workspace
+     * documents and the legacy formats all come back as workspace text.
+     */
+    private async _openContent(
+        pass: string,
+        eContent: StoredContent | null = this.remote.eContent
+    ): Promise<OpenedContent | null> {
+        if (!eContent || !this.siteHash) return null;
+
+        if (typeof eContent === "string") {
+            const plain = await decryptEnvelope(eContent, pass);
+            if (!plain || !plain.endsWith(this.siteHash)) return null;
+            return { content: this.stripSiteHash(plain), activeTabId: null, workspaceKey: null };
         }
-    }
 
-    private async _getDecryptedContent(pass: string): Promise<string | null> {
-        if (!this.remote.eContent) return null;
+        const keyPlain = await decryptEnvelope(eContent.encryptedKey, pass);
+        if (!keyPlain || !keyPlain.endsWith(this.siteHash)) return null;
+
+        let key: CryptoKey;
         try {
-            const parts = this.remote.eContent.split(":");
-            if (parts.length !== 3) return null;
-            const saltHex = parts[0];
-            const ivHex = parts[1];
-            const cipherHex = parts[2];
-            if (!saltHex || !ivHex || !cipherHex) return null;
-            const plain = await aesGcmDecryptHex(ivHex, cipherHex, pass, saltHex);
-            if (plain && this.siteHash && plain.endsWith(this.siteHash)) {
-                return plain;
-            }
-            return null;
+            key = await importWorkspaceKey(this.stripSiteHash(keyPlain));
         } catch {
             return null;
         }
+
+        const manifestPlain = await decryptChunk(key, eContent.manifest, MANIFEST_AAD);
+        const manifest = manifestPlain === null ? null : parseManifest(manifestPlain);
+        // The manifest authenticates which chunks belong to the workspace and their order
+        if (!manifest || manifest.chunkIds.length !== eContent.chunks.length
+            || eContent.chunks.some((chunk, i) => chunk.id !== manifest.chunkIds[i])) {
+            return null;
+        }
+
+        const parts: string[] = [];
+        for (const chunk of eContent.chunks) {
+            const plain = await this.readChunk(key, chunk);
+            if (plain === null) return null;
+            parts.push(plain);
+        }
+
+        let activeTabId: string | null = null;
+        let textParts = parts;
+        if (manifest.document) {
+            const tabs: Tab[] = [];
+            for (const part of parts) {
+                const tab = parseDocumentTab(part);
+                if (!tab) return null;
+                tabs.push(tab);
+            }
+            activeTabId = manifest.document.activeTabId;
+            textParts = partsFromDocument({ ...manifest.document, tabs });
+        }
+
+        return {
+            content: textParts.join(await getSeparatorHex()),
+            activeTabId,
+            workspaceKey: { wrapped: eContent.encryptedKey, key }
+        };
+    }
+
+    private async _getDecryptedContent(
+        pass: string,
+        eContent: StoredContent | null = this.remote.eContent
+    ): Promise<string | null> {
+        return (await this._openContent(pass, eContent))?.content ?? null;
+    }
+
+    private async readChunk(key: CryptoKey, chunk: EncryptedChunk): Promise<string | null> {
+        const cached = this.chunkCache.get(chunk.id);
+        if (cached && cached.data === chunk.data) return cached.plain;
+
+        const plain = await decryptChunk(key, chunk.data, chunk.id);
+        if (plain !== null) this.chunkCache.set(chunk.id, { data: chunk.data, plain });
+        return plain;
+    }
+
+    /**
+     * The token that lets the server accept saves and deletes made with this
+     * password, derived once per session
+     */
+    private writeTokenFor(password: string): Promise<string> {
+        let token = this.writeTokens.get(password);
+        if (!token) {
+            token = deriveWriteToken(password, this.siteHash || "");
+            this.writeTokens.set(password, token);
+            token.catch(() => this.writeTokens.delete(password));
+        }
+        return token;
+    }
+
+    /**
+     * Generates a fresh workspace key wrapped under the given password. Under the
+     * loaded password and KDF the session salt is kept, so the cached key is reused.
+     */
+    private async createWorkspaceKey(password: string, kdf: KdfParams): Promise<WorkspaceKey> {
+        const { key, keyHex } = await generateWorkspaceKey();
+        const loaded = this.remote.eContent ? parseEnvelope(keyEnvelopeOf(this.remote.eContent)) : null;
+        const sessionSalt = loaded && password === this.password && sameKdf(loaded.kdf, kdf)
+            ? loaded.saltHex
+            : undefined;
+        const wrapped = await encryptEnvelope(keyHex + (this.siteHash || ""), password, kdf, sessionSalt);
+        return { wrapped, key };
+    }
+
+    /**
+     * Encrypts a document's tabs as chunks. Tabs whose chunk plaintext matches a
+     * chunk of the stored version under the same key keep that chunk; only the
+     * rest are encrypted and returned in `uploaded`.
+     */
+    private async encryptChunks(
+        workspaceKey: WorkspaceKey,
+        workspace: SerializedContent
+    ): Promise<{ content: ChunkedContent; uploaded: EncryptedChunk[] }> {
+        const parts = workspace.tabs.map(serializeDocumentTab);
+        const reusable = new Map<string, EncryptedChunk[]>();
+        const remote = this.remote.eContent;
+        if (remote && typeof remote !== "string" && remote.encryptedKey === workspaceKey.wrapped) {
+            for (const chunk of remote.chunks) {
+                const plain = await this.readChunk(workspaceKey.key, chunk);
+                if (plain === null) continue;
+                reusable.set(plain, [...(reusable.get(plain) || []), chunk]);
+            }
+        }
+
+        const chunks: EncryptedChunk[] = [];
+        const uploaded: EncryptedChunk[] = [];
+        for (const part of parts) {
+            let chunk = reusable.get(part)?.shift();
+            if (!chunk) {
+                const id = createChunkId();
+                chunk = { id, data: await encryptChunk(workspaceKey.key, part, id) };
+                this.chunkCache.set(id, { data: chunk.data, plain: part });
+                uploaded.push(chunk);
+            }
+            chunks.push(chunk);
+        }
+
+        const manifest = await encryptChunk(
+            workspaceKey.key,
+            serializeManifest(workspace, chunks.map((chunk) => chunk.id)),
+            MANIFEST_AAD
+        );
+        return { content: { encryptedKey: workspaceKey.wrapped, manifest, chunks }, uploaded };
+    }
+
+    /**
+     * Drops cached chunk plaintext the stored version no longer references
+     */
+    private pruneChunkCache(content: StoredContent): void {
+        const kept = new Set(typeof content === "string" ? [] : content.chunks.map((chunk) => chunk.id));
+        for (const id of this.chunkCache.keys()) {
+            if (!kept.has(id)) this.chunkCache.delete(id);
+        }
     }
 
     /**
      * Try to decrypt using provided pass; returns true/false
      */
     async setLoginPasswordAndContentIfCorrect(pass: string): Promise<boolean> {
-        const plain = await this._getDecryptedContent(pass);
-        if (plain !== null && this.siteHash) {
-            this.content = plain.slice(0, plain.length - this.siteHash.length);
+        const opened = await this._openContent(pass);
+        if (opened !== null && this.siteHash && this.remote.eContent) {
+            this.content = opened.content;
+            this.baseContent = this.content;
+            this.activeTabId = opened.activeTabId;
             this.password = pass;
+            this.workspaceKey = opened.workspaceKey;
+            // Keep the workspace's Argon2id choice; PBKDF2 payloads move to the current iteration count
+            const envelope = parseEnvelope(keyEnvelopeOf(this.remote.eContent));
+            this.kdf = envelope?.kdf.kdf === "argon2id" ? envelope.kdf : CURRENT_KDF;
             return true;
         }
         return false;
     }
 
-    async saveSite(newPass: boolean | string): Promise<void> {
-        const executeSaveSite = async (passwordToUse: string): Promise<void> => {
+    /**
+     * Encrypts the tabs and saves them. With newPass === true the password
+     * dialog is opened first and the save happens once it is confirmed.
+     * @returns True when the content was saved by this call
+     */
+    async saveSite(newPass: boolean | string, options: SaveOptions = {}): Promise<boolean> {
+        const { retries = 0, silent = false } = options;
+        const notify = (message: string, type: ToastType, ms: number): void => {
+            if (!silent) toast(message, type, ms);
+        };
+        const refocus = (): void => {
+            if (!silent) _focusActiveTextarea();
+        };
+
+        let kdfToUse = this.kdf;
+        // A new password always gets a new workspace key, kept across merge retries
+        let rotateKey = false;
+        let newKey: WorkspaceKey | null = null;
+
+        const executeSaveSite = async (passwordToUse: string, mergeAttempt = 0): Promise<boolean> => {
+            let hitConflict = false;
+            let saved = false;
             this.content = await _getContentFromTabs(this);
+            this.activeTabId = _getActiveTabId();
 
-            const newHashContent = this.computeHashContentForDBVersion(
-                this.content,
-                passwordToUse,
-                this.expectedDBVersion
-            );
+            const newHashContent = createConcurrencyToken();
 
-            // Create new salt every save for portability; embed in ciphertext
-            const saltHex = randomHex(16);
-            const { ivHex, cipherHex } = await aesGcmEncryptHex(
-                String(this.content + this.siteHash),
-                passwordToUse,
-                saltHex
+            let workspaceKey: WorkspaceKey;
+            if (!rotateKey && passwordToUse === this.password && this.workspaceKey) {
+                workspaceKey = this.workspaceKey;
+            } else {
+                newKey = newKey || await this.createWorkspaceKey(passwordToUse, kdfToUse);
+                workspaceKey = newKey;
+            }
+            // Workspaces in a legacy format are rewritten as chunked documents here
+            const { content: eContentPayload, uploaded } = await this.encryptChunks(
+                workspaceKey,
+                documentFromParts(this.content.split(await getSeparatorHex()), this.activeTabId)
             );
-            const eContentPayload = `${saltHex}:${ivHex}:${cipherHex}`;
+            // Only saves under the loaded password can be decrypted again for replay
+            const canQueue = passwordToUse === this.password && !this.getIsNew();
+            const queueForReplay = async (): Promise<boolean> => {
+                if (!canQueue) return false;
+                return this.queuePendingSave({
+                    site: this.site,
+                    encryptedContent: eContentPayload,
+                    initHashContent: this.initHashContent || "",
+                    currentHashContent: newHashContent,
+                    baseEncryptedContent: this.remote.eContent
+                });
+            };
 
-            showLoader(true);
+            if (typeof navigator !== "undefined" && navigator.onLine === false && await queueForReplay()) {
+                notify("Offline. Changes are stored encrypted in this browser and will sync when the connection returns.", "warning", 3500);
+                return false;
+            }
+
+            if (!silent) showLoader(true);
+            this.ownChange = newHashContent;
             try {
+                // Authorized by the password the stored version was saved with; a new password brings its own token
+                const authPassword = this.password || passwordToUse;
+                const writeToken = await this.writeTokenFor(authPassword);
+                const newWriteToken = passwordToUse !== authPassword ? await this.writeTokenFor(passwordToUse) : undefined;
                 const res = await fetchWithRetry("/api/save", {
                     method: "POST",
                     headers: { "Content-Type": "application/json" },
@@ -237,9 +574,18 @@ export class ClientState {
                         site: this.site,
                         initHashContent: this.initHashContent || "",
                         currentHashContent: newHashContent,
-                        encryptedContent: eContentPayload
+                        writeToken,
+                        newWriteToken,
+                        ...toSaveFields(eContentPayload, uploaded)
                     })
-                }, 0, 30000);
+                }, retries, 30000);
+
+                if (res.status === 403) {
+                    if (this.reportWriteDenied()) return false;
+                    notify("Save failed. The server did not accept the password for this workspace.", "error", 4000);
+                    refocus();
+                    return false;
+                }
 
                 if (!res.ok) {
                     throw new Error(`HTTP ${res.status}: ${res.statusText}`);
@@ -252,33 +598,56 @@ export class ClientState {
                 };
 
                 if (data.status === "success") {
-                    toast("Saved.", "success", 1500);
+                    saved = true;
+                    notify("Saved.", "success", 1500);
+                    // A direct save supersedes anything still queued from an offline period
+                    this.pendingSaves.clear(this.site).catch(() => undefined);
                     this.remote.isNew = false;
                     this.remote.eContent = eContentPayload;
                     this.remote.currentHashContent = data.currentHashContent || newHashContent;
                     this.initHashContent = this.remote.currentHashContent;
+                    this.baseContent = this.content;
                     this.password = passwordToUse;
+                    this.kdf = kdfToUse;
+                    this.workspaceKey = workspaceKey;
+                    this.pruneChunkCache(eContentPayload);
                     this.currentDBVersion = this.expectedDBVersion;
-                    this.isTextModified = false;
-                    if (this.onStatusChange) this.onStatusChange("ready", "Ready");
-                    if (this.onLastSavedUpdate) this.onLastSavedUpdate();
-                    if (this.onFinishInitialization) this.onFinishInitialization(true);
+                    if (silent) {
+                        // Background saves race with typing; keep edits made while the request was out
+                        const stillModified = (await _getContentFromTabs(this)) !== this.content;
+                        if (this.onStatusChange) {
+                            this.onStatusChange(stillModified ? "modified" : "ready", stillModified ? "Modified" : "Ready");
+                        }
+                        if (this.onLastSavedUpdate) this.onLastSavedUpdate();
+                        this.updateIsTextModified(stillModified);
+                    } else {
+                        this.isTextModified = false;
+                        if (this.onStatusChange) this.onStatusChange("ready", "Ready");
+                        if (this.onLastSavedUpdate) this.onLastSavedUpdate();
+                        if (this.onFinishInitialization) this.onFinishInitialization(true);
+                    }
                 } else if (data.message) {
                     if (data.message.includes("modified in the meantime")) {
-                        toast("Save failed. Another session updated this workspace. Reload and try again.", "error", 5000);
+                        hitConflict = true;
                     } else {
-                        toast(`Save failed. ${data.message}`, "error", 2500);
+                        notify(`Save failed. ${data.message}`, "error", 2500);
+                        refocus();
                     }
-                    _focusActiveTextarea();
                 } else {
-                    toast("Save failed.", "error", 2500);
-                    _focusActiveTextarea();
+                    notify("Save failed.", "error", 2500);
+                    refocus();
                 }
             } catch (error) {
                 console.error('Save operation failed:', error);
                 let errorMessage = "Save failed.";
                 const err = error as Error;
 
+                if (isRetryableSaveError(err) && await queueForReplay()) {
+                    notify("Save failed. Changes are stored encrypted in this browser and will sync when the connection returns.", "warning", 3500);
+                    refocus();
+                    return false;
+                }
+
                 if (err.name === 'AbortError') {
                     errorMessage += " Request timed out.";
                 } else if (err.message.includes('HTTP')) {
@@ -287,17 +656,41 @@ export class ClientState {
                     errorMessage += " Connection issue.";
                 }
 
-                toast(errorMessage, "error", 2500);
-                _focusActiveTextarea();
+                notify(errorMessage, "error", 2500);
+                refocus();
             } finally {
-                showLoader(false);
+                if (!silent) showLoader(false);
             }
+
+            if (!hitConflict) return saved;
+            if (silent) {
+                // Merging would rebuild the tabs while the user types; leave it to them
+                if (this.onSaveConflict) this.onSaveConflict();
+                return false;
+            }
+
+            const outcome = mergeAttempt < MAX_MERGE_ATTEMPTS
+                ? await this.mergeWithRemote(passwordToUse)
+                : "unavailable";
+            if (outcome === "merged") {
+                notify("Merged changes from another session.", "info", 2500);
+                return executeSaveSite(passwordToUse, mergeAttempt + 1);
+            }
+
+            if (outcome === "cancelled") {
+                notify("Merge cancelled. Your edits are kept but not saved.", "warning", 4000);
+            } else {
+                notify("Save failed. Another session updated this workspace. Reload and try again.", "error", 5000);
+            }
+            refocus();
+            return false;
         };
 
         if (newPass === true) {
             openNewPasswordDialog({
                 title: this.getIsNew() ? "Create password" : "Change password",
-                onSave: async (pass1: string, pass2: string): Promise<boolean> => {
+                kdf: this.kdf.kdf,
+                onSave: async (pass1: string, pass2: string, kdf: KdfParams['kdf']): Promise<boolean> => {
                     if (pass1.length === 0) {
                         showHint("#passwords-empty");
                         hideHint("#passwords-dont-match");
@@ -308,28 +701,204 @@ export class ClientState {
                         hideHint("#passwords-empty");
                         return false;
                     }
+                    kdfToUse = kdf === "argon2id" ? ARGON2ID_KDF : CURRENT_KDF;
+                    rotateKey = true;
                     await executeSaveSite(pass1);
                     return true;
                 }
             });
-        } else {
-            await executeSaveSite(this.password);
+            return false;
         }
+        return executeSaveSite(this.password);
+    }
+
+    /**
+     * Saves in the background with the current password. Never opens a dialog
+     * or touches the tabs: new workspaces are left for a manual save, and
+     * conflicts are reported through onSaveConflict.
+     * @returns True when the content was saved
+     */
+    async autosave(): Promise<boolean> {
+        if (this.getIsNew() || !this.password || !this.isTextModified) return false;
+        return this.saveSite(false, { silent: true, retries: 2 });
+    }
+
+    private stripSiteHash(plain: string): string {
+        return this.siteHash ? plain.slice(0, plain.length - this.siteHash.length) : plain;
+    }
+
+    private reportPendingSaves(count: number): void {
+        if (count > 0 && this.onStatusChange) {
+            this.onStatusChange("offline", `Offline \u2013 ${count} pending`);
+        }
+    }
+
+    /**
+     * Stores an encrypted save for later replay
+     * @returns False when the browser refused to store it
+     */
+    private async queuePendingSave(entry: PendingSaveInput): Promise<boolean> {
+        try {
+            this.reportPendingSaves(await this.pendingSaves.put(entry));
+            return true;
+        } catch (error) {
+            console.error('Queueing offline save failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Number of saves waiting to be replayed for this workspace
+     */
+    async getPendingSaveCount(): Promise<number> {
+        try {
+            return (await this.pendingSaves.get(this.site))?.pendingCount || 0;
+        } catch {
+            return 0;
+        }
+    }
+
+    /**
+     * Brings queued edits into the tabs. After a reload the tabs show the
+     * version loaded from the server, possibly with new typing on top, so they
+     * are merged with the queued content against the content they last matched.
+     */
+    /**
+     * A write token refused for a stored workspace this password decrypts was
+     * set without the password: a workspace saved before write tokens existed
+     * can be claimed by the first writer. Pauses writes through onWriteDenied.
+     * @returns True when the refusal was reported as such a lockout
+     */
+    private reportWriteDenied(): boolean {
+        if (this.remote.isNew || !this.remote.currentHashContent || !this.password) return false;
+        toast("Saving is blocked: this workspace's write token was set by someone without its password. Your tabs are unchanged. Export a backup or copy them to a new workspace, and ask the server operator to reset the write token.", "error", 10000);
+        if (this.onWriteDenied) this.onWriteDenied();
+        return true;
+    }
+
+    private async restoreQueuedEdits(pendingContent: string): Promise<void> {
+        const separator = await getSeparatorHex();
+        const current = await _getContentFromTabs(this);
+        const { tabs, conflicts } = mergeTabLists(
+            this.content.split(separator),
+            current.split(separator),
+            pendingContent.split(separator)
+        );
+        // A tab edited both offline and since the reload keeps both versions
+        const restored = resolveMergedTabs(tabs, conflicts.map((): ConflictResolution => "both")).join(separator);
+        if (restored !== current) await _setContentOfTabs(restored, this);
+    }
+
+    /**
+     * Sends the save queued while offline. A conflict puts the queued edits back
+     * through saveSite so they are merged like any other concurrent change; any
+     * other rejection leaves them in the tabs as unsaved edits.
+     * @returns True when the queued edits reached the server
+     */
+    async replayPendingSave(): Promise<boolean> {
+        if (this.replayingPendingSave || !this.siteHash) return false;
+
+        let pending: PendingSave | null;
+        try {
+            pending = await this.pendingSaves.get(this.site);
+        } catch {
+            return false;
+        }
+        if (!pending) return false;
+
+        const opened = await this._openContent(this.password, pending.encryptedContent);
+        if (opened === null) return false;
+        const pendingContent = opened.content;
+
+        this.replayingPendingSave = true;
+        this.ownChange = pending.currentHashContent;
+        try {
+            let data: { status: string; message?: string; currentHashContent?: string };
+            try {
+                const res = await fetchWithRetry("/api/save", {
+                    method: "POST",
+                    headers: { "Content-Type": "application/json" },
+                    body: JSON.stringify({
+                        site: pending.site,
+                        initHashContent: pending.initHashContent,
+                        currentHashContent: pending.currentHashContent,
+                        writeToken: await this.writeTokenFor(this.password),
+                        ...toSaveFields(pending.encryptedContent)
+                    })
+                }, 0, 30000);
+                if (!res.ok && res.status !== 403) throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+                data = await res.json() as typeof data;
+            } catch (error) {
+                console.error('Replaying offline save failed:', error);
+                this.reportPendingSaves(pending.pendingCount);
+                return false;
+            }
+
+            await this.restoreQueuedEdits(pendingContent);
+
+            if (data.status === "success") {
+                await this.pendingSaves.clear(this.site);
+                this.content = pendingContent;
+                this.baseContent = pendingContent;
+                this.remote = {
+                    isNew: false,
+                    eContent: pending.encryptedContent,
+                    currentHashContent: data.currentHashContent || pending.currentHashContent
+                };
+                this.initHashContent = this.remote.currentHashContent;
+                if (opened.workspaceKey) this.workspaceKey = opened.workspaceKey;
+
+                const stillModified = (await _getContentFromTabs(this)) !== pendingContent;
+                this.updateIsTextModified(stillModified);
+                toast("Synced changes saved while offline.", "success", 2500);
+                if (this.onStatusChange) {
+                    this.onStatusChange(stillModified ? "modified" : "ready", stillModified ? "Modified" : "Ready");
+                }
+                if (this.onLastSavedUpdate) this.onLastSavedUpdate();
+                return true;
+            }
+
+            // The tabs now hold the queued edits, so the queue is no longer their only copy
+            this.updateIsTextModified(true);
+            await this.pendingSaves.clear(this.site);
+            if (data.status === "denied" && this.reportWriteDenied()) return false;
+            if (!data.message?.includes("modified in the meantime")) {
+                toast(`Offline changes could not be saved and are kept as unsaved edits. ${data.message || ""}`.trim(), "error", 4000);
+                return false;
+            }
+
+            if (pending.baseEncryptedContent) {
+                const baseContent = await this._getDecryptedContent(this.password, pending.baseEncryptedContent);
+                if (baseContent !== null) this.baseContent = baseContent;
+            }
+            this.initHashContent = pending.initHashContent;
+        } finally {
+            this.replayingPendingSave = false;
+        }
+
+        return this.saveSite(false);
     }
 
     async deleteSite(): Promise<void> {
-        const runDelete = async (): Promise<void> => {
+        const runDelete = async (password: string): Promise<void> => {
             showLoader(true);
+            this.ownChange = null;
             try {
                 const res = await fetchWithRetry("/api/delete", {
                     method: "POST",
                     headers: { "Content-Type": "application/json" },
                     body: JSON.stringify({
                         site: this.site,
-                        initHashContent: this.initHashContent || ""
+                        initHashContent: this.initHashContent || "",
+                        writeToken: await this.writeTokenFor(password)
                     })
                 }, 0, 30000);
 
+                if (res.status === 403) {
+                    if (!this.reportWriteDenied()) toast("Delete failed. The server did not accept the password for this workspace.", "error", 4000);
+                    return;
+                }
+
                 if (!res.ok) {
                     throw new Error(`HTTP ${res.status}: ${res.statusText}`);
                 }
@@ -340,6 +909,11 @@ export class ClientState {
                     setTimeout(async () => {
                         this.password = "";
                         this.content = "";
+                        this.baseContent = "";
+                        this.workspaceKey = null;
+                        this.chunkCache.clear();
+                        this.writeTokens.clear();
+                        await clearKeyCache();
                         this.remote = { isNew: true, eContent: null, currentHashContent: null };
                         await _setContentOfTabs("", this);
                         this.initialIsNew = true;
@@ -377,7 +951,7 @@ export class ClientState {
                         // For a new, unsaved site, there's no remote content.
                         if (!this.remote.eContent) {
                             if (enteredPassword === this.password) {
-                                await runDelete();
+                                await runDelete(enteredPassword);
                                 return true;
                             }
                             return false;
@@ -385,7 +959,7 @@ export class ClientState {
 
                         const isCorrect = (await this._getDecryptedContent(enteredPassword)) !== null;
                         if (isCorrect) {
-                            await runDelete();
+                            await runDelete(enteredPassword);
                             return true;
                         }
                         return false;
@@ -397,7 +971,182 @@ export class ClientState {
         });
     }
 
-    async reloadFromServer(): Promise<void> {
+    /**
+     * Lists the encrypted revisions the server keeps for this workspace, newest first
+     */
+    async fetchHistory(): Promise<RevisionSummary[]> {
+        const url = `/api/history?site=${encodeURIComponent(this.site)}`;
+        const res = await fetchWithRetry(url, {}, 1, 15000);
+        if (!res.ok) {
+            throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+        }
+
+        const data = await res.json() as HistoryResponse;
+        if (data.status !== "success") throw new Error(data.message || "Server error");
+        return data.revisions || [];
+    }
+
+    /**
+     * Fetches a stored revision and decrypts it with the current password.
+     * Returns null when the revision is missing or was saved under another password.
+     */
+    async decryptRevision(rev: number): Promise<string | null> {
+        const url = `/api/revision?site=${encodeURIComponent(this.site)}&rev=${rev}`;
+        const res = await fetchWithRetry(url, {}, 1, 30000);
+        if (res.status === 404) return null;
+        if (!res.ok) {
+            throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+        }
+
+        const data = await res.json() as RevisionResponse;
+        if (data.status !== "success") return null;
+
+        return this._getDecryptedContent(this.password, readStoredContent(data));
+    }
+
+    /**
+     * Loads a revision into the tabs and saves it on top of the current version,
+     * so the restore itself becomes the newest revision.
+     */
+    async restoreRevision(rev: number): Promise<boolean> {
+        const content = await this.decryptRevision(rev);
+        if (content === null) {
+            toast("Restore failed. This revision cannot be decrypted with the current password.", "error", 4000);
+            return false;
+        }
+
+        await _setContentOfTabs(content, this);
+        this.updateIsTextModified(true);
+        if (this.onStatusChange) this.onStatusChange("saving", "Saving");
+        await this.saveSite(false);
+        return !this.isTextModified;
+    }
+
+    /**
+     * Subscribes to /api/events and reports changes other sessions make through
+     * onRemoteChange. The server starts every connection with the current token
+     * and EventSource reconnects on its own, so changes made while the stream
+     * was down are reported as well.
+     */
+    watchRemoteChanges(): void {
+        if (this.changeEvents || typeof EventSource === "undefined") return;
+
+        const events = new EventSource(`/api/events?site=${encodeURIComponent(this.site)}`);
+        events.addEventListener("change", (event) => {
+            let change: { currentHashContent?: string | null };
+            try {
+                change = JSON.parse((event as MessageEvent<string>).data) as typeof change;
+            } catch {
+                return;
+            }
+            this.handleRemoteChange(change.currentHashContent ?? null);
+        });
+        this.changeEvents = events;
+    }
+
+    stopWatchingRemoteChanges(): void {
+        this.changeEvents?.close();
+        this.changeEvents = null;
+    }
+
+    /**
+     * Reports a change event unless it matches the loaded version or came from this session
+     * @returns True when onRemoteChange was called
+     */
+    handleRemoteChange(currentHashContent: string | null): boolean {
+        if (currentHashContent === (this.remote.currentHashContent || null) || currentHashContent === this.ownChange) {
+            return false;
+        }
+
+        if (this.onRemoteChange) this.onRemoteChange({ deleted: currentHashContent === null });
+        return true;
+    }
+
+    /**
+     * Brings in the version another session saved: local edits are merged
+     * with it like on a save conflict, and without edits the workspace is reloaded.
+     * @returns True when the tabs now include the remote changes
+     */
+    async mergeRemoteChanges(): Promise<boolean> {
+        if (!this.isTextModified) {
+            await this.reloadSite();
+            return true;
+        }
+
+        const outcome = await this.mergeWithRemote(this.password);
+        if (outcome === "merged") {
+            toast("Merged changes from another session. Save to keep them.", "info", 3000);
+            return true;
+        }
+        if (outcome === "cancelled") {
+            toast("Merge cancelled. Your edits are kept but not saved.", "warning", 4000);
+        } else {
+            toast("Merge failed. Reload to see the other version.", "error", 4000);
+        }
+        _focusActiveTextarea();
+        return false;
+    }
+
+    /**
+     * Merges local tab edits with the version another session saved, per tab,
+     * against the content this session last loaded or saved.
+     * On success the tabs hold the merged content and the concurrency token
+     * points at the remote version, so the next save goes through.
+     */
+    private async mergeWithRemote(passwordToUse: string): Promise<MergeOutcome> {
+        let snapshot: RemoteSnapshot;
+        try {
+            snapshot = await this.fetchRemoteState();
+        } catch (error) {
+            console.error('Fetching remote version for merge failed:', error);
+            return "unavailable";
+        }
+        if (snapshot.isNew || !snapshot.eContent || !this.siteHash) return "unavailable";
+
+        let opened: OpenedContent | null = null;
+        let openedWith = "";
+        for (const pass of new Set([this.password, passwordToUse])) {
+            opened = await this._openContent(pass, snapshot.eContent);
+            openedWith = pass;
+            if (opened !== null) break;
+        }
+        if (opened === null) return "unavailable";
+        const remoteContent = opened.content;
+
+        const separator = await getSeparatorHex();
+        const localContent = await _getContentFromTabs(this);
+        const { tabs, conflicts } = mergeTabLists(
+            this.baseContent.split(separator),
+            localContent.split(separator),
+            remoteContent.split(separator)
+        );
+
+        let resolutions: ConflictResolution[] = [];
+        if (conflicts.length > 0) {
+            if (!this.onMergeConflicts) return "unavailable";
+            const chosen = await this.onMergeConflicts(conflicts);
+            if (!chosen) return "cancelled";
+            resolutions = chosen;
+        }
+
+        await _setContentOfTabs(resolveMergedTabs(tabs, resolutions).join(separator), this);
+        this.remote = {
+            isNew: false,
+            eContent: snapshot.eContent,
+            currentHashContent: snapshot.currentHashContent
+        };
+        this.initHashContent = snapshot.currentHashContent;
+        this.baseContent = remoteContent;
+        // Adopt the other session's key so tabs it already stored are not uploaded again
+        if (opened.workspaceKey && openedWith === this.password) this.workspaceKey = opened.workspaceKey;
+        this.updateIsTextModified(true);
+        return "merged";
+    }
+
+    /**
+     * Fetches the stored workspace without touching local state
+     */
+    async fetchRemoteState(): Promise<RemoteSnapshot> {
         const url = `/api/json?site=${encodeURIComponent(this.site)}`;
         const res = await fetchWithRetry(url, {}, 3, 15000);
         if (!res.ok) {
@@ -408,18 +1157,34 @@ export class ClientState {
             status: string;
             isNew?: boolean;
             eContent?: string;
+            chunked?: ChunkedContent;
             currentDBVersion?: number;
             expectedDBVersion?: number;
             currentHashContent?: string;
+            maxContentBytes?: number | null;
         };
 
         if (data.status !== "success") throw new Error("Server error");
 
-        this.remote.isNew = !!data.isNew;
-        this.remote.eContent = data.isNew ? null : data.eContent || null;
-        this.currentDBVersion = data.currentDBVersion || 2;
-        this.expectedDBVersion = data.expectedDBVersion || 2;
-        this.remote.currentHashContent = data.currentHashContent || null;
+        return {
+            isNew: !!data.isNew,
+            eContent: data.isNew ? null : readStoredContent(data),
+            currentHashContent: data.currentHashContent || null,
+            currentDBVersion: data.currentDBVersion || 2,
+            expectedDBVersion: data.expectedDBVersion || 2,
+            maxContentBytes: data.maxContentBytes || null
+        };
+    }
+
+    async reloadFromServer(): Promise<void> {
+        const snapshot = await this.fetchRemoteState();
+
+        this.remote.isNew = snapshot.isNew;
+        this.remote.eContent = snapshot.eContent;
+        this.currentDBVersion = snapshot.currentDBVersion;
+        this.expectedDBVersion = snapshot.expectedDBVersion;
+        this.maxContentBytes = snapshot.maxContentBytes;
+        this.remote.currentHashContent = snapshot.currentHashContent;
         this.initHashContent = this.remote.currentHashContent || null;
     }
 
@@ -434,6 +1199,7 @@ export class ClientState {
 
                 if (this.remote.isNew || !this.remote.eContent) {
                     this.content = "";
+                    this.baseContent = "";
                     const pathSeg = (window.location.pathname || "/").replace(/^\/+|\/+$/g, "");
                     const hasSiteFromPath = !!(pathSeg && pathSeg !== "api");
                     const hasSiteFromQuery = !!(new URL(window.location.href).searchParams.get("site"));
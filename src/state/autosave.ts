@@ -0,0 +1,179 @@
+/**
+ * Autosave Module
+ * Saves the workspace after the editor has been idle for a configurable delay,
+ * retrying with exponential backoff while saves keep failing.
+ */
+
+export type AutosaveStatus = "saving" | "saved" | "failed";
+
+export interface AutosaveConfig {
+    /** Idle delay in milliseconds; 0 disables autosave */
+    delayMs: number;
+    /** Performs the save and reports whether it succeeded */
+    save: () => Promise<boolean>;
+    /** Whether there is anything worth saving right now */
+    canSave: () => boolean;
+    onStatusChange?: (status: AutosaveStatus) => void;
+}
+
+const STORAGE_KEY = "autosave-delay";
+
+/** Idle delays offered in the toolbar, in milliseconds (0 = off) */
+export const AUTOSAVE_DELAYS = [0, 2000, 5000, 15000, 60000] as const;
+
+/** Upper bound for the retry delay after repeated failures */
+export const MAX_AUTOSAVE_BACKOFF_MS = 5 * 60 * 1000;
+
+/**
+ * Reads the stored idle delay; autosave is off unless the user opted in
+ */
+export function getStoredAutosaveDelay(): number {
+    try {
+        const stored = Number(localStorage.getItem(STORAGE_KEY));
+        return (AUTOSAVE_DELAYS as readonly number[]).includes(stored) ? stored : 0;
+    } catch {
+        return 0;
+    }
+}
+
+export function storeAutosaveDelay(delayMs: number): void {
+    try {
+        localStorage.setItem(STORAGE_KEY, String(delayMs));
+    } catch {
+        // Without storage the delay only lasts for this page
+    }
+}
+
+/**
+ * Autosave Controller
+ * Call notifyChange() on every edit and flush() when the page is being hidden.
+ * While paused, e.g. until a conflict is resolved, nothing is saved.
+ */
+export class AutosaveController {
+    private delayMs: number;
+    private readonly save: AutosaveConfig['save'];
+    private readonly canSave: AutosaveConfig['canSave'];
+    private readonly onStatusChange: AutosaveConfig['onStatusChange'];
+
+    private timer: ReturnType<typeof setTimeout> | null = null;
+    private inFlight: Promise<void> | null = null;
+    private failures = 0;
+    private paused = false;
+
+    constructor(config: AutosaveConfig) {
+        this.delayMs = config.delayMs;
+        this.save = config.save;
+        this.canSave = config.canSave;
+        this.onStatusChange = config.onStatusChange;
+    }
+
+    isEnabled(): boolean {
+        return this.delayMs > 0;
+    }
+
+    getDelay(): number {
+        return this.delayMs;
+    }
+
+    setDelay(delayMs: number): void {
+        this.delayMs = delayMs;
+        this.failures = 0;
+        this.cancel();
+        if (this.isEnabled() && this.canSave()) this.schedule(this.delayMs);
+    }
+
+    /**
+     * Stops saving until resume() is called
+     */
+    pause(): void {
+        this.paused = true;
+        this.cancel();
+    }
+
+    /**
+     * Saves again after pause(), starting over without a backoff
+     */
+    resume(): void {
+        if (!this.paused) return;
+        this.paused = false;
+        this.failures = 0;
+        if (this.isEnabled() && this.canSave()) this.schedule(this.delayMs);
+    }
+
+    /**
+     * Restarts the idle timer; while failing, waits for the backoff delay instead
+     */
+    notifyChange(): void {
+        if (!this.isEnabled() || this.paused) return;
+        this.schedule(this.nextDelay());
+    }
+
+    /**
+     * Drops a pending save, e.g. because the user saved manually
+     */
+    cancel(): void {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Saves immediately if there are unsaved edits
+     */
+    async flush(): Promise<void> {
+        if (!this.isEnabled() || this.paused) return;
+        this.cancel();
+        await this.run();
+    }
+
+    private nextDelay(): number {
+        if (this.failures === 0) return this.delayMs;
+        return Math.min(this.delayMs * 2 ** this.failures, MAX_AUTOSAVE_BACKOFF_MS);
+    }
+
+    private schedule(delayMs: number): void {
+        this.cancel();
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            void this.run();
+        }, delayMs);
+    }
+
+    private async run(): Promise<void> {
+        if (this.inFlight) {
+            // Edits made during a save are picked up once it settles
+            await this.inFlight;
+            if (this.canSave()) this.notifyChange();
+            return;
+        }
+        if (!this.canSave()) return;
+
+        this.inFlight = (async () => {
+            if (this.onStatusChange) this.onStatusChange("saving");
+            let ok = false;
+            try {
+                ok = await this.save();
+            } catch (error) {
+                console.error('Autosave failed:', error);
+            }
+
+            if (ok) {
+                this.failures = 0;
+                if (this.onStatusChange) this.onStatusChange("saved");
+            } else if (!this.paused) {
+                // A save that paused autosave, like a conflict, is reported by whoever paused it
+                this.failures++;
+                if (this.onStatusChange) this.onStatusChange("failed");
+            }
+        })();
+
+        try {
+            await this.inFlight;
+        } finally {
+            this.inFlight = null;
+        }
+
+        if (this.isEnabled() && this.canSave()) this.notifyChange();
+    }
+}
@@ -0,0 +1,152 @@
+/**
+ * Workspace Document Module
+ * The versioned JSON document chunked saves encrypt, and the reader for the
+ * separator-joined plaintext older versions stored.
+ *
+ * Tabs and merges keep working on the workspace text: tab payloads (see
+ * formatTabPayload) joined by getSeparatorHex. The document is built from
+ * that text on save and turned back into it on load. A chunked workspace
+ * stores each tab as a JSON chunk and the rest of the document, with the
+ * chunk ids in tab order, as its encrypted manifest. Older workspaces have a
+ * plain list of chunk ids as manifest and tab payloads as chunks, or a single
+ * envelope; they are read as they are and stored as documents on the next save.
+ */
+
+import {
+    MOBILE_METADATA_HINT,
+    formatTabPayload,
+    getImplicitTabId,
+    getTitleFromContent,
+    parseTabPayload,
+    readTabMetadata
+} from './tab-payload.js';
+import type { DocumentManifest, SerializedContent, Tab } from '../types/global.js';
+
+export const WORKSPACE_DOCUMENT_FORMAT = "cryptexa-workspace";
+export const WORKSPACE_DOCUMENT_VERSION = 1;
+
+/** A decrypted manifest: the document without its tabs, or null for a legacy id list */
+export interface ParsedManifest {
+    chunkIds: string[];
+    document: Omit<SerializedContent, "tabs"> | null;
+}
+
+/**
+ * Builds the document for workspace text split into its parts
+ */
+export function documentFromParts(parts: string[], activeTabId: string | null): SerializedContent {
+    const tabs: Tab[] = [];
+    let mobileAppMetadata: string | null = null;
+
+    for (const part of parts) {
+        if (part.includes(MOBILE_METADATA_HINT)) {
+            mobileAppMetadata = part;
+            continue;
+        }
+        const payload = parseTabPayload(part);
+        tabs.push({
+            id: payload.id || getImplicitTabId(tabs.length),
+            title: getTitleFromContent(payload.content),
+            content: payload.content,
+            color: payload.color,
+            pinned: payload.pinned,
+            created: payload.created,
+            modified: payload.modified
+        });
+    }
+
+    return {
+        format: WORKSPACE_DOCUMENT_FORMAT,
+        version: WORKSPACE_DOCUMENT_VERSION,
+        tabs,
+        activeTabId: tabs.some((tab) => tab.id === activeTabId) ? activeTabId : null,
+        mobileAppMetadata
+    };
+}
+
+/**
+ * Turns a document back into workspace text parts, the inverse of documentFromParts
+ */
+export function partsFromDocument(workspace: SerializedContent): string[] {
+    const parts = workspace.tabs.map((tab, index) => formatTabPayload(tab.content, {
+        ...tab,
+        id: tab.id === getImplicitTabId(index) ? null : tab.id
+    }));
+    if (workspace.mobileAppMetadata !== null) parts.push(workspace.mobileAppMetadata);
+    return parts;
+}
+
+/**
+ * Plaintext of a tab's chunk
+ */
+export function serializeDocumentTab(tab: Tab): string {
+    const { id, title, content, color, pinned, created, modified } = tab;
+    return JSON.stringify({ id, title, content, color, pinned, created, modified });
+}
+
+/**
+ * Reads a tab's chunk plaintext
+ * @returns null when it is not a document tab
+ */
+export function parseDocumentTab(plain: string): Tab | null {
+    let fields: unknown;
+    try {
+        fields = JSON.parse(plain);
+    } catch {
+        return null;
+    }
+    if (!fields || typeof fields !== "object") return null;
+
+    const { content } = fields as { content?: unknown };
+    const metadata = readTabMetadata(fields as Record<string, unknown>);
+    if (typeof content !== "string" || !metadata.id) return null;
+    return { ...metadata, id: metadata.id, title: getTitleFromContent(content), content };
+}
+
+/**
+ * Manifest plaintext for a document whose tabs are stored under the given chunk ids
+ */
+export function serializeManifest(workspace: SerializedContent, chunkIds: string[]): string {
+    const manifest: DocumentManifest = {
+        format: workspace.format,
+        version: workspace.version,
+        activeTabId: workspace.activeTabId,
+        mobileAppMetadata: workspace.mobileAppMetadata,
+        chunks: chunkIds
+    };
+    return JSON.stringify(manifest);
+}
+
+/**
+ * Reads manifest plaintext: a document manifest, or the chunk id list older versions wrote
+ * @returns null when it is neither, or a document of a newer version
+ */
+export function parseManifest(plain: string): ParsedManifest | null {
+    let manifest: unknown;
+    try {
+        manifest = JSON.parse(plain);
+    } catch {
+        return null;
+    }
+
+    if (Array.isArray(manifest)) {
+        return manifest.every((id) => typeof id === "string") ? { chunkIds: manifest as string[], document: null } : null;
+    }
+
+    const candidate = manifest as Partial<Record<keyof DocumentManifest, unknown>> | null;
+    if (!candidate || candidate.format !== WORKSPACE_DOCUMENT_FORMAT
+        || candidate.version !== WORKSPACE_DOCUMENT_VERSION
+        || !Array.isArray(candidate.chunks) || !candidate.chunks.every((id) => typeof id === "string")) {
+        return null;
+    }
+
+    return {
+        chunkIds: candidate.chunks as string[],
+        document: {
+            format: WORKSPACE_DOCUMENT_FORMAT,
+            version: WORKSPACE_DOCUMENT_VERSION,
+            activeTabId: typeof candidate.activeTabId === "string" ? candidate.activeTabId : null,
+            mobileAppMetadata: typeof candidate.mobileAppMetadata === "string" ? candidate.mobileAppMetadata : null
+        }
+    };
+}
@@ -4,6 +4,23 @@
  */
 
 export { ClientState, setTabFunctions } from './ClientState.js';
+export {
+    WORKSPACE_DOCUMENT_FORMAT,
+    WORKSPACE_DOCUMENT_VERSION,
+    documentFromParts,
+    partsFromDocument
+} from './document.js';
+export {
+    TAB_COLOR_METADATA_PREFIX,
+    MOBILE_METADATA_HINT,
+    createTabId,
+    formatTabPayload,
+    getImplicitTabId,
+    getTitleFromContent,
+    parseTabPayload,
+    readTabMetadata
+} from './tab-payload.js';
 
 // Re-export types
-export type { ClientStateCallbacks, TabFunctions } from './ClientState.js';
+export type { ClientStateCallbacks, RemoteChange, TabFunctions } from './ClientState.js';
+export type { TabMetadata, TabPayload } from './tab-payload.js';
@@ -0,0 +1,167 @@
+/**
+ * Tab Merge Module
+ * Three-way merge of workspace tabs used when a save races another session.
+ *
+ * Tabs are compared as whole strings: a tab changed on only one side is taken
+ * from that side, and a tab changed differently on both sides is reported as a
+ * conflict for the user to resolve.
+ */
+
+import type { ConflictResolution, TabConflict } from '../types/global.js';
+
+export type MergedTab =
+    | { kind: "resolved"; content: string }
+    | ({ kind: "conflict" } & TabConflict);
+
+export interface TabMergeResult {
+    tabs: MergedTab[];
+    conflicts: TabConflict[];
+}
+
+function arraysEqual(a: string[], b: string[]): boolean {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
+/**
+ * Maps base indices to indices in `other` along a longest common subsequence
+ */
+function matchIndices(base: string[], other: string[]): Map<number, number> {
+    const rows = base.length + 1;
+    const cols = other.length + 1;
+    const lengths = new Array<number>(rows * cols).fill(0);
+
+    for (let i = base.length - 1; i >= 0; i--) {
+        for (let j = other.length - 1; j >= 0; j--) {
+            lengths[i * cols + j] = base[i] === other[j]
+                ? (lengths[(i + 1) * cols + j + 1] ?? 0) + 1
+                : Math.max(lengths[(i + 1) * cols + j] ?? 0, lengths[i * cols + j + 1] ?? 0);
+        }
+    }
+
+    const matches = new Map<number, number>();
+    let i = 0;
+    let j = 0;
+    while (i < base.length && j < other.length) {
+        if (base[i] === other[j]) {
+            matches.set(i, j);
+            i++;
+            j++;
+        } else if ((lengths[(i + 1) * cols + j] ?? 0) >= (lengths[i * cols + j + 1] ?? 0)) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    return matches;
+}
+
+/** A side of the merge expressed relative to the base tabs */
+interface SideAlignment {
+    /** The side's version of each base tab, or null when it was removed */
+    versions: Array<string | null>;
+    /** Tabs the side inserted before each base index (last slot = appended) */
+    inserted: string[][];
+}
+
+/**
+ * Aligns one side against the base. Unmatched tabs between two common
+ * tabs are paired in order as edits; leftovers are removals or insertions.
+ */
+function alignToBase(base: string[], side: string[]): SideAlignment {
+    const matches = matchIndices(base, side);
+    const versions = new Array<string | null>(base.length).fill(null);
+    const inserted = Array.from({ length: base.length + 1 }, (): string[] => []);
+
+    const anchors = [...matches.entries()];
+    anchors.push([base.length, side.length]);
+
+    let prevBase = -1;
+    let prevSide = -1;
+    for (const [baseIndex, sideIndex] of anchors) {
+        const baseGap = baseIndex - prevBase - 1;
+        const sideGap = sideIndex - prevSide - 1;
+        const paired = Math.min(baseGap, sideGap);
+
+        for (let k = 0; k < paired; k++) {
+            versions[prevBase + 1 + k] = side[prevSide + 1 + k] ?? null;
+        }
+        inserted[baseIndex] = side.slice(prevSide + 1 + paired, sideIndex);
+
+        if (baseIndex < base.length) versions[baseIndex] = base[baseIndex] ?? null;
+        prevBase = baseIndex;
+        prevSide = sideIndex;
+    }
+
+    return { versions, inserted };
+}
+
+/**
+ * Runs a three-way merge over tab lists.
+ * @param base - Tabs as last loaded from or saved to the server
+ * @param local - Tabs currently open in this session
+ * @param remote - Tabs saved by the other session
+ * @returns Merged tab sequence plus the conflicts that need a decision
+ */
+export function mergeTabLists(base: string[], local: string[], remote: string[]): TabMergeResult {
+    const localSide = alignToBase(base, local);
+    const remoteSide = alignToBase(base, remote);
+    const tabs: MergedTab[] = [];
+    const conflicts: TabConflict[] = [];
+
+    const pushResolved = (content: string | null): void => {
+        if (content !== null) tabs.push({ kind: "resolved", content });
+    };
+
+    for (let i = 0; i <= base.length; i++) {
+        const localInserted = localSide.inserted[i] ?? [];
+        const remoteInserted = remoteSide.inserted[i] ?? [];
+        localInserted.forEach(pushResolved);
+        if (!arraysEqual(localInserted, remoteInserted)) remoteInserted.forEach(pushResolved);
+
+        if (i === base.length) break;
+
+        const b = base[i] ?? null;
+        const l = localSide.versions[i] ?? null;
+        const r = remoteSide.versions[i] ?? null;
+        if (l === b) {
+            pushResolved(r);
+        } else if (r === b || l === r) {
+            pushResolved(l);
+        } else {
+            const conflict: TabConflict = { base: b, local: l, remote: r };
+            conflicts.push(conflict);
+            tabs.push({ kind: "conflict", ...conflict });
+        }
+    }
+
+    return { tabs, conflicts };
+}
+
+/**
+ * Flattens a merge result into final tab contents using one resolution per conflict
+ */
+export function resolveMergedTabs(tabs: MergedTab[], resolutions: ConflictResolution[]): string[] {
+    const out: string[] = [];
+    let conflictIndex = 0;
+
+    for (const tab of tabs) {
+        if (tab.kind === "resolved") {
+            out.push(tab.content);
+            continue;
+        }
+
+        const resolution = resolutions[conflictIndex++] ?? "local";
+        if (resolution === "local" || resolution === "both") {
+            if (tab.local !== null) out.push(tab.local);
+        }
+        if (resolution === "remote" || resolution === "both") {
+            if (tab.remote !== null) out.push(tab.remote);
+        }
+    }
+
+    return out;
+}
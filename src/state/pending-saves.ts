@@ -0,0 +1,129 @@
+/**
+ * Pending Saves Module
+ * Write-ahead cache for saves that could not reach the server.
+ *
+ * Only ciphertext is stored: the encrypted content that would have been
+ * posted, the concurrency tokens, and the encrypted version the edits were based on.
+ * Browsers without IndexedDB (or with it blocked) fall back to memory.
+ */
+
+import type { StoredContent } from '../types/global.js';
+
+/** A save waiting to be replayed */
+export interface PendingSave {
+    site: string;
+    encryptedContent: StoredContent;
+    initHashContent: string;
+    currentHashContent: string;
+    /** Encrypted server version the queued edits started from, used as merge base */
+    baseEncryptedContent: StoredContent | null;
+    /** Number of saves coalesced into this entry */
+    pendingCount: number;
+    queuedAt: number;
+}
+
+export type PendingSaveInput = Omit<PendingSave, "pendingCount" | "queuedAt">;
+
+export interface PendingSaveStore {
+    /** Queues a save, replacing any older one for the same site; returns the pending count */
+    put(entry: PendingSaveInput): Promise<number>;
+    get(site: string): Promise<PendingSave | null>;
+    clear(site: string): Promise<void>;
+}
+
+const DB_NAME = "cryptexa";
+const DB_VERSION = 1;
+const STORE_NAME = "pending-saves";
+
+function coalesce(existing: PendingSave | null, entry: PendingSaveInput): PendingSave {
+    return {
+        ...entry,
+        // Keep the token and base of the first failed save: the server has not moved past them
+        initHashContent: existing ? existing.initHashContent : entry.initHashContent,
+        baseEncryptedContent: existing ? existing.baseEncryptedContent : entry.baseEncryptedContent,
+        pendingCount: (existing?.pendingCount || 0) + 1,
+        queuedAt: Date.now()
+    };
+}
+
+/**
+ * In-memory store, used when IndexedDB is unavailable
+ */
+export class MemoryPendingSaveStore implements PendingSaveStore {
+    private readonly entries = new Map<string, PendingSave>();
+
+    async put(entry: PendingSaveInput): Promise<number> {
+        const next = coalesce(this.entries.get(entry.site) || null, entry);
+        this.entries.set(entry.site, next);
+        return next.pendingCount;
+    }
+
+    async get(site: string): Promise<PendingSave | null> {
+        return this.entries.get(site) || null;
+    }
+
+    async clear(site: string): Promise<void> {
+        this.entries.delete(site);
+    }
+}
+
+function promisifyRequest<T>(request: IDBRequest<T>): Promise<T> {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * IndexedDB-backed store; survives reloads and closed tabs
+ */
+export class IndexedDbPendingSaveStore implements PendingSaveStore {
+    private dbPromise: Promise<IDBDatabase> | null = null;
+
+    private open(): Promise<IDBDatabase> {
+        if (!this.dbPromise) {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+                    request.result.createObjectStore(STORE_NAME, { keyPath: "site" });
+                }
+            };
+            this.dbPromise = promisifyRequest(request);
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    private async withStore<T>(
+        mode: IDBTransactionMode,
+        run: (store: IDBObjectStore) => IDBRequest<T>
+    ): Promise<T> {
+        const db = await this.open();
+        return promisifyRequest(run(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+    }
+
+    async put(entry: PendingSaveInput): Promise<number> {
+        const next = coalesce(await this.get(entry.site), entry);
+        await this.withStore("readwrite", (store) => store.put(next));
+        return next.pendingCount;
+    }
+
+    async get(site: string): Promise<PendingSave | null> {
+        const entry = await this.withStore<PendingSave | undefined>("readonly", (store) => store.get(site));
+        return entry || null;
+    }
+
+    async clear(site: string): Promise<void> {
+        await this.withStore("readwrite", (store) => store.delete(site));
+    }
+}
+
+/**
+ * Picks the IndexedDB store when the browser provides one
+ */
+export function createPendingSaveStore(): PendingSaveStore {
+    if (typeof indexedDB === "undefined") return new MemoryPendingSaveStore();
+    return new IndexedDbPendingSaveStore();
+}
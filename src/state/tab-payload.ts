@@ -0,0 +1,151 @@
+/**
+ * Tab Payload Module
+ * The stored form of a tab: its content behind a metadata header line, as
+ * tabs are joined into workspace text and read back from it.
+ */
+
+import { randomHex } from '../utils/crypto-helpers.js';
+
+/** Per-tab metadata stored in the header line in front of the tab's content */
+export interface TabMetadata {
+    /** Document id; null for tabs identified by position (see getImplicitTabId) */
+    id: string | null;
+    color: string | null;
+    pinned: boolean;
+    /** ISO timestamps; null for tabs saved before they were recorded */
+    created: string | null;
+    modified: string | null;
+}
+
+/** A stored tab split into its metadata and editable content */
+export interface TabPayload extends TabMetadata {
+    content: string;
+}
+
+export const TAB_COLOR_METADATA_PREFIX = "__CRYPTEXA_COLOR__:";
+export const MOBILE_METADATA_HINT = "Reload this website to hide mobile app metadata!";
+
+/**
+ * Lowercases a #rrggbb color; white and invalid colors mean no color
+ */
+export function normalizeTabColor(color: string | null | undefined): string | null {
+    if (!color) return null;
+    const normalized = color.trim().toLowerCase();
+    if (!/^#[0-9a-f]{6}$/.test(normalized)) return null;
+    return normalized === "#ffffff" ? null : normalized;
+}
+
+/**
+ * Creates a random tab id (64 bits, hex)
+ */
+export function createTabId(): string {
+    return randomHex(8);
+}
+
+/**
+ * Id of a tab whose header names none. Tabs saved before tabs had ids are
+ * identified by their position, so every session derives the same ids for
+ * them and their text does not change until they move.
+ */
+export function getImplicitTabId(index: number): string {
+    return index.toString(16).padStart(16, "0");
+}
+
+function normalizeTabId(value: unknown): string | null {
+    return typeof value === "string" && /^[0-9a-f]{16}$/.test(value) ? value : null;
+}
+
+function normalizeTimestamp(value: unknown): string | null {
+    if (typeof value !== "string") return null;
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * Reads metadata fields from parsed JSON, dropping values that are not valid
+ */
+export function readTabMetadata(fields: Record<string, unknown>): TabMetadata {
+    return {
+        id: normalizeTabId(fields.id),
+        color: typeof fields.color === "string" ? normalizeTabColor(fields.color) : null,
+        pinned: fields.pinned === true,
+        created: normalizeTimestamp(fields.created),
+        modified: normalizeTimestamp(fields.modified)
+    };
+}
+
+/**
+ * Prefixes tab content with its metadata header, as addTab expects it.
+ * The header keeps the TAB_COLOR_METADATA_PREFIX line older versions wrote:
+ * the color comes first and the remaining fields follow as a JSON object, so
+ * a tab with nothing but a color is stored exactly as before.
+ */
+export function formatTabPayload(content: string, metadata: Partial<TabMetadata> = {}): string {
+    const color = normalizeTabColor(metadata.color);
+    const fields: Record<string, unknown> = {};
+    if (metadata.id) fields.id = metadata.id;
+    if (metadata.pinned) fields.pinned = true;
+    if (metadata.created) fields.created = metadata.created;
+    if (metadata.modified) fields.modified = metadata.modified;
+
+    const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : "";
+    if (!color && !extra) return content;
+    return `${TAB_COLOR_METADATA_PREFIX}${color || ""}${extra}\n${content}`;
+}
+
+/**
+ * Splits a stored tab into its metadata and editable content
+ */
+export function parseTabPayload(content: string): TabPayload {
+    const payload: TabPayload = { id: null, color: null, pinned: false, created: null, modified: null, content };
+    if (!content.startsWith(TAB_COLOR_METADATA_PREFIX)) {
+        return payload;
+    }
+
+    const lineEndIndex = content.indexOf("\n");
+    const headerLine = lineEndIndex === -1 ? content : content.substring(0, lineEndIndex);
+    const header = headerLine.substring(TAB_COLOR_METADATA_PREFIX.length);
+    payload.content = lineEndIndex === -1 ? "" : content.substring(lineEndIndex + 1);
+
+    const match = /^\s*(#[0-9a-fA-F]{6})?\s*(\{.*\})?\s*$/.exec(header);
+    if (!match) {
+        return payload;
+    }
+    payload.color = normalizeTabColor(match[1]);
+
+    if (match[2]) {
+        try {
+            const fields = readTabMetadata(JSON.parse(match[2]) as Record<string, unknown>);
+            Object.assign(payload, fields, { color: payload.color });
+        } catch {
+            // An unreadable header only loses its metadata, never the content
+        }
+    }
+
+    return payload;
+}
+
+/**
+ * Computes tab title from content
+ */
+export function getTitleFromContent(content: string): string {
+    const effectiveContent = content.substring(0, 200);
+
+    if (!effectiveContent) return "Empty Tab";
+
+    let start = 0;
+    while (start < effectiveContent.length) {
+        const ch = effectiveContent[start];
+        if (ch !== " " && ch !== "\n" && ch !== "\t" && ch !== "\r" && ch !== "\v" && ch !== "\f") break;
+        start++;
+    }
+    if (start >= effectiveContent.length) return "Empty Tab";
+
+    const nlRel = effectiveContent.indexOf("\n", start);
+    const end = nlRel === -1 ? effectiveContent.length : nlRel;
+    let title = effectiveContent.substring(start, end);
+
+    if (!title || title.length === 0) return "Empty Tab";
+    if (title.length > 20) title = title.substr(0, 18) + "...";
+    return title;
+}
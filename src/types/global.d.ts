@@ -12,6 +12,47 @@ export interface EncryptionResult {
     cipherHex: string;
 }
 
+/** Key derivation settings recorded in a ciphertext envelope */
+export type KdfParams =
+    | {
+        kdf: 'pbkdf2-sha256';
+        iterations: number;
+    }
+    | {
+        kdf: 'argon2id';
+        /** Memory cost in KiB */
+        memoryKiB: number;
+        passes: number;
+        parallelism: number;
+    };
+
+/** Parsed ciphertext envelope; version 2 is the bare legacy salt:iv:cipher form */
+export interface CipherEnvelope {
+    version: 2 | 3;
+    kdf: KdfParams;
+    saltHex: string;
+    ivHex: string;
+    cipherHex: string;
+}
+
+/** One tab encrypted under the workspace key, as iv:cipher (hex) */
+export interface EncryptedChunk {
+    id: string;
+    data: string;
+}
+
+/** Workspace stored as independently encrypted per-tab chunks */
+export interface ChunkedContent {
+    /** Workspace key (hex) followed by the site hash, in a password envelope */
+    encryptedKey: string;
+    /** JSON list of chunk ids in tab order, encrypted under the workspace key */
+    manifest: string;
+    chunks: EncryptedChunk[];
+}
+
+/** A stored workspace: one envelope (older saves) or per-tab chunks */
+export type StoredContent = string | ChunkedContent;
+
 /** Encrypted content format stored/transmitted */
 export interface EncryptedContent {
     iv: string;
@@ -22,12 +63,18 @@ export interface EncryptedContent {
 // STATE TYPES
 // ============================================================================
 
-/** Tab data structure */
+/** A tab of a workspace document */
 export interface Tab {
+    /** Random id (64 bits, hex) that stays with the tab across saves */
     id: string;
+    /** Derived from the content, for readers that list tabs without showing them */
     title: string;
     content: string;
-    color?: string;
+    color: string | null;
+    pinned: boolean;
+    /** ISO timestamps; null when not recorded */
+    created: string | null;
+    modified: string | null;
 }
 
 /** Client state stored in memory */
@@ -43,10 +90,29 @@ export interface ClientStateData {
     encryptedContent: string;
 }
 
-/** Serialized content format */
+/** A tab edited differently by this session and another one; null means the side removed it */
+export interface TabConflict {
+    base: string | null;
+    local: string | null;
+    remote: string | null;
+}
+
+/** How a tab conflict is resolved */
+export type ConflictResolution = 'local' | 'remote' | 'both';
+
+/** Decrypted workspace document, the payload chunked saves encrypt */
 export interface SerializedContent {
+    format: 'cryptexa-workspace';
+    version: number;
     tabs: Tab[];
-    activeTabId: string;
+    activeTabId: string | null;
+    /** The mobile app's metadata tab, kept verbatim; null when there is none */
+    mobileAppMetadata: string | null;
+}
+
+/** Encrypted manifest of a chunked workspace: the document with its tabs replaced by chunk ids */
+export interface DocumentManifest extends Omit<SerializedContent, 'tabs'> {
+    chunks: string[];
 }
 
 // ============================================================================
@@ -77,6 +143,32 @@ export interface DeleteRequest {
     initHashContent: string;
 }
 
+/** Summary of a stored revision returned by /api/history */
+export interface RevisionSummary {
+    rev: number;
+    updatedAt: number;
+    size: number;
+}
+
+/** API response for revision history */
+export interface HistoryResponse {
+    status: 'success' | 'error';
+    currentRev: number | null;
+    revisions: RevisionSummary[];
+    message?: string;
+}
+
+/** API response for a single revision */
+export interface RevisionResponse {
+    status: 'success' | 'error';
+    rev: number;
+    updatedAt: number;
+    eContent: string;
+    /** Set instead of eContent for workspaces saved as chunks */
+    chunked?: ChunkedContent;
+    message?: string;
+}
+
 /** Generic API response */
 export interface ApiResponse {
     status: 'success' | 'error';
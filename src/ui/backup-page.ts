@@ -0,0 +1,322 @@
+/**
+ * Offline Backup Page
+ * Builds the self-contained HTML file that "Export" downloads. The page
+ * decrypts the embedded ciphertext locally, lists the tabs for viewing,
+ * copying and downloading, and can hand them to a Cryptexa workspace
+ * (see BACKUP_IMPORT_QUERY) to be encrypted and saved there again.
+ */
+
+import { createArgon2 } from '../crypto/argon2.js';
+import type { StoredContent } from '../types/global.js';
+
+/** A tab recovered from a backup */
+export interface BackupTab {
+    content: string;
+    color: string | null;
+    pinned: boolean;
+}
+
+export interface BackupPageOptions {
+    site: string;
+    eContent: StoredContent;
+    /** Tab separator, as from getSeparatorHex */
+    separator: string;
+    /** SHA-512 hex of the site name, appended to single-envelope plaintext */
+    siteHash: string;
+    /** Address of the Cryptexa instance that made the backup, offered as the import target */
+    appOrigin: string;
+    colorPrefix: string;
+    metadataHint: string;
+    /** Additional data of the encrypted manifest, MANIFEST_AAD */
+    manifestAad: string;
+    /** WORKSPACE_DOCUMENT_FORMAT, marking manifests of workspace documents */
+    documentFormat: string;
+}
+
+/**
+ * Query that makes an opened workspace wait for tabs posted by a backup page.
+ * The server relaxes the opener policy for it, so the page keeps its opener.
+ */
+export const BACKUP_IMPORT_QUERY = "import=backup";
+/**
+ * Query parameter next to BACKUP_IMPORT_QUERY holding a one-time nonce of 32
+ * hex characters. The workspace echoes it in BACKUP_IMPORT_READY and only
+ * accepts a BACKUP_IMPORT_MESSAGE carrying it.
+ */
+export const BACKUP_IMPORT_NONCE_PARAM = "nonce";
+/** Sent by a workspace opened with BACKUP_IMPORT_QUERY once it listens, with { nonce } */
+export const BACKUP_IMPORT_READY = "cryptexa-import-ready";
+/** Carries { nonce, tabs: BackupTab[] } from the backup page to the workspace */
+export const BACKUP_IMPORT_MESSAGE = "cryptexa-import";
+
+/**
+ * Turns decrypted tab parts into tabs, reading the metadata header (see
+ * formatTabPayload) and dropping the mobile app metadata tab. Runs inside the
+ * backup page as well, so it must not reference anything outside its own body.
+ */
+export function backupTabsFromParts(parts: string[], colorPrefix: string, metadataHint: string): BackupTab[] {
+    const tabs: BackupTab[] = [];
+    for (const part of parts) {
+        if (part.includes(metadataHint)) continue;
+        if (!part.startsWith(colorPrefix)) {
+            tabs.push({ content: part, color: null, pinned: false });
+            continue;
+        }
+        const lineEnd = part.indexOf("\n");
+        const header = (lineEnd === -1 ? part : part.substring(0, lineEnd)).substring(colorPrefix.length);
+        const match = /^\s*(#[0-9a-fA-F]{6})?\s*(\{.*\})?\s*$/.exec(header);
+        let pinned = false;
+        try {
+            pinned = Boolean(match && match[2] && JSON.parse(match[2]).pinned === true);
+        } catch {
+            pinned = false;
+        }
+        tabs.push({
+            content: lineEnd === -1 ? "" : part.substring(lineEnd + 1),
+            color: match && match[1] ? match[1].toLowerCase() : null,
+            pinned
+        });
+    }
+    return tabs;
+}
+
+/**
+ * Turns the decrypted chunks of a workspace document (see parseManifest) into
+ * tabs. Runs inside the backup page as well, so it must not reference anything
+ * outside its own body.
+ */
+export function backupTabsFromDocument(chunks: string[]): BackupTab[] {
+    return chunks.map((chunk) => {
+        const tab = JSON.parse(chunk) as { content?: unknown; color?: unknown; pinned?: unknown };
+        const color = typeof tab.color === "string" ? tab.color.toLowerCase() : "";
+        return {
+            content: typeof tab.content === "string" ? tab.content : "",
+            color: /^#[0-9a-f]{6}$/.test(color) ? color : null,
+            pinned: tab.pinned === true
+        };
+    });
+}
+
+/**
+ * Reads the nonce of BACKUP_IMPORT_NONCE_PARAM from a workspace URL
+ */
+export function readBackupImportNonce(params: URLSearchParams): string | null {
+    const nonce = params.get(BACKUP_IMPORT_NONCE_PARAM);
+    return nonce && /^[0-9a-f]{32}$/.test(nonce) ? nonce : null;
+}
+
+/**
+ * Reads the tabs out of a message posted to a workspace by a backup page,
+ * which must carry the nonce the workspace was opened with
+ */
+export function readBackupImportMessage(data: unknown, nonce: string): BackupTab[] | null {
+    const message = data as { type?: unknown; nonce?: unknown; tabs?: unknown } | null;
+    if (!message || message.type !== BACKUP_IMPORT_MESSAGE || message.nonce !== nonce || !Array.isArray(message.tabs)) {
+        return null;
+    }
+
+    const tabs: BackupTab[] = [];
+    for (const tab of message.tabs as Array<{ content?: unknown; color?: unknown; pinned?: unknown } | null>) {
+        if (!tab || typeof tab.content !== "string") return null;
+        tabs.push({
+            content: tab.content,
+            color: typeof tab.color === "string" ? tab.color : null,
+            pinned: tab.pinned === true
+        });
+    }
+    return tabs;
+}
+
+/**
+ * Whether a message can come from a backup page: one opened from a downloaded
+ * file, whose origin is the opaque "null", or one served by the app itself
+ */
+export function isBackupPageOrigin(origin: string, appOrigin: string): boolean {
+    return origin === "null" || origin === appOrigin;
+}
+
+function escapeHtml(text: string): string {
+    return text.replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
+}
+
+/**
+ * Builds the backup page's HTML
+ */
+export function buildBackupPage(options: BackupPageOptions): string {
+    const title = escapeHtml(`Cryptexa Encrypted Backup (${options.site})`);
+    const config = {
+        site: options.site,
+        separator: options.separator,
+        siteHash: options.siteHash,
+        appOrigin: options.appOrigin,
+        colorPrefix: options.colorPrefix,
+        metadataHint: options.metadataHint,
+        manifestAad: options.manifestAad,
+        documentFormat: options.documentFormat,
+        readyType: BACKUP_IMPORT_READY,
+        messageType: BACKUP_IMPORT_MESSAGE,
+        importQuery: BACKUP_IMPORT_QUERY,
+        nonceParam: BACKUP_IMPORT_NONCE_PARAM
+    };
+    // Keeps "</script>" and friends inside the JSON from ending the script element
+    const embed = (value: unknown): string => JSON.stringify(value).replace(/</g, "\\u003c");
+
+    return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${title}</title>
+<style>
+body{font:15px/1.5 system-ui,sans-serif;margin:24px;max-width:1100px}
+#viewer{display:none;grid-template-columns:220px 1fr;gap:16px;margin-top:16px}
+#viewer.open{display:grid}
+#tab-list{display:flex;flex-direction:column;gap:4px}
+#tab-list button{text-align:left;border:1px solid #ccc;border-left:6px solid transparent;background:#fff;padding:6px 8px;cursor:pointer}
+#tab-list button.active{background:#eef}
+#out{width:100%;min-height:420px;box-sizing:border-box;font:13px/1.5 ui-monospace,monospace;white-space:pre-wrap}
+.actions{display:flex;flex-wrap:wrap;gap:8px;align-items:center;margin:8px 0}
+#import{margin-top:24px;padding-top:12px;border-top:1px solid #ccc}
+</style></head>
+<body>
+<h3>${title}</h3>
+<p>Enter password to decrypt this backup locally. No network is required.</p>
+<form id="unlock" class="actions"><input type="password" id="pw" placeholder="Password" autocomplete="current-password"/><button id="dec">Decrypt</button></form>
+<p id="status" role="status"></p>
+<div id="viewer">
+<nav id="tab-list" aria-label="Tabs"></nav>
+<div>
+<div class="actions"><button id="copy" type="button">Copy</button><button id="download" type="button">Download</button></div>
+<textarea id="out" readonly aria-label="Tab contents"></textarea>
+<section id="import">
+<h4>Import into Cryptexa</h4>
+<p>Opens the workspace below and adds these tabs to it. Saving there encrypts them again with that workspace's password.</p>
+<div class="actions"><input id="import-origin" type="url" placeholder="https://cryptexa.example" aria-label="Cryptexa address"/><input id="import-site" placeholder="Workspace" aria-label="Workspace"/><button id="import-start" type="button">Open and import</button></div>
+</section>
+</div>
+</div>
+<script>
+const CONFIG=${embed(config)};
+const payload=${embed(options.eContent)};
+const textEncoder = new TextEncoder(); const textDecoder = new TextDecoder();
+function hexToBuf(hex){const len=hex.length/2;const out=new Uint8Array(len);for(let i=0;i<len;i++)out[i]=parseInt(hex.substr(i*2,2),16);return out.buffer;}
+async function pbkdf2KeyFromPassword(password, saltHex, iterations=150000){
+  const salt=hexToBuf(saltHex);
+  const baseKey=await crypto.subtle.importKey("raw", textEncoder.encode(password), {name:"PBKDF2"}, false, ["deriveKey"]);
+  return await crypto.subtle.deriveKey({name:"PBKDF2",salt,iterations,hash:"SHA-256"}, baseKey, {name:"AES-GCM",length:256}, false, ["decrypt"]);
+}
+const createArgon2=${createArgon2.toString()};
+async function argon2idKeyFromPassword(password, saltHex, params){
+  const tag=createArgon2().argon2id({password:textEncoder.encode(password),salt:new Uint8Array(hexToBuf(saltHex)),memoryKiB:params.m,passes:params.t,parallelism:params.p,tagLength:32});
+  return await crypto.subtle.importKey("raw", tag, {name:"AES-GCM"}, false, ["decrypt"]);
+}
+async function aesGcmDecryptHex(ivHex, cipherHex, password, saltHex, kdf){
+  const key=kdf.kdf==="argon2id"?await argon2idKeyFromPassword(password, saltHex, kdf):await pbkdf2KeyFromPassword(password, saltHex, kdf.iterations);
+  const plainBuf=await crypto.subtle.decrypt({name:"AES-GCM", iv:hexToBuf(ivHex)}, key, hexToBuf(cipherHex));
+  return textDecoder.decode(plainBuf);
+}
+async function decryptEnvelope(envelope, pw){
+  const parts=envelope.split(":");
+  let kdf={kdf:"pbkdf2-sha256",iterations:150000};
+  if(parts[0]==="v3"){
+    const params=Object.fromEntries(parts.slice(1,-3).map(p=>p.split("=")));
+    if(params.kdf==="pbkdf2-sha256"&&/^\\d+$/.test(params.iter||"")){kdf={kdf:params.kdf,iterations:Number(params.iter)};}
+    else if(params.kdf==="argon2id"&&[params.m,params.t,params.p].every(v=>/^\\d+$/.test(v||""))){kdf={kdf:params.kdf,m:Number(params.m),t:Number(params.t),p:Number(params.p)};}
+    else{throw new Error("Unsupported payload");}
+  }else if(parts.length!==3){throw new Error("Invalid payload");}
+  const [saltHex,ivHex,cipherHex]=parts.slice(-3);
+  return await aesGcmDecryptHex(ivHex,cipherHex,pw,saltHex,kdf);
+}
+async function decryptChunk(key, data, aad){
+  const [ivHex,cipherHex]=data.split(":");
+  const plainBuf=await crypto.subtle.decrypt({name:"AES-GCM", iv:hexToBuf(ivHex), additionalData:textEncoder.encode(aad)}, key, hexToBuf(cipherHex));
+  return textDecoder.decode(plainBuf);
+}
+const backupTabsFromParts=${backupTabsFromParts.toString()};
+const backupTabsFromDocument=${backupTabsFromDocument.toString()};
+const $=(id)=>document.getElementById(id);
+let tabs=[];
+let selected=0;
+function titleOf(tab){
+  const line=tab.content.trim().split("\\n")[0]||"";
+  return line?(line.length>20?line.substring(0,18)+"...":line):"Empty Tab";
+}
+function render(){
+  $("tab-list").replaceChildren(...tabs.map((tab,i)=>{
+    const button=document.createElement("button");
+    button.type="button";
+    button.textContent=titleOf(tab);
+    button.className=i===selected?"active":"";
+    button.style.borderLeftColor=tab.color||"transparent";
+    button.onclick=()=>{selected=i;render();};
+    return button;
+  }));
+  $("out").value=tabs[selected]?tabs[selected].content:"";
+}
+$("unlock").onsubmit=async(event)=>{
+  event.preventDefault();
+  const pw=$("pw").value||"";
+  try{
+    if(typeof payload==="string"){
+      let plain=await decryptEnvelope(payload,pw);
+      if(plain.endsWith(CONFIG.siteHash))plain=plain.slice(0,plain.length-CONFIG.siteHash.length);
+      tabs=backupTabsFromParts(plain.split(CONFIG.separator),CONFIG.colorPrefix,CONFIG.metadataHint);
+    }else{
+      // Chunked workspace: the envelope holds the 256-bit workspace key (hex) followed by the site hash
+      const keyHex=(await decryptEnvelope(payload.encryptedKey,pw)).slice(0,64);
+      const key=await crypto.subtle.importKey("raw", hexToBuf(keyHex), {name:"AES-GCM"}, false, ["decrypt"]);
+      const manifest=JSON.parse(await decryptChunk(key,payload.manifest,CONFIG.manifestAad));
+      const parts=[];
+      for(const chunk of payload.chunks){parts.push(await decryptChunk(key,chunk.data,chunk.id));}
+      // Older saves list chunk ids and store tab payloads; documents store JSON tabs
+      tabs=manifest&&manifest.format===CONFIG.documentFormat
+        ?backupTabsFromDocument(parts)
+        :backupTabsFromParts(parts,CONFIG.colorPrefix,CONFIG.metadataHint);
+    }
+    selected=0;
+    render();
+    $("viewer").classList.add("open");
+    $("status").textContent=tabs.length+" tab(s) decrypted.";
+  }catch(e){
+    $("status").textContent=e instanceof Error&&/payload/.test(e.message)?e.message:"Decryption failed.";
+  }
+};
+$("copy").onclick=async()=>{
+  const out=$("out");
+  try{await navigator.clipboard.writeText(out.value);}
+  catch{out.select();document.execCommand("copy");}
+  $("status").textContent="Copied.";
+};
+$("download").onclick=()=>{
+  const tab=tabs[selected];
+  if(!tab)return;
+  const name=titleOf(tab).replace(/\\.\\.\\.$/,"").replace(/[\\\\/:*?"<>|]+/g,"-").trim()||"Untitled";
+  const anchor=document.createElement("a");
+  anchor.href=URL.createObjectURL(new Blob([tab.content],{type:"text/plain"}));
+  anchor.download=name+".txt";
+  document.body.appendChild(anchor);
+  anchor.click();
+  URL.revokeObjectURL(anchor.href);
+  anchor.remove();
+};
+$("import-origin").value=CONFIG.appOrigin;
+$("import-site").value=CONFIG.site;
+let importWindow=null;
+let importOrigin="";
+let importNonce="";
+$("import-start").onclick=()=>{
+  const site=$("import-site").value.trim();
+  importNonce=Array.from(crypto.getRandomValues(new Uint8Array(16)),(b)=>b.toString(16).padStart(2,"0")).join("");
+  let target;
+  try{target=new URL("/"+encodeURIComponent(site)+"?"+CONFIG.importQuery+"&"+CONFIG.nonceParam+"="+importNonce,$("import-origin").value.trim());}
+  catch{$("status").textContent="Enter the Cryptexa address, e.g. https://cryptexa.example.";return;}
+  if(!site||!/^https?:$/.test(target.protocol)){$("status").textContent="Enter the Cryptexa address and a workspace name.";return;}
+  importOrigin=target.origin;
+  importWindow=window.open(target.href);
+  $("status").textContent=importWindow?"Waiting for the workspace to open...":"The browser blocked the new window.";
+};
+window.addEventListener("message",(event)=>{
+  if(!importWindow||event.source!==importWindow||event.origin!==importOrigin)return;
+  if(!event.data||event.data.type!==CONFIG.readyType||event.data.nonce!==importNonce)return;
+  importWindow.postMessage({type:CONFIG.messageType,nonce:importNonce,tabs:tabs.map((tab)=>({content:tab.content,color:tab.color,pinned:tab.pinned}))},importOrigin);
+  importWindow=null;
+  $("status").textContent="Sent "+tabs.length+" tab(s). Unlock the workspace and save it to finish the import.";
+});
+<${"/"}script>
+</body></html>`;
+}
@@ -0,0 +1,94 @@
+/**
+ * Checklists Module
+ * Markdown task lines (`- [ ]` and `- [x]`): counting them for the tab
+ * header and checking or unchecking them in the editor.
+ */
+
+export interface TaskCount {
+    open: number;
+    done: number;
+}
+
+/** A list item with a checkbox; group 1 runs up to the box's mark, group 2 is the mark */
+export const TASK_LINE_PATTERN = /^([ \t]*(?:[-*+]|\d{1,9}[.)])[ \t]+\[)([ xX])\](?=[ \t]|$)/;
+const TASK_LINES_PATTERN = /^[ \t]*(?:[-*+]|\d{1,9}[.)])[ \t]+\[([ xX])\](?=[ \t]|$)/gm;
+const COUNT_DELAY_MS = 150;
+
+const pendingCounts = new WeakMap<HTMLElement, ReturnType<typeof setTimeout>>();
+
+/**
+ * Whether a line is a task, and whether it is done
+ * @returns null for lines that are not tasks
+ */
+export function readTaskLine(line: string): { done: boolean } | null {
+    const match = TASK_LINE_PATTERN.exec(line);
+    return match ? { done: match[2] !== " " } : null;
+}
+
+/**
+ * Counts the open and done tasks in a note
+ */
+export function countTasks(content: string): TaskCount {
+    const count: TaskCount = { open: 0, done: 0 };
+    for (const match of content.matchAll(TASK_LINES_PATTERN)) {
+        if (match[1] === " ") count.open++;
+        else count.done++;
+    }
+    return count;
+}
+
+/**
+ * Checks or unchecks the task on a line of the textarea, keeping the selection.
+ * Callers dispatch the input event, as for other programmatic edits.
+ * @param lineIndex - Zero-based line
+ * @returns Whether the line was a task
+ */
+export function toggleTaskLine(textarea: HTMLTextAreaElement, lineIndex: number): boolean {
+    const value = textarea.value;
+    let lineStart = 0;
+    for (let line = 0; line < lineIndex; line++) {
+        const newline = value.indexOf("\n", lineStart);
+        if (newline === -1) return false;
+        lineStart = newline + 1;
+    }
+    const lineEnd = value.indexOf("\n", lineStart);
+    const match = TASK_LINE_PATTERN.exec(value.slice(lineStart, lineEnd === -1 ? value.length : lineEnd));
+    if (!match) return false;
+
+    const markPosition = lineStart + match[1]!.length;
+    textarea.setRangeText(match[2] === " " ? "x" : " ", markPosition, markPosition + 1, "preserve");
+    return true;
+}
+
+/**
+ * Shows a tab's task progress next to its title, or nothing when it has no tasks
+ */
+export function updateTaskCount(header: HTMLElement, content: string): void {
+    const { open, done } = countTasks(content);
+    let badge = header.querySelector<HTMLElement>(".tab-task-count");
+
+    if (open + done === 0) {
+        badge?.remove();
+        return;
+    }
+    if (!badge) {
+        badge = document.createElement("span");
+        badge.className = "tab-task-count";
+        header.querySelector(".tab-title")?.after(badge);
+    }
+    badge.textContent = `${done}/${open + done}`;
+    badge.title = `${done} of ${open + done} tasks done`;
+    badge.classList.toggle("complete", open === 0);
+}
+
+/**
+ * Updates the task count once typing pauses
+ */
+export function scheduleTaskCountUpdate(header: HTMLElement, textarea: HTMLTextAreaElement): void {
+    const pending = pendingCounts.get(header);
+    if (pending) clearTimeout(pending);
+    pendingCounts.set(header, setTimeout(() => {
+        pendingCounts.delete(header);
+        updateTaskCount(header, textarea.value);
+    }, COUNT_DELAY_MS));
+}
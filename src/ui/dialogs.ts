@@ -5,6 +5,7 @@
 
 import { qs, setPasswordMode, hideHint } from '../utils/dom.js';
 import { toast } from './toast.js';
+import type { KdfParams } from '../types/global.js';
 
 // ============================================================================
 // TYPES
@@ -25,7 +26,9 @@ export interface DeletePasswordDialogConfig {
 /** New password dialog configuration */
 export interface NewPasswordDialogConfig {
     title?: string;
-    onSave: (pass1: string, pass2: string) => Promise<boolean>;
+    /** Key derivation preselected in the dialog */
+    kdf?: KdfParams['kdf'];
+    onSave: (pass1: string, pass2: string, kdf: KdfParams['kdf']) => Promise<boolean>;
 }
 
 /** Confirm dialog callback */
@@ -156,11 +159,12 @@ export const openDeletePasswordDialog = ({ onOk }: DeletePasswordDialogConfig):
  * Opens new password creation/change dialog
  * @param config - Configuration object
  */
-export const openNewPasswordDialog = ({ title, onSave }: NewPasswordDialogConfig): void => {
+export const openNewPasswordDialog = ({ title, kdf, onSave }: NewPasswordDialogConfig): void => {
     const dlg = qs<HTMLDialogElement>("#dialog-new-password")!;
     const titleEl = qs<HTMLElement>("#dialog-new-password-title")!;
     const p1 = qs<HTMLInputElement>("#newpassword1")!;
     const p2 = qs<HTMLInputElement>("#newpassword2")!;
+    const kdfSelect = qs<HTMLSelectElement>("#newpassword-kdf");
     const btnOk = dlg.querySelector<HTMLButtonElement>("button[value='ok']")!;
 
     titleEl.textContent = title || "Create password";
@@ -169,6 +173,7 @@ export const openNewPasswordDialog = ({ title, onSave }: NewPasswordDialogConfig
     dlg.returnValue = "cancel";
     p1.value = "";
     p2.value = "";
+    if (kdfSelect) kdfSelect.value = kdf || "pbkdf2-sha256";
     dlg.showModal();
     queueMicrotask(() => p1.focus());
     const handleEnterKey = (event: KeyboardEvent): void => {
@@ -183,7 +188,8 @@ export const openNewPasswordDialog = ({ title, onSave }: NewPasswordDialogConfig
         ev?.preventDefault?.();
         btnOk.disabled = true;
         try {
-            const proceed = await onSave(p1.value, p2.value);
+            const selectedKdf = kdfSelect?.value === "argon2id" ? "argon2id" : "pbkdf2-sha256";
+            const proceed = await onSave(p1.value, p2.value, selectedKdf);
             if (proceed) {
                 dlg.close("ok");
             }
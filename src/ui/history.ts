@@ -0,0 +1,171 @@
+/**
+ * Revision History Dialog
+ * Lists server-side encrypted revisions, previews them after local decryption,
+ * and hands the chosen revision back for restore.
+ */
+
+import { qs } from "../utils/dom.js";
+import { getSeparatorHex } from "../utils/crypto-helpers.js";
+import { toast } from "./toast.js";
+import { parseTabPayload } from "../state/tab-payload.js";
+import type { RevisionSummary } from "../types/global.js";
+
+export interface HistoryDialogConfig {
+    loadRevisions: () => Promise<RevisionSummary[]>;
+    decryptRevision: (rev: number) => Promise<string | null>;
+    onRestore: (rev: number) => Promise<void>;
+}
+
+let historyDialog: HTMLDialogElement | null = null;
+let activeConfig: HistoryDialogConfig | null = null;
+let selectedRev: number | null = null;
+let previewRequestId = 0;
+
+function formatTimestamp(timestamp: number): string {
+    return new Date(timestamp).toLocaleString([], {
+        year: "numeric",
+        month: "short",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit"
+    });
+}
+
+function formatSize(size: number): string {
+    if (size < 1024) return `${size} B`;
+    if (size < 1024 * 1024) return `${(size / 1024).toFixed(1)} KB`;
+    return `${(size / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+async function formatPreview(content: string): Promise<string> {
+    const separator = await getSeparatorHex();
+    const parts = content.split(separator).map((part) => parseTabPayload(part).content);
+    if (parts.length === 1) return parts[0] ?? "";
+    return parts.map((part, index) => `--- Tab ${index + 1} ---\n${part}`).join("\n\n");
+}
+
+function ensureHistoryDialog(): HTMLDialogElement {
+    if (historyDialog) return historyDialog;
+
+    const dialog = document.createElement("dialog");
+    dialog.id = "history-dialog";
+    dialog.className = "app-dialog app-dialog--wide history-dialog";
+    dialog.setAttribute("aria-labelledby", "history-dialog-title");
+    dialog.innerHTML = `
+        <form method="dialog" class="dialog-shell">
+            <div class="dialog-header">
+                <p class="dialog-eyebrow">History</p>
+                <h2 id="history-dialog-title">Restore a revision</h2>
+                <p>Revisions are decrypted in this browser with the current password. Restoring saves the revision as a new version.</p>
+            </div>
+            <div class="history-body">
+                <div class="history-list" id="history-list" role="listbox" aria-label="Saved revisions"></div>
+                <pre class="history-preview" id="history-preview" aria-live="polite"></pre>
+            </div>
+            <menu class="dialog-actions">
+                <button value="cancel" class="secondary">Close</button>
+                <button value="ok" type="button" class="primary" id="history-restore" disabled>Restore</button>
+            </menu>
+        </form>
+    `;
+
+    document.body.appendChild(dialog);
+    historyDialog = dialog;
+
+    const list = dialog.querySelector<HTMLElement>("#history-list");
+    const restoreButton = dialog.querySelector<HTMLButtonElement>("#history-restore");
+
+    list?.addEventListener("click", (event) => {
+        const item = (event.target as HTMLElement).closest<HTMLElement>(".history-item");
+        if (!item?.dataset.rev) return;
+        void selectRevision(Number(item.dataset.rev));
+    });
+
+    restoreButton?.addEventListener("click", async () => {
+        if (!activeConfig || selectedRev === null) return;
+        const config = activeConfig;
+        const rev = selectedRev;
+        dialog.close("ok");
+        await config.onRestore(rev);
+    });
+
+    return dialog;
+}
+
+function renderRevisionList(revisions: RevisionSummary[]): void {
+    const list = qs<HTMLElement>("#history-list");
+    if (!list) return;
+
+    if (revisions.length === 0) {
+        list.innerHTML = `<div class="search-hint">No earlier revisions yet. History starts with the next save.</div>`;
+        return;
+    }
+
+    list.innerHTML = revisions.map((revision) => `
+        <div class="history-item" role="option" aria-selected="false" data-rev="${revision.rev}">
+            <span class="history-item-title">Revision ${revision.rev}</span>
+            <span class="history-item-meta">${formatTimestamp(revision.updatedAt)} - ${formatSize(revision.size)}</span>
+        </div>
+    `).join("");
+}
+
+async function selectRevision(rev: number): Promise<void> {
+    const preview = qs<HTMLElement>("#history-preview");
+    const restoreButton = qs<HTMLButtonElement>("#history-restore");
+    if (!activeConfig || !preview || !restoreButton) return;
+
+    selectedRev = rev;
+    restoreButton.disabled = true;
+    historyDialog?.querySelectorAll<HTMLElement>(".history-item").forEach((item) => {
+        const selected = item.dataset.rev === String(rev);
+        item.classList.toggle("active", selected);
+        item.setAttribute("aria-selected", String(selected));
+    });
+
+    const requestId = ++previewRequestId;
+    preview.textContent = "Decrypting...";
+
+    try {
+        const content = await activeConfig.decryptRevision(rev);
+        if (requestId !== previewRequestId) return;
+
+        if (content === null) {
+            preview.textContent = "This revision cannot be decrypted with the current password.";
+            return;
+        }
+
+        preview.textContent = await formatPreview(content);
+        restoreButton.disabled = false;
+    } catch (error) {
+        if (requestId !== previewRequestId) return;
+        console.error("Revision preview failed:", error);
+        preview.textContent = "Failed to load this revision.";
+    }
+}
+
+export async function openHistoryDialog(config: HistoryDialogConfig): Promise<void> {
+    const dialog = ensureHistoryDialog();
+    const preview = qs<HTMLElement>("#history-preview");
+    const restoreButton = qs<HTMLButtonElement>("#history-restore");
+
+    activeConfig = config;
+    selectedRev = null;
+    previewRequestId++;
+    if (preview) preview.textContent = "Select a revision to preview it.";
+    if (restoreButton) restoreButton.disabled = true;
+
+    let revisions: RevisionSummary[];
+    try {
+        revisions = await config.loadRevisions();
+    } catch (error) {
+        console.error("History load failed:", error);
+        toast("Could not load history. Connection issue.", "error", 2500);
+        return;
+    }
+
+    renderRevisionList(revisions);
+    dialog.returnValue = "cancel";
+    if (!dialog.open) {
+        dialog.showModal();
+    }
+}
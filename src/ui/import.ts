@@ -0,0 +1,167 @@
+/**
+ * Note Import Module
+ * Turns .txt/.md files, or a ZIP of them such as a Markdown export, into tab
+ * contents. Runs entirely in the browser.
+ */
+
+import { readZip, type ZipFile } from '../utils/zip.js';
+import { textEncoder } from '../utils/crypto-helpers.js';
+import { MARKDOWN_EXPORT_FORMAT, type MarkdownExportManifest } from './markdown-export.js';
+
+/** A tab to create from an imported file */
+export interface ImportedTab {
+    /** File the tab came from */
+    name: string;
+    content: string;
+    color: string | null;
+    pinned: boolean;
+}
+
+export interface ImportResult {
+    tabs: ImportedTab[];
+    /** Files left out because they are not text notes */
+    skipped: string[];
+}
+
+/**
+ * Saves send hex ciphertext, so a save request is about twice the UTF-8 size
+ * of the workspace text
+ */
+const SAVE_BYTES_PER_TEXT_BYTE = 2;
+
+const TEXT_FILE_PATTERN = /\.(?:md|markdown|txt)$/i;
+const ZIP_FILE_PATTERN = /\.zip$/i;
+
+const fatalDecoder = new TextDecoder("utf-8", { fatal: true });
+
+/**
+ * UTF-8 bytes of workspace text that still fit into a save, given the
+ * server's request limit; Infinity when the limit is unknown
+ */
+export function getImportBudget(maxContentBytes: number | null, existingContent: string): number {
+    if (!maxContentBytes) return Infinity;
+    return Math.floor(maxContentBytes / SAVE_BYTES_PER_TEXT_BYTE) - textEncoder.encode(existingContent).length;
+}
+
+/**
+ * UTF-8 bytes of the tabs' text, to compare with getImportBudget
+ */
+export function getImportSize(tabs: Array<{ content: string }>): number {
+    return tabs.reduce((total, tab) => total + textEncoder.encode(tab.content).length, 0);
+}
+
+function decodeText(data: Uint8Array): string | null {
+    try {
+        const text = fatalDecoder.decode(data);
+        return text.includes("\u0000") ? null : text;
+    } catch {
+        return null;
+    }
+}
+
+function byName(a: ZipFile, b: ZipFile): number {
+    return a.name.localeCompare(b.name, undefined, { numeric: true });
+}
+
+function isHiddenEntry(name: string): boolean {
+    return name.startsWith("__MACOSX/") || name.split("/").some((part) => part.startsWith("."));
+}
+
+function readManifest(files: ZipFile[]): MarkdownExportManifest | null {
+    const file = files.find((entry) => entry.name === "manifest.json");
+    const text = file && decodeText(file.data);
+    if (!text) return null;
+
+    try {
+        const manifest = JSON.parse(text) as MarkdownExportManifest;
+        return manifest.format === MARKDOWN_EXPORT_FORMAT && Array.isArray(manifest.tabs) ? manifest : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Picks the notes out of a ZIP. Markdown exports are restored in their
+ * recorded order with colors and pins; other archives contribute their text
+ * files in name order.
+ */
+export function tabsFromZip(files: ZipFile[]): ImportResult {
+    const result: ImportResult = { tabs: [], skipped: [] };
+    const manifest = readManifest(files);
+    const used = new Set<string>();
+
+    if (manifest) {
+        used.add("manifest.json");
+        for (const entry of manifest.tabs) {
+            const file = files.find((candidate) => candidate.name === entry.file);
+            const content = file && decodeText(file.data);
+            if (!file || content === null || content === undefined) continue;
+            used.add(file.name);
+            result.tabs.push({
+                name: file.name,
+                content,
+                color: typeof entry.color === "string" ? entry.color : null,
+                pinned: entry.pinned === true
+            });
+        }
+    }
+
+    for (const file of [...files].sort(byName)) {
+        if (used.has(file.name) || isHiddenEntry(file.name)) continue;
+        const content = TEXT_FILE_PATTERN.test(file.name) ? decodeText(file.data) : null;
+        if (content === null) {
+            result.skipped.push(file.name);
+            continue;
+        }
+        result.tabs.push({ name: file.name, content, color: null, pinned: false });
+    }
+
+    return result;
+}
+
+/**
+ * Reads the chosen files in name order, expanding ZIP archives
+ * @param budget - UTF-8 bytes the imported text may take, from getImportBudget
+ * @throws Error with a user-facing message when an archive cannot be read or the notes do not fit
+ */
+export async function readImportFiles(files: File[], budget = Infinity): Promise<ImportResult> {
+    const result: ImportResult = { tabs: [], skipped: [] };
+    const sorted = [...files].sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    let total = 0;
+
+    for (const file of sorted) {
+        const isZip = ZIP_FILE_PATTERN.test(file.name);
+        if (!isZip && !TEXT_FILE_PATTERN.test(file.name)) {
+            result.skipped.push(file.name);
+            continue;
+        }
+        if (!isZip && file.size > budget - total) {
+            throw new Error(`${file.name} does not fit into the workspace.`);
+        }
+
+        const data = new Uint8Array(await file.arrayBuffer());
+        let imported: ImportResult;
+        if (isZip) {
+            try {
+                imported = tabsFromZip(await readZip(data, budget - total));
+            } catch (error) {
+                const reason = error instanceof Error ? error.message : "Unreadable archive";
+                throw new Error(`Could not import ${file.name}: ${reason}.`);
+            }
+        } else {
+            const content = decodeText(data);
+            imported = content === null
+                ? { tabs: [], skipped: [file.name] }
+                : { tabs: [{ name: file.name, content, color: null, pinned: false }], skipped: [] };
+        }
+
+        total += getImportSize(imported.tabs);
+        if (total > budget) {
+            throw new Error("The imported notes do not fit into the workspace.");
+        }
+        result.tabs.push(...imported.tabs);
+        result.skipped.push(...imported.skipped);
+    }
+
+    return result;
+}
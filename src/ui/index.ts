@@ -19,6 +19,14 @@ export type {
     ConfirmDialogCallback
 } from './dialogs.js';
 
+export { openHistoryDialog } from './history.js';
+export type { HistoryDialogConfig } from './history.js';
+
+export { openMergeConflictDialog } from './merge-dialog.js';
+
+export { showUpdateBanner, hideUpdateBanner } from './update-banner.js';
+export type { UpdateBannerConfig } from './update-banner.js';
+
 export {
     initTheme,
     wireThemeToggle,
@@ -30,21 +38,44 @@ export {
 } from './themes.js';
 export type { ThemePreference } from './themes.js';
 
+export {
+    initMarkdownPreview,
+    applyMarkdownView,
+    cycleMarkdownView,
+    getMarkdownViewMode
+} from './markdown-preview.js';
+export type { MarkdownViewMode } from './markdown-preview.js';
+
+export {
+    TASK_LINE_PATTERN,
+    readTaskLine,
+    countTasks,
+    toggleTaskLine,
+    updateTaskCount,
+    scheduleTaskCountUpdate
+} from './checklists.js';
+export type { TaskCount } from './checklists.js';
+
 export {
     initTabsLayout,
     refreshTabs,
     activateTab,
     addTab,
     focusActiveTextarea,
-    getTitleFromContent,
+    setTabPinned,
+    closeTab,
+    getClosedTabs,
+    reopenClosedTab,
     updateGutterForTextarea,
     updateActiveLineHighlight,
     updateSelectedLinesHighlight,
     setContentOfTabs,
     getContentFromTabs,
+    getActiveTabId,
+    getTabSnapshots,
     onWindowResize,
     getCurrentTabTitle,
     getCurrentTextarea,
     resetTabCounter
 } from './tabs.js';
-export type { OnModifiedCallback, TabState } from './tabs.js';
+export type { OnModifiedCallback, TabState, TabSnapshot, ClosedTab } from './tabs.js';
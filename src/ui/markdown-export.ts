@@ -0,0 +1,93 @@
+/**
+ * Markdown Export Module
+ * Packs the decrypted tabs into a ZIP with one file per tab and a manifest
+ * recording tab order, colors and pins. Runs entirely in the browser.
+ */
+
+import { createZip, type ZipEntry } from '../utils/zip.js';
+import { downloadBlob } from '../utils/dom.js';
+import { getTitleFromContent } from '../state/tab-payload.js';
+import type { TabSnapshot } from './tabs.js';
+
+export const MARKDOWN_EXPORT_FORMAT = "cryptexa-markdown-export";
+export const MARKDOWN_EXPORT_VERSION = 1;
+
+/** One tab as listed in manifest.json */
+export interface MarkdownExportTab {
+    file: string;
+    title: string;
+    color: string | null;
+    pinned: boolean;
+}
+
+/** Contents of manifest.json */
+export interface MarkdownExportManifest {
+    format: typeof MARKDOWN_EXPORT_FORMAT;
+    version: typeof MARKDOWN_EXPORT_VERSION;
+    site: string;
+    exportedAt: string;
+    tabs: MarkdownExportTab[];
+}
+
+const MARKDOWN_PATTERNS = [
+    /^#{1,6}\s/m,
+    /^\s*(?:[-*+]|\d+\.)\s/m,
+    /^>\s/m,
+    /^```/m,
+    /\[[^\]\n]+\]\([^)\n]+\)/,
+    /\*\*[^*\n]+\*\*/
+];
+
+/**
+ * Whether text uses common Markdown syntax; other tabs are exported as .txt
+ */
+export function looksLikeMarkdown(content: string): boolean {
+    return MARKDOWN_PATTERNS.some((pattern) => pattern.test(content));
+}
+
+/**
+ * Turns a tab title into a file name that is valid on Windows, macOS and Linux
+ */
+function toFileStem(title: string): string {
+    const stem = title
+        .replace(/\.\.\.$/, "")
+        .replace(/[\\/:*?"<>|\p{Cc}]+/gu, "-")
+        .replace(/\s+/g, " ")
+        .replace(/^[\s.-]+|[\s.-]+$/g, "");
+    return stem || "Untitled";
+}
+
+/**
+ * Builds the archive entries: numbered tab files in display order, then manifest.json
+ */
+export function buildMarkdownExport(tabs: TabSnapshot[], site: string, exportedAt: Date): ZipEntry[] {
+    const digits = Math.max(2, String(tabs.length).length);
+    const entries: ZipEntry[] = [];
+    const manifest: MarkdownExportManifest = {
+        format: MARKDOWN_EXPORT_FORMAT,
+        version: MARKDOWN_EXPORT_VERSION,
+        site,
+        exportedAt: exportedAt.toISOString(),
+        tabs: []
+    };
+
+    tabs.forEach((tab, index) => {
+        const title = getTitleFromContent(tab.content);
+        const extension = looksLikeMarkdown(tab.content) ? "md" : "txt";
+        const file = `${String(index + 1).padStart(digits, "0")}-${toFileStem(title)}.${extension}`;
+        entries.push({ name: file, data: tab.content });
+        manifest.tabs.push({ file, title, color: tab.color, pinned: tab.pinned });
+    });
+
+    entries.push({ name: "manifest.json", data: JSON.stringify(manifest, null, 2) + "\n" });
+    return entries;
+}
+
+/**
+ * Downloads the tabs as cryptexa-<site>-markdown.zip
+ */
+export function downloadMarkdownExport(tabs: TabSnapshot[], site: string): void {
+    const exportedAt = new Date();
+    const archive = createZip(buildMarkdownExport(tabs, site, exportedAt), exportedAt);
+    downloadBlob(new Blob([archive], { type: "application/zip" }), `cryptexa-${site}-markdown.zip`);
+}
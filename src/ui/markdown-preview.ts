@@ -0,0 +1,141 @@
+/**
+ * Markdown Preview Module
+ * Shows a tab's Markdown rendered beside its editor (split) or instead of it
+ * (preview). The view is chosen per tab and kept for the session by document
+ * id, so it survives reloads and merges that rebuild the tabs.
+ */
+
+import { qs } from '../utils/dom.js';
+import { renderMarkdown } from '../utils/markdown.js';
+
+export type MarkdownViewMode = "edit" | "split" | "preview";
+
+const VIEW_MODES: MarkdownViewMode[] = ["edit", "split", "preview"];
+const VIEW_MODE_LABELS: Record<MarkdownViewMode, string> = {
+    edit: "Editor",
+    split: "Split",
+    preview: "Preview"
+};
+const RENDER_DELAY_MS = 150;
+
+const viewModes = new Map<string, MarkdownViewMode>();
+let renderTimer: ReturnType<typeof setTimeout> | null = null;
+/** Element whose scroll position was last set to follow the other one */
+let followingElement: Element | null = null;
+let isInitialized = false;
+
+/**
+ * View of the tab with the given document id
+ */
+export function getMarkdownViewMode(documentId: string | undefined): MarkdownViewMode {
+    return (documentId && viewModes.get(documentId)) || "edit";
+}
+
+function getPreview(panel: HTMLElement): HTMLElement {
+    let preview = panel.querySelector<HTMLElement>(".markdown-preview");
+    if (!preview) {
+        preview = document.createElement("div");
+        preview.className = "markdown-preview";
+        preview.tabIndex = 0;
+        preview.setAttribute("aria-label", "Markdown preview");
+        panel.appendChild(preview);
+    }
+    return preview;
+}
+
+function renderPreview(panel: HTMLElement): void {
+    const textarea = panel.querySelector<HTMLTextAreaElement>("textarea.textarea-contents");
+    getPreview(panel).innerHTML = renderMarkdown(textarea?.value || "");
+}
+
+/** Scrolls one pane to the same relative position as the other */
+function followScroll(source: HTMLElement, target: HTMLElement): void {
+    const sourceRange = source.scrollHeight - source.clientHeight;
+    const targetRange = target.scrollHeight - target.clientHeight;
+    if (targetRange <= 0) return;
+    const scrollTop = sourceRange > 0 ? Math.round((source.scrollTop / sourceRange) * targetRange) : 0;
+    if (Math.abs(target.scrollTop - scrollTop) < 1) return;
+    followingElement = target;
+    target.scrollTop = scrollTop;
+}
+
+function syncToggleButton(mode: MarkdownViewMode): void {
+    const button = qs<HTMLButtonElement>("#toggle-markdown-view");
+    if (!button) return;
+    button.textContent = VIEW_MODE_LABELS[mode];
+    button.setAttribute("aria-pressed", String(mode !== "edit"));
+}
+
+/**
+ * Shows a tab's panel in the view chosen for the tab; called when the tab is activated
+ */
+export function applyMarkdownView(panel: HTMLElement, documentId: string | undefined): void {
+    const mode = getMarkdownViewMode(documentId);
+    if (mode === "edit") {
+        delete panel.dataset.view;
+    } else {
+        panel.dataset.view = mode;
+        renderPreview(panel);
+        const textarea = panel.querySelector<HTMLTextAreaElement>("textarea.textarea-contents");
+        if (textarea && mode === "split") followScroll(textarea, getPreview(panel));
+    }
+    if (panel.classList.contains("active")) syncToggleButton(mode);
+}
+
+/**
+ * Switches a tab to its next view: editor, split, preview
+ * @returns The new view
+ */
+export function cycleMarkdownView(header: HTMLElement): MarkdownViewMode {
+    const documentId = header.dataset.documentId;
+    const current = getMarkdownViewMode(documentId);
+    const mode = VIEW_MODES[(VIEW_MODES.indexOf(current) + 1) % VIEW_MODES.length] ?? "edit";
+    if (documentId) viewModes.set(documentId, mode);
+
+    const panel = header.dataset.tabId ? qs<HTMLElement>(`#${header.dataset.tabId}`) : null;
+    if (panel) applyMarkdownView(panel, documentId);
+    return mode;
+}
+
+/**
+ * Wires preview updates, scroll following and the view toggle button
+ */
+export function initMarkdownPreview(): void {
+    if (isInitialized) return;
+    isInitialized = true;
+
+    document.addEventListener("input", (event) => {
+        if (!(event.target instanceof HTMLTextAreaElement)) return;
+        const panel = event.target.closest<HTMLElement>(".tab-panel[data-view]");
+        if (!panel) return;
+        if (renderTimer) clearTimeout(renderTimer);
+        renderTimer = setTimeout(() => {
+            renderTimer = null;
+            if (panel.dataset.view) renderPreview(panel);
+        }, RENDER_DELAY_MS);
+    });
+
+    // Scroll events do not bubble, so they are caught on the way down
+    document.addEventListener("scroll", (event) => {
+        const source = event.target;
+        if (!(source instanceof HTMLElement)) return;
+        if (source === followingElement) {
+            followingElement = null;
+            return;
+        }
+        const panel = source.closest<HTMLElement>('.tab-panel[data-view="split"]');
+        if (!panel) return;
+
+        const textarea = panel.querySelector<HTMLTextAreaElement>("textarea.textarea-contents");
+        const preview = panel.querySelector<HTMLElement>(".markdown-preview");
+        if (!textarea || !preview) return;
+        if (source === textarea) followScroll(textarea, preview);
+        else if (source === preview) followScroll(preview, textarea);
+    }, true);
+
+    const button = qs<HTMLButtonElement>("#toggle-markdown-view");
+    button?.addEventListener("click", () => {
+        const header = qs<HTMLElement>(".tab-header.active");
+        if (header) cycleMarkdownView(header);
+    });
+}
@@ -0,0 +1,131 @@
+/**
+ * Merge Conflict Dialog
+ * Shows tabs edited in both this session and another one, side by side,
+ * and collects a keep-mine / keep-theirs / keep-both decision per tab.
+ */
+
+import { getTitleFromContent, parseTabPayload } from "../state/tab-payload.js";
+import type { ConflictResolution, TabConflict } from "../types/global.js";
+
+let mergeDialog: HTMLDialogElement | null = null;
+
+function describeTab(conflict: TabConflict): string {
+    const sample = conflict.local ?? conflict.remote ?? conflict.base ?? "";
+    return getTitleFromContent(parseTabPayload(sample).content);
+}
+
+function buildSide(label: string, content: string | null): HTMLElement {
+    const side = document.createElement("div");
+    side.className = "merge-side";
+
+    const heading = document.createElement("span");
+    heading.className = "merge-side-label";
+    heading.textContent = label;
+
+    const body = document.createElement("textarea");
+    body.className = "merge-side-content";
+    body.readOnly = true;
+    body.rows = 8;
+    body.value = content === null ? "" : parseTabPayload(content).content;
+    body.placeholder = content === null ? "Tab removed" : "Empty tab";
+
+    side.append(heading, body);
+    return side;
+}
+
+function buildConflict(conflict: TabConflict, index: number): HTMLElement {
+    const section = document.createElement("section");
+    section.className = "merge-conflict";
+    section.dataset.index = String(index);
+
+    const title = document.createElement("h3");
+    title.className = "merge-conflict-title";
+    title.textContent = `Conflict ${index + 1}: ${describeTab(conflict)}`;
+
+    const sides = document.createElement("div");
+    sides.className = "merge-sides";
+    sides.append(
+        buildSide("This session", conflict.local),
+        buildSide("Other session", conflict.remote)
+    );
+
+    const choices = document.createElement("div");
+    choices.className = "merge-choices";
+    choices.setAttribute("role", "radiogroup");
+    const options: Array<[ConflictResolution, string]> = [
+        ["local", "Keep mine"],
+        ["remote", "Keep theirs"],
+        ["both", "Keep both"]
+    ];
+    for (const [value, label] of options) {
+        const option = document.createElement("label");
+        option.className = "merge-choice";
+        const radio = document.createElement("input");
+        radio.type = "radio";
+        radio.name = `merge-choice-${index}`;
+        radio.value = value;
+        radio.checked = value === "local";
+        option.append(radio, document.createTextNode(label));
+        choices.appendChild(option);
+    }
+
+    section.append(title, sides, choices);
+    return section;
+}
+
+function ensureMergeDialog(): HTMLDialogElement {
+    if (mergeDialog) return mergeDialog;
+
+    const dialog = document.createElement("dialog");
+    dialog.id = "merge-dialog";
+    dialog.className = "app-dialog app-dialog--wide merge-dialog";
+    dialog.setAttribute("aria-labelledby", "merge-dialog-title");
+    dialog.innerHTML = `
+        <form method="dialog" class="dialog-shell">
+            <div class="dialog-header">
+                <p class="dialog-eyebrow">Merge</p>
+                <h2 id="merge-dialog-title">Resolve conflicting tabs</h2>
+                <p>Another session saved this workspace while you were editing. Tabs changed on only one side were merged automatically.</p>
+            </div>
+            <div class="merge-conflicts" id="merge-conflicts"></div>
+            <menu class="dialog-actions">
+                <button value="cancel" class="secondary">Cancel</button>
+                <button value="ok" class="primary">Merge and Save</button>
+            </menu>
+        </form>
+    `;
+
+    document.body.appendChild(dialog);
+    mergeDialog = dialog;
+    return dialog;
+}
+
+/**
+ * Asks the user how to resolve each conflicting tab
+ * @param conflicts - Tabs changed in both sessions
+ * @returns One resolution per conflict, or null when the merge is cancelled
+ */
+export function openMergeConflictDialog(conflicts: TabConflict[]): Promise<ConflictResolution[] | null> {
+    const dialog = ensureMergeDialog();
+    const container = dialog.querySelector<HTMLElement>("#merge-conflicts")!;
+    container.replaceChildren(...conflicts.map((conflict, index) => buildConflict(conflict, index)));
+
+    dialog.returnValue = "cancel";
+    dialog.showModal();
+
+    return new Promise((resolve) => {
+        const handleClose = (): void => {
+            dialog.removeEventListener("close", handleClose);
+            if (dialog.returnValue !== "ok") {
+                resolve(null);
+                return;
+            }
+
+            resolve(conflicts.map((_conflict, index) => {
+                const checked = container.querySelector<HTMLInputElement>(`input[name="merge-choice-${index}"]:checked`);
+                return (checked?.value as ConflictResolution | undefined) || "local";
+            }));
+        };
+        dialog.addEventListener("close", handleClose);
+    });
+}
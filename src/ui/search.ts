@@ -5,6 +5,7 @@
 
 import { qs, qsa, on } from "../utils/dom.js";
 import { activateTab, getLineHeight } from "./tabs.js";
+import { readTaskLine } from "./checklists.js";
 
 export interface SearchResult {
     tabId: string;
@@ -15,6 +16,15 @@ export interface SearchResult {
     matchEnd: number;
 }
 
+/** Tasks a query is limited to: open, done, or both when it names both */
+export type TaskFilter = "open" | "done" | "any";
+
+/** A query split into its text and its task filter */
+export interface ParsedSearchQuery {
+    text: string;
+    taskFilter: TaskFilter | null;
+}
+
 interface SearchState {
     isOpen: boolean;
     query: string;
@@ -35,6 +45,7 @@ interface SearchIndexEntry {
 }
 
 const MAX_SEARCH_SCAN_MATCHES = 500;
+const TASK_FILTER_PATTERN = /(^|\s)task:(open|done)(?=\s|$)/gi;
 
 const searchState: SearchState = {
     isOpen: false,
@@ -184,7 +195,7 @@ function getSearchMessage(): string {
     if (searchState.query.length > 0) {
         return "Type at least 2 characters to search.";
     }
-    return "Search across all open tabs.";
+    return "Search across all open tabs. Add task:open or task:done to list tasks.";
 }
 
 function updateSelectedResult(): void {
@@ -201,7 +212,67 @@ function updateSelectedResult(): void {
         ?.classList.add("selected");
 }
 
+/**
+ * Takes the task:open and task:done filters out of a query
+ */
+export function parseSearchQuery(query: string): ParsedSearchQuery {
+    let taskFilter: TaskFilter | null = null;
+    const text = query.replace(TASK_FILTER_PATTERN, (_match, space: string, state: string) => {
+        const filter = state.toLowerCase() as TaskFilter;
+        taskFilter = taskFilter && taskFilter !== filter ? "any" : filter;
+        return space;
+    }).trim();
+    return { text, taskFilter };
+}
+
+/**
+ * Finds the task lines a filter selects, optionally only those containing the text
+ */
+function searchTasks(text: string, taskFilter: TaskFilter): SearchResult[] {
+    const lowerText = text.toLowerCase();
+    const results: SearchResult[] = [];
+    let totalMatches = 0;
+
+    for (const entry of syncSearchIndex()) {
+        for (let lineIndex = 0; lineIndex < entry.lineStarts.length; lineIndex++) {
+            const lineContent = getLineText(entry.content, entry.lineStarts, lineIndex);
+            const task = readTaskLine(lineContent);
+            if (!task || (taskFilter !== "any" && task.done !== (taskFilter === "done"))) continue;
+
+            // Without text the checkbox itself is the match
+            const matchStart = lowerText ? lineContent.toLowerCase().indexOf(lowerText) : lineContent.indexOf("[");
+            if (matchStart === -1) continue;
+
+            totalMatches++;
+            if (results.length < MAX_SEARCH_RESULTS) {
+                results.push({
+                    tabId: entry.tabId,
+                    tabTitle: entry.tabTitle,
+                    lineNumber: lineIndex + 1,
+                    lineContent,
+                    matchStart,
+                    matchEnd: matchStart + (lowerText ? text.length : 3)
+                });
+            }
+        }
+    }
+
+    searchState.totalMatches = totalMatches;
+    searchState.visibleMatches = results.length;
+    searchState.hitLimit = totalMatches > results.length;
+    searchState.hasApproximateTotal = false;
+    return results;
+}
+
+/**
+ * Searches all open tabs; task:open and task:done limit the results to task lines
+ */
 export function searchAllTabs(query: string): SearchResult[] {
+    const { text, taskFilter } = parseSearchQuery(query);
+    if (taskFilter) {
+        return searchTasks(text, taskFilter);
+    }
+
     if (!query || query.length < MIN_SEARCH_QUERY_LENGTH) {
         searchState.totalMatches = 0;
         searchState.visibleMatches = 0;
@@ -1,10 +1,18 @@
 /**
  * Tab Switcher
- * Provides fuzzy tab search, fast activation, and visible pin controls.
+ * Provides fuzzy tab search, fast activation, visible pin controls, and
+ * reopening of recently closed tabs.
  */
 
 import { qs, qsa } from "../utils/dom.js";
-import { activateTab } from "./tabs.js";
+import {
+    activateTab,
+    getClosedTabs,
+    reopenClosedTab,
+    setTabPinned,
+    type OnModifiedCallback
+} from "./tabs.js";
+import { parseTabPayload } from "../state/tab-payload.js";
 
 interface TabInfo {
     header: HTMLElement;
@@ -19,6 +27,7 @@ interface TabInfo {
 
 let switcherDialog: HTMLDialogElement | null = null;
 let isInitialized = false;
+let onTabsChange: OnModifiedCallback | null = null;
 
 function escapeHtml(text: string): string {
     return text
@@ -72,6 +81,10 @@ function highlightMatch(query: string, text: string): string {
     return output;
 }
 
+function getPreview(content: string): string {
+    return content ? `${content.substring(0, 96)}${content.length > 96 ? "..." : ""}` : "Empty";
+}
+
 function getAllTabs(): TabInfo[] {
     return qsa<HTMLElement>(".tab-header").map((header, index) => {
         const id = header.dataset.tabId || "";
@@ -83,7 +96,7 @@ function getAllTabs(): TabInfo[] {
             id,
             title,
             content,
-            preview: content ? `${content.substring(0, 96)}${content.length > 96 ? "..." : ""}` : "Empty",
+            preview: getPreview(content),
             isPinned: header.classList.contains("pinned"),
             isModified: header.classList.contains("modified"),
             index
@@ -110,6 +123,10 @@ function ensureSwitcherDialog(): HTMLDialogElement {
                 <kbd class="tab-switcher-hint">Esc</kbd>
             </div>
             <div class="tab-switcher-list" id="tab-switcher-list" role="listbox" aria-label="Open tabs"></div>
+            <div class="tab-switcher-closed" id="tab-switcher-closed" hidden>
+                <div class="tab-switcher-section-title">Recently closed</div>
+                <div class="tab-switcher-closed-list" id="tab-switcher-closed-list" role="listbox" aria-label="Recently closed tabs"></div>
+            </div>
             <div class="tab-switcher-footer">
                 <span class="tab-switcher-stat" id="tab-switcher-stat">0 tabs</span>
                 <span class="tab-switcher-keys">Arrow keys navigate, Enter opens.</span>
@@ -122,14 +139,15 @@ function ensureSwitcherDialog(): HTMLDialogElement {
 
     const input = dialog.querySelector<HTMLInputElement>("#tab-switcher-input");
     const list = dialog.querySelector<HTMLElement>("#tab-switcher-list");
+    const closedList = dialog.querySelector<HTMLElement>("#tab-switcher-closed-list");
 
     input?.addEventListener("input", () => {
         renderTabList(input.value);
     });
 
     input?.addEventListener("keydown", (event) => {
-        const items = list?.querySelectorAll<HTMLElement>(".tab-switcher-item") || [];
-        const activeItem = list?.querySelector<HTMLElement>(".tab-switcher-item.active") || null;
+        const items = dialog.querySelectorAll<HTMLElement>(".tab-switcher-item");
+        const activeItem = dialog.querySelector<HTMLElement>(".tab-switcher-item.active");
         const activeIndex = activeItem ? Array.from(items).indexOf(activeItem) : -1;
 
         if (event.key === "ArrowDown") {
@@ -160,6 +178,10 @@ function ensureSwitcherDialog(): HTMLDialogElement {
 
         if (event.key === "Enter") {
             event.preventDefault();
+            if (activeItem?.dataset.closedIndex) {
+                reopenFromSwitcher(Number(activeItem.dataset.closedIndex));
+                return;
+            }
             if (!activeItem?.dataset.tabId) return;
             const header = qs<HTMLElement>(`.tab-header[data-tab-id="${activeItem.dataset.tabId}"]`);
             if (!header) return;
@@ -196,6 +218,12 @@ function ensureSwitcherDialog(): HTMLDialogElement {
         closeSwitcher();
     });
 
+    closedList?.addEventListener("click", (event) => {
+        const item = (event.target as HTMLElement).closest<HTMLElement>(".tab-switcher-item");
+        if (!item?.dataset.closedIndex) return;
+        reopenFromSwitcher(Number(item.dataset.closedIndex));
+    });
+
     dialog.addEventListener("click", (event) => {
         if (event.target === dialog) {
             closeSwitcher();
@@ -205,6 +233,43 @@ function ensureSwitcherDialog(): HTMLDialogElement {
     return dialog;
 }
 
+function reopenFromSwitcher(position: number): void {
+    if (reopenClosedTab(position, onTabsChange)) closeSwitcher();
+}
+
+function renderClosedTabs(query: string, hasActiveItem: boolean): void {
+    const section = qs<HTMLElement>("#tab-switcher-closed");
+    const list = qs<HTMLElement>("#tab-switcher-closed-list");
+    if (!section || !list) return;
+
+    const closed = getClosedTabs()
+        .map((tab, position) => ({ ...tab, position, content: parseTabPayload(tab.payload).content }))
+        .filter((tab) => !query.trim() || fuzzyMatch(query, tab.title) > 0 || fuzzyMatch(query, tab.content) > 0);
+
+    section.hidden = closed.length === 0;
+    list.innerHTML = closed.map((tab, index) => {
+        const selected = !hasActiveItem && index === 0;
+        return `
+        <div class="tab-switcher-item ${selected ? "active" : ""}"
+             role="option"
+             aria-selected="${selected ? "true" : "false"}"
+             data-closed-index="${tab.position}">
+            <div class="tab-switcher-item-main">
+                <div class="tab-switcher-item-title">
+                    ${highlightMatch(query, tab.title)}
+                </div>
+                <div class="tab-switcher-item-preview">
+                    ${escapeHtml(getPreview(tab.content))}
+                </div>
+            </div>
+            <div class="tab-switcher-item-meta">
+                <span class="tab-switcher-item-index">was #${tab.index + 1}</span>
+            </div>
+        </div>
+    `;
+    }).join("");
+}
+
 function renderTabList(query: string = ""): void {
     const list = qs<HTMLElement>("#tab-switcher-list");
     const stat = qs<HTMLElement>("#tab-switcher-stat");
@@ -252,6 +317,8 @@ function renderTabList(query: string = ""): void {
         </div>
     `).join("");
 
+    renderClosedTabs(query, tabs.length > 0);
+
     if (stat) {
         const pinnedCount = tabs.filter((tab) => tab.isPinned).length;
         stat.textContent = `${tabs.length}/${allTabs.length} tabs${pinnedCount ? `, ${pinnedCount} pinned` : ""}`;
@@ -272,33 +339,8 @@ export function closeSwitcher(): void {
 }
 
 export function togglePinTab(header: HTMLElement): void {
-    header.classList.toggle("pinned");
-
-    let pinIndicator = header.querySelector<HTMLElement>(".pin-indicator");
-    if (header.classList.contains("pinned")) {
-        if (!pinIndicator) {
-            pinIndicator = document.createElement("span");
-            pinIndicator.className = "pin-indicator";
-            pinIndicator.title = "Pinned";
-            pinIndicator.setAttribute("aria-hidden", "true");
-            header.insertBefore(pinIndicator, header.firstChild);
-        }
-
-        const container = qs(".tab-headers-container");
-        const firstUnpinned = container?.querySelector(".tab-header:not(.pinned)");
-        if (container && firstUnpinned && firstUnpinned !== header) {
-            container.insertBefore(header, firstUnpinned);
-        } else if (container) {
-            container.insertBefore(header, container.firstChild);
-        }
-    } else {
-        pinIndicator?.remove();
-    }
-
-    const closeButton = header.querySelector<HTMLElement>(".close");
-    if (closeButton) {
-        closeButton.style.display = header.classList.contains("pinned") ? "none" : "";
-    }
+    setTabPinned(header, !header.classList.contains("pinned"));
+    onTabsChange?.(true);
 }
 
 export function setTabModified(header: HTMLElement, modified: boolean): void {
@@ -319,12 +361,16 @@ export function restorePinnedTabs(pinnedIds: string[]): void {
     pinnedIds.forEach((id) => {
         const header = qs<HTMLElement>(`.tab-header[data-tab-id="${id}"]`);
         if (header && !header.classList.contains("pinned")) {
-            togglePinTab(header);
+            setTabPinned(header, true);
         }
     });
 }
 
-export function initTabSwitcher(): void {
+/**
+ * @param onModified - Called when the user pins, unpins or reopens a tab, since these change the saved workspace
+ */
+export function initTabSwitcher(onModified: OnModifiedCallback | null = null): void {
+    onTabsChange = onModified;
     if (isInitialized) return;
     isInitialized = true;
 
@@ -5,7 +5,18 @@
 
 import { qs, qsa, on } from '../utils/dom.js';
 import { openConfirmDialog } from './dialogs.js';
+import { applyMarkdownView } from './markdown-preview.js';
+import { scheduleTaskCountUpdate, updateTaskCount } from './checklists.js';
 import { getSeparatorHex } from '../utils/crypto-helpers.js';
+import {
+    MOBILE_METADATA_HINT,
+    createTabId,
+    formatTabPayload,
+    getImplicitTabId,
+    getTitleFromContent,
+    normalizeTabColor,
+    parseTabPayload
+} from '../state/tab-payload.js';
 
 // ============================================================================
 // TYPES
@@ -16,11 +27,29 @@ export type OnModifiedCallback = (modified: boolean) => void;
 
 /** State interface for content management */
 export interface TabState {
+    /** Tab to activate after loading, when the tabs do not already show one */
+    getActiveTabId(): string | null;
     getMobileAppMetadataTabContent(): string;
     setMobileAppMetadataTabContent(content: string): void;
     updateIsTextModified(modified: boolean): void;
 }
 
+/** A tab's text and presentation, in display order */
+export interface TabSnapshot {
+    content: string;
+    color: string | null;
+    pinned: boolean;
+}
+
+/** A tab closed in this session, kept until it is reopened */
+export interface ClosedTab {
+    /** The tab's payload with its document id, as getContentFromTabs writes it */
+    payload: string;
+    title: string;
+    /** Position among the tab headers when it was closed */
+    index: number;
+}
+
 /** Drag element result */
 interface DragAfterResult {
     offset: number;
@@ -34,6 +63,8 @@ interface DragAfterResult {
 let tabCounter = 1;
 let currentTabTitle: Element | null = null;
 let currentTextarea: HTMLTextAreaElement | null = null;
+/** Closed tabs, most recently closed last */
+const closedTabs: ClosedTab[] = [];
 
 interface EditorMetricsCache {
     value: string;
@@ -52,9 +83,8 @@ interface EditorOverlayState {
     selectionBlock: HTMLElement;
 }
 
-const TAB_COLOR_METADATA_PREFIX = "__CRYPTEXA_COLOR__:";
 const DEFAULT_TAB_MARK_COLOR = "#d15f38";
-const MOBILE_METADATA_HINT = "Reload this website to hide mobile app metadata!";
+const MAX_CLOSED_TABS = 20;
 
 const editorMetricsCache = new WeakMap<HTMLTextAreaElement, EditorMetricsCache>();
 const editorOverlayCache = new WeakMap<Element, EditorOverlayState>();
@@ -78,13 +108,6 @@ export function getCurrentTextarea(): HTMLTextAreaElement | null {
     return currentTextarea;
 }
 
-function normalizeTabColor(color: string | null | undefined): string | null {
-    if (!color) return null;
-    const normalized = color.trim().toLowerCase();
-    if (!/^#[0-9a-f]{6}$/.test(normalized)) return null;
-    return normalized === "#ffffff" ? null : normalized;
-}
-
 function hexToRgba(hex: string, alpha: number): string {
     const normalized = normalizeTabColor(hex);
     const source = normalized || DEFAULT_TAB_MARK_COLOR;
@@ -95,22 +118,6 @@ function hexToRgba(hex: string, alpha: number): string {
     return `rgba(${r}, ${g}, ${b}, ${alpha})`;
 }
 
-function parseTabPayload(content: string): { color: string | null; content: string } {
-    if (!content.startsWith(TAB_COLOR_METADATA_PREFIX)) {
-        return { color: null, content };
-    }
-
-    const lineEndIndex = content.indexOf("\n");
-    const colorLine = lineEndIndex === -1 ? content : content.substring(0, lineEndIndex);
-    const color = normalizeTabColor(colorLine.substring(TAB_COLOR_METADATA_PREFIX.length));
-    const cleanContent = lineEndIndex === -1 ? "" : content.substring(lineEndIndex + 1);
-
-    return {
-        color,
-        content: cleanContent
-    };
-}
-
 function applyTabColor(header: HTMLElement, color: string | null): void {
     const normalizedColor = normalizeTabColor(color);
     if (!normalizedColor) {
@@ -127,6 +134,38 @@ function applyTabColor(header: HTMLElement, color: string | null): void {
     header.style.setProperty("--tab-mark-soft", hexToRgba(normalizedColor, 0.14));
 }
 
+/**
+ * Pins or unpins a tab. Pinned tabs move in front of the unpinned ones and
+ * lose their close button.
+ */
+export function setTabPinned(header: HTMLElement, pinned: boolean): void {
+    header.classList.toggle("pinned", pinned);
+
+    let pinIndicator = header.querySelector<HTMLElement>(".pin-indicator");
+    if (pinned) {
+        if (!pinIndicator) {
+            pinIndicator = document.createElement("span");
+            pinIndicator.className = "pin-indicator";
+            pinIndicator.title = "Pinned";
+            pinIndicator.setAttribute("aria-hidden", "true");
+            header.insertBefore(pinIndicator, header.firstChild);
+        }
+
+        const container = qs(".tab-headers-container");
+        const firstUnpinned = container?.querySelector(".tab-header:not(.pinned)");
+        if (container && firstUnpinned && firstUnpinned.compareDocumentPosition(header) & Node.DOCUMENT_POSITION_FOLLOWING) {
+            container.insertBefore(header, firstUnpinned);
+        }
+    } else {
+        pinIndicator?.remove();
+    }
+
+    const closeButton = header.querySelector<HTMLElement>(".close");
+    if (closeButton) {
+        closeButton.style.display = pinned ? "none" : "";
+    }
+}
+
 function syncTabColorControls(): void {
     const activeHeader = qs<HTMLElement>(".tab-header.active");
     const colorPicker = qs<HTMLInputElement>("#tab-color-picker");
@@ -288,6 +327,16 @@ export function getLineHeight(ta: HTMLTextAreaElement): number {
     return getTextareaStyleMetrics(ta).lineHeight;
 }
 
+/**
+ * Zero-based line of the textarea at a viewport y coordinate, such as a click
+ * in its line gutter
+ */
+export function getLineIndexAtY(ta: HTMLTextAreaElement, clientY: number): number {
+    const { lineHeight, paddingTop } = getTextareaStyleMetrics(ta);
+    const offset = clientY - ta.getBoundingClientRect().top - paddingTop + ta.scrollTop;
+    return lineHeight > 0 ? Math.floor(offset / lineHeight) : -1;
+}
+
 /**
  * Updates active line highlight
  */
@@ -362,7 +411,10 @@ export function activateTab(headerLi: Element): void {
 
     if (panel) {
         panel.classList.add("active");
-        if (panel instanceof HTMLElement) panel.hidden = false;
+        if (panel instanceof HTMLElement) {
+            panel.hidden = false;
+            applyMarkdownView(panel, (headerLi as HTMLElement).dataset.documentId);
+        }
     }
     syncTabColorControls();
 
@@ -381,37 +433,6 @@ export function activateTab(headerLi: Element): void {
     updateGutterForTextarea(ta, gutter);
 }
 
-/**
- * Computes tab title from content
- */
-export function getTitleFromContent(content?: string): string {
-    let effectiveContent: string;
-
-    if (content === undefined && currentTextarea) {
-        effectiveContent = currentTextarea.value.substring(0, 200);
-    } else {
-        effectiveContent = (content || "").substring(0, 200);
-    }
-
-    if (!effectiveContent) return "Empty Tab";
-
-    let start = 0;
-    while (start < effectiveContent.length) {
-        const ch = effectiveContent[start];
-        if (ch !== " " && ch !== "\n" && ch !== "\t" && ch !== "\r" && ch !== "\v" && ch !== "\f") break;
-        start++;
-    }
-    if (start >= effectiveContent.length) return "Empty Tab";
-
-    const nlRel = effectiveContent.indexOf("\n", start);
-    const end = nlRel === -1 ? effectiveContent.length : nlRel;
-    let title = effectiveContent.substring(start, end);
-
-    if (!title || title.length === 0) return "Empty Tab";
-    if (title.length > 20) title = title.substr(0, 18) + "...";
-    return title;
-}
-
 /**
  * Focuses the active textarea
  */
@@ -440,7 +461,13 @@ export function addTab(
     li.className = "tab-header";
     li.dataset.tabId = id;
     li.draggable = true;
+    // A reopened tab keeps its id unless a merge brought the tab back meanwhile
+    const isIdTaken = !!parsedPayload.id && !!qs(`.tab-header[data-document-id="${parsedPayload.id}"]`);
+    li.dataset.documentId = (!isIdTaken && parsedPayload.id) || createTabId();
     applyTabColor(li, parsedPayload.color);
+    const created = isExistingTab ? parsedPayload.created : new Date().toISOString();
+    if (created) li.dataset.created = created;
+    if (parsedPayload.modified) li.dataset.modified = parsedPayload.modified;
 
     const a = document.createElement("button");
     a.type = "button";
@@ -474,7 +501,7 @@ export function addTab(
     panel.setAttribute("aria-labelledby", a.id);
     panel.innerHTML = `
     <div class="editor-wrap">
-      <div class="line-gutter" aria-hidden="true"></div>
+      <div class="line-gutter" aria-hidden="true" title="Click the number of a task line to check or uncheck it"></div>
       <textarea rows="1" cols="1" class="textarea-contents" placeholder="Write here..." aria-label="Note contents"></textarea>
     </div>`;
     qs("#tabs")!.appendChild(panel);
@@ -493,6 +520,13 @@ export function addTab(
         a.textContent = getTitleFromContent("");
     }
 
+    updateTaskCount(li, actualContent);
+
+    ta.addEventListener("input", () => {
+        li.dataset.modified = new Date().toISOString();
+        scheduleTaskCountUpdate(li, ta);
+    });
+
     let lastScrollTs = 0;
     ta.addEventListener("scroll", () => {
         const now = performance.now ? performance.now() : Date.now();
@@ -521,6 +555,10 @@ export function addTab(
         }, 0);
     }
 
+    if (parsedPayload.pinned) {
+        setTabPinned(li, true);
+    }
+
     refreshTabs();
     onWindowResize();
     activateTab(li);
@@ -648,6 +686,61 @@ export function initTabDragAndDrop(onModified: OnModifiedCallback | null = null)
 // INITIALIZATION
 // ============================================================================
 
+/**
+ * Closes a tab, keeping it in the recently closed list
+ */
+export function closeTab(header: HTMLElement, onModified: OnModifiedCallback | null = null): void {
+    const headers = qsa<HTMLElement>(".tab-header");
+    const index = headers.indexOf(header);
+    if (index === -1) return;
+
+    closedTabs.push({
+        payload: readTabHeaderPayload(header, header.dataset.documentId || null),
+        title: header.querySelector(".tab-title")?.textContent || "Empty Tab",
+        index
+    });
+    if (closedTabs.length > MAX_CLOSED_TABS) closedTabs.shift();
+
+    const tabId = header.dataset.tabId;
+    header.remove();
+    const panel = tabId ? qs(`#${tabId}`) : null;
+    panel?.remove();
+    const toActivate = qsa(".tab-header")[Math.max(0, index - 1)];
+    if (toActivate) activateTab(toActivate);
+    if (onModified) onModified(true);
+    refreshTabs();
+}
+
+/**
+ * Recently closed tabs, most recently closed first
+ */
+export function getClosedTabs(): ClosedTab[] {
+    return [...closedTabs].reverse();
+}
+
+/**
+ * Reopens a closed tab at the position it had, keeping pinned tabs in front
+ * @param position - Index into getClosedTabs; the most recently closed tab by default
+ * @returns The reopened tab header, or null when there is nothing to reopen
+ */
+export function reopenClosedTab(position: number = 0, onModified: OnModifiedCallback | null = null): HTMLElement | null {
+    const stackIndex = closedTabs.length - 1 - position;
+    if (position < 0 || stackIndex < 0) return null;
+    const [closed] = closedTabs.splice(stackIndex, 1);
+    if (!closed) return null;
+
+    const header = addTab(true, closed.payload, null, onModified) as HTMLElement;
+    const others = qsa<HTMLElement>(".tab-header").filter((other) => other !== header);
+    const pinnedCount = others.filter((other) => other.classList.contains("pinned")).length;
+    const target = header.classList.contains("pinned")
+        ? Math.min(closed.index, pinnedCount)
+        : Math.max(closed.index, pinnedCount);
+    const before = others[target];
+    if (before) before.before(header);
+    if (onModified) onModified(true);
+    return header;
+}
+
 /**
  * Initializes tabs layout with event listeners
  */
@@ -708,23 +801,13 @@ export function initTabsLayout(onModified: OnModifiedCallback | null = null): vo
         const close = (event.target as Element).closest(".close");
 
         if (close && li) {
-            const headers = qsa(".tab-header");
-            if (headers.length <= 1) return;
-            const idx = headers.indexOf(li);
+            if (qsa(".tab-header").length <= 1) return;
             openConfirmDialog("#dialog-confirm-delete-tab", (ok) => {
                 if (!ok) {
                     focusActiveTextarea();
                     return;
                 }
-                const tabId = li.dataset.tabId;
-                li.remove();
-                const panel = tabId ? qs(`#${tabId}`) : null;
-                panel?.remove();
-                const newHeaders = qsa(".tab-header");
-                const toActivate = newHeaders[Math.max(0, idx - 1)];
-                if (toActivate) activateTab(toActivate);
-                if (onModified) onModified(true);
-                refreshTabs();
+                closeTab(li, onModified);
             });
         }
     });
@@ -792,16 +875,22 @@ export function onWindowResize(): void {
 export async function setContentOfTabs(content: string, state: TabState): Promise<void> {
     const sep = await getSeparatorHex();
     const parts = content ? content.split(sep) : [""];
+    // Re-rendering after a merge or reload keeps the tab the user was on
+    const previousActiveId = qs<HTMLElement>(".tab-header.active")?.dataset.documentId;
     qsa(".tab-header").forEach(h => h.remove());
     qsa(".tab-panel").forEach(p => p.remove());
 
     tabCounter = 0;
+    let tabIndex = 0;
     for (let i = 0; i < parts.length; i++) {
         const part = parts[i] ?? "";
         if (part.includes(MOBILE_METADATA_HINT)) {
             state.setMobileAppMetadataTabContent(part);
         } else {
-            addTab(true, part, null, () => state.updateIsTextModified(true));
+            const header = addTab(true, part, null, () => state.updateIsTextModified(true)) as HTMLElement;
+            // Pinned down here, so the id stays with the tab when it moves
+            if (!parseTabPayload(part).id) header.dataset.documentId = getImplicitTabId(tabIndex);
+            tabIndex++;
         }
     }
 
@@ -809,8 +898,24 @@ export async function setContentOfTabs(content: string, state: TabState): Promis
         addTab(true, "", null, () => state.updateIsTextModified(true));
     }
 
-    const first = qs(".tab-header");
-    if (first) activateTab(first);
+    const activeId = previousActiveId || state.getActiveTabId();
+    const active = (activeId && qs(`.tab-header[data-document-id="${activeId}"]`)) || qs(".tab-header");
+    if (active) activateTab(active);
+}
+
+/**
+ * Payload of an open tab, with the given document id in its header
+ */
+function readTabHeaderPayload(header: HTMLElement, documentId: string | null): string {
+    const id = header.dataset.tabId;
+    const ta = id ? qs<HTMLTextAreaElement>(`#${id} textarea.textarea-contents`) : null;
+    return formatTabPayload(ta?.value || "", {
+        id: documentId,
+        color: header.dataset.tabColor || null,
+        pinned: header.classList.contains("pinned"),
+        created: header.dataset.created || null,
+        modified: header.dataset.modified || null
+    });
 }
 
 /**
@@ -824,15 +929,10 @@ export async function getContentFromTabs(state: TabState): Promise<string> {
     for (let i = 0; i < headers.length; i++) {
         const header = headers[i];
         if (!header) continue;
-        const id = header.dataset.tabId;
-        const ta = id ? qs<HTMLTextAreaElement>(`#${id} textarea.textarea-contents`) : null;
-        const tabColor = normalizeTabColor(header.dataset.tabColor);
 
         if (i > 0) all += sep;
-        if (tabColor) {
-            all += `${TAB_COLOR_METADATA_PREFIX}${tabColor}\n`;
-        }
-        all += ta?.value || "";
+        const documentId = header.dataset.documentId || null;
+        all += readTabHeaderPayload(header, documentId === getImplicitTabId(i) ? null : documentId);
     }
 
     const meta = state.getMobileAppMetadataTabContent();
@@ -842,6 +942,28 @@ export async function getContentFromTabs(state: TabState): Promise<string> {
     return all;
 }
 
+/**
+ * Document id of the active tab
+ */
+export function getActiveTabId(): string | null {
+    return qs<HTMLElement>(".tab-header.active")?.dataset.documentId || null;
+}
+
+/**
+ * Reads every open tab in display order, without the metadata header
+ */
+export function getTabSnapshots(): TabSnapshot[] {
+    return qsa<HTMLElement>(".tab-header").map((header) => {
+        const id = header.dataset.tabId;
+        const ta = id ? qs<HTMLTextAreaElement>(`#${id} textarea.textarea-contents`) : null;
+        return {
+            content: ta?.value || "",
+            color: normalizeTabColor(header.dataset.tabColor),
+            pinned: header.classList.contains("pinned")
+        };
+    });
+}
+
 /**
  * Resets tab counter (for reinitialization)
  */
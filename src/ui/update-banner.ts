@@ -0,0 +1,53 @@
+/**
+ * Remote Update Banner
+ * Tells the user another session changed the open workspace and offers to
+ * reload it or merge the change into the local edits.
+ */
+
+export interface UpdateBannerConfig {
+    message: string;
+    onReload: () => void;
+    /** Omitted when there is nothing to merge, e.g. after a delete */
+    onMerge?: () => void;
+}
+
+let banner: HTMLElement | null = null;
+
+function ensureBanner(): HTMLElement {
+    if (banner) return banner;
+
+    const element = document.createElement("div");
+    element.id = "update-banner";
+    element.className = "update-banner hidden";
+    element.setAttribute("role", "status");
+    element.innerHTML = `
+        <span class="update-banner-message"></span>
+        <div class="update-banner-actions">
+            <button type="button" class="update-banner-merge">Merge</button>
+            <button type="button" class="update-banner-reload button-primary">Reload</button>
+            <button type="button" class="update-banner-dismiss" aria-label="Dismiss">&times;</button>
+        </div>
+    `;
+    element.querySelector(".update-banner-dismiss")!.addEventListener("click", hideUpdateBanner);
+    document.body.appendChild(element);
+    banner = element;
+    return element;
+}
+
+export function showUpdateBanner(config: UpdateBannerConfig): void {
+    const element = ensureBanner();
+    element.querySelector(".update-banner-message")!.textContent = config.message;
+
+    const merge = element.querySelector<HTMLButtonElement>(".update-banner-merge")!;
+    const reload = element.querySelector<HTMLButtonElement>(".update-banner-reload")!;
+    const { onMerge } = config;
+    merge.hidden = !onMerge;
+    merge.onclick = onMerge ? () => { hideUpdateBanner(); onMerge(); } : null;
+    reload.onclick = () => { hideUpdateBanner(); config.onReload(); };
+
+    element.classList.remove("hidden");
+}
+
+export function hideUpdateBanner(): void {
+    banner?.classList.add("hidden");
+}
@@ -96,7 +96,17 @@ export async function getSeparatorHex(): Promise<string> {
 }
 
 /**
- * Simple weak hash (non-crypto) only for concurrency token
+ * Creates a concurrency token for a save: 128 random bits, so it reveals
+ * nothing about the content or password and cannot collide by construction
+ * @returns Token in the form n1.<32 hex chars>
+ */
+export function createConcurrencyToken(): string {
+    return `n1.${randomHex(16)}`;
+}
+
+/**
+ * Simple weak hash (non-crypto); formerly the concurrency token, which
+ * workspaces saved by older clients may still have stored
  * @param str - String to hash
  * @returns Hash as hex string
  */
@@ -53,6 +53,22 @@ export function on<K extends keyof HTMLElementEventMap>(
     el.addEventListener(ev, fn, opts);
 }
 
+/**
+ * Saves a blob as a file through a temporary download link
+ * @param blob - File contents
+ * @param filename - Suggested file name
+ */
+export function downloadBlob(blob: Blob, filename: string): void {
+    const url = URL.createObjectURL(blob);
+    const anchor = document.createElement("a");
+    anchor.href = url;
+    anchor.download = filename;
+    document.body.appendChild(anchor);
+    anchor.click();
+    URL.revokeObjectURL(url);
+    anchor.remove();
+}
+
 /**
  * Shows/hides loader element
  * @param onFlag - Whether to show the loader
@@ -7,6 +7,7 @@ export {
     sha512Hex,
     simpleWeakHash,
     randomHex,
+    createConcurrencyToken,
     getSeparatorHex,
     bufToHex,
     hexToBuf,
@@ -20,6 +21,7 @@ export {
     qs,
     qsa,
     on,
+    downloadBlob,
     showLoader,
     setPasswordMode,
     showHint,
@@ -27,5 +29,9 @@ export {
     ensureObscureOverlay
 } from './dom.js';
 
+export { crc32, createZip, readZip } from './zip.js';
+export { renderMarkdown } from './markdown.js';
+
 // Re-export types
 export type { PasswordModeOptions } from './dom.js';
+export type { ZipEntry, ZipFile } from './zip.js';
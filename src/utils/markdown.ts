@@ -0,0 +1,318 @@
+/**
+ * Markdown Module
+ * Renders the Markdown notes are written in to HTML, without a library. All
+ * note text is escaped before any markup is added, so the output contains
+ * only the elements produced here: no raw HTML, no script or event handler
+ * attributes, links only to web, mail and in-page targets, and images only
+ * from data URLs, since remote images would reveal the reader to their host.
+ */
+
+/** One cell alignment per table column */
+type TableAlignment = "left" | "center" | "right" | null;
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)[^`]*$/;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const RULE_PATTERN = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const QUOTE_PATTERN = /^ {0,3}> ?/;
+const LIST_ITEM_PATTERN = /^( {0,3})([-*+]|\d{1,9}[.)])([ \t]+|$)/;
+const TASK_PATTERN = /^\[([ xX])\][ \t]+/;
+const TABLE_DELIMITER_PATTERN = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const SAFE_LINK_PATTERN = /^(?:https?:|mailto:|#)/i;
+const DATA_IMAGE_PATTERN = /^data:image\/(?:png|gif|jpe?g|webp);base64,[a-z0-9+/=]+$/i;
+const PLACEHOLDER_PATTERN = /\uE000(\d+)\uE000/g;
+
+function escapeHtml(text: string): string {
+    return text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+/**
+ * Renders inline syntax: code spans, links, images, emphasis and hard breaks.
+ * Finished markup is parked in placeholders, so later patterns cannot reach
+ * into code or URLs. URLs never contain placeholders, and attribute values
+ * only get the text of the markup parked in them.
+ */
+function renderInline(text: string): string {
+    const parked: string[] = [];
+    const park = (html: string): string => `\uE000${parked.push(html) - 1}\uE000`;
+    const toAttribute = (value: string): string => {
+        let result = value;
+        while (result.includes("\uE000")) {
+            result = result.replace(PLACEHOLDER_PATTERN, (_match, index: string) => (parked[Number(index)] ?? "").replace(/<[^>]*>/g, ""));
+        }
+        return result;
+    };
+
+    let html = text
+        .replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (_match, _ticks: string, code: string) =>
+            park(`<code>${escapeHtml(code.replace(/^ ([\s\S]*) $/, "$1"))}</code>`))
+        .replace(/\\([!-/:-@[-`{-~])/g, (_match, character: string) => park(escapeHtml(character)));
+
+    html = escapeHtml(html)
+        .replace(/!\[([^\]]*)\]\([ \t]*((?:[^\s()\uE000]|\([^\s()\uE000]*\))+)(?:[ \t]+&quot;[^\n]*?&quot;)?[ \t]*\)/g, (_match, alt: string, url: string) =>
+            park(DATA_IMAGE_PATTERN.test(url)
+                ? `<img src="${url}" alt="${toAttribute(alt)}">`
+                : `<span class="md-image-blocked" title="Remote image not loaded">${alt || "image"}</span>`))
+        .replace(/\[([^\]]+)\]\([ \t]*((?:[^\s()\uE000]|\([^\s()\uE000]*\))+)(?:[ \t]+&quot;[^\n]*?&quot;)?[ \t]*\)/g, (_match, label: string, url: string) =>
+            SAFE_LINK_PATTERN.test(url)
+                ? park(`<a href="${url}" target="_blank" rel="noopener noreferrer">${renderEmphasis(label)}</a>`)
+                : label)
+        .replace(/&lt;((?:https?|mailto):[^\s&\uE000]+(?:&amp;[^\s&\uE000]+)*)&gt;/gi, (_match, url: string) =>
+            park(`<a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>`));
+
+    html = renderEmphasis(html).replace(/(?: {2,}|\\)\n/g, "<br>\n");
+
+    while (html.includes("\uE000")) {
+        html = html.replace(PLACEHOLDER_PATTERN, (_match, index: string) => parked[Number(index)] ?? "");
+    }
+    return html;
+}
+
+function renderEmphasis(html: string): string {
+    return html
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, "<strong>$1</strong>")
+        .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, "$1<strong>$2</strong>")
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, "<del>$1</del>")
+        .replace(/\*(?=[^\s*])([\s\S]*?[^\s*])\*/g, "<em>$1</em>")
+        .replace(/(^|[^\w])_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/g, "$1<em>$2</em>");
+}
+
+function splitTableRow(line: string): string[] {
+    // Escaped pipes stay in their cell and are unescaped with the cell's text
+    const cells = line.trim().replace(/\\\|/g, "\uE001").replace(/^\|/, "").replace(/\|$/, "").split("|");
+    return cells.map((cell) => cell.trim().replace(/\uE001/g, "\\|"));
+}
+
+function readAlignment(cell: string): TableAlignment {
+    const left = cell.startsWith(":");
+    const right = cell.endsWith(":");
+    if (left && right) return "center";
+    if (right) return "right";
+    return left ? "left" : null;
+}
+
+function renderTableCell(tag: "th" | "td", text: string, alignment: TableAlignment): string {
+    const className = alignment ? ` class="md-align-${alignment}"` : "";
+    return `<${tag}${className}>${renderInline(text)}</${tag}>`;
+}
+
+function isTableStart(lines: string[], index: number): boolean {
+    const line = lines[index] ?? "";
+    const next = lines[index + 1];
+    return line.includes("|") && next !== undefined && next.includes("-") && TABLE_DELIMITER_PATTERN.test(next)
+        && splitTableRow(line).length === splitTableRow(next).length;
+}
+
+/** Whether a line begins a block that ends the paragraph in front of it */
+function startsBlock(line: string): boolean {
+    return FENCE_PATTERN.test(line) || HEADING_PATTERN.test(line) || RULE_PATTERN.test(line)
+        || QUOTE_PATTERN.test(line) || LIST_ITEM_PATTERN.test(line);
+}
+
+function getIndent(line: string): number {
+    return (line.match(/^[ \t]*/)?.[0] ?? "").replace(/\t/g, "    ").length;
+}
+
+/** Index of the first line from the given one that is not blank; lines.length when there is none */
+function nextContentLine(lines: string[], from: number): number {
+    let index = from;
+    while (index < lines.length && !lines[index]!.trim()) index++;
+    return index;
+}
+
+/** Removes up to the given number of columns of indentation */
+function dedent(line: string, columns: number): string {
+    let removed = 0;
+    let index = 0;
+    while (index < line.length && removed < columns) {
+        if (line[index] === " ") removed++;
+        else if (line[index] === "\t") removed += 4;
+        else break;
+        index++;
+    }
+    return line.slice(index);
+}
+
+/**
+ * Renders a list starting at the given line
+ * @returns The markup and the index of the first line after the list
+ */
+function renderList(lines: string[], start: number): { html: string; next: number } {
+    const first = LIST_ITEM_PATTERN.exec(lines[start] ?? "")!;
+    const ordered = /\d/.test(first[2]!);
+    const delimiter = first[2]!.slice(-1);
+    const isSibling = (match: RegExpExecArray | null): match is RegExpExecArray =>
+        !!match && /\d/.test(match[2]!) === ordered && match[2]!.slice(-1) === delimiter;
+    const items: string[] = [];
+    let loose = false;
+    let index = start;
+
+    while (index < lines.length) {
+        const match = LIST_ITEM_PATTERN.exec(lines[index] ?? "");
+        if (!isSibling(match)) break;
+
+        const contentIndent = match[1]!.length + match[2]!.length + Math.min(Math.max(match[3]!.length, 1), 4);
+        const itemLines = [(lines[index] ?? "").slice(match[0].length)];
+        index++;
+
+        while (index < lines.length) {
+            const line = lines[index] ?? "";
+            if (!line.trim()) {
+                // A blank line continues the item only when indented content follows
+                const following = lines[nextContentLine(lines, index)];
+                if (following === undefined || getIndent(following) < contentIndent) break;
+                itemLines.push("");
+                index++;
+                continue;
+            }
+            if (getIndent(line) >= contentIndent) {
+                itemLines.push(dedent(line, contentIndent));
+            } else if (!startsBlock(line) && itemLines[itemLines.length - 1]?.trim()) {
+                itemLines.push(line.trim());
+            } else {
+                break;
+            }
+            index++;
+        }
+
+        if (itemLines.indexOf("", 1) !== -1) loose = true;
+        items.push(renderListItem(itemLines));
+
+        // A blank line between items makes the list loose
+        if (index < lines.length && !lines[index]!.trim()) {
+            const following = nextContentLine(lines, index);
+            const nextItem = LIST_ITEM_PATTERN.exec(lines[following] ?? "");
+            if (!isSibling(nextItem) || nextItem[1]!.length !== first[1]!.length) break;
+            loose = true;
+            index = following;
+        }
+    }
+
+    const tag = ordered ? "ol" : "ul";
+    const startNumber = ordered ? parseInt(first[2]!, 10) : 1;
+    const startAttribute = startNumber !== 1 ? ` start="${startNumber}"` : "";
+    const body = items.map((item) => loose ? item : item.replace(/<p>([\s\S]*?)<\/p>/g, "$1")).join("\n");
+    return { html: `<${tag}${startAttribute}>\n${body}\n</${tag}>`, next: index };
+}
+
+function renderListItem(itemLines: string[]): string {
+    const task = TASK_PATTERN.exec(itemLines[0] ?? "");
+    if (!task) return `<li>${renderBlocks(itemLines)}</li>`;
+
+    const checked = task[1] !== " " ? " checked" : "";
+    const rest = [(itemLines[0] ?? "").slice(task[0].length), ...itemLines.slice(1)];
+    return `<li class="md-task"><input type="checkbox" disabled${checked}> ${renderBlocks(rest)}</li>`;
+}
+
+function renderTable(lines: string[], start: number): { html: string; next: number } {
+    const header = splitTableRow(lines[start] ?? "");
+    const alignments = splitTableRow(lines[start + 1] ?? "").map(readAlignment);
+    const rows: string[] = [];
+    let index = start + 2;
+
+    while (index < lines.length && lines[index]?.trim() && lines[index]!.includes("|") && !startsBlock(lines[index]!)) {
+        const cells = splitTableRow(lines[index]!);
+        rows.push(`<tr>${alignments.map((alignment, column) => renderTableCell("td", cells[column] ?? "", alignment)).join("")}</tr>`);
+        index++;
+    }
+
+    const head = `<tr>${header.map((cell, column) => renderTableCell("th", cell, alignments[column] ?? null)).join("")}</tr>`;
+    const body = rows.length ? `\n<tbody>\n${rows.join("\n")}\n</tbody>` : "";
+    return { html: `<table>\n<thead>\n${head}\n</thead>${body}\n</table>`, next: index };
+}
+
+function renderBlocks(lines: string[]): string {
+    const blocks: string[] = [];
+    let index = 0;
+
+    while (index < lines.length) {
+        const line = lines[index] ?? "";
+        if (!line.trim()) {
+            index++;
+            continue;
+        }
+
+        const fence = FENCE_PATTERN.exec(line);
+        if (fence) {
+            const marker = fence[1]!;
+            const indent = getIndent(line);
+            const code: string[] = [];
+            index++;
+            while (index < lines.length) {
+                const closing = lines[index]!.trim();
+                if (closing.startsWith(marker) && new RegExp(`^\\${marker[0]}+$`).test(closing)) {
+                    index++;
+                    break;
+                }
+                code.push(dedent(lines[index]!, indent));
+                index++;
+            }
+            const language = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : "";
+            blocks.push(`<pre><code${language}>${escapeHtml(code.join("\n"))}</code></pre>`);
+            continue;
+        }
+
+        const heading = HEADING_PATTERN.exec(line);
+        if (heading) {
+            const level = heading[1]!.length;
+            blocks.push(`<h${level}>${renderInline(heading[2] ?? "")}</h${level}>`);
+            index++;
+            continue;
+        }
+
+        if (RULE_PATTERN.test(line)) {
+            blocks.push("<hr>");
+            index++;
+            continue;
+        }
+
+        if (QUOTE_PATTERN.test(line)) {
+            const quoted: string[] = [];
+            while (index < lines.length && lines[index]!.trim()) {
+                const current = lines[index]!;
+                if (!QUOTE_PATTERN.test(current) && startsBlock(current)) break;
+                quoted.push(current.replace(QUOTE_PATTERN, ""));
+                index++;
+            }
+            blocks.push(`<blockquote>\n${renderBlocks(quoted)}\n</blockquote>`);
+            continue;
+        }
+
+        if (LIST_ITEM_PATTERN.test(line)) {
+            const list = renderList(lines, index);
+            blocks.push(list.html);
+            index = list.next;
+            continue;
+        }
+
+        if (isTableStart(lines, index)) {
+            const table = renderTable(lines, index);
+            blocks.push(table.html);
+            index = table.next;
+            continue;
+        }
+
+        const paragraph: string[] = [];
+        while (index < lines.length && lines[index]!.trim()
+            && (paragraph.length === 0 || (!startsBlock(lines[index]!) && !isTableStart(lines, index)))) {
+            paragraph.push(lines[index]!.replace(/^[ \t]+/, ""));
+            index++;
+        }
+        blocks.push(`<p>${renderInline(paragraph.join("\n").replace(/[ \t]+$/, ""))}</p>`);
+    }
+
+    return blocks.join("\n");
+}
+
+/**
+ * Renders Markdown to HTML that is safe to assign to innerHTML
+ */
+export function renderMarkdown(source: string): string {
+    // The two private use characters mark placeholders while rendering
+    const lines = source.replace(/\r\n?/g, "\n").replace(/[\uE000\uE001]/g, "\uFFFD").split("\n");
+    return renderBlocks(lines);
+}
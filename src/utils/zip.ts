@@ -0,0 +1,240 @@
+/**
+ * ZIP Module
+ * Builds uncompressed (stored) ZIP archives in memory and reads stored or
+ * deflated ones, so exports and imports need no library and no network.
+ */
+
+import { textDecoder, textEncoder } from './crypto-helpers.js';
+
+/** A file to put into an archive */
+export interface ZipEntry {
+    /** Path inside the archive, with forward slashes */
+    name: string;
+    data: Uint8Array | string;
+}
+
+/** A file read from an archive */
+export interface ZipFile {
+    name: string;
+    data: Uint8Array;
+}
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+// Version 2.0: the lowest that readers expect for plain stored files
+const ZIP_VERSION = 20;
+// General purpose flag bit 11: names are UTF-8
+const UTF8_FLAG = 0x0800;
+// General purpose flag bit 0: the entry is encrypted
+const ENCRYPTED_FLAG = 0x0001;
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+// The end record is 22 bytes plus a comment of at most 65535
+const MAX_END_RECORD_SEARCH = 22 + 0xffff;
+
+let crcTable: Uint32Array | null = null;
+
+function getCrcTable(): Uint32Array {
+    if (crcTable) return crcTable;
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        crcTable[n] = c >>> 0;
+    }
+    return crcTable;
+}
+
+/**
+ * CRC-32 as used by ZIP and gzip
+ */
+export function crc32(data: Uint8Array): number {
+    const table = getCrcTable();
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+        crc = table[(crc ^ data[i]!) & 0xff]! ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/** MS-DOS time and date fields; years before 1980 cannot be represented */
+function toDosDateTime(date: Date): { time: number; date: number } {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Creates a ZIP archive with every entry stored uncompressed
+ * @param modified - Timestamp recorded for every entry
+ */
+export function createZip(entries: ZipEntry[], modified: Date = new Date()): Uint8Array<ArrayBuffer> {
+    const { time, date } = toDosDateTime(modified);
+    const localParts: Uint8Array[] = [];
+    const centralParts: Uint8Array[] = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = textEncoder.encode(entry.name);
+        const data = typeof entry.data === "string" ? textEncoder.encode(entry.data) : entry.data;
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+        local.setUint16(4, ZIP_VERSION, true);
+        local.setUint16(6, UTF8_FLAG, true);
+        local.setUint16(8, 0, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+        localParts.push(new Uint8Array(local.buffer), name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+        central.setUint16(4, ZIP_VERSION, true);
+        central.setUint16(6, ZIP_VERSION, true);
+        central.setUint16(8, UTF8_FLAG, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        centralParts.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const archive = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    for (const part of parts) {
+        archive.set(part, position);
+        position += part.length;
+    }
+    return archive;
+}
+
+/**
+ * Inflates deflated data, stopping as soon as the output passes maxSize so a
+ * small entry cannot expand into more memory than its header announced
+ * @returns null when the data inflates to more than maxSize bytes
+ */
+async function inflateRaw(data: Uint8Array<ArrayBuffer>, maxSize: number): Promise<Uint8Array | null> {
+    const reader = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw")).getReader();
+    const chunks: Uint8Array[] = [];
+    let size = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        size += value.length;
+        if (size > maxSize) {
+            await reader.cancel();
+            return null;
+        }
+        chunks.push(value);
+    }
+
+    const output = new Uint8Array(size);
+    let position = 0;
+    for (const chunk of chunks) {
+        output.set(chunk, position);
+        position += chunk.length;
+    }
+    return output;
+}
+
+function findEndOfCentralDirectory(view: DataView): number {
+    const last = view.byteLength - 22;
+    const first = Math.max(0, view.byteLength - MAX_END_RECORD_SEARCH);
+    for (let position = last; position >= first; position--) {
+        if (view.getUint32(position, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+            return position;
+        }
+    }
+    throw new Error("Not a ZIP archive");
+}
+
+/**
+ * Reads every file from a ZIP archive through its central directory. Folders
+ * are skipped; encrypted entries and compression other than deflate are rejected.
+ * @param maxBytes - Limit on the total uncompressed size, checked before inflating;
+ * no entry is inflated past the size its header records
+ */
+export async function readZip(archive: Uint8Array<ArrayBuffer>, maxBytes = Infinity): Promise<ZipFile[]> {
+    const view = new DataView(archive.buffer, archive.byteOffset, archive.byteLength);
+    if (archive.length < 22) {
+        throw new Error("Not a ZIP archive");
+    }
+
+    const end = findEndOfCentralDirectory(view);
+    const count = view.getUint16(end + 10, true);
+    let position = view.getUint32(end + 16, true);
+
+    const headers = [];
+    let totalSize = 0;
+    for (let i = 0; i < count; i++) {
+        if (position + 46 > archive.length || view.getUint32(position, true) !== CENTRAL_HEADER_SIGNATURE) {
+            throw new Error("Damaged ZIP archive");
+        }
+        const nameLength = view.getUint16(position + 28, true);
+        const header = {
+            flags: view.getUint16(position + 8, true),
+            method: view.getUint16(position + 10, true),
+            crc: view.getUint32(position + 16, true),
+            compressedSize: view.getUint32(position + 20, true),
+            size: view.getUint32(position + 24, true),
+            offset: view.getUint32(position + 42, true),
+            name: textDecoder.decode(archive.subarray(position + 46, position + 46 + nameLength))
+        };
+        position += 46 + nameLength + view.getUint16(position + 30, true) + view.getUint16(position + 32, true);
+
+        if (header.name.endsWith("/")) continue;
+        if (header.flags & ENCRYPTED_FLAG) {
+            throw new Error(`${header.name} is encrypted`);
+        }
+        if (header.method !== METHOD_STORED && header.method !== METHOD_DEFLATED) {
+            throw new Error(`${header.name} uses an unsupported compression method`);
+        }
+        totalSize += header.size;
+        if (totalSize > maxBytes) {
+            throw new Error("ZIP archive is too large");
+        }
+        headers.push(header);
+    }
+
+    const files: ZipFile[] = [];
+    for (const header of headers) {
+        const { offset } = header;
+        if (offset + 30 > archive.length || view.getUint32(offset, true) !== LOCAL_HEADER_SIGNATURE) {
+            throw new Error("Damaged ZIP archive");
+        }
+        const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+        const raw = archive.subarray(start, start + header.compressedSize);
+        const data = header.method === METHOD_DEFLATED ? await inflateRaw(raw, header.size) : raw;
+        if (!data || data.length !== header.size || crc32(data) !== header.crc) {
+            throw new Error(`${header.name} is damaged`);
+        }
+        files.push({ name: header.name, data });
+    }
+    return files;
+}
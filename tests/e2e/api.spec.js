@@ -1,4 +1,5 @@
 // @ts-check
+const http = require('http');
 const { test, expect } = require('@playwright/test');
 
 /**
@@ -7,6 +8,7 @@ const { test, expect } = require('@playwright/test');
  */
 
 const encryptedPayload = (hexChar = 'c') => `${'a'.repeat(32)}:${'b'.repeat(24)}:${hexChar.repeat(32)}`;
+const chunkPayload = (hexChar = 'c') => `${'b'.repeat(24)}:${hexChar.repeat(32)}`;
 
 test.describe('API Endpoints', () => {
     test('should return health check', async ({ request }) => {
@@ -19,6 +21,21 @@ test.describe('API Endpoints', () => {
         expect(data.ok).toBe(true);
     });
 
+    test('should keep the opener only for workspaces opened by a backup import', async ({ request }) => {
+        const normal = await request.get('/backup-import-site');
+        expect(normal.headers()['cross-origin-opener-policy']).toBe('same-origin');
+
+        const importing = await request.get('/backup-import-site?import=backup');
+        expect(importing.status()).toBe(200);
+        expect(importing.headers()['cross-origin-opener-policy']).toBe('unsafe-none');
+    });
+
+    test('should serve the crypto worker script', async ({ request }) => {
+        const response = await request.get('/crypto-worker.js');
+        expect(response.status()).toBe(200);
+        expect(response.headers()['content-type']).toContain('javascript');
+    });
+
     test('should return new site data for non-existent site', async ({ request }) => {
         const response = await request.get('/api/json?site=non-existent-site-12345');
         expect(response.ok()).toBeTruthy();
@@ -27,6 +44,7 @@ test.describe('API Endpoints', () => {
         expect(data.status).toBe('success');
         expect(data.isNew).toBe(true);
         expect(data.eContent).toBe('');
+        expect(data.maxContentBytes).toBeGreaterThan(0);
     });
 
     test('should reject save without required fields', async ({ request }) => {
@@ -198,6 +216,374 @@ test.describe('API Endpoints', () => {
     });
 });
 
+test.describe('Revision History', () => {
+    test('should keep previous encrypted blobs and serve them by revision', async ({ request }) => {
+        const uniqueSite = `api-test-history-${Date.now()}`;
+
+        await request.post('/api/save', {
+            data: {
+                site: uniqueSite,
+                initHashContent: '',
+                currentHashContent: 'hist1',
+                encryptedContent: encryptedPayload('c')
+            }
+        });
+        await request.post('/api/save', {
+            data: {
+                site: uniqueSite,
+                initHashContent: 'hist1',
+                currentHashContent: 'hist2',
+                encryptedContent: encryptedPayload('d')
+            }
+        });
+
+        const historyResponse = await request.get(`/api/history?site=${uniqueSite}`);
+        expect(historyResponse.ok()).toBeTruthy();
+        const history = await historyResponse.json();
+        expect(history.status).toBe('success');
+        expect(history.currentRev).toBe(2);
+        expect(history.revisions).toHaveLength(1);
+        expect(history.revisions[0].rev).toBe(1);
+
+        const revisionResponse = await request.get(`/api/revision?site=${uniqueSite}&rev=1`);
+        expect(revisionResponse.ok()).toBeTruthy();
+        const revision = await revisionResponse.json();
+        expect(revision.status).toBe('success');
+        expect(revision.eContent).toBe(encryptedPayload('c'));
+    });
+
+    test('should return an empty history for unknown sites and 404 for unknown revisions', async ({ request }) => {
+        const uniqueSite = `api-test-history-empty-${Date.now()}`;
+
+        const historyResponse = await request.get(`/api/history?site=${uniqueSite}`);
+        const history = await historyResponse.json();
+        expect(history.currentRev).toBeNull();
+        expect(history.revisions).toEqual([]);
+
+        const revisionResponse = await request.get(`/api/revision?site=${uniqueSite}&rev=1`);
+        expect(revisionResponse.status()).toBe(404);
+    });
+
+    test('should reject malformed revision numbers', async ({ request }) => {
+        const response = await request.get('/api/revision?site=test-site&rev=abc');
+        expect(response.status()).toBe(400);
+    });
+});
+
+test.describe('Chunked Saves', () => {
+    const firstId = '0'.repeat(16);
+    const secondId = '1'.repeat(16);
+
+    /**
+     * @param {string} site
+     * @param {string} initHashContent
+     * @param {string} currentHashContent
+     * @param {string[]} chunkIds
+     * @param {{ id: string, data: string }[]} chunks
+     */
+    const chunkedSave = (site, initHashContent, currentHashContent, chunkIds, chunks) => ({
+        site,
+        initHashContent,
+        currentHashContent,
+        encryptedKey: encryptedPayload('e'),
+        manifest: chunkPayload('f'),
+        chunkIds,
+        chunks
+    });
+
+    test('should keep stored chunks that a delta save does not upload', async ({ request }) => {
+        const uniqueSite = `api-test-chunks-${Date.now()}`;
+
+        const first = await request.post('/api/save', {
+            data: chunkedSave(uniqueSite, '', 'chunk1', [firstId, secondId], [
+                { id: firstId, data: chunkPayload('c') },
+                { id: secondId, data: chunkPayload('d') }
+            ])
+        });
+        expect(first.ok()).toBeTruthy();
+
+        const delta = await request.post('/api/save', {
+            data: chunkedSave(uniqueSite, 'chunk1', 'chunk2', [secondId, firstId], [
+                { id: secondId, data: chunkPayload('a') }
+            ])
+        });
+        expect(delta.ok()).toBeTruthy();
+
+        const data = await (await request.get(`/api/json?site=${uniqueSite}`)).json();
+        expect(data.eContent).toBe('');
+        expect(data.currentHashContent).toBe('chunk2');
+        expect(data.chunked).toEqual({
+            encryptedKey: encryptedPayload('e'),
+            manifest: chunkPayload('f'),
+            chunks: [
+                { id: secondId, data: chunkPayload('a') },
+                { id: firstId, data: chunkPayload('c') }
+            ]
+        });
+
+        const revision = await (await request.get(`/api/revision?site=${uniqueSite}&rev=1`)).json();
+        expect(revision.chunked.chunks).toEqual([
+            { id: firstId, data: chunkPayload('c') },
+            { id: secondId, data: chunkPayload('d') }
+        ]);
+    });
+
+    test('should reject chunk ids the server does not have', async ({ request }) => {
+        const uniqueSite = `api-test-chunks-missing-${Date.now()}`;
+
+        const response = await request.post('/api/save', {
+            data: chunkedSave(uniqueSite, '', 'chunk1', [firstId], [])
+        });
+        expect(response.status()).toBe(400);
+    });
+});
+
+test.describe('Write Tokens', () => {
+    const ownerToken = 'a'.repeat(64);
+    const otherToken = 'b'.repeat(64);
+
+    /**
+     * @param {string} site
+     * @param {string} initHashContent
+     * @param {string} currentHashContent
+     * @param {Record<string, string>} [tokens]
+     */
+    const save = (site, initHashContent, currentHashContent, tokens = {}) => ({
+        site,
+        initHashContent,
+        currentHashContent,
+        encryptedContent: encryptedPayload(),
+        ...tokens
+    });
+
+    test('should require the write token for saves and deletes once set', async ({ request }) => {
+        const uniqueSite = `api-test-write-${Date.now()}`;
+
+        const created = await request.post('/api/save', { data: save(uniqueSite, '', 'w1', { writeToken: ownerToken }) });
+        expect((await created.json()).status).toBe('success');
+
+        const withoutToken = await request.post('/api/save', { data: save(uniqueSite, 'w1', 'w2') });
+        expect(withoutToken.status()).toBe(403);
+        expect((await withoutToken.json()).status).toBe('denied');
+        const wrongToken = await request.post('/api/save', { data: save(uniqueSite, 'w1', 'w2', { writeToken: otherToken }) });
+        expect(wrongToken.status()).toBe(403);
+        const deleteWithoutToken = await request.post('/api/delete', { data: { site: uniqueSite, initHashContent: 'w1' } });
+        expect(deleteWithoutToken.status()).toBe(403);
+
+        const data = await (await request.get(`/api/json?site=${uniqueSite}`)).json();
+        expect(data.currentHashContent).toBe('w1');
+
+        const owner = await request.post('/api/save', { data: save(uniqueSite, 'w1', 'w2', { writeToken: ownerToken }) });
+        expect((await owner.json()).status).toBe('success');
+
+        const deleted = await request.post('/api/delete', {
+            data: { site: uniqueSite, initHashContent: 'w2', writeToken: ownerToken }
+        });
+        expect((await deleted.json()).status).toBe('success');
+    });
+
+    test('should replace the write token when a new one is sent', async ({ request }) => {
+        const uniqueSite = `api-test-write-rotate-${Date.now()}`;
+
+        await request.post('/api/save', { data: save(uniqueSite, '', 'w1', { writeToken: ownerToken }) });
+        const rotated = await request.post('/api/save', {
+            data: save(uniqueSite, 'w1', 'w2', { writeToken: ownerToken, newWriteToken: otherToken })
+        });
+        expect((await rotated.json()).status).toBe('success');
+
+        const oldToken = await request.post('/api/save', { data: save(uniqueSite, 'w2', 'w3', { writeToken: ownerToken }) });
+        expect(oldToken.status()).toBe(403);
+        const newToken = await request.post('/api/save', { data: save(uniqueSite, 'w2', 'w3', { writeToken: otherToken }) });
+        expect((await newToken.json()).status).toBe('success');
+    });
+
+    test('should protect an open site from the first save that sends a token', async ({ request }) => {
+        const uniqueSite = `api-test-write-open-${Date.now()}`;
+
+        await request.post('/api/save', { data: save(uniqueSite, '', 'w1') });
+        const open = await request.post('/api/save', { data: save(uniqueSite, 'w1', 'w2') });
+        expect((await open.json()).status).toBe('success');
+
+        await request.post('/api/save', { data: save(uniqueSite, 'w2', 'w3', { writeToken: ownerToken }) });
+        const afterwards = await request.post('/api/save', { data: save(uniqueSite, 'w3', 'w4') });
+        expect(afterwards.status()).toBe(403);
+    });
+
+    test('should reject malformed write tokens', async ({ request }) => {
+        const response = await request.post('/api/save', {
+            data: save(`api-test-write-bad-${Date.now()}`, '', 'w1', { writeToken: 'not-hex' })
+        });
+        expect(response.status()).toBe(400);
+    });
+});
+
+test.describe('Soft Delete', () => {
+    const ownerToken = 'a'.repeat(64);
+
+    /**
+     * @param {import('@playwright/test').APIRequestContext} request
+     * @param {string} site
+     * @param {string} [writeToken]
+     */
+    async function createAndDelete(request, site, writeToken) {
+        await request.post('/api/save', {
+            data: { site, initHashContent: '', currentHashContent: 'r1', encryptedContent: encryptedPayload('1'), writeToken }
+        });
+        await request.post('/api/save', {
+            data: { site, initHashContent: 'r1', currentHashContent: 'r2', encryptedContent: encryptedPayload('2'), writeToken }
+        });
+        const deleted = await request.post('/api/delete', { data: { site, initHashContent: 'r2', writeToken } });
+        expect((await deleted.json()).status).toBe('success');
+    }
+
+    test('should hide a deleted site and restore it with its history', async ({ request }) => {
+        const uniqueSite = `api-test-restore-${Date.now()}`;
+        await createAndDelete(request, uniqueSite);
+
+        expect((await (await request.get(`/api/json?site=${uniqueSite}`)).json()).isNew).toBe(true);
+        expect((await (await request.get(`/api/history?site=${uniqueSite}`)).json()).revisions).toEqual([]);
+        expect((await request.get(`/api/revision?site=${uniqueSite}&rev=1`)).status()).toBe(404);
+
+        const wrongToken = await request.post('/api/restore', { data: { site: uniqueSite, initHashContent: 'r1' } });
+        expect(wrongToken.status()).toBe(404);
+
+        const restored = await request.post('/api/restore', { data: { site: uniqueSite, initHashContent: 'r2' } });
+        expect(await restored.json()).toEqual({ status: 'success', currentHashContent: 'r2' });
+
+        const data = await (await request.get(`/api/json?site=${uniqueSite}`)).json();
+        expect(data.isNew).toBe(false);
+        expect(data.eContent).toBe(encryptedPayload('2'));
+        expect((await (await request.get(`/api/history?site=${uniqueSite}`)).json()).revisions).toHaveLength(1);
+
+        const again = await request.post('/api/restore', { data: { site: uniqueSite, initHashContent: 'r2' } });
+        expect(again.status()).toBe(404);
+    });
+
+    test('should require the write token to restore a protected site', async ({ request }) => {
+        const uniqueSite = `api-test-restore-protected-${Date.now()}`;
+        await createAndDelete(request, uniqueSite, ownerToken);
+
+        const withoutToken = await request.post('/api/restore', { data: { site: uniqueSite, initHashContent: 'r2' } });
+        expect(withoutToken.status()).toBe(403);
+
+        const restored = await request.post('/api/restore', {
+            data: { site: uniqueSite, initHashContent: 'r2', writeToken: ownerToken }
+        });
+        expect((await restored.json()).status).toBe('success');
+    });
+
+    test('should let a new site replace a deleted one', async ({ request }) => {
+        const uniqueSite = `api-test-restore-recreated-${Date.now()}`;
+        await createAndDelete(request, uniqueSite);
+
+        const created = await request.post('/api/save', {
+            data: { site: uniqueSite, initHashContent: '', currentHashContent: 'n1', encryptedContent: encryptedPayload('3') }
+        });
+        expect((await created.json()).status).toBe('success');
+
+        const restore = await request.post('/api/restore', { data: { site: uniqueSite, initHashContent: 'r2' } });
+        expect(restore.status()).toBe(404);
+    });
+
+    test('should keep a protected deleted site from being replaced without its write token', async ({ request }) => {
+        const uniqueSite = `api-test-restore-replace-protected-${Date.now()}`;
+        await createAndDelete(request, uniqueSite, ownerToken);
+
+        const replaced = await request.post('/api/save', {
+            data: { site: uniqueSite, initHashContent: '', currentHashContent: 'n1', encryptedContent: encryptedPayload('3') }
+        });
+        expect(replaced.status()).toBe(403);
+
+        const restored = await request.post('/api/restore', {
+            data: { site: uniqueSite, initHashContent: 'r2', writeToken: ownerToken }
+        });
+        expect((await restored.json()).status).toBe('success');
+        expect((await (await request.get(`/api/history?site=${uniqueSite}`)).json()).revisions).toHaveLength(1);
+    });
+});
+
+test.describe('Change Events', () => {
+    /**
+     * Opens /api/events and collects its change events
+     * @param {string} baseURL
+     * @param {string} site
+     */
+    function openEventStream(baseURL, site) {
+        /** @type {Array<{ currentHashContent: string | null }>} */
+        const changes = [];
+        /** @type {Array<() => void>} */
+        let waiters = [];
+        let buffer = '';
+        const request = http.get(`${baseURL}/api/events?site=${site}`, (response) => {
+            response.setEncoding('utf8');
+            response.on('data', (chunk) => {
+                buffer += chunk;
+                const messages = buffer.split('\n\n');
+                buffer = messages.pop() || '';
+                for (const message of messages) {
+                    const data = message.split('\n').find((line) => line.startsWith('data: '));
+                    if (message.startsWith('event: change') && data) {
+                        changes.push(JSON.parse(data.slice('data: '.length)));
+                        waiters.forEach((wake) => wake());
+                        waiters = [];
+                    }
+                }
+            });
+        });
+        request.on('error', () => undefined);
+
+        return {
+            /** @param {number} count */
+            async waitFor(count) {
+                while (changes.length < count) {
+                    await new Promise((resolve, reject) => {
+                        const timer = setTimeout(() => reject(new Error('No change event received')), 5000);
+                        waiters.push(() => {
+                            clearTimeout(timer);
+                            resolve(undefined);
+                        });
+                    });
+                }
+                return changes.slice(0, count);
+            },
+            close: () => request.destroy()
+        };
+    }
+
+    test('should stream the current token and every save and delete', async ({ request, baseURL }) => {
+        const uniqueSite = `api-test-events-${Date.now()}`;
+        await request.post('/api/save', {
+            data: { site: uniqueSite, initHashContent: '', currentHashContent: 'e1', encryptedContent: encryptedPayload() }
+        });
+
+        const stream = openEventStream(/** @type {string} */ (baseURL), uniqueSite);
+        try {
+            expect(await stream.waitFor(1)).toEqual([{ currentHashContent: 'e1' }]);
+
+            await request.post('/api/save', {
+                data: { site: uniqueSite, initHashContent: 'e1', currentHashContent: 'e2', encryptedContent: encryptedPayload() }
+            });
+            await request.post('/api/save', {
+                data: { site: uniqueSite, initHashContent: 'stale', currentHashContent: 'e3', encryptedContent: encryptedPayload() }
+            });
+            await request.post('/api/delete', { data: { site: uniqueSite, initHashContent: 'e2' } });
+
+            expect(await stream.waitFor(3)).toEqual([
+                { currentHashContent: 'e1' },
+                { currentHashContent: 'e2' },
+                { currentHashContent: null }
+            ]);
+        } finally {
+            stream.close();
+        }
+    });
+
+    test('should reject subscriptions without a valid site', async ({ request }) => {
+        const response = await request.get('/api/events');
+        expect(response.status()).toBe(400);
+    });
+});
+
 test.describe('API Rate Limiting', () => {
     test('should not rate limit in development mode', async ({ request }) => {
         // Make multiple quick requests
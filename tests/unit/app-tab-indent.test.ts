@@ -48,6 +48,7 @@ vi.mock('../../src/state/ClientState.js', () => {
         async init(): Promise<void> {}
         getIsNew(): boolean { return true; }
         getContent(): string { return ''; }
+        getActiveTabId(): string | null { return null; }
         getIsTextModified(): boolean { return false; }
         getInitialIsNew(): boolean { return true; }
         updateIsTextModified(_modified: boolean): void {}
@@ -57,6 +58,8 @@ vi.mock('../../src/state/ClientState.js', () => {
         async deleteSite(): Promise<void> {}
         async setLoginPasswordAndContentIfCorrect(_password: string): Promise<boolean> { return true; }
         getPassword(): string { return ''; }
+        async getPendingSaveCount(): Promise<number> { return 0; }
+        watchRemoteChanges(): void {}
     }
 
     return {
@@ -77,6 +80,10 @@ function buildAppShell(): void {
         <button id="button-reload"></button>
         <button id="button-delete"></button>
         <button id="button-export"></button>
+        <button id="button-export-markdown"></button>
+        <button id="button-import"></button>
+        <input type="file" id="import-file-input" />
+        <button id="button-history"></button>
         <button id="search-button"></button>
         <button id="help-button"></button>
         <button id="add_tab"></button>
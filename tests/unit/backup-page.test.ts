@@ -0,0 +1,211 @@
+/**
+ * Offline backup page tests
+ *
+ * @vitest-environment jsdom
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { webcrypto } from 'crypto';
+import { encryptEnvelope } from '../../src/crypto/envelope';
+import { encryptChunk, generateWorkspaceKey, MANIFEST_AAD } from '../../src/crypto/chunks';
+import { getSeparatorHex, sha512Hex } from '../../src/utils/crypto-helpers';
+import { MOBILE_METADATA_HINT, TAB_COLOR_METADATA_PREFIX, formatTabPayload } from '../../src/state/tab-payload';
+import {
+    BACKUP_IMPORT_MESSAGE,
+    backupTabsFromParts,
+    buildBackupPage,
+    isBackupPageOrigin,
+    readBackupImportMessage,
+    readBackupImportNonce
+} from '../../src/ui/backup-page';
+import { WORKSPACE_DOCUMENT_FORMAT, documentFromParts, serializeDocumentTab, serializeManifest } from '../../src/state/document';
+import type { StoredContent } from '../../src/types/global';
+
+// Few iterations keep the page's key derivation fast
+const KDF = { kdf: 'pbkdf2-sha256', iterations: 1000 } as const;
+const PASSWORD = 'correct horse';
+
+/** Mounts the page into the test document and runs its script */
+async function openBackup(site: string, eContent: StoredContent): Promise<void> {
+    const html = buildBackupPage({
+        site,
+        eContent,
+        separator: await getSeparatorHex(),
+        siteHash: await sha512Hex(site),
+        appOrigin: 'https://notes.example',
+        colorPrefix: TAB_COLOR_METADATA_PREFIX,
+        metadataHint: MOBILE_METADATA_HINT,
+        manifestAad: MANIFEST_AAD,
+        documentFormat: WORKSPACE_DOCUMENT_FORMAT
+    });
+    const page = new DOMParser().parseFromString(html, 'text/html');
+    const source = page.querySelector('script')!.textContent!;
+    page.querySelector('script')!.remove();
+    document.body.innerHTML = page.body.innerHTML;
+
+    const script = document.createElement('script');
+    // A block per page keeps the top-level constants of earlier pages out of the way
+    script.textContent = `{${source}}`;
+    document.body.appendChild(script);
+}
+
+async function decrypt(password: string): Promise<string> {
+    (document.getElementById('pw') as HTMLInputElement).value = password;
+    document.getElementById('unlock')!.dispatchEvent(new Event('submit', { cancelable: true }));
+    const status = document.getElementById('status')!;
+    await expect.poll(() => status.textContent, { timeout: 5000 }).not.toBe('');
+    return status.textContent!;
+}
+
+function tabTitles(): string[] {
+    return Array.from(document.querySelectorAll('#tab-list button'), (button) => button.textContent!);
+}
+
+function output(): string {
+    return (document.getElementById('out') as HTMLTextAreaElement).value;
+}
+
+describe('backupTabsFromParts', () => {
+    it('reads tab headers and drops the mobile metadata tab', () => {
+        expect(backupTabsFromParts([
+            'plain',
+            `${TAB_COLOR_METADATA_PREFIX}#AA3300\ncolored`,
+            `${TAB_COLOR_METADATA_PREFIX}not-a-color\nbad color`,
+            formatTabPayload('pinned', { color: '#00aa00', pinned: true, created: '2024-05-17T10:30:00.000Z' }),
+            `metadata ${MOBILE_METADATA_HINT}`
+        ], TAB_COLOR_METADATA_PREFIX, MOBILE_METADATA_HINT)).toEqual([
+            { content: 'plain', color: null, pinned: false },
+            { content: 'colored', color: '#aa3300', pinned: false },
+            { content: 'bad color', color: null, pinned: false },
+            { content: 'pinned', color: '#00aa00', pinned: true }
+        ]);
+    });
+});
+
+describe('readBackupImportMessage', () => {
+    const nonce = '0123456789abcdef0123456789abcdef';
+
+    it('accepts only well-formed tab lists', () => {
+        expect(readBackupImportMessage({ type: BACKUP_IMPORT_MESSAGE, nonce, tabs: [{ content: 'a', color: '#112233', pinned: true }, { content: 'b' }] }, nonce))
+            .toEqual([{ content: 'a', color: '#112233', pinned: true }, { content: 'b', color: null, pinned: false }]);
+        expect(readBackupImportMessage({ type: 'other', nonce, tabs: [] }, nonce)).toBeNull();
+        expect(readBackupImportMessage({ type: BACKUP_IMPORT_MESSAGE, nonce, tabs: [{ content: 1 }] }, nonce)).toBeNull();
+        expect(readBackupImportMessage(null, nonce)).toBeNull();
+    });
+
+    it('requires the nonce the workspace was opened with', () => {
+        expect(readBackupImportMessage({ type: BACKUP_IMPORT_MESSAGE, tabs: [] }, nonce)).toBeNull();
+        expect(readBackupImportMessage({ type: BACKUP_IMPORT_MESSAGE, nonce: 'f'.repeat(32), tabs: [] }, nonce)).toBeNull();
+    });
+});
+
+describe('readBackupImportNonce', () => {
+    it('reads only nonces of 32 hex characters', () => {
+        expect(readBackupImportNonce(new URLSearchParams('import=backup&nonce=0123456789abcdef0123456789abcdef')))
+            .toBe('0123456789abcdef0123456789abcdef');
+        expect(readBackupImportNonce(new URLSearchParams('import=backup'))).toBeNull();
+        expect(readBackupImportNonce(new URLSearchParams('import=backup&nonce=short'))).toBeNull();
+    });
+});
+
+describe('isBackupPageOrigin', () => {
+    it('accepts downloaded backup pages and the app itself, nothing else', () => {
+        expect(isBackupPageOrigin('null', 'https://notes.example')).toBe(true);
+        expect(isBackupPageOrigin('https://notes.example', 'https://notes.example')).toBe(true);
+        expect(isBackupPageOrigin('https://attacker.example', 'https://notes.example')).toBe(false);
+    });
+});
+
+describe('buildBackupPage', () => {
+    beforeAll(() => {
+        // Page scripts run in jsdom's own global, which lacks SubtleCrypto; a probe script hands it over
+        const probe = document.createElement('script');
+        probe.textContent = 'document.documentElement.scriptWindow = window;';
+        document.head.appendChild(probe);
+        const scriptWindow = (document.documentElement as HTMLElement & { scriptWindow: Window }).scriptWindow;
+        Object.defineProperty(scriptWindow, 'crypto', { value: webcrypto, configurable: true });
+    });
+
+    beforeEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    it('splits a single-envelope backup into tabs without the site hash', async () => {
+        const separator = await getSeparatorHex();
+        const plain = ['# First', `${TAB_COLOR_METADATA_PREFIX}#00aa00\nSecond tab`].join(separator) + await sha512Hex('notes');
+        await openBackup('notes', await encryptEnvelope(plain, PASSWORD, KDF));
+
+        expect(await decrypt(PASSWORD)).toBe('2 tab(s) decrypted.');
+        expect(tabTitles()).toEqual(['# First', 'Second tab']);
+        expect(output()).toBe('# First');
+
+        const buttons = document.querySelectorAll<HTMLButtonElement>('#tab-list button');
+        expect(buttons[1]!.style.borderLeftColor).toBe('rgb(0, 170, 0)');
+        buttons[1]!.click();
+        expect(output()).toBe('Second tab');
+    });
+
+    it('decrypts chunked backups saved with a chunk id list', async () => {
+        const siteHash = await sha512Hex('chunked');
+        const { key, keyHex } = await generateWorkspaceKey();
+        const chunks = [
+            { id: '0123456789abcdef', data: await encryptChunk(key, 'alpha', '0123456789abcdef') },
+            { id: 'fedcba9876543210', data: await encryptChunk(key, 'beta', 'fedcba9876543210') }
+        ];
+        await openBackup('chunked', {
+            encryptedKey: await encryptEnvelope(keyHex + siteHash, PASSWORD, KDF),
+            manifest: await encryptChunk(key, JSON.stringify(chunks.map((chunk) => chunk.id)), MANIFEST_AAD),
+            chunks
+        });
+
+        expect(await decrypt(PASSWORD)).toBe('2 tab(s) decrypted.');
+        expect(tabTitles()).toEqual(['alpha', 'beta']);
+        expect((document.getElementById('import-origin') as HTMLInputElement).value).toBe('https://notes.example');
+        expect((document.getElementById('import-site') as HTMLInputElement).value).toBe('chunked');
+    });
+
+    it('decrypts workspace documents', async () => {
+        const siteHash = await sha512Hex('doc');
+        const { key, keyHex } = await generateWorkspaceKey();
+        const workspace = documentFromParts([
+            formatTabPayload('pinned first', { color: '#00aa00', pinned: true }),
+            'second',
+            `metadata ${MOBILE_METADATA_HINT}`
+        ], null);
+        const ids = ['0123456789abcdef', 'fedcba9876543210'];
+        await openBackup('doc', {
+            encryptedKey: await encryptEnvelope(keyHex + siteHash, PASSWORD, KDF),
+            manifest: await encryptChunk(key, serializeManifest(workspace, ids), MANIFEST_AAD),
+            chunks: await Promise.all(workspace.tabs.map(async (tab, i) => ({
+                id: ids[i]!,
+                data: await encryptChunk(key, serializeDocumentTab(tab), ids[i]!)
+            })))
+        });
+
+        expect(await decrypt(PASSWORD)).toBe('2 tab(s) decrypted.');
+        expect(tabTitles()).toEqual(['pinned first', 'second']);
+        expect(document.querySelector<HTMLButtonElement>('#tab-list button')!.style.borderLeftColor).toBe('rgb(0, 170, 0)');
+    });
+
+    it('reports a wrong password without showing tabs', async () => {
+        await openBackup('notes', await encryptEnvelope('secret', PASSWORD, KDF));
+
+        expect(await decrypt('wrong')).toBe('Decryption failed.');
+        expect(tabTitles()).toEqual([]);
+    });
+
+    it('keeps embedded content from closing the script element', async () => {
+        const html = buildBackupPage({
+            site: 'notes',
+            eContent: '</script><script>alert(1)</script>',
+            separator: 'sep',
+            siteHash: 'hash',
+            appOrigin: '',
+            colorPrefix: TAB_COLOR_METADATA_PREFIX,
+            metadataHint: MOBILE_METADATA_HINT,
+            manifestAad: MANIFEST_AAD,
+            documentFormat: WORKSPACE_DOCUMENT_FORMAT
+        });
+        expect(html.match(/<\/script>/g)).toHaveLength(1);
+    });
+});
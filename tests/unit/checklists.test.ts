@@ -0,0 +1,90 @@
+/**
+ * Checklist tests
+ *
+ * @vitest-environment jsdom
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { countTasks, readTaskLine, toggleTaskLine, updateTaskCount } from '../../src/ui/checklists';
+import { parseSearchQuery, searchAllTabs } from '../../src/ui/search';
+
+const NOTE = [
+    '# Groceries',
+    '- [ ] milk',
+    '- [x] bread',
+    '  * [X] nested butter',
+    '1. [ ] numbered eggs',
+    '- [] not a task',
+    '[ ] no list marker'
+].join('\n');
+
+describe('task lines', () => {
+    it('reads and counts tasks in list items only', () => {
+        expect(readTaskLine('- [ ] milk')).toEqual({ done: false });
+        expect(readTaskLine('  * [X] nested')).toEqual({ done: true });
+        expect(readTaskLine('- [] not a task')).toBeNull();
+        expect(readTaskLine('- [x]done')).toBeNull();
+        expect(countTasks(NOTE)).toEqual({ open: 2, done: 2 });
+    });
+
+    it('toggles the task on a line and keeps the selection', () => {
+        const textarea = document.createElement('textarea');
+        textarea.value = NOTE;
+        textarea.setSelectionRange(5, 9);
+
+        expect(toggleTaskLine(textarea, 1)).toBe(true);
+        expect(toggleTaskLine(textarea, 3)).toBe(true);
+        expect(toggleTaskLine(textarea, 0)).toBe(false);
+        expect(toggleTaskLine(textarea, 20)).toBe(false);
+        expect(textarea.value.split('\n').slice(1, 4)).toEqual(['- [x] milk', '- [x] bread', '  * [ ] nested butter']);
+        expect([textarea.selectionStart, textarea.selectionEnd]).toEqual([5, 9]);
+    });
+
+    it('shows the progress next to the tab title', () => {
+        document.body.innerHTML = '<div class="tab-header"><button class="tab-title">Groceries</button><span class="close"></span></div>';
+        const header = document.querySelector<HTMLElement>('.tab-header')!;
+
+        updateTaskCount(header, NOTE);
+        const badge = header.querySelector('.tab-title + .tab-task-count')!;
+        expect(badge.textContent).toBe('2/4');
+        expect(badge.classList.contains('complete')).toBe(false);
+
+        updateTaskCount(header, '- [x] done');
+        expect(badge.textContent).toBe('1/1');
+        expect(badge.classList.contains('complete')).toBe(true);
+
+        updateTaskCount(header, 'no tasks');
+        expect(header.querySelector('.tab-task-count')).toBeNull();
+    });
+});
+
+describe('task search filters', () => {
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div class="tab-header" data-tab-id="tab-1"><button class="tab-title">Groceries</button></div>
+            <div class="tab-header" data-tab-id="tab-2"><button class="tab-title">Work</button></div>
+            <div id="tab-1"><textarea class="textarea-contents"></textarea></div>
+            <div id="tab-2"><textarea class="textarea-contents"></textarea></div>`;
+        document.querySelector<HTMLTextAreaElement>('#tab-1 textarea')!.value = NOTE;
+        document.querySelector<HTMLTextAreaElement>('#tab-2 textarea')!.value = '- [ ] send eggs invoice\n- [x] review';
+    });
+
+    it('splits task filters off the query', () => {
+        expect(parseSearchQuery('eggs task:open')).toEqual({ text: 'eggs', taskFilter: 'open' });
+        expect(parseSearchQuery('TASK:done')).toEqual({ text: '', taskFilter: 'done' });
+        expect(parseSearchQuery('task:open task:done')).toEqual({ text: '', taskFilter: 'any' });
+        expect(parseSearchQuery('mytask:open')).toEqual({ text: 'mytask:open', taskFilter: null });
+    });
+
+    it('lists open or completed tasks across all tabs', () => {
+        const summary = (query: string) => searchAllTabs(query).map((result) => `${result.tabTitle}:${result.lineNumber}`);
+
+        expect(summary('task:open')).toEqual(['Groceries:2', 'Groceries:5', 'Work:1']);
+        expect(summary('task:done')).toEqual(['Groceries:3', 'Groceries:4', 'Work:2']);
+        expect(summary('eggs task:open')).toEqual(['Groceries:5', 'Work:1']);
+
+        const [match] = searchAllTabs('task:open invoice');
+        expect(match!.lineContent.slice(match!.matchStart, match!.matchEnd)).toBe('invoice');
+        expect(summary('eggs')).toHaveLength(2);
+    });
+});
@@ -3,8 +3,16 @@
  */
 
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { bufToHex, hexToBuf, simpleWeakHash, textEncoder, textDecoder } from '../../src/utils/crypto-helpers';
+import { bufToHex, createConcurrencyToken, hexToBuf, simpleWeakHash, textEncoder, textDecoder } from '../../src/utils/crypto-helpers';
 import { debounce } from '../../src/utils/fetch';
+import { aesGcmEncryptHex } from '../../src/crypto/aes-gcm';
+import { CURRENT_KDF, decryptEnvelope, encryptEnvelope, formatEnvelope, parseEnvelope } from '../../src/crypto/envelope';
+import { createArgon2 } from '../../src/crypto/argon2';
+import { clearKeyCache, deriveAesKey } from '../../src/crypto/kdf';
+import { runCryptoOperation, type CryptoRequest } from '../../src/crypto/operations';
+import { runCrypto, setCryptoWorkerFactory } from '../../src/crypto/worker-client';
+import { createChunkId, decryptChunk, encryptChunk, generateWorkspaceKey, importWorkspaceKey, MANIFEST_AAD } from '../../src/crypto/chunks';
+import { deriveWriteToken } from '../../src/crypto/write-token';
 
 describe('hex conversion utilities', () => {
     describe('bufToHex', () => {
@@ -46,6 +54,14 @@ describe('hex conversion utilities', () => {
     });
 });
 
+describe('createConcurrencyToken', () => {
+    it('returns a prefixed 128-bit random token', () => {
+        const token = createConcurrencyToken();
+        expect(token).toMatch(/^n1\.[0-9a-f]{32}$/);
+        expect(createConcurrencyToken()).not.toBe(token);
+    });
+});
+
 describe('simpleWeakHash', () => {
     it('is deterministic and sensitive to input changes', () => {
         expect(simpleWeakHash('test')).toBe(simpleWeakHash('test'));
@@ -103,3 +119,336 @@ describe('debounce', () => {
         expect(fn).toHaveBeenCalledTimes(1);
     });
 });
+
+describe('ciphertext envelope', () => {
+    const salt = 'a'.repeat(32);
+    const iv = 'b'.repeat(24);
+    const cipher = 'c'.repeat(32);
+    const fastKdf = { kdf: 'pbkdf2-sha256' as const, iterations: 1000 };
+
+    it('parses legacy salt:iv:cipher payloads with the original KDF settings', () => {
+        expect(parseEnvelope(`${salt}:${iv}:${cipher}`)).toEqual({
+            version: 2,
+            kdf: { kdf: 'pbkdf2-sha256', iterations: 150000 },
+            saltHex: salt,
+            ivHex: iv,
+            cipherHex: cipher
+        });
+    });
+
+    it('formats and parses v3 envelopes', () => {
+        const payload = formatEnvelope({ kdf: CURRENT_KDF, saltHex: salt, ivHex: iv, cipherHex: cipher });
+        expect(payload).toBe(`v3:kdf=pbkdf2-sha256:iter=600000:${salt}:${iv}:${cipher}`);
+        expect(parseEnvelope(payload)).toMatchObject({ version: 3, kdf: CURRENT_KDF, saltHex: salt });
+    });
+
+    it('rejects unknown KDFs and unreasonable iteration counts', () => {
+        expect(parseEnvelope(`v3:kdf=scrypt:iter=600000:${salt}:${iv}:${cipher}`)).toBeNull();
+        expect(parseEnvelope(`v3:kdf=pbkdf2-sha256:iter=10:${salt}:${iv}:${cipher}`)).toBeNull();
+        expect(parseEnvelope(`v3:kdf=pbkdf2-sha256:iter=99999999:${salt}:${iv}:${cipher}`)).toBeNull();
+        expect(parseEnvelope(`v4:kdf=pbkdf2-sha256:iter=1000:${salt}:${iv}:${cipher}`)).toBeNull();
+        expect(parseEnvelope('a:b')).toBeNull();
+    });
+
+    it('roundtrips plaintext and rejects wrong passwords', async () => {
+        const payload = await encryptEnvelope('secret notes', 'correct horse', fastKdf);
+
+        expect(payload.startsWith('v3:kdf=pbkdf2-sha256:iter=1000:')).toBe(true);
+        await expect(decryptEnvelope(payload, 'correct horse')).resolves.toBe('secret notes');
+        await expect(decryptEnvelope(payload, 'wrong')).resolves.toBeNull();
+    });
+
+    it('formats and parses Argon2id envelopes', () => {
+        const kdf = { kdf: 'argon2id' as const, memoryKiB: 19456, passes: 2, parallelism: 1 };
+        const payload = formatEnvelope({ kdf, saltHex: salt, ivHex: iv, cipherHex: cipher });
+
+        expect(payload).toBe(`v3:kdf=argon2id:m=19456:t=2:p=1:${salt}:${iv}:${cipher}`);
+        expect(parseEnvelope(payload)).toMatchObject({ version: 3, kdf, saltHex: salt });
+    });
+
+    it('rejects Argon2id settings outside the accepted bounds', () => {
+        expect(parseEnvelope(`v3:kdf=argon2id:m=19456:t=2:${salt}:${iv}:${cipher}`)).toBeNull();
+        expect(parseEnvelope(`v3:kdf=argon2id:m=4:t=2:p=1:${salt}:${iv}:${cipher}`)).toBeNull();
+        expect(parseEnvelope(`v3:kdf=argon2id:m=9999999:t=2:p=1:${salt}:${iv}:${cipher}`)).toBeNull();
+        expect(parseEnvelope(`v3:kdf=argon2id:m=64:t=0:p=1:${salt}:${iv}:${cipher}`)).toBeNull();
+        expect(parseEnvelope(`v3:kdf=argon2id:m=64:t=2:p=64:${salt}:${iv}:${cipher}`)).toBeNull();
+    });
+
+    it('roundtrips plaintext with Argon2id', async () => {
+        const argonKdf = { kdf: 'argon2id' as const, memoryKiB: 64, passes: 1, parallelism: 1 };
+        const payload = await encryptEnvelope('secret notes', 'correct horse', argonKdf);
+
+        expect(payload.startsWith('v3:kdf=argon2id:m=64:t=1:p=1:')).toBe(true);
+        await expect(decryptEnvelope(payload, 'correct horse')).resolves.toBe('secret notes');
+        await expect(decryptEnvelope(payload, 'wrong')).resolves.toBeNull();
+    });
+
+    it('decrypts legacy payloads', async () => {
+        const { ivHex, cipherHex } = await aesGcmEncryptHex('legacy notes', 'pw', salt);
+
+        await expect(decryptEnvelope(`${salt}:${ivHex}:${cipherHex}`, 'pw')).resolves.toBe('legacy notes');
+    });
+});
+
+describe('session key cache', () => {
+    const password = 'correct horse';
+    const salt = 'ab'.repeat(16);
+
+    afterEach(() => {
+        clearKeyCache();
+        vi.restoreAllMocks();
+    });
+
+    it('derives each (password, salt) key once', async () => {
+        const deriveKey = vi.spyOn(crypto.subtle, 'deriveKey');
+
+        const first = await deriveAesKey(password, salt, CURRENT_KDF);
+        await expect(deriveAesKey(password, salt, CURRENT_KDF)).resolves.toBe(first);
+        await deriveAesKey(password, 'cd'.repeat(16), CURRENT_KDF);
+        await deriveAesKey('other', salt, CURRENT_KDF);
+        await deriveAesKey(password, salt, { kdf: 'pbkdf2-sha256', iterations: 1000 });
+
+        expect(deriveKey).toHaveBeenCalledTimes(4);
+    });
+
+    it('shares a pending derivation and re-derives after the cache is cleared', async () => {
+        const deriveKey = vi.spyOn(crypto.subtle, 'deriveKey');
+
+        const [a, b] = await Promise.all([deriveAesKey(password, salt, CURRENT_KDF), deriveAesKey(password, salt, CURRENT_KDF)]);
+        expect(a).toBe(b);
+        expect(deriveKey).toHaveBeenCalledTimes(1);
+
+        clearKeyCache();
+        await deriveAesKey(password, salt, CURRENT_KDF);
+        expect(deriveKey).toHaveBeenCalledTimes(2);
+    });
+
+    it('benchmark: repeated decrypts with a cached key are much faster than the first', async () => {
+        const payload = await encryptEnvelope('secret notes', password, CURRENT_KDF);
+        clearKeyCache();
+
+        let started = performance.now();
+        await expect(decryptEnvelope(payload, password)).resolves.toBe('secret notes');
+        const uncachedMs = performance.now() - started;
+
+        const runs = 10;
+        started = performance.now();
+        for (let i = 0; i < runs; i++) {
+            await decryptEnvelope(payload, password);
+        }
+        const cachedMs = (performance.now() - started) / runs;
+
+        expect(cachedMs * 10).toBeLessThan(uncachedMs);
+    });
+
+    it('benchmark: envelopes written with the session salt skip the KDF', async () => {
+        const sessionPayload = await encryptEnvelope('first save', password, CURRENT_KDF, salt);
+
+        let started = performance.now();
+        await encryptEnvelope('fresh salt', password, CURRENT_KDF);
+        const freshSaltMs = performance.now() - started;
+
+        started = performance.now();
+        const resaved = await encryptEnvelope('second save', password, CURRENT_KDF, salt);
+        const sessionSaltMs = performance.now() - started;
+
+        expect(sessionSaltMs * 10).toBeLessThan(freshSaltMs);
+        expect(resaved.split(':')[4]).not.toBe(sessionPayload.split(':')[4]);
+        await expect(decryptEnvelope(resaved, password)).resolves.toBe('second save');
+    });
+});
+
+describe('crypto worker client', () => {
+    /** Answers requests like src/crypto/worker.ts, asynchronously and through cloned messages */
+    class FakeWorker extends EventTarget {
+        requests: CryptoRequest[] = [];
+        respond = true;
+
+        postMessage(message: CryptoRequest): void {
+            const request = structuredClone(message);
+            this.requests.push(request);
+            if (!this.respond) return;
+            setTimeout(async () => {
+                const result = await runCryptoOperation(request.op, request.args);
+                this.dispatchEvent(new MessageEvent('message', { data: { id: request.id, ok: true, result } }));
+            }, 0);
+        }
+
+        terminate(): void {
+            this.respond = false;
+        }
+    }
+
+    const fastKdf = { kdf: 'pbkdf2-sha256' as const, iterations: 1000 };
+
+    afterEach(() => {
+        setCryptoWorkerFactory(() => null);
+        vi.restoreAllMocks();
+    });
+
+    it('runs on the main thread when no worker is available', async () => {
+        setCryptoWorkerFactory(() => null);
+
+        const payload = await runCrypto('encryptEnvelope', 'notes', 'pw', fastKdf);
+        await expect(runCrypto('decryptEnvelope', payload, 'pw')).resolves.toBe('notes');
+    });
+
+    it('sends operations to the worker and resolves with its results', async () => {
+        const fake = new FakeWorker();
+        setCryptoWorkerFactory(() => fake as unknown as Worker);
+
+        const payload = await runCrypto('encryptEnvelope', 'notes', 'pw', fastKdf);
+        await expect(runCrypto('decryptEnvelope', payload, 'pw')).resolves.toBe('notes');
+        expect(fake.requests.map((request) => request.op)).toEqual(['encryptEnvelope', 'decryptEnvelope']);
+    });
+
+    it('passes workspace keys to and from the worker', async () => {
+        setCryptoWorkerFactory(() => new FakeWorker() as unknown as Worker);
+
+        const { key } = await runCrypto('generateWorkspaceKey');
+        const data = await runCrypto('encryptChunk', key, 'tab', MANIFEST_AAD);
+        await expect(runCrypto('decryptChunk', key, data, MANIFEST_AAD)).resolves.toBe('tab');
+    });
+
+    it('rejects with the error message reported by the worker', async () => {
+        const fake = new FakeWorker();
+        fake.respond = false;
+        setCryptoWorkerFactory(() => fake as unknown as Worker);
+
+        const pending = runCrypto('importWorkspaceKey', 'abcd');
+        fake.dispatchEvent(new MessageEvent('message', { data: { id: fake.requests[0]!.id, ok: false, message: 'Invalid key length' } }));
+        await expect(pending).rejects.toThrow('Invalid key length');
+    });
+
+    it('finishes pending calls on the main thread when the worker fails', async () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const fake = new FakeWorker();
+        fake.respond = false;
+        setCryptoWorkerFactory(() => fake as unknown as Worker);
+
+        const pending = runCrypto('encryptEnvelope', 'notes', 'pw', fastKdf);
+        fake.dispatchEvent(new Event('error', { cancelable: true }));
+        const payload = await pending;
+
+        await expect(runCrypto('decryptEnvelope', payload, 'pw')).resolves.toBe('notes');
+        expect(fake.requests).toHaveLength(1);
+    });
+
+    it('falls back when the worker cannot be created', async () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        setCryptoWorkerFactory(() => {
+            throw new Error('Workers are disabled');
+        });
+
+        await expect(runCrypto('decryptEnvelope', 'not an envelope', 'pw')).resolves.toBeNull();
+    });
+});
+
+describe('argon2id known-answer tests', () => {
+    const argon2 = createArgon2();
+    const fill = (length: number, byte: number): Uint8Array => new Uint8Array(length).fill(byte);
+    const hex = (bytes: Uint8Array): string => bufToHex(bytes.buffer as ArrayBuffer);
+
+    it('computes BLAKE2b-512 test vectors (RFC 7693)', () => {
+        expect(hex(argon2.blake2b(new Uint8Array(0), 64))).toBe(
+            '786a02f742015903c6c6fd852552d272912f4740e15847618a86e217f71f5419' +
+            'd25e1031afee585313896444934eb04b903a685b1448b755d56f701afe9be2ce'
+        );
+        expect(hex(argon2.blake2b(textEncoder.encode('abc'), 64))).toBe(
+            'ba80a53f981c4d0d6a2797b69f12f6e94c212f14685ac4b74b12bb6fdbffa2d1' +
+            '7d87c5392aab792dc252d5de4533cc9518d38aa8dbf1925ab92386edd4009923'
+        );
+    });
+
+    it('hashes multi-block input with a truncated digest', () => {
+        expect(hex(argon2.blake2b(fill(300, 7), 32))).toBe(
+            '0191c3eb5a6d2128509033fab49cb00a21416257a4c104cff5ee37d156e04db2'
+        );
+    });
+
+    it('matches the RFC 9106 Argon2id test vector', () => {
+        const tag = argon2.argon2id({
+            password: fill(32, 0x01),
+            salt: fill(16, 0x02),
+            secret: fill(8, 0x03),
+            associatedData: fill(12, 0x04),
+            memoryKiB: 32,
+            passes: 3,
+            parallelism: 4,
+            tagLength: 32
+        });
+
+        expect(hex(tag)).toBe('0d640df58d78766c08c037a34a8b53c9d01ef0452d75b65eb52520e96b01e659');
+    });
+
+    it('matches the reference implementation vector for password/somesalt', () => {
+        const tag = argon2.argon2id({
+            password: textEncoder.encode('password'),
+            salt: textEncoder.encode('somesalt'),
+            memoryKiB: 256,
+            passes: 2,
+            parallelism: 1,
+            tagLength: 32
+        });
+
+        expect(hex(tag)).toBe('9dfeb910e80bad0311fee20f9c0e2b12c17987b4cac90c2ef54d5b3021c68bfe');
+    });
+
+    it('rejects parameters Argon2 does not allow', () => {
+        const base = { password: fill(8, 1), salt: fill(16, 2), passes: 1, parallelism: 1, tagLength: 32 };
+
+        expect(() => argon2.argon2id({ ...base, memoryKiB: 4 })).toThrow();
+        expect(() => argon2.argon2id({ ...base, memoryKiB: 64, salt: fill(4, 2) })).toThrow();
+    });
+});
+
+describe('workspace chunks', () => {
+    it('creates 64-bit hex chunk ids', () => {
+        expect(createChunkId()).toMatch(/^[0-9a-f]{16}$/);
+        expect(createChunkId()).not.toBe(createChunkId());
+    });
+
+    it('roundtrips a chunk under its id', async () => {
+        const { key } = await generateWorkspaceKey();
+        const data = await encryptChunk(key, 'tab notes', '0123456789abcdef');
+
+        expect(data).toMatch(/^[0-9a-f]{24}:[0-9a-f]+$/);
+        await expect(decryptChunk(key, data, '0123456789abcdef')).resolves.toBe('tab notes');
+    });
+
+    it('rejects chunks read under another id, key or malformed data', async () => {
+        const { key } = await generateWorkspaceKey();
+        const other = await generateWorkspaceKey();
+        const data = await encryptChunk(key, 'tab notes', MANIFEST_AAD);
+
+        await expect(decryptChunk(key, data, '0123456789abcdef')).resolves.toBeNull();
+        await expect(decryptChunk(other.key, data, MANIFEST_AAD)).resolves.toBeNull();
+        await expect(decryptChunk(key, `${data}:extra`, MANIFEST_AAD)).resolves.toBeNull();
+    });
+
+    it('reimports a workspace key from its hex bytes', async () => {
+        const { key, keyHex } = await generateWorkspaceKey();
+        const data = await encryptChunk(key, 'tab notes', MANIFEST_AAD);
+
+        expect(keyHex).toMatch(/^[0-9a-f]{64}$/);
+        await expect(decryptChunk(await importWorkspaceKey(keyHex), data, MANIFEST_AAD)).resolves.toBe('tab notes');
+    });
+});
+
+describe('write tokens', () => {
+    const siteHash = 'ab'.repeat(64);
+
+    it('derives the same 32-byte token for the same password and workspace', async () => {
+        const token = await deriveWriteToken('password', siteHash);
+
+        expect(token).toMatch(/^[0-9a-f]{64}$/);
+        await expect(deriveWriteToken('password', siteHash)).resolves.toBe(token);
+    });
+
+    it('differs per password and per workspace', async () => {
+        const token = await deriveWriteToken('password', siteHash);
+
+        await expect(deriveWriteToken('other password', siteHash)).resolves.not.toBe(token);
+        await expect(deriveWriteToken('password', 'cd'.repeat(64))).resolves.not.toBe(token);
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * Note import tests
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from 'vitest';
+import { deflateRawSync } from 'zlib';
+import { crc32, createZip, readZip } from '../../src/utils/zip';
+import { buildMarkdownExport } from '../../src/ui/markdown-export';
+import { getImportBudget, readImportFiles, tabsFromZip } from '../../src/ui/import';
+
+const encoder = new TextEncoder();
+
+/**
+ * A single-entry archive compressed with deflate, as most ZIP tools write them
+ * @param size - Uncompressed size recorded in the headers
+ */
+function deflatedZip(name: string, text: string, size = encoder.encode(text).length): Uint8Array<ArrayBuffer> {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(text);
+    const compressed = deflateRawSync(data);
+    const archive = new Uint8Array(30 + nameBytes.length + compressed.length + 46 + nameBytes.length + 22);
+    const view = new DataView(archive.buffer);
+
+    view.setUint32(0, 0x04034b50, true);
+    view.setUint16(8, 8, true);
+    view.setUint32(14, crc32(data), true);
+    view.setUint32(18, compressed.length, true);
+    view.setUint32(22, size, true);
+    view.setUint16(26, nameBytes.length, true);
+    archive.set(nameBytes, 30);
+    archive.set(compressed, 30 + nameBytes.length);
+
+    const central = 30 + nameBytes.length + compressed.length;
+    view.setUint32(central, 0x02014b50, true);
+    view.setUint16(central + 10, 8, true);
+    view.setUint32(central + 16, crc32(data), true);
+    view.setUint32(central + 20, compressed.length, true);
+    view.setUint32(central + 24, size, true);
+    view.setUint16(central + 28, nameBytes.length, true);
+    archive.set(nameBytes, central + 46);
+
+    const end = central + 46 + nameBytes.length;
+    view.setUint32(end, 0x06054b50, true);
+    view.setUint16(end + 8, 1, true);
+    view.setUint16(end + 10, 1, true);
+    view.setUint32(end + 12, 46 + nameBytes.length, true);
+    view.setUint32(end + 16, central, true);
+    return archive;
+}
+
+describe('readZip', () => {
+    it('reads back archives written by createZip, skipping folders', async () => {
+        const files = await readZip(createZip([
+            { name: 'notes/', data: '' },
+            { name: 'notes/a.md', data: '# A' },
+            { name: 'b.txt', data: 'ü' }
+        ]));
+
+        expect(files.map((file) => file.name)).toEqual(['notes/a.md', 'b.txt']);
+        expect(new TextDecoder().decode(files[1]!.data)).toBe('ü');
+    });
+
+    it('inflates deflated entries', async () => {
+        const text = 'compressed '.repeat(100);
+        const [file] = await readZip(deflatedZip('long.txt', text));
+        expect(new TextDecoder().decode(file!.data)).toBe(text);
+    });
+
+    it('rejects damaged, oversized and non-ZIP input', async () => {
+        const archive = createZip([{ name: 'a.txt', data: 'hello' }]);
+        archive[30 + 'a.txt'.length] = 'j'.charCodeAt(0);
+
+        await expect(readZip(archive)).rejects.toThrow('a.txt is damaged');
+        await expect(readZip(createZip([{ name: 'a.txt', data: 'hello' }]), 4)).rejects.toThrow('too large');
+        await expect(readZip(encoder.encode('plain text, not an archive'))).rejects.toThrow('Not a ZIP archive');
+    });
+
+    it('stops inflating an entry once it outgrows its recorded size', async () => {
+        const bomb = deflatedZip('bomb.txt', '0'.repeat(4 * 1024 * 1024), 16);
+        expect(bomb.length).toBeLessThan(10 * 1024);
+
+        await expect(readZip(bomb, 1024)).rejects.toThrow('bomb.txt is damaged');
+    });
+});
+
+describe('tabsFromZip', () => {
+    it('restores a Markdown export in manifest order with colors and pins', async () => {
+        const exported = buildMarkdownExport([
+            { content: '# Shopping', color: null, pinned: false },
+            { content: 'pinned note', color: '#00ff00', pinned: true }
+        ], 'notes', new Date());
+        // List the entries out of order; the manifest decides
+        const files = await readZip(createZip(exported.reverse()));
+
+        expect(tabsFromZip(files)).toEqual({
+            tabs: [
+                { name: '01-# Shopping.md', content: '# Shopping', color: null, pinned: false },
+                { name: '02-pinned note.txt', content: 'pinned note', color: '#00ff00', pinned: true }
+            ],
+            skipped: []
+        });
+    });
+
+    it('takes text files from other archives in name order and skips the rest', () => {
+        const files = [
+            { name: 'note-10.md', data: encoder.encode('ten') },
+            { name: 'note-2.md', data: encoder.encode('two') },
+            { name: 'image.png', data: new Uint8Array([0x89, 0x50, 0x4e, 0x47]) },
+            { name: 'binary.txt', data: new Uint8Array([0xff, 0xfe, 0x00]) },
+            { name: '__MACOSX/._note-2.md', data: new Uint8Array([0]) }
+        ];
+
+        const result = tabsFromZip(files);
+        expect(result.tabs.map((tab) => tab.content)).toEqual(['two', 'ten']);
+        expect(result.skipped).toEqual(['binary.txt', 'image.png']);
+    });
+});
+
+describe('readImportFiles', () => {
+    it('creates one tab per text file and expands archives', async () => {
+        const result = await readImportFiles([
+            new File(['second'], 'b.md'),
+            new File([createZip([{ name: 'c.txt', data: 'from zip' }])], 'bundle.zip'),
+            new File(['first'], 'a.txt'),
+            new File(['%PDF'], 'doc.pdf')
+        ]);
+
+        expect(result.tabs.map((tab) => [tab.name, tab.content])).toEqual([
+            ['a.txt', 'first'],
+            ['b.md', 'second'],
+            ['c.txt', 'from zip']
+        ]);
+        expect(result.skipped).toEqual(['doc.pdf']);
+    });
+
+    it('refuses notes that would not fit into a save', async () => {
+        const budget = getImportBudget(100, 'x'.repeat(40));
+        expect(budget).toBe(10);
+
+        await expect(readImportFiles([new File(['12345'], 'a.txt')], budget)).resolves.toMatchObject({ skipped: [] });
+        await expect(readImportFiles([new File(['12345'], 'a.txt'), new File(['123456'], 'b.txt')], budget))
+            .rejects.toThrow('b.txt does not fit into the workspace.');
+        await expect(readImportFiles([new File([createZip([{ name: 'big.txt', data: 'x'.repeat(11) }])], 'big.zip')], budget))
+            .rejects.toThrow('Could not import big.zip: ZIP archive is too large.');
+        expect(getImportBudget(null, 'anything')).toBe(Infinity);
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ * Markdown ZIP export tests
+ */
+import { describe, it, expect } from 'vitest';
+import { crc32, createZip } from '../../src/utils/zip';
+import { buildMarkdownExport, looksLikeMarkdown } from '../../src/ui/markdown-export';
+
+const decoder = new TextDecoder();
+
+/** Reads entries back through the central directory, checking each local header */
+function readZip(archive: Uint8Array): Array<{ name: string; text: string; crc: number; flags: number }> {
+    const view = new DataView(archive.buffer, archive.byteOffset, archive.byteLength);
+    const end = archive.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+    const count = view.getUint16(end + 10, true);
+    let position = view.getUint32(end + 16, true);
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        expect(view.getUint32(position, true)).toBe(0x02014b50);
+        const flags = view.getUint16(position + 8, true);
+        const crc = view.getUint32(position + 16, true);
+        const size = view.getUint32(position + 20, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const offset = view.getUint32(position + 42, true);
+        const name = decoder.decode(archive.subarray(position + 46, position + 46 + nameLength));
+
+        expect(view.getUint32(offset, true)).toBe(0x04034b50);
+        expect(view.getUint16(offset + 8, true)).toBe(0);
+        expect(view.getUint32(offset + 14, true)).toBe(crc);
+        const dataStart = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+        const text = decoder.decode(archive.subarray(dataStart, dataStart + size));
+
+        entries.push({ name, text, crc, flags });
+        position += 46 + nameLength;
+    }
+    return entries;
+}
+
+describe('createZip', () => {
+    it('computes standard CRC-32 checksums', () => {
+        expect(crc32(new TextEncoder().encode('hello'))).toBe(0x3610a686);
+        expect(crc32(new Uint8Array())).toBe(0);
+    });
+
+    it('stores entries in order with UTF-8 names', () => {
+        const archive = createZip([
+            { name: 'a.txt', data: 'hello' },
+            { name: 'notizen-ü.md', data: '# Überschrift\n' }
+        ], new Date(2024, 4, 17, 10, 30, 8));
+
+        const entries = readZip(archive);
+        expect(entries.map((entry) => entry.name)).toEqual(['a.txt', 'notizen-ü.md']);
+        expect(entries[0]).toMatchObject({ text: 'hello', crc: 0x3610a686, flags: 0x0800 });
+        expect(entries[1]!.text).toBe('# Überschrift\n');
+    });
+
+    it('writes a valid empty archive', () => {
+        const archive = createZip([]);
+        expect(archive.length).toBe(22);
+        expect(readZip(archive)).toEqual([]);
+    });
+});
+
+describe('buildMarkdownExport', () => {
+    const exportedAt = new Date('2024-05-17T10:30:00.000Z');
+
+    it('names files after tab titles in tab order and records them in the manifest', () => {
+        const entries = buildMarkdownExport([
+            { content: '# Groceries\n- milk\n- eggs', color: '#ff0000', pinned: true },
+            { content: 'plain notes without formatting', color: null, pinned: false },
+            { content: '', color: null, pinned: false }
+        ], 'my-notes', exportedAt);
+
+        expect(entries.map((entry) => entry.name)).toEqual([
+            '01-# Groceries.md',
+            '02-plain notes withou.txt',
+            '03-Empty Tab.txt',
+            'manifest.json'
+        ]);
+        expect(entries[0]!.data).toBe('# Groceries\n- milk\n- eggs');
+
+        const manifest = JSON.parse(entries[3]!.data as string);
+        expect(manifest).toEqual({
+            format: 'cryptexa-markdown-export',
+            version: 1,
+            site: 'my-notes',
+            exportedAt: '2024-05-17T10:30:00.000Z',
+            tabs: [
+                { file: '01-# Groceries.md', title: '# Groceries', color: '#ff0000', pinned: true },
+                { file: '02-plain notes withou.txt', title: 'plain notes withou...', color: null, pinned: false },
+                { file: '03-Empty Tab.txt', title: 'Empty Tab', color: null, pinned: false }
+            ]
+        });
+    });
+
+    it('keeps file names portable and unique', () => {
+        const entries = buildMarkdownExport([
+            { content: 'a/b: c?', color: null, pinned: false },
+            { content: 'a/b: c?', color: null, pinned: false },
+            { content: '...', color: null, pinned: false }
+        ], 'x', exportedAt);
+
+        expect(entries.map((entry) => entry.name).slice(0, 3)).toEqual([
+            '01-a-b- c.txt',
+            '02-a-b- c.txt',
+            '03-Untitled.txt'
+        ]);
+    });
+
+    it('detects Markdown syntax', () => {
+        expect(looksLikeMarkdown('## Heading')).toBe(true);
+        expect(looksLikeMarkdown('text\n1. first')).toBe(true);
+        expect(looksLikeMarkdown('see [docs](https://example.com)')).toBe(true);
+        expect(looksLikeMarkdown('```\ncode\n```')).toBe(true);
+        expect(looksLikeMarkdown('#hashtag and 3.5 apples')).toBe(false);
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * Markdown rendering and preview tests
+ *
+ * @vitest-environment jsdom
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { renderMarkdown } from '../../src/utils/markdown';
+import { cycleMarkdownView, getMarkdownViewMode } from '../../src/ui/markdown-preview';
+import { activateTab } from '../../src/ui/tabs';
+
+describe('renderMarkdown', () => {
+    it('renders headings, emphasis, code and rules', () => {
+        expect(renderMarkdown('# Title *here*\n\nSome **bold**, ~~gone~~ and `a < b`.\n\n---')).toBe([
+            '<h1>Title <em>here</em></h1>',
+            '<p>Some <strong>bold</strong>, <del>gone</del> and <code>a &lt; b</code>.</p>',
+            '<hr>'
+        ].join('\n'));
+        expect(renderMarkdown('```js\nif (a && b) {}\n```')).toBe('<pre><code class="language-js">if (a &amp;&amp; b) {}</code></pre>');
+        expect(renderMarkdown('snake_case_name and _em_')).toBe('<p>snake_case_name and <em>em</em></p>');
+    });
+
+    it('renders nested lists, task lists and quotes', () => {
+        expect(renderMarkdown('- [ ] open\n- [x] done\n  1. first\n  2. second\n\n> quoted\n> text')).toBe([
+            '<ul>',
+            '<li class="md-task"><input type="checkbox" disabled> open</li>',
+            '<li class="md-task"><input type="checkbox" disabled checked> done',
+            '<ol>',
+            '<li>first</li>',
+            '<li>second</li>',
+            '</ol></li>',
+            '</ul>',
+            '<blockquote>',
+            '<p>quoted\ntext</p>',
+            '</blockquote>'
+        ].join('\n'));
+        expect(renderMarkdown('3. three\n\n4. four')).toBe('<ol start="3">\n<li><p>three</p></li>\n<li><p>four</p></li>\n</ol>');
+    });
+
+    it('renders tables with column alignment', () => {
+        expect(renderMarkdown('| Name | Count |\n|:-----|------:|\n| a \\| b | **2** |')).toBe([
+            '<table>',
+            '<thead>',
+            '<tr><th class="md-align-left">Name</th><th class="md-align-right">Count</th></tr>',
+            '</thead>',
+            '<tbody>',
+            '<tr><td class="md-align-left">a | b</td><td class="md-align-right"><strong>2</strong></td></tr>',
+            '</tbody>',
+            '</table>'
+        ].join('\n'));
+    });
+
+    it('escapes HTML and keeps only safe links and data images', () => {
+        const html = renderMarkdown([
+            '<img src=x onerror="alert(1)"> <script>alert(1)</script>',
+            '[web](https://example.com/a_(b)?x=1&y=2) [js](javascript:alert(1)) <mailto:me@example.com>',
+            '![remote](https://tracker.example/pixel.png) ![inline](data:image/png;base64,iVBORw0KGgo=)',
+            '[quote](https://example.com/" onmouseover="alert(1))'
+        ].join('\n'));
+
+        const container = document.createElement('div');
+        container.innerHTML = html;
+        expect(container.querySelectorAll('script, [onerror], [onmouseover]')).toHaveLength(0);
+        expect(Array.from(container.querySelectorAll('a'), (link) => link.getAttribute('href'))).toEqual([
+            'https://example.com/a_(b)?x=1&y=2',
+            'mailto:me@example.com'
+        ]);
+        expect(Array.from(container.querySelectorAll('img'), (image) => image.getAttribute('src'))).toEqual([
+            'data:image/png;base64,iVBORw0KGgo='
+        ]);
+        expect(container.querySelector('.md-image-blocked')!.textContent).toBe('remote');
+        expect(container.textContent).toContain('<script>alert(1)</script>');
+    });
+
+    it('keeps markup rendered earlier on the line out of URLs and attributes', () => {
+        const html = renderMarkdown([
+            '[x](https://a![i](data:image/png;base64,AA/onmouseover=location=name//))',
+            '<https://a![i](data:image/png;base64,AA/onmouseover=location=name//)>',
+            '[x](https://a`"onmouseover=alert(1)//`)',
+            '<https://a`"onmouseover=alert(1)//`>',
+            '![`"onmouseover=alert(1)//`](data:image/png;base64,AA==)'
+        ].join('\n'));
+
+        const container = document.createElement('div');
+        container.innerHTML = html;
+        const attributes = Array.from(container.querySelectorAll('*'), (element) => element.getAttributeNames()).flat();
+        expect(attributes.filter((name) => name.startsWith('on'))).toEqual([]);
+        for (const link of container.querySelectorAll('a')) {
+            expect(link.getAttribute('href')).not.toMatch(/[<>"]/);
+        }
+        expect(container.querySelector('p > img:last-child')!.getAttribute('alt')).toBe('"onmouseover=alert(1)//');
+    });
+});
+
+describe('cycleMarkdownView', () => {
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <button id="toggle-markdown-view">Editor</button>
+            <div class="tab-header" data-tab-id="tab-1" data-document-id="0123456789abcdef"></div>
+            <div class="tab-panel" id="tab-1"><textarea class="textarea-contents"># Notes</textarea></div>`;
+    });
+
+    it('switches the active tab between editor, split and preview, and keeps the view for the tab', () => {
+        const header = document.querySelector<HTMLElement>('.tab-header')!;
+        const panel = document.getElementById('tab-1')!;
+        activateTab(header);
+
+        expect(cycleMarkdownView(header)).toBe('split');
+        expect(panel.dataset.view).toBe('split');
+        expect(panel.querySelector('.markdown-preview')!.innerHTML).toBe('<h1>Notes</h1>');
+        expect(document.getElementById('toggle-markdown-view')!.textContent).toBe('Split');
+
+        expect(cycleMarkdownView(header)).toBe('preview');
+        // Tabs rebuilt after a reload come back in the same view
+        delete panel.dataset.view;
+        activateTab(header);
+        expect(panel.dataset.view).toBe('preview');
+
+        expect(cycleMarkdownView(header)).toBe('edit');
+        expect(panel.dataset.view).toBeUndefined();
+        expect(getMarkdownViewMode('0123456789abcdef')).toBe('edit');
+    });
+});
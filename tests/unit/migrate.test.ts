@@ -0,0 +1,254 @@
+/**
+ * Storage migration and cryptexa-migrate tests
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    FileAdapter,
+    MemoryAdapter,
+    migrateStorage,
+    siteChecksum,
+    SqliteAdapter,
+    verifyMigration,
+    type SiteData,
+    type StorageAdapter
+} from '../../src/server/storage';
+import { parseStorageSpec, runMigrateCli } from '../../src/server/migrate-cli';
+
+// node:sqlite needs Node.js 22.5 or newer; the SQLite case is skipped without it
+const sqlite = await import('node:sqlite').catch(() => null);
+
+const site = (encryptedContent: string, currentHashContent: string): SiteData => ({
+    encryptedContent,
+    currentHashContent,
+    updatedAt: 1700000000000
+});
+
+async function seed(adapter: StorageAdapter, keys: string[]): Promise<void> {
+    for (const key of keys) {
+        await adapter.saveSiteIfUnchanged(key, '', site(`${key}-1`, `${key}-t1`));
+        await adapter.saveSiteIfUnchanged(key, `${key}-t1`, site(`${key}-2`, `${key}-t2`));
+    }
+}
+
+function createLogger() {
+    const lines: string[] = [];
+    return {
+        lines,
+        log: (...args: unknown[]) => lines.push(args.join(' ')),
+        error: (...args: unknown[]) => lines.push(args.join(' '))
+    };
+}
+
+describe('migrateStorage', () => {
+    let source: MemoryAdapter;
+    let target: MemoryAdapter;
+
+    beforeEach(async () => {
+        source = new MemoryAdapter(10);
+        target = new MemoryAdapter(10);
+        await seed(source, ['alpha', 'beta', 'gamma']);
+    });
+
+    it('copies every site with its token, timestamps and history', async () => {
+        const report = await migrateStorage(source, target);
+
+        expect(report).toEqual({ copied: 3, identical: 0, conflicts: [], resumed: 0 });
+        await expect(target.getSite('beta')).resolves.toMatchObject({
+            encryptedContent: 'beta-2',
+            currentHashContent: 'beta-t2',
+            updatedAt: 1700000000000,
+            rev: 2
+        });
+        await expect(target.getHistory('beta')).resolves.toMatchObject([{ encryptedContent: 'beta-1', rev: 1 }]);
+
+        const verification = await verifyMigration(source, target);
+        expect(verification.mismatched).toEqual([]);
+        expect(verification.targetCount).toBe(3);
+        expect(verification.targetChecksum).toBe(verification.sourceChecksum);
+    });
+
+    it('copies deleted sites that are still awaiting purge as tombstones', async () => {
+        await source.deleteSiteIfUnchanged('gamma', 'gamma-t2');
+
+        expect((await migrateStorage(source, target)).copied).toBe(3);
+        await expect(target.getSite('gamma')).resolves.toBeNull();
+        await expect(target.getDeletedSite('gamma')).resolves.toEqual(await source.getDeletedSite('gamma'));
+        await expect(target.restoreSiteIfUnchanged('gamma', 'gamma-t2')).resolves.toBe(true);
+    });
+
+    it('writes nothing in a dry run', async () => {
+        const report = await migrateStorage(source, target, { dryRun: true });
+
+        expect(report.copied).toBe(3);
+        await expect(target.getSite('alpha')).resolves.toBeNull();
+    });
+
+    it('skips identical sites and reports differing ones unless overwriting', async () => {
+        await target.importSite('alpha', { ...(await source.getSite('alpha'))!, history: await source.getHistory('alpha') });
+        await target.saveSiteIfUnchanged('beta', '', site('other', 'x'));
+
+        const report = await migrateStorage(source, target);
+        expect(report).toEqual({ copied: 1, identical: 1, conflicts: ['beta'], resumed: 0 });
+        await expect(target.getSite('beta')).resolves.toMatchObject({ encryptedContent: 'other' });
+        expect((await verifyMigration(source, target)).mismatched).toEqual(['beta']);
+
+        await migrateStorage(source, target, { overwrite: true });
+        await expect(target.getSite('beta')).resolves.toMatchObject({ encryptedContent: 'beta-2' });
+    });
+
+    it('resumes after the last handled site', async () => {
+        const handled: string[] = [];
+        const report = await migrateStorage(source, target, {
+            resumeAfter: 'alpha',
+            onSite: (siteKey) => {
+                handled.push(siteKey);
+            }
+        });
+
+        expect(report.resumed).toBe(1);
+        expect(handled).toEqual(['beta', 'gamma']);
+        await expect(target.getSite('alpha')).resolves.toBeNull();
+    });
+
+    it('checksums every preserved field', async () => {
+        const base: SiteData = { ...site('a', 't1'), rev: 1, history: [] };
+        const checksum = siteChecksum(base);
+
+        expect(siteChecksum({ ...base })).toBe(checksum);
+        expect(siteChecksum({ ...base, currentHashContent: 't2' })).not.toBe(checksum);
+        expect(siteChecksum({ ...base, updatedAt: 1 })).not.toBe(checksum);
+        expect(siteChecksum({ ...base, rev: 2 })).not.toBe(checksum);
+        expect(siteChecksum({ ...base, deletedAt: 1 })).not.toBe(checksum);
+        expect(siteChecksum({ ...base, history: [{ ...site('z', 't0'), rev: 0 }] })).not.toBe(checksum);
+    });
+});
+
+describe('cryptexa-migrate', () => {
+    let dir: string;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cryptexa-migrate-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('parses storage specs', () => {
+        expect(parseStorageSpec('file:./db.json', 5)).toMatchObject({ type: 'file', dbFile: './db.json', historyLimit: 5 });
+        expect(parseStorageSpec('sqlite:/data/c.sqlite', 5)).toMatchObject({ type: 'sqlite', sqliteFile: '/data/c.sqlite' });
+        expect(parseStorageSpec('mongodb+srv://u:p@host/', 5)).toMatchObject({ type: 'mongodb', mongoUri: 'mongodb+srv://u:p@host/' });
+        expect(() => parseStorageSpec('memory:', 5)).toThrow('Unsupported storage');
+        expect(() => parseStorageSpec('./db.json', 5)).toThrow('Unsupported storage');
+    });
+
+    it.skipIf(!sqlite)('migrates a file database to SQLite and verifies it', async () => {
+        const dbFile = path.join(dir, 'db.json');
+        const sqliteFile = path.join(dir, 'db.sqlite');
+        const checkpoint = path.join(dir, 'checkpoint.json');
+        const file = new FileAdapter(dbFile, 10);
+        await file.connect();
+        await seed(file, ['alpha', 'beta']);
+
+        const args = ['--from', `file:${dbFile}`, '--to', `sqlite:${sqliteFile}`, '--checkpoint', checkpoint];
+        const dryRun = createLogger();
+        await expect(runMigrateCli([...args, '--dry-run'], dryRun)).resolves.toBe(0);
+        expect(dryRun.lines).toContain('Dry run: would copy 2, 0 already identical');
+        expect(fs.existsSync(checkpoint)).toBe(false);
+
+        const logger = createLogger();
+        await expect(runMigrateCli(args, logger)).resolves.toBe(0);
+        expect(logger.lines).toContain('Verified: every workspace matches the source');
+        expect(fs.existsSync(checkpoint)).toBe(false);
+
+        const sqlite = new SqliteAdapter(sqliteFile, 10);
+        await sqlite.connect();
+        expect((await verifyMigration(file, sqlite)).mismatched).toEqual([]);
+        await sqlite.close();
+
+        const again = createLogger();
+        await expect(runMigrateCli(args, again)).resolves.toBe(0);
+        expect(again.lines).toContain('Copied 0, 2 already identical');
+    });
+
+    it('resumes from a checkpoint and still verifies every site', async () => {
+        const dbFile = path.join(dir, 'db.json');
+        const checkpoint = path.join(dir, 'checkpoint.json');
+        const from = `file:${dbFile}`;
+        const to = `file:${path.join(dir, 'target.json')}`;
+        const file = new FileAdapter(dbFile, 10);
+        await file.connect();
+        await seed(file, ['alpha', 'beta', 'gamma']);
+        const args = ['--from', from, '--to', to, '--checkpoint', checkpoint];
+
+        await expect(runMigrateCli([...args, '--resume'], createLogger())).resolves.toBe(2);
+
+        // What a run interrupted after "alpha" leaves behind
+        const fingerprint = (spec: string) => crypto.createHash('sha256').update(spec).digest('hex').slice(0, 16);
+        fs.writeFileSync(checkpoint, JSON.stringify({ source: fingerprint(from), target: fingerprint(to), lastSite: 'alpha' }));
+
+        const resumed = createLogger();
+        await expect(runMigrateCli([...args, '--resume'], resumed)).resolves.toBe(1);
+        expect(resumed.lines).toContain('Resuming after "alpha"');
+        expect(resumed.lines).toContain('Copied 2, 0 already identical, 1 skipped from checkpoint');
+        expect(resumed.lines).toContain('Verification failed for 1 workspaces: alpha');
+
+        const rerun = createLogger();
+        await expect(runMigrateCli(args, rerun)).resolves.toBe(0);
+        expect(rerun.lines).toContain('Copied 1, 2 already identical');
+    });
+
+    it('keeps conflicts ahead of the checkpoint and resumes only with the same --overwrite', async () => {
+        const dbFile = path.join(dir, 'db.json');
+        const targetFile = path.join(dir, 'target.json');
+        const checkpoint = path.join(dir, 'checkpoint.json');
+        const file = new FileAdapter(dbFile, 10);
+        await file.connect();
+        await seed(file, ['alpha', 'beta', 'gamma']);
+        const target = new FileAdapter(targetFile, 10);
+        await target.connect();
+        await target.saveSiteIfUnchanged('beta', '', site('other', 'x'));
+        const args = ['--from', `file:${dbFile}`, '--to', `file:${targetFile}`, '--checkpoint', checkpoint];
+
+        await expect(runMigrateCli(args, createLogger())).resolves.toBe(1);
+        expect(JSON.parse(fs.readFileSync(checkpoint, 'utf-8'))).toMatchObject({ overwrite: false, lastSite: 'alpha' });
+
+        const switched = createLogger();
+        await expect(runMigrateCli([...args, '--resume', '--overwrite'], switched)).resolves.toBe(2);
+        expect(switched.lines[0]).toContain('was written without --overwrite');
+
+        const resumed = createLogger();
+        await expect(runMigrateCli([...args, '--resume'], resumed)).resolves.toBe(1);
+        expect(resumed.lines).toContain('Copied 0, 1 already identical, 1 skipped from checkpoint');
+        expect(resumed.lines.some((line) => line.includes('left alone') && line.includes('beta'))).toBe(true);
+
+        const overwritten = createLogger();
+        await expect(runMigrateCli([...args, '--overwrite'], overwritten)).resolves.toBe(0);
+        expect(overwritten.lines).toContain('Copied 1, 2 already identical');
+        expect(fs.existsSync(checkpoint)).toBe(false);
+    });
+
+    it('rejects missing arguments and a checkpoint from another pair', async () => {
+        const logger = createLogger();
+        await expect(runMigrateCli(['--from', 'file:a.json'], logger)).resolves.toBe(2);
+        expect(logger.lines[0]).toBe('Both --from and --to are required');
+
+        const checkpoint = path.join(dir, 'checkpoint.json');
+        fs.writeFileSync(checkpoint, JSON.stringify({ source: 'x', target: 'y', lastSite: 'alpha' }));
+        const resume = createLogger();
+        await expect(runMigrateCli([
+            '--from', `file:${path.join(dir, 'a.json')}`,
+            '--to', `file:${path.join(dir, 'b.json')}`,
+            '--checkpoint', checkpoint,
+            '--resume'
+        ], resume)).resolves.toBe(2);
+        expect(resume.lines[0]).toContain('belongs to a different --from/--to pair');
+    });
+});
@@ -3,7 +3,8 @@
  */
 
 import { describe, it, expect } from 'vitest';
-import { normalizeSiteKey, validateEncryptedContent, validateHashToken } from '../../src/server/validation';
+import { assembleChunkList, normalizeSiteKey, parseByteSize, parseRevisionNumber, validateChunkedSave, validateEncryptedContent, validateHashToken, validateWriteToken } from '../../src/server/validation';
+import { hashWriteToken, matchesWriteKey } from '../../src/server/write-access';
 
 const validEncryptedContent = `${'a'.repeat(32)}:${'b'.repeat(24)}:${'c'.repeat(32)}`;
 
@@ -30,6 +31,11 @@ describe('validateHashToken', () => {
         expect(validateHashToken('abc123._:~-', 'currentHashContent').ok).toBe(true);
     });
 
+    it('accepts random client tokens and legacy content-hash tokens', () => {
+        expect(validateHashToken('n1.' + '0f'.repeat(16), 'currentHashContent').ok).toBe(true);
+        expect(validateHashToken('1a2b3c4d2', 'initHashContent').ok).toBe(true);
+    });
+
     it('rejects non-strings, unsafe characters, and oversized tokens', () => {
         expect(validateHashToken(null, 'initHashContent').ok).toBe(false);
         expect(validateHashToken('abc def', 'initHashContent').ok).toBe(false);
@@ -37,6 +43,38 @@ describe('validateHashToken', () => {
     });
 });
 
+describe('validateWriteToken', () => {
+    it('treats a missing token as none and normalizes hex tokens', () => {
+        expect(validateWriteToken(undefined)).toEqual({ ok: true, value: null });
+        expect(validateWriteToken(null)).toEqual({ ok: true, value: null });
+        expect(validateWriteToken('AB'.repeat(32))).toEqual({ ok: true, value: 'ab'.repeat(32) });
+    });
+
+    it('rejects tokens that are not 32 bytes of hex', () => {
+        expect(validateWriteToken('')).toMatchObject({ ok: false });
+        expect(validateWriteToken('ab'.repeat(31))).toMatchObject({ ok: false });
+        expect(validateWriteToken('zz'.repeat(32))).toMatchObject({ ok: false });
+        expect(validateWriteToken(42, 'newWriteToken')).toEqual({ ok: false, message: 'newWriteToken must be 32 bytes of hex' });
+    });
+});
+
+describe('write key hashes', () => {
+    const token = 'ab'.repeat(32);
+
+    it('stores a hash instead of the token', () => {
+        expect(hashWriteToken(token)).toMatch(/^[0-9a-f]{64}$/);
+        expect(hashWriteToken(token)).not.toBe(token);
+    });
+
+    it('matches only the token the hash was made from', () => {
+        const stored = hashWriteToken(token);
+
+        expect(matchesWriteKey(stored, token)).toBe(true);
+        expect(matchesWriteKey(stored, 'cd'.repeat(32))).toBe(false);
+        expect(matchesWriteKey(stored, null)).toBe(false);
+    });
+});
+
 describe('validateEncryptedContent', () => {
     it('accepts salt:iv:cipher payloads generated by the client', () => {
         const result = validateEncryptedContent(validEncryptedContent);
@@ -60,4 +98,105 @@ describe('validateEncryptedContent', () => {
         expect(validateEncryptedContent(`${'a'.repeat(32)}:${'b'.repeat(22)}:${'c'.repeat(32)}`).ok).toBe(false);
         expect(validateEncryptedContent(`${'a'.repeat(32)}:${'b'.repeat(24)}:${'c'.repeat(30)}`).ok).toBe(false);
     });
+
+    it('accepts versioned envelopes that name their kdf', () => {
+        expect(validateEncryptedContent(`v3:kdf=pbkdf2-sha256:iter=600000:${validEncryptedContent}`).ok).toBe(true);
+    });
+
+    it('rejects versioned envelopes with missing or malformed parameters', () => {
+        expect(validateEncryptedContent(`v3:${validEncryptedContent}`).ok).toBe(false);
+        expect(validateEncryptedContent(`v3:iter=600000:${validEncryptedContent}`).ok).toBe(false);
+        expect(validateEncryptedContent(`v3:kdf=PBKDF2 SHA:${validEncryptedContent}`).ok).toBe(false);
+        expect(validateEncryptedContent(`v3:kdf=pbkdf2-sha256:iter=600000:${'a'.repeat(32)}:${'b'.repeat(22)}:${'c'.repeat(32)}`).ok).toBe(false);
+    });
+});
+
+describe('validateChunkedSave', () => {
+    const chunkData = `${'b'.repeat(24)}:${'c'.repeat(32)}`;
+    const ids = ['0'.repeat(16), '1'.repeat(16)];
+    const save = {
+        encryptedKey: `v3:kdf=pbkdf2-sha256:iter=600000:${validEncryptedContent}`,
+        manifest: chunkData,
+        chunkIds: ids,
+        chunks: [{ id: ids[1], data: chunkData }]
+    };
+
+    it('accepts a chunk list with a subset of uploaded chunks', () => {
+        const result = validateChunkedSave(save);
+        expect(result.ok).toBe(true);
+        if (result.ok) {
+            expect(result.value.chunks).toEqual([{ id: ids[1], data: chunkData }]);
+        }
+    });
+
+    it('rejects malformed keys, manifests and chunk ids', () => {
+        expect(validateChunkedSave({ ...save, encryptedKey: 'abc' }).ok).toBe(false);
+        expect(validateChunkedSave({ ...save, manifest: 'a:b:c' }).ok).toBe(false);
+        expect(validateChunkedSave({ ...save, chunkIds: [] }).ok).toBe(false);
+        expect(validateChunkedSave({ ...save, chunkIds: ['xyz'] }).ok).toBe(false);
+        expect(validateChunkedSave({ ...save, chunkIds: [ids[0], ids[0]] }).ok).toBe(false);
+    });
+
+    it('rejects uploaded chunks that are unlisted or malformed', () => {
+        expect(validateChunkedSave({ ...save, chunks: [{ id: '2'.repeat(16), data: chunkData }] }).ok).toBe(false);
+        expect(validateChunkedSave({ ...save, chunks: [{ id: ids[0], data: 'not hex' }] }).ok).toBe(false);
+        expect(validateChunkedSave({ ...save, chunks: 'chunks' }).ok).toBe(false);
+    });
+});
+
+describe('assembleChunkList', () => {
+    const stored = [{ id: '0'.repeat(16), data: 'aa:01' }, { id: '1'.repeat(16), data: 'aa:02' }];
+    const base = { encryptedKey: validEncryptedContent, manifest: 'aa:03' };
+
+    it('keeps stored chunks and takes uploaded chunks in the new order', () => {
+        const result = assembleChunkList({
+            ...base,
+            chunkIds: ['2'.repeat(16), '0'.repeat(16)],
+            chunks: [{ id: '2'.repeat(16), data: 'aa:04' }]
+        }, stored);
+
+        expect(result).toEqual({ ok: true, value: [{ id: '2'.repeat(16), data: 'aa:04' }, { id: '0'.repeat(16), data: 'aa:01' }] });
+    });
+
+    it('fails when a listed chunk is neither uploaded nor stored', () => {
+        const result = assembleChunkList({ ...base, chunkIds: ['3'.repeat(16)], chunks: [] }, stored);
+
+        expect(result.ok).toBe(false);
+        if (!result.ok) {
+            expect(result.message).toContain('is not stored');
+        }
+    });
+});
+
+describe('parseByteSize', () => {
+    it('reads plain byte counts and 1024-based units', () => {
+        expect(parseByteSize('1048576')).toBe(1048576);
+        expect(parseByteSize('4mb')).toBe(4 * 1024 * 1024);
+        expect(parseByteSize('512KB')).toBe(512 * 1024);
+        expect(parseByteSize('1.5 mb')).toBe(1.5 * 1024 * 1024);
+    });
+
+    it('rejects sizes it cannot read', () => {
+        expect(parseByteSize('')).toBeNull();
+        expect(parseByteSize('0')).toBeNull();
+        expect(parseByteSize('4 megabytes')).toBeNull();
+        expect(parseByteSize('-1mb')).toBeNull();
+    });
+});
+
+describe('parseRevisionNumber', () => {
+    it('accepts non-negative integers from query strings', () => {
+        expect(parseRevisionNumber('0')).toEqual({ ok: true, value: 0 });
+        expect(parseRevisionNumber('42')).toEqual({ ok: true, value: 42 });
+        expect(parseRevisionNumber(7)).toEqual({ ok: true, value: 7 });
+    });
+
+    it('rejects missing, negative, fractional, or non-numeric revisions', () => {
+        expect(parseRevisionNumber(undefined).ok).toBe(false);
+        expect(parseRevisionNumber('').ok).toBe(false);
+        expect(parseRevisionNumber('-1').ok).toBe(false);
+        expect(parseRevisionNumber('1.5').ok).toBe(false);
+        expect(parseRevisionNumber('abc').ok).toBe(false);
+        expect(parseRevisionNumber(['1']).ok).toBe(false);
+    });
 });
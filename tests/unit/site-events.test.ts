@@ -0,0 +1,101 @@
+/**
+ * Site change notification tests
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { SiteEvents, type SiteChange } from '../../src/server/site-events';
+
+describe('SiteEvents', () => {
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    it('delivers published changes to the subscribers of that site only', () => {
+        const events = new SiteEvents();
+        const notes: SiteChange[] = [];
+        const other: SiteChange[] = [];
+        events.subscribe('notes', 't1', (change) => notes.push(change));
+        events.subscribe('other', 'x1', (change) => other.push(change));
+
+        events.publish('notes', { currentHashContent: 't2' });
+        events.publish('notes', { currentHashContent: null });
+
+        expect(notes).toEqual([{ currentHashContent: 't2' }, { currentHashContent: null }]);
+        expect(other).toEqual([]);
+    });
+
+    it('stops delivering once unsubscribed', () => {
+        const events = new SiteEvents();
+        const listener = vi.fn();
+        const unsubscribe = events.subscribe('notes', 't1', listener);
+        expect(events.subscriberCount()).toBe(1);
+
+        unsubscribe();
+        events.publish('notes', { currentHashContent: 't2' });
+
+        expect(listener).not.toHaveBeenCalled();
+        expect(events.subscriberCount()).toBe(0);
+    });
+
+    it('keeps notifying other subscribers when one listener throws', () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const events = new SiteEvents();
+        const listener = vi.fn();
+        events.subscribe('notes', 't1', () => {
+            throw new Error('closed');
+        });
+        events.subscribe('notes', 't1', listener);
+
+        events.publish('notes', { currentHashContent: 't2' });
+
+        expect(listener).toHaveBeenCalledWith({ currentHashContent: 't2' });
+    });
+
+    it('polls subscribed sites for changes made by other processes', async () => {
+        vi.useFakeTimers();
+        let stored: string | null = 't1';
+        const readToken = vi.fn(async () => stored);
+        const events = new SiteEvents({ readToken, pollIntervalMs: 1000 });
+        const listener = vi.fn();
+        events.subscribe('notes', 't1', listener);
+
+        await vi.advanceTimersByTimeAsync(1000);
+        expect(readToken).toHaveBeenCalledWith('notes');
+        expect(listener).not.toHaveBeenCalled();
+
+        stored = 't2';
+        await vi.advanceTimersByTimeAsync(1000);
+        expect(listener).toHaveBeenCalledWith({ currentHashContent: 't2' });
+
+        // A change this process published is not reported again by the poll
+        stored = 't3';
+        events.publish('notes', { currentHashContent: 't3' });
+        await vi.advanceTimersByTimeAsync(1000);
+        expect(listener).toHaveBeenCalledTimes(2);
+
+        events.close();
+        readToken.mockClear();
+        await vi.advanceTimersByTimeAsync(5000);
+        expect(readToken).not.toHaveBeenCalled();
+    });
+
+    it('only polls while a site has subscribers', async () => {
+        vi.useFakeTimers();
+        const readToken = vi.fn(async () => 't1');
+        const events = new SiteEvents({ readToken, pollIntervalMs: 1000 });
+
+        await vi.advanceTimersByTimeAsync(2000);
+        expect(readToken).not.toHaveBeenCalled();
+
+        const unsubscribe = events.subscribe('notes', 't1', () => {});
+        await vi.advanceTimersByTimeAsync(1000);
+        expect(readToken).toHaveBeenCalledTimes(1);
+
+        unsubscribe();
+        await vi.advanceTimersByTimeAsync(3000);
+        expect(readToken).toHaveBeenCalledTimes(1);
+    });
+});
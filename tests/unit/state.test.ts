@@ -2,8 +2,20 @@
  * Client state and URL parsing tests.
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { ClientState, setTabFunctions } from '../../src/state/ClientState';
+import { mergeTabLists, resolveMergedTabs } from '../../src/state/merge';
+import { AutosaveController, MAX_AUTOSAVE_BACKOFF_MS } from '../../src/state/autosave';
+import { MemoryPendingSaveStore } from '../../src/state/pending-saves';
+import { documentFromParts, parseManifest, partsFromDocument } from '../../src/state/document';
+import { MOBILE_METADATA_HINT, formatTabPayload, getImplicitTabId } from '../../src/state/tab-payload';
+import { aesGcmEncryptHex } from '../../src/crypto/aes-gcm';
+import { CURRENT_KDF, decryptEnvelope, encryptEnvelope } from '../../src/crypto/envelope';
+import { decryptChunk, encryptChunk, generateWorkspaceKey, importWorkspaceKey, MANIFEST_AAD } from '../../src/crypto/chunks';
+import { clearKeyCache } from '../../src/crypto/kdf';
+import { deriveWriteToken } from '../../src/crypto/write-token';
+import type { ChunkedContent } from '../../src/types/global';
+import { getSeparatorHex } from '../../src/utils/crypto-helpers';
 import { getQueryParamFromUrl, getSiteFromUrl, getUrlPasswordFromUrl, removeUrlPassword } from '../../src/utils/url';
 
 describe('ClientState', () => {
@@ -61,21 +73,6 @@ describe('ClientState', () => {
         });
     });
 
-    describe('computeHashContentForDBVersion', () => {
-        it('is deterministic for identical inputs', () => {
-            const hash1 = state.computeHashContentForDBVersion('content', 'pass', 2);
-            const hash2 = state.computeHashContentForDBVersion('content', 'pass', 2);
-            expect(hash1).toBe(hash2);
-        });
-
-        it('changes when content, password, or DB version changes', () => {
-            const base = state.computeHashContentForDBVersion('content', 'pass', 2);
-            expect(state.computeHashContentForDBVersion('content2', 'pass', 2)).not.toBe(base);
-            expect(state.computeHashContentForDBVersion('content', 'pass2', 2)).not.toBe(base);
-            expect(state.computeHashContentForDBVersion('content', 'pass', 3)).not.toBe(base);
-        });
-    });
-
     describe('setInitHashContent', () => {
         it('uses the remote hash when present', () => {
             state.remote.currentHashContent = 'remotehash123';
@@ -83,15 +80,14 @@ describe('ClientState', () => {
             expect(state.initHashContent).toBe('remotehash123');
         });
 
-        it('computes a hash when no remote hash exists', () => {
+        it('sends an empty token when the workspace has none yet', () => {
             state.content = 'my content';
             state.password = 'mypass';
             state.remote.currentHashContent = null;
 
             state.setInitHashContent();
 
-            expect(state.initHashContent).toBeDefined();
-            expect(state.initHashContent!.length).toBeGreaterThan(0);
+            expect(state.initHashContent).toBe('');
         });
     });
 
@@ -135,6 +131,160 @@ describe('ClientState', () => {
             expect(state.remote.currentHashContent).toBe('newhash456');
         });
 
+        it('sends the write token derived from the password', async () => {
+            state.password = 'mypassword';
+            state.siteHash = 'ab'.repeat(64);
+            vi.mocked(globalThis.fetch).mockResolvedValue({
+                ok: true,
+                json: async () => ({ status: 'success', currentHashContent: 'newhash456' })
+            } as Response);
+
+            await state.saveSite(false);
+
+            const body = JSON.parse(vi.mocked(globalThis.fetch).mock.calls[0]![1]!.body as string);
+            expect(body.writeToken).toBe(await deriveWriteToken('mypassword', 'ab'.repeat(64)));
+            expect(body.newWriteToken).toBeUndefined();
+        });
+
+        it('reports a rejected write token without queueing the save', async () => {
+            state.password = 'mypassword';
+            state.remote.isNew = false;
+            vi.mocked(globalThis.fetch).mockResolvedValue({
+                ok: false,
+                status: 403,
+                statusText: 'Forbidden',
+                json: async () => ({ status: 'error', message: 'Write access denied' })
+            } as Response);
+
+            await expect(state.saveSite(false)).resolves.toBe(false);
+            await expect(state.getPendingSaveCount()).resolves.toBe(0);
+        });
+
+        it('reports a lockout when the write token of a workspace it decrypted is refused', async () => {
+            state.password = 'mypassword';
+            state.remote.isNew = false;
+            state.remote.currentHashContent = 'n1.' + 'a'.repeat(32);
+            state.setInitHashContent();
+            const onWriteDenied = vi.fn();
+            state.onWriteDenied = onWriteDenied;
+            vi.mocked(globalThis.fetch).mockResolvedValue({
+                ok: false,
+                status: 403,
+                statusText: 'Forbidden',
+                json: async () => ({ status: 'denied', message: 'Write access denied' })
+            } as Response);
+
+            await expect(state.saveSite(false, { silent: true })).resolves.toBe(false);
+            expect(onWriteDenied).toHaveBeenCalledTimes(1);
+        });
+
+        it('sends a fresh random concurrency token with every save', async () => {
+            state.password = 'mypassword';
+            state.remote.currentHashContent = 'n1.' + 'a'.repeat(32);
+            state.setInitHashContent();
+            vi.mocked(globalThis.fetch).mockImplementation(async (_url, init) => ({
+                ok: true,
+                json: async () => ({
+                    status: 'success',
+                    currentHashContent: JSON.parse(init!.body as string).currentHashContent
+                })
+            }) as Response);
+
+            await state.saveSite(false);
+            await state.saveSite(false);
+
+            const bodies = vi.mocked(globalThis.fetch).mock.calls.map(([, init]) => JSON.parse(init!.body as string));
+            expect(bodies[0].currentHashContent).toMatch(/^n1\.[0-9a-f]{32}$/);
+            expect(bodies[1].currentHashContent).toMatch(/^n1\.[0-9a-f]{32}$/);
+            expect(bodies[1].currentHashContent).not.toBe(bodies[0].currentHashContent);
+            expect(bodies[1].initHashContent).toBe(bodies[0].currentHashContent);
+        });
+
+        it('matches a legacy content-hash token once and then switches to random tokens', async () => {
+            state.password = 'mypassword';
+            state.remote.currentHashContent = '1a2b3c4d2';
+            state.setInitHashContent();
+            vi.mocked(globalThis.fetch).mockImplementation(async (_url, init) => ({
+                ok: true,
+                json: async () => ({
+                    status: 'success',
+                    currentHashContent: JSON.parse(init!.body as string).currentHashContent
+                })
+            }) as Response);
+
+            await state.saveSite(false);
+
+            const body = JSON.parse(vi.mocked(globalThis.fetch).mock.calls[0]![1]!.body as string);
+            expect(body.initHashContent).toBe('1a2b3c4d2');
+            expect(body.currentHashContent).toMatch(/^n1\.[0-9a-f]{32}$/);
+            expect(state.initHashContent).toBe(body.currentHashContent);
+        });
+
+        it('rewrites single-envelope workspaces as chunks on save', async () => {
+            state.siteHash = 'sitehash';
+            const saltHex = 'a'.repeat(32);
+            const { ivHex, cipherHex } = await aesGcmEncryptHex('legacy' + 'sitehash', 'mypassword', saltHex);
+            state.remote = { isNew: false, eContent: `${saltHex}:${ivHex}:${cipherHex}`, currentHashContent: 'oldhash' };
+            await expect(state.setLoginPasswordAndContentIfCorrect('mypassword')).resolves.toBe(true);
+
+            vi.mocked(globalThis.fetch).mockResolvedValue({
+                ok: true,
+                json: async () => ({ status: 'success', currentHashContent: 'newhash' })
+            } as Response);
+
+            await state.saveSite(false);
+
+            const body = JSON.parse(vi.mocked(globalThis.fetch).mock.calls[0]![1]!.body as string);
+            expect(body.encryptedContent).toBeUndefined();
+            expect(body.encryptedKey).toMatch(/^v3:kdf=pbkdf2-sha256:iter=600000:[0-9a-f]{32}:[0-9a-f]{24}:[0-9a-f]+$/);
+            expect(body.chunkIds).toHaveLength(1);
+            expect(body.chunks).toEqual([{ id: body.chunkIds[0], data: expect.stringMatching(/^[0-9a-f]{24}:[0-9a-f]+$/) }]);
+            expect(state.remote.eContent).toEqual({ encryptedKey: body.encryptedKey, manifest: body.manifest, chunks: body.chunks });
+        });
+
+        it('keeps the Argon2id settings of a workspace on save', async () => {
+            state.siteHash = 'sitehash';
+            const kdf = { kdf: 'argon2id' as const, memoryKiB: 64, passes: 1, parallelism: 1 };
+            state.remote = {
+                isNew: false,
+                eContent: await encryptEnvelope('notes' + 'sitehash', 'mypassword', kdf),
+                currentHashContent: 'oldhash'
+            };
+            await expect(state.setLoginPasswordAndContentIfCorrect('mypassword')).resolves.toBe(true);
+            expect(state.kdf).toEqual(kdf);
+
+            vi.mocked(globalThis.fetch).mockResolvedValue({
+                ok: true,
+                json: async () => ({ status: 'success', currentHashContent: 'newhash' })
+            } as Response);
+
+            await state.saveSite(false);
+
+            const body = JSON.parse(vi.mocked(globalThis.fetch).mock.calls[0]![1]!.body as string);
+            expect(body.encryptedKey).toMatch(/^v3:kdf=argon2id:m=64:t=1:p=1:/);
+        });
+
+        it('reuses the session salt and cached key when rewriting a workspace', async () => {
+            state.siteHash = 'sitehash';
+            const saltHex = 'd'.repeat(32);
+            const eContent = await encryptEnvelope('notes' + 'sitehash', 'mypassword', CURRENT_KDF, saltHex);
+            clearKeyCache();
+            state.remote = { isNew: false, eContent, currentHashContent: 'oldhash' };
+            const deriveKey = vi.spyOn(crypto.subtle, 'deriveKey');
+
+            await expect(state.setLoginPasswordAndContentIfCorrect('mypassword')).resolves.toBe(true);
+            vi.mocked(globalThis.fetch).mockResolvedValue({
+                ok: true,
+                json: async () => ({ status: 'success', currentHashContent: 'newhash' })
+            } as Response);
+            await state.saveSite(false);
+
+            const body = JSON.parse(vi.mocked(globalThis.fetch).mock.calls[0]![1]!.body as string);
+            expect(body.encryptedKey.split(':')[3]).toBe(saltHex);
+            expect(deriveKey).toHaveBeenCalledTimes(1);
+            deriveKey.mockRestore();
+        });
+
         it('does not mutate local remote hash state on overwrite/conflict responses', async () => {
             state.initHashContent = 'oldhash123';
             state.remote.currentHashContent = 'oldhash123';
@@ -151,6 +301,804 @@ describe('ClientState', () => {
             expect(state.remote.currentHashContent).toBe('oldhash123');
         });
     });
+
+    describe('revision history', () => {
+        const encryptRevision = async (content: string, password: string): Promise<string> => {
+            const saltHex = 'a'.repeat(32);
+            const { ivHex, cipherHex } = await aesGcmEncryptHex(content + 'sitehash', password, saltHex);
+            return `${saltHex}:${ivHex}:${cipherHex}`;
+        };
+
+        beforeEach(() => {
+            vi.mocked(globalThis.fetch).mockReset();
+            state.siteHash = 'sitehash';
+            state.password = 'mypassword';
+        });
+
+        it('decrypts a stored revision with the current password', async () => {
+            const eContent = await encryptRevision('older notes', 'mypassword');
+            vi.mocked(globalThis.fetch).mockResolvedValue({
+                ok: true,
+                status: 200,
+                json: async () => ({ status: 'success', rev: 3, updatedAt: 1, eContent })
+            } as Response);
+
+            await expect(state.decryptRevision(3)).resolves.toBe('older notes');
+            expect(vi.mocked(globalThis.fetch).mock.calls[0]![0]).toBe('/api/revision?site=test-site&rev=3');
+        });
+
+        it('returns null for revisions saved under another password', async () => {
+            const eContent = await encryptRevision('older notes', 'previous-password');
+            vi.mocked(globalThis.fetch).mockResolvedValue({
+                ok: true,
+                status: 200,
+                json: async () => ({ status: 'success', rev: 3, updatedAt: 1, eContent })
+            } as Response);
+
+            await expect(state.decryptRevision(3)).resolves.toBeNull();
+        });
+
+        it('restores a revision into the tabs and saves it as a new version', async () => {
+            const setContentOfTabs = vi.fn(async () => {});
+            setTabFunctions({ getContentFromTabs: async () => 'older notes', setContentOfTabs });
+            const eContent = await encryptRevision('older notes', 'mypassword');
+            state.initHashContent = 'currenthash';
+
+            vi.mocked(globalThis.fetch)
+                .mockResolvedValueOnce({
+                    ok: true,
+                    status: 200,
+                    json: async () => ({ status: 'success', rev: 3, updatedAt: 1, eContent })
+                } as Response)
+                .mockResolvedValueOnce({
+                    ok: true,
+                    status: 200,
+                    json: async () => ({ status: 'success', currentHashContent: 'restoredhash' })
+                } as Response);
+
+            await expect(state.restoreRevision(3)).resolves.toBe(true);
+
+            expect(setContentOfTabs).toHaveBeenCalledWith('older notes', state);
+            const [saveUrl, saveOptions] = vi.mocked(globalThis.fetch).mock.calls[1]!;
+            expect(saveUrl).toBe('/api/save');
+            expect(JSON.parse(saveOptions!.body as string).initHashContent).toBe('currenthash');
+            expect(state.initHashContent).toBe('restoredhash');
+        });
+    });
+
+    describe('merge on save conflict', () => {
+        let separator: string;
+
+        const encryptRemote = async (content: string, password: string): Promise<string> => {
+            const saltHex = 'b'.repeat(32);
+            const { ivHex, cipherHex } = await aesGcmEncryptHex(content + 'sitehash', password, saltHex);
+            return `${saltHex}:${ivHex}:${cipherHex}`;
+        };
+
+        const respond = (body: unknown): Response => ({
+            ok: true,
+            status: 200,
+            json: async () => body
+        } as Response);
+
+        beforeEach(async () => {
+            vi.mocked(globalThis.fetch).mockReset();
+            separator = await getSeparatorHex();
+            state.siteHash = 'sitehash';
+            state.password = 'mypassword';
+            state.initHashContent = 'basehash';
+            state.baseContent = ['alpha', 'beta', 'gamma'].join(separator);
+        });
+
+        it('auto-merges tabs edited on different sides and re-saves', async () => {
+            let tabs = ['alpha', 'beta (mine)', 'gamma'].join(separator);
+            const setContentOfTabs = vi.fn(async (content: string) => { tabs = content; });
+            setTabFunctions({ getContentFromTabs: async () => tabs, setContentOfTabs });
+            const remoteContent = ['alpha', 'beta', 'gamma (theirs)'].join(separator);
+            const eContent = await encryptRemote(remoteContent, 'mypassword');
+
+            vi.mocked(globalThis.fetch)
+                .mockResolvedValueOnce(respond({ status: 'error', message: 'Site was modified in the meantime.' }))
+                .mockResolvedValueOnce(respond({ status: 'success', isNew: false, eContent, currentHashContent: 'remotehash' }))
+                .mockResolvedValueOnce(respond({ status: 'success', currentHashContent: 'mergedhash' }));
+
+            await state.saveSite(false);
+
+            const merged = ['alpha', 'beta (mine)', 'gamma (theirs)'].join(separator);
+            expect(setContentOfTabs).toHaveBeenCalledWith(merged, state);
+            const [saveUrl, saveOptions] = vi.mocked(globalThis.fetch).mock.calls[2]!;
+            expect(saveUrl).toBe('/api/save');
+            expect(JSON.parse(saveOptions!.body as string).initHashContent).toBe('remotehash');
+            expect(state.initHashContent).toBe('mergedhash');
+            expect(state.baseContent).toBe(merged);
+        });
+
+        it('asks for a resolution when both sides edited the same tab', async () => {
+            let tabs = ['alpha', 'beta (mine)', 'gamma'].join(separator);
+            setTabFunctions({
+                getContentFromTabs: async () => tabs,
+                setContentOfTabs: async (content: string) => { tabs = content; }
+            });
+            const eContent = await encryptRemote(['alpha', 'beta (theirs)', 'gamma'].join(separator), 'mypassword');
+            state.onMergeConflicts = vi.fn(async () => ['both' as const]);
+
+            vi.mocked(globalThis.fetch)
+                .mockResolvedValueOnce(respond({ status: 'error', message: 'Site was modified in the meantime.' }))
+                .mockResolvedValueOnce(respond({ status: 'success', isNew: false, eContent, currentHashContent: 'remotehash' }))
+                .mockResolvedValueOnce(respond({ status: 'success', currentHashContent: 'mergedhash' }));
+
+            await state.saveSite(false);
+
+            expect(state.onMergeConflicts).toHaveBeenCalledWith([
+                { base: 'beta', local: 'beta (mine)', remote: 'beta (theirs)' }
+            ]);
+            expect(tabs).toBe(['alpha', 'beta (mine)', 'beta (theirs)', 'gamma'].join(separator));
+            expect(state.initHashContent).toBe('mergedhash');
+        });
+
+        it('keeps the old token when the conflict dialog is cancelled', async () => {
+            setTabFunctions({
+                getContentFromTabs: async () => ['alpha', 'beta (mine)', 'gamma'].join(separator),
+                setContentOfTabs: async () => {}
+            });
+            const eContent = await encryptRemote(['alpha', 'beta (theirs)', 'gamma'].join(separator), 'mypassword');
+            state.onMergeConflicts = vi.fn(async () => null);
+
+            vi.mocked(globalThis.fetch)
+                .mockResolvedValueOnce(respond({ status: 'error', message: 'Site was modified in the meantime.' }))
+                .mockResolvedValueOnce(respond({ status: 'success', isNew: false, eContent, currentHashContent: 'remotehash' }));
+
+            await state.saveSite(false);
+
+            expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+            expect(state.initHashContent).toBe('basehash');
+        });
+
+        it('merges remote changes into local edits on request', async () => {
+            let tabs = ['alpha', 'beta (mine)', 'gamma'].join(separator);
+            setTabFunctions({
+                getContentFromTabs: async () => tabs,
+                setContentOfTabs: async (content: string) => { tabs = content; }
+            });
+            const eContent = await encryptRemote(['alpha', 'beta', 'gamma (theirs)'].join(separator), 'mypassword');
+            state.isTextModified = true;
+            vi.mocked(globalThis.fetch)
+                .mockResolvedValueOnce(respond({ status: 'success', isNew: false, eContent, currentHashContent: 'remotehash' }));
+
+            await expect(state.mergeRemoteChanges()).resolves.toBe(true);
+
+            expect(tabs).toBe(['alpha', 'beta (mine)', 'gamma (theirs)'].join(separator));
+            expect(state.initHashContent).toBe('remotehash');
+            expect(state.getIsTextModified()).toBe(true);
+        });
+    });
+
+    describe('remote change events', () => {
+        beforeEach(() => {
+            vi.mocked(globalThis.fetch).mockReset();
+            state.onRemoteChange = vi.fn();
+            state.remote = { isNew: false, eContent: 'stored', currentHashContent: 'loaded' };
+        });
+
+        it('ignores the loaded version and changes made by this session', async () => {
+            expect(state.handleRemoteChange('loaded')).toBe(false);
+
+            state.password = 'mypassword';
+            vi.mocked(globalThis.fetch).mockImplementation(async (_url, options) => {
+                const body = JSON.parse(options!.body as string);
+                // The event for this save arrives before its response
+                expect(state.handleRemoteChange(body.currentHashContent)).toBe(false);
+                return { ok: true, json: async () => ({ status: 'success', currentHashContent: body.currentHashContent }) } as Response;
+            });
+            await state.saveSite(false);
+
+            expect(state.onRemoteChange).not.toHaveBeenCalled();
+        });
+
+        it('reports saves and deletes from other sessions', () => {
+            expect(state.handleRemoteChange('theirs')).toBe(true);
+            expect(state.onRemoteChange).toHaveBeenLastCalledWith({ deleted: false });
+
+            expect(state.handleRemoteChange(null)).toBe(true);
+            expect(state.onRemoteChange).toHaveBeenLastCalledWith({ deleted: true });
+        });
+    });
+});
+
+describe('ClientState autosave', () => {
+    let state: ClientState;
+
+    beforeEach(() => {
+        vi.mocked(globalThis.fetch).mockReset();
+        state = new ClientState('test-site');
+        state.siteHash = 'sitehash';
+        state.password = 'mypassword';
+        state.remote.isNew = false;
+        state.initHashContent = 'oldhash';
+        state.isTextModified = true;
+    });
+
+    it('never saves new workspaces, which would need a password prompt', async () => {
+        state.remote.isNew = true;
+
+        await expect(state.autosave()).resolves.toBe(false);
+        expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+
+    it('saves silently and keeps edits typed while the request was out', async () => {
+        const onFinishInitialization = vi.fn();
+        state.onFinishInitialization = onFinishInitialization;
+        const contents = ['saved text', 'saved text plus more'];
+        setTabFunctions({ getContentFromTabs: async () => contents.shift() ?? '', setContentOfTabs: async () => {} });
+
+        vi.mocked(globalThis.fetch).mockResolvedValue({
+            ok: true,
+            json: async () => ({ status: 'success', currentHashContent: 'newhash' })
+        } as Response);
+
+        await expect(state.autosave()).resolves.toBe(true);
+
+        expect(state.initHashContent).toBe('newhash');
+        expect(state.getIsTextModified()).toBe(true);
+        expect(onFinishInitialization).not.toHaveBeenCalled();
+    });
+
+    it('reports a conflict without merging into the tabs', async () => {
+        const setContentOfTabs = vi.fn(async () => {});
+        setTabFunctions({ getContentFromTabs: async () => 'local', setContentOfTabs });
+        state.onMergeConflicts = vi.fn(async () => null);
+        state.onSaveConflict = vi.fn();
+        vi.mocked(globalThis.fetch).mockResolvedValue({
+            ok: true,
+            json: async () => ({ status: 'error', message: 'Site was modified in the meantime.' })
+        } as Response);
+
+        await expect(state.autosave()).resolves.toBe(false);
+        expect(state.onSaveConflict).toHaveBeenCalledTimes(1);
+        expect(state.onMergeConflicts).not.toHaveBeenCalled();
+        expect(setContentOfTabs).not.toHaveBeenCalled();
+        expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+        expect(state.initHashContent).toBe('oldhash');
+        expect(state.getIsTextModified()).toBe(true);
+    });
+});
+
+describe('ClientState offline cache', () => {
+    let state: ClientState;
+    let separator: string;
+    let tabs: string;
+
+    const encrypt = async (content: string): Promise<string> => {
+        const saltHex = 'c'.repeat(32);
+        const { ivHex, cipherHex } = await aesGcmEncryptHex(content + 'sitehash', 'mypassword', saltHex);
+        return `${saltHex}:${ivHex}:${cipherHex}`;
+    };
+
+    const respond = (body: unknown): Response => ({ ok: true, status: 200, json: async () => body } as Response);
+
+    beforeEach(async () => {
+        vi.mocked(globalThis.fetch).mockReset();
+        separator = await getSeparatorHex();
+        tabs = ['notes', 'offline edit'].join(separator);
+        setTabFunctions({
+            getContentFromTabs: async () => tabs,
+            setContentOfTabs: async (content: string) => { tabs = content; }
+        });
+
+        state = new ClientState('test-site');
+        state.siteHash = 'sitehash';
+        state.password = 'mypassword';
+        state.remote = { isNew: false, eContent: await encrypt('notes'), currentHashContent: 'basehash' };
+        state.initHashContent = 'basehash';
+        state.baseContent = 'notes';
+        state.isTextModified = true;
+    });
+
+    it('queues the encrypted payload when the network is down', async () => {
+        const onStatusChange = vi.fn();
+        state.onStatusChange = onStatusChange;
+        vi.mocked(globalThis.fetch).mockRejectedValue(new TypeError('Failed to fetch'));
+
+        await expect(state.saveSite(false)).resolves.toBe(false);
+
+        const pending = await state.pendingSaves.get('test-site');
+        expect(pending).toMatchObject({ initHashContent: 'basehash', pendingCount: 1 });
+        expect(pending!.encryptedContent).toMatchObject({ encryptedKey: expect.stringMatching(/^v3:kdf=/) });
+        expect(JSON.stringify(pending!.encryptedContent)).not.toContain('offline edit');
+        expect(onStatusChange).toHaveBeenCalledWith('offline', 'Offline \u2013 1 pending');
+        expect(state.getIsTextModified()).toBe(true);
+    });
+
+    it('skips the request entirely while the browser is offline', async () => {
+        const onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+        try {
+            await state.saveSite(false);
+            await state.saveSite(false);
+        } finally {
+            onLine.mockRestore();
+        }
+
+        expect(globalThis.fetch).not.toHaveBeenCalled();
+        await expect(state.getPendingSaveCount()).resolves.toBe(2);
+    });
+
+    it('does not queue saves the server rejected as invalid', async () => {
+        vi.mocked(globalThis.fetch).mockResolvedValue({ ok: false, status: 413, statusText: 'Payload Too Large' } as Response);
+
+        await state.saveSite(false);
+
+        await expect(state.getPendingSaveCount()).resolves.toBe(0);
+    });
+
+    it('replays the queued save once the server is reachable', async () => {
+        vi.mocked(globalThis.fetch).mockRejectedValueOnce(new TypeError('Failed to fetch'));
+        await state.saveSite(false);
+        const pending = await state.pendingSaves.get('test-site');
+
+        vi.mocked(globalThis.fetch).mockResolvedValueOnce(respond({ status: 'success', currentHashContent: 'replayedhash' }));
+
+        await expect(state.replayPendingSave()).resolves.toBe(true);
+
+        const body = JSON.parse(vi.mocked(globalThis.fetch).mock.calls[1]![1]!.body as string);
+        // Replays upload every chunk: the server may not hold any of them
+        expect(body).toMatchObject({ initHashContent: 'basehash', ...pending!.encryptedContent as object });
+        expect(state.initHashContent).toBe('replayedhash');
+        expect(state.getIsTextModified()).toBe(false);
+        await expect(state.getPendingSaveCount()).resolves.toBe(0);
+    });
+
+    it('restores queued edits after a reload and merges them on conflict', async () => {
+        vi.mocked(globalThis.fetch).mockRejectedValueOnce(new TypeError('Failed to fetch'));
+        await state.saveSite(false);
+
+        // Simulate a fresh page showing the server copy, which another session has since changed
+        const remoteContent = ['notes', '', 'their tab'].join(separator);
+        const remoteEContent = await encrypt(remoteContent);
+        tabs = 'notes';
+        state.isTextModified = false;
+        state.content = 'notes';
+        state.baseContent = remoteContent;
+        state.initHashContent = 'remotehash';
+
+        vi.mocked(globalThis.fetch)
+            .mockResolvedValueOnce(respond({ status: 'error', message: 'Site was modified in the meantime.' }))
+            .mockResolvedValueOnce(respond({ status: 'error', message: 'Site was modified in the meantime.' }))
+            .mockResolvedValueOnce(respond({ status: 'success', isNew: false, eContent: remoteEContent, currentHashContent: 'remotehash' }))
+            .mockResolvedValueOnce(respond({ status: 'success', currentHashContent: 'mergedhash' }));
+
+        await expect(state.replayPendingSave()).resolves.toBe(true);
+
+        expect(tabs).toBe(['notes', 'offline edit', '', 'their tab'].join(separator));
+        expect(state.initHashContent).toBe('mergedhash');
+        await expect(state.getPendingSaveCount()).resolves.toBe(0);
+    });
+
+    it('merges queued edits into typing done after a reload while the replay was out', async () => {
+        vi.mocked(globalThis.fetch).mockRejectedValueOnce(new TypeError('Failed to fetch'));
+        await state.saveSite(false);
+
+        // A fresh page loaded the server copy and the user typed before the replay returned
+        tabs = 'notes!';
+        state.content = 'notes';
+        state.baseContent = 'notes';
+        state.isTextModified = true;
+        vi.mocked(globalThis.fetch).mockResolvedValueOnce(respond({ status: 'success', currentHashContent: 'replayedhash' }));
+
+        await expect(state.replayPendingSave()).resolves.toBe(true);
+
+        expect(tabs).toBe(['notes!', 'offline edit'].join(separator));
+        expect(state.baseContent).toBe(['notes', 'offline edit'].join(separator));
+        expect(state.getIsTextModified()).toBe(true);
+    });
+
+    it('keeps queued edits in the tabs when the server rejects them', async () => {
+        vi.mocked(globalThis.fetch).mockRejectedValueOnce(new TypeError('Failed to fetch'));
+        await state.saveSite(false);
+
+        tabs = 'notes';
+        state.content = 'notes';
+        state.isTextModified = false;
+        vi.mocked(globalThis.fetch).mockResolvedValueOnce(respond({ status: 'error', message: 'Content too large.' }));
+
+        await expect(state.replayPendingSave()).resolves.toBe(false);
+
+        expect(tabs).toBe(['notes', 'offline edit'].join(separator));
+        expect(state.getIsTextModified()).toBe(true);
+        await expect(state.getPendingSaveCount()).resolves.toBe(0);
+    });
+
+    it('reports a lockout when the replay is refused for its write token', async () => {
+        vi.mocked(globalThis.fetch).mockRejectedValueOnce(new TypeError('Failed to fetch'));
+        await state.saveSite(false);
+        const onWriteDenied = vi.fn();
+        state.onWriteDenied = onWriteDenied;
+        vi.mocked(globalThis.fetch).mockResolvedValueOnce({
+            ok: false,
+            status: 403,
+            statusText: 'Forbidden',
+            json: async () => ({ status: 'denied', message: 'Write access denied' })
+        } as Response);
+
+        await expect(state.replayPendingSave()).resolves.toBe(false);
+
+        expect(onWriteDenied).toHaveBeenCalledTimes(1);
+        expect(tabs).toBe(['notes', 'offline edit'].join(separator));
+        await expect(state.getPendingSaveCount()).resolves.toBe(0);
+    });
+});
+
+describe('ClientState chunked saves', () => {
+    let state: ClientState;
+    let separator: string;
+    let tabs: string;
+    let activeTabId: string | null;
+
+    const saveBodies = (): Array<Record<string, unknown>> =>
+        vi.mocked(globalThis.fetch).mock.calls.map(([, init]) => JSON.parse(init!.body as string));
+
+    beforeEach(async () => {
+        vi.mocked(globalThis.fetch).mockReset();
+        vi.mocked(globalThis.fetch).mockImplementation(async (_url, init) => ({
+            ok: true,
+            json: async () => ({
+                status: 'success',
+                currentHashContent: JSON.parse(init!.body as string).currentHashContent
+            })
+        }) as Response);
+        separator = await getSeparatorHex();
+        tabs = ['first', 'second', 'third'].join(separator);
+        activeTabId = null;
+        setTabFunctions({
+            getContentFromTabs: async () => tabs,
+            setContentOfTabs: async (content: string) => { tabs = content; },
+            getActiveTabId: () => activeTabId
+        });
+
+        state = new ClientState('test-site');
+        state.siteHash = 'sitehash';
+        state.password = 'mypassword';
+        state.remote = { isNew: false, eContent: null, currentHashContent: 'basehash' };
+        state.initHashContent = 'basehash';
+    });
+
+    it('uploads only the tabs that changed since the last save', async () => {
+        await state.saveSite(false);
+        tabs = ['first', 'second edited', 'third'].join(separator);
+        await state.saveSite(false);
+
+        const [initial, delta] = saveBodies();
+        expect(initial!.chunks).toHaveLength(3);
+        expect(delta!.encryptedKey).toBe(initial!.encryptedKey);
+        expect(delta!.chunks).toHaveLength(1);
+
+        const initialIds = initial!.chunkIds as string[];
+        const deltaIds = delta!.chunkIds as string[];
+        expect(deltaIds[0]).toBe(initialIds[0]);
+        expect(deltaIds[1]).not.toBe(initialIds[1]);
+        expect(deltaIds[2]).toBe(initialIds[2]);
+        expect((delta!.chunks as Array<{ id: string }>)[0]!.id).toBe(deltaIds[1]);
+    });
+
+    it('opens chunked content in a fresh session and rejects the wrong password', async () => {
+        await state.saveSite(false);
+        const stored = state.remote.eContent;
+
+        const other = new ClientState('test-site');
+        other.siteHash = 'sitehash';
+        other.remote = { isNew: false, eContent: stored, currentHashContent: 'x' };
+
+        await expect(other.setLoginPasswordAndContentIfCorrect('wrong')).resolves.toBe(false);
+        await expect(other.setLoginPasswordAndContentIfCorrect('mypassword')).resolves.toBe(true);
+        expect(other.getContent()).toBe(tabs);
+    });
+
+    it('rejects chunk lists reordered by the server', async () => {
+        await state.saveSite(false);
+        const stored = state.remote.eContent as ChunkedContent;
+
+        const other = new ClientState('test-site');
+        other.siteHash = 'sitehash';
+        other.remote = {
+            isNew: false,
+            eContent: { ...stored, chunks: [stored.chunks[1]!, stored.chunks[0]!, stored.chunks[2]!] },
+            currentHashContent: 'x'
+        };
+
+        await expect(other.setLoginPasswordAndContentIfCorrect('mypassword')).resolves.toBe(false);
+    });
+
+    it('uses a new workspace key and uploads every tab after a password change', async () => {
+        await state.saveSite(false);
+        document.body.innerHTML = `
+            <dialog id="dialog-new-password"><h2 id="dialog-new-password-title"></h2>
+            <input id="newpassword1"><input id="newpassword2">
+            <div id="passwords-empty"></div><div id="passwords-dont-match"></div>
+            <button value="ok"></button></dialog>`;
+        const dialog = document.querySelector<HTMLDialogElement>('#dialog-new-password')!;
+        dialog.showModal = vi.fn();
+        dialog.close = vi.fn();
+
+        await state.saveSite(true);
+        document.querySelector<HTMLInputElement>('#newpassword1')!.value = 'newpassword';
+        document.querySelector<HTMLInputElement>('#newpassword2')!.value = 'newpassword';
+        document.querySelector<HTMLButtonElement>('button[value="ok"]')!.click();
+        await vi.waitFor(() => expect(globalThis.fetch).toHaveBeenCalledTimes(2));
+
+        const [initial, changed] = saveBodies();
+        expect(changed!.encryptedKey).not.toBe(initial!.encryptedKey);
+        expect(changed!.chunks).toHaveLength(3);
+        expect(changed!.chunkIds).not.toEqual(initial!.chunkIds);
+    });
+
+    it('stores a versioned JSON document with the active tab', async () => {
+        tabs = [
+            'first',
+            formatTabPayload('# second', { id: '0123456789abcdef', pinned: true }),
+            `metadata ${MOBILE_METADATA_HINT}`
+        ].join(separator);
+        activeTabId = '0123456789abcdef';
+        await state.saveSite(false);
+
+        const stored = state.remote.eContent as ChunkedContent;
+        const keyPlain = await decryptEnvelope(stored.encryptedKey, 'mypassword');
+        const key = await importWorkspaceKey(keyPlain!.slice(0, 64));
+        expect(JSON.parse((await decryptChunk(key, stored.manifest, MANIFEST_AAD))!)).toEqual({
+            format: 'cryptexa-workspace',
+            version: 1,
+            activeTabId: '0123456789abcdef',
+            mobileAppMetadata: `metadata ${MOBILE_METADATA_HINT}`,
+            chunks: stored.chunks.map((chunk) => chunk.id)
+        });
+        expect(JSON.parse((await decryptChunk(key, stored.chunks[1]!.data, stored.chunks[1]!.id))!)).toEqual({
+            id: '0123456789abcdef', title: '# second', content: '# second', color: null, pinned: true, created: null, modified: null
+        });
+
+        const other = new ClientState('test-site');
+        other.siteHash = 'sitehash';
+        other.remote = { isNew: false, eContent: stored, currentHashContent: 'x' };
+        await expect(other.setLoginPasswordAndContentIfCorrect('mypassword')).resolves.toBe(true);
+        expect(other.getContent()).toBe(tabs);
+        expect(other.getActiveTabId()).toBe('0123456789abcdef');
+    });
+
+    it('reads chunk id lists written by older versions and upgrades them on save', async () => {
+        const { key, keyHex } = await generateWorkspaceKey();
+        const ids = ['00000000000000aa', '00000000000000bb'];
+        state.remote = {
+            isNew: false,
+            eContent: {
+                encryptedKey: await encryptEnvelope(keyHex + 'sitehash', 'mypassword', CURRENT_KDF),
+                manifest: await encryptChunk(key, JSON.stringify(ids), MANIFEST_AAD),
+                chunks: [
+                    { id: ids[0]!, data: await encryptChunk(key, 'legacy one', ids[0]!) },
+                    { id: ids[1]!, data: await encryptChunk(key, formatTabPayload('legacy two', { color: '#aa3300' }), ids[1]!) }
+                ]
+            },
+            currentHashContent: 'basehash'
+        };
+
+        await expect(state.setLoginPasswordAndContentIfCorrect('mypassword')).resolves.toBe(true);
+        tabs = state.getContent();
+        expect(tabs).toBe(['legacy one', formatTabPayload('legacy two', { color: '#aa3300' })].join(separator));
+
+        await state.saveSite(false);
+
+        // Same key, but every chunk is rewritten as a document tab
+        const [upgrade] = saveBodies();
+        expect(upgrade!.encryptedKey).toBe((state.remote.eContent as ChunkedContent).encryptedKey);
+        expect(upgrade!.chunks).toHaveLength(2);
+        const manifest = await decryptChunk(key, upgrade!.manifest as string, MANIFEST_AAD);
+        expect(parseManifest(manifest!)!.document).toMatchObject({ format: 'cryptexa-workspace', version: 1 });
+    });
+});
+
+describe('workspace documents', () => {
+    it('gives position ids to tabs without one and leaves them out of the text again', () => {
+        const parts = ['plain', formatTabPayload('named', { id: 'abcdefabcdefabcd', color: '#123456' }), `m ${MOBILE_METADATA_HINT}`];
+        const workspace = documentFromParts(parts, getImplicitTabId(0));
+
+        expect(workspace.tabs.map((tab) => [tab.id, tab.title, tab.color])).toEqual([
+            [getImplicitTabId(0), 'plain', null],
+            ['abcdefabcdefabcd', 'named', '#123456']
+        ]);
+        expect(workspace.activeTabId).toBe(getImplicitTabId(0));
+        expect(workspace.mobileAppMetadata).toBe(`m ${MOBILE_METADATA_HINT}`);
+        expect(partsFromDocument(workspace)).toEqual(parts);
+        expect(documentFromParts(parts, 'missing').activeTabId).toBeNull();
+    });
+
+    it('accepts chunk id lists and documents of its own version as manifests', () => {
+        expect(parseManifest('["a","b"]')).toEqual({ chunkIds: ['a', 'b'], document: null });
+        expect(parseManifest(JSON.stringify({
+            format: 'cryptexa-workspace', version: 1, activeTabId: null, mobileAppMetadata: null, chunks: ['a']
+        }))).toMatchObject({ chunkIds: ['a'], document: { activeTabId: null } });
+        expect(parseManifest(JSON.stringify({ format: 'cryptexa-workspace', version: 2, chunks: [] }))).toBeNull();
+        expect(parseManifest('{"chunks":["a"]}')).toBeNull();
+        expect(parseManifest('not json')).toBeNull();
+    });
+});
+
+describe('MemoryPendingSaveStore', () => {
+    it('coalesces queued saves and keeps the first concurrency token', async () => {
+        const store = new MemoryPendingSaveStore();
+        const entry = {
+            site: 'site-a',
+            encryptedContent: 'a:b:c',
+            initHashContent: 'base',
+            currentHashContent: 'next1',
+            baseEncryptedContent: 'x:y:z'
+        };
+
+        await expect(store.put(entry)).resolves.toBe(1);
+        await expect(store.put({ ...entry, encryptedContent: 'd:e:f', initHashContent: 'next1', currentHashContent: 'next2' })).resolves.toBe(2);
+
+        await expect(store.get('site-a')).resolves.toMatchObject({
+            encryptedContent: 'd:e:f',
+            initHashContent: 'base',
+            currentHashContent: 'next2',
+            baseEncryptedContent: 'x:y:z',
+            pendingCount: 2
+        });
+
+        await store.clear('site-a');
+        await expect(store.get('site-a')).resolves.toBeNull();
+    });
+});
+
+describe('AutosaveController', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('saves once the editor has been idle for the configured delay', async () => {
+        const save = vi.fn(async () => true);
+        const controller = new AutosaveController({ delayMs: 2000, save, canSave: () => save.mock.calls.length === 0 });
+
+        controller.notifyChange();
+        await vi.advanceTimersByTimeAsync(1500);
+        controller.notifyChange();
+        await vi.advanceTimersByTimeAsync(1500);
+        expect(save).not.toHaveBeenCalled();
+
+        await vi.advanceTimersByTimeAsync(500);
+        expect(save).toHaveBeenCalledTimes(1);
+    });
+
+    it('does nothing while disabled', async () => {
+        const save = vi.fn(async () => true);
+        const controller = new AutosaveController({ delayMs: 0, save, canSave: () => true });
+
+        controller.notifyChange();
+        await controller.flush();
+        await vi.advanceTimersByTimeAsync(60000);
+
+        expect(save).not.toHaveBeenCalled();
+    });
+
+    it('backs off exponentially while saves fail and recovers after a success', async () => {
+        let failing = true;
+        let dirty = true;
+        const statuses: string[] = [];
+        const save = vi.fn(async () => {
+            if (!failing) dirty = false;
+            return !failing;
+        });
+        const controller = new AutosaveController({
+            delayMs: 1000,
+            save,
+            canSave: () => dirty,
+            onStatusChange: (status) => statuses.push(status)
+        });
+
+        controller.notifyChange();
+        await vi.advanceTimersByTimeAsync(1000);
+        expect(save).toHaveBeenCalledTimes(1);
+
+        await vi.advanceTimersByTimeAsync(1999);
+        expect(save).toHaveBeenCalledTimes(1);
+        await vi.advanceTimersByTimeAsync(1);
+        expect(save).toHaveBeenCalledTimes(2);
+
+        failing = false;
+        await vi.advanceTimersByTimeAsync(4000);
+        expect(save).toHaveBeenCalledTimes(3);
+        expect(statuses).toEqual(['saving', 'failed', 'saving', 'failed', 'saving', 'saved']);
+    });
+
+    it('caps the retry delay', async () => {
+        const save = vi.fn(async () => false);
+        const controller = new AutosaveController({ delayMs: 60000, save, canSave: () => true });
+
+        await controller.flush();
+        await controller.flush();
+        await controller.flush();
+        save.mockClear();
+
+        await vi.advanceTimersByTimeAsync(MAX_AUTOSAVE_BACKOFF_MS);
+        expect(save).toHaveBeenCalledTimes(1);
+    });
+
+    it('saves nothing while paused and starts over on resume', async () => {
+        const statuses: string[] = [];
+        const save = vi.fn(async () => {
+            controller.pause();
+            return false;
+        });
+        const controller = new AutosaveController({
+            delayMs: 1000,
+            save,
+            canSave: () => true,
+            onStatusChange: (status) => statuses.push(status)
+        });
+
+        controller.notifyChange();
+        await vi.advanceTimersByTimeAsync(1000);
+        expect(save).toHaveBeenCalledTimes(1);
+        expect(statuses).toEqual(['saving']);
+
+        controller.notifyChange();
+        await controller.flush();
+        await vi.advanceTimersByTimeAsync(60000);
+        expect(save).toHaveBeenCalledTimes(1);
+
+        save.mockImplementation(async () => true);
+        controller.resume();
+        await vi.advanceTimersByTimeAsync(1000);
+        expect(save).toHaveBeenCalledTimes(2);
+        expect(statuses).toEqual(['saving', 'saving', 'saved']);
+    });
+
+    it('flushes pending edits immediately', async () => {
+        const save = vi.fn(async () => true);
+        let dirty = true;
+        const controller = new AutosaveController({ delayMs: 15000, save: async () => { dirty = false; return save(); }, canSave: () => dirty });
+
+        controller.notifyChange();
+        await controller.flush();
+        await vi.advanceTimersByTimeAsync(15000);
+
+        expect(save).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('mergeTabLists', () => {
+    it('takes tabs added, removed or edited on a single side', () => {
+        const { tabs, conflicts } = mergeTabLists(
+            ['a', 'b', 'c'],
+            ['a', 'b2', 'c', 'd'],
+            ['a', 'b', 'e']
+        );
+
+        expect(conflicts).toEqual([]);
+        expect(resolveMergedTabs(tabs, [])).toEqual(['a', 'b2', 'e', 'd']);
+    });
+
+    it('drops a tab deleted on one side and untouched on the other', () => {
+        const { tabs, conflicts } = mergeTabLists(['a', 'b', 'c'], ['a', 'c'], ['a', 'b', 'c2']);
+
+        expect(conflicts).toEqual([]);
+        expect(resolveMergedTabs(tabs, [])).toEqual(['a', 'c2']);
+    });
+
+    it('reports tabs edited differently on both sides', () => {
+        const { tabs, conflicts } = mergeTabLists(['a', 'b'], ['a', 'mine'], ['a', 'theirs']);
+
+        expect(conflicts).toEqual([{ base: 'b', local: 'mine', remote: 'theirs' }]);
+        expect(resolveMergedTabs(tabs, ['local'])).toEqual(['a', 'mine']);
+        expect(resolveMergedTabs(tabs, ['remote'])).toEqual(['a', 'theirs']);
+        expect(resolveMergedTabs(tabs, ['both'])).toEqual(['a', 'mine', 'theirs']);
+    });
+
+    it('keeps identical edits once', () => {
+        const { tabs, conflicts } = mergeTabLists(['a'], ['same'], ['same']);
+
+        expect(conflicts).toEqual([]);
+        expect(resolveMergedTabs(tabs, [])).toEqual(['same']);
+    });
 });
 
 describe('URL parsing', () => {
@@ -0,0 +1,450 @@
+/**
+ * Storage adapter conformance tests: every adapter runs the same cases.
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach, afterAll, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MongoClient } from 'mongodb';
+import {
+    createStorageAdapter,
+    FileAdapter,
+    MemoryAdapter,
+    migrateSqlite,
+    MongoAdapter,
+    SqliteAdapter,
+    SQLITE_MIGRATIONS,
+    type SiteData,
+    type StorageAdapter
+} from '../../src/server/storage';
+
+const HISTORY_LIMIT = 2;
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI;
+// node:sqlite needs Node.js 22.5 or newer; the SQLite cases are skipped without it
+const sqlite = await import('node:sqlite').catch(() => null);
+const mongoDbName = `cryptexa_test_${process.pid}_${Date.now()}`;
+
+const site = (encryptedContent: string, currentHashContent: string): SiteData => ({
+    encryptedContent,
+    currentHashContent,
+    updatedAt: 1700000000000
+});
+
+const tempDirs: string[] = [];
+function tempFile(name: string): string {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cryptexa-storage-'));
+    tempDirs.push(dir);
+    return path.join(dir, name);
+}
+
+afterAll(async () => {
+    for (const dir of tempDirs) {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+    if (MONGODB_TEST_URI) {
+        const client = new MongoClient(MONGODB_TEST_URI);
+        await client.connect();
+        await client.db(mongoDbName).dropDatabase();
+        await client.close();
+    }
+});
+
+const adapters: Array<[name: string, create: () => StorageAdapter]> = [
+    ['MemoryAdapter', () => new MemoryAdapter(HISTORY_LIMIT)],
+    ['FileAdapter', () => new FileAdapter(tempFile('db.json'), HISTORY_LIMIT)],
+    ['FileAdapter (compacting every save)', () => new FileAdapter(tempFile('db.json'), HISTORY_LIMIT, { compactBytes: 1 })]
+];
+if (sqlite) {
+    adapters.push(['SqliteAdapter', () => new SqliteAdapter(':memory:', HISTORY_LIMIT)]);
+}
+if (MONGODB_TEST_URI) {
+    adapters.push(['MongoAdapter', () => new MongoAdapter(MONGODB_TEST_URI, HISTORY_LIMIT, mongoDbName)]);
+}
+
+describe.each(adapters)('%s conformance', (_name, create) => {
+    let adapter: StorageAdapter;
+    let siteKey: string;
+    let counter = 0;
+
+    beforeEach(async () => {
+        adapter = create();
+        await adapter.connect();
+        // Unique per test so adapters backed by a shared server start clean
+        siteKey = `site-${++counter}`;
+    });
+
+    afterEach(async () => {
+        await adapter.close();
+    });
+
+    it('returns nothing for unknown sites', async () => {
+        await expect(adapter.getSite(siteKey)).resolves.toBeNull();
+        await expect(adapter.getHistory(siteKey)).resolves.toEqual([]);
+        await expect(adapter.getRevision(siteKey, 1)).resolves.toBeNull();
+    });
+
+    it('creates a new site only with an empty token', async () => {
+        await expect(adapter.saveSiteIfUnchanged(siteKey, 'stale', site('a', 't1'))).resolves.toBe(false);
+        await expect(adapter.getSite(siteKey)).resolves.toBeNull();
+
+        await expect(adapter.saveSiteIfUnchanged(siteKey, '', site('a', 't1'))).resolves.toBe(true);
+        await expect(adapter.getSite(siteKey)).resolves.toMatchObject({ ...site('a', 't1'), rev: 1 });
+        await expect(adapter.saveSiteIfUnchanged(siteKey, '', site('b', 't2'))).resolves.toBe(false);
+    });
+
+    it('rejects saves with a stale token and keeps the stored version', async () => {
+        await adapter.saveSiteIfUnchanged(siteKey, '', site('a', 't1'));
+        await adapter.saveSiteIfUnchanged(siteKey, 't1', site('b', 't2'));
+
+        await expect(adapter.saveSiteIfUnchanged(siteKey, 't1', site('c', 't3'))).resolves.toBe(false);
+        await expect(adapter.getSite(siteKey)).resolves.toMatchObject({ encryptedContent: 'b', currentHashContent: 't2', rev: 2 });
+        await expect(adapter.getHistory(siteKey)).resolves.toHaveLength(1);
+    });
+
+    it('lets exactly one of two racing saves win', async () => {
+        await adapter.saveSiteIfUnchanged(siteKey, '', site('a', 't1'));
+
+        const results = await Promise.all([
+            adapter.saveSiteIfUnchanged(siteKey, 't1', site('b', 't2')),
+            adapter.saveSiteIfUnchanged(siteKey, 't1', site('c', 't3'))
+        ]);
+
+        expect(results.filter(Boolean)).toHaveLength(1);
+        await expect(adapter.getSite(siteKey)).resolves.toMatchObject({ rev: 2 });
+    });
+
+    it('keeps replaced versions newest first, up to the history limit', async () => {
+        await adapter.saveSiteIfUnchanged(siteKey, '', site('a', 't1'));
+        await adapter.saveSiteIfUnchanged(siteKey, 't1', site('b', 't2'));
+        await adapter.saveSiteIfUnchanged(siteKey, 't2', site('c', 't3'));
+        await adapter.saveSiteIfUnchanged(siteKey, 't3', site('d', 't4'));
+
+        const history = await adapter.getHistory(siteKey);
+        expect(history.map((revision) => revision.rev)).toEqual([3, 2]);
+        await expect(adapter.getRevision(siteKey, 2)).resolves.toMatchObject({ ...site('b', 't2'), rev: 2 });
+        await expect(adapter.getRevision(siteKey, 1)).resolves.toBeNull();
+    });
+
+    it('stores chunk lists and drops them on a single-envelope save', async () => {
+        const chunked: SiteData = {
+            ...site('', 't1'),
+            encryptedKey: 'key',
+            manifest: 'manifest',
+            chunks: [{ id: '0'.repeat(16), data: 'aa:01' }]
+        };
+        await adapter.saveSiteIfUnchanged(siteKey, '', chunked);
+        await expect(adapter.getSite(siteKey)).resolves.toMatchObject({ ...chunked, rev: 1 });
+
+        await adapter.saveSiteIfUnchanged(siteKey, 't1', site('a', 't2'));
+        const stored = await adapter.getSite(siteKey);
+        expect(stored?.chunks).toBeUndefined();
+        expect(stored?.encryptedKey).toBeUndefined();
+        await expect(adapter.getRevision(siteKey, 1)).resolves.toMatchObject({ chunks: chunked.chunks });
+    });
+
+    it('stores the write secret with the site but not in its history', async () => {
+        await adapter.saveSiteIfUnchanged(siteKey, '', { ...site('a', 't1'), writeKeyHash: 'f'.repeat(64) });
+        await expect(adapter.getSite(siteKey)).resolves.toMatchObject({ writeKeyHash: 'f'.repeat(64) });
+
+        await adapter.saveSiteIfUnchanged(siteKey, 't1', site('b', 't2'));
+        expect((await adapter.getSite(siteKey))?.writeKeyHash).toBeUndefined();
+        expect(await adapter.getRevision(siteKey, 1)).not.toHaveProperty('writeKeyHash');
+
+        await adapter.importSite(siteKey, { ...site('c', 't3'), rev: 3, writeKeyHash: 'e'.repeat(64) });
+        await expect(adapter.getSite(siteKey)).resolves.toMatchObject({ writeKeyHash: 'e'.repeat(64) });
+    });
+
+    it('turns a site into a tombstone only with the current token', async () => {
+        await adapter.saveSiteIfUnchanged(siteKey, '', site('a', 't1'));
+        await adapter.saveSiteIfUnchanged(siteKey, 't1', site('b', 't2'));
+
+        await expect(adapter.deleteSiteIfUnchanged(siteKey, 't1')).resolves.toBe(false);
+        await expect(adapter.getSite(siteKey)).resolves.not.toBeNull();
+        await expect(adapter.getDeletedSite(siteKey)).resolves.toBeNull();
+
+        const before = Date.now();
+        await expect(adapter.deleteSiteIfUnchanged(siteKey, 't2')).resolves.toBe(true);
+        await expect(adapter.getSite(siteKey)).resolves.toBeNull();
+        const tombstone = await adapter.getDeletedSite(siteKey);
+        expect(tombstone).toMatchObject({ ...site('b', 't2'), rev: 2 });
+        expect(tombstone?.deletedAt).toBeGreaterThanOrEqual(before);
+        await expect(adapter.getHistory(siteKey)).resolves.toHaveLength(1);
+        await expect(adapter.deleteSiteIfUnchanged(siteKey, 't2')).resolves.toBe(true);
+    });
+
+    it('restores a tombstone with its history only with the token it was deleted with', async () => {
+        await adapter.saveSiteIfUnchanged(siteKey, '', site('a', 't1'));
+        await adapter.saveSiteIfUnchanged(siteKey, 't1', { ...site('b', 't2'), writeKeyHash: 'f'.repeat(64) });
+        await adapter.deleteSiteIfUnchanged(siteKey, 't2');
+
+        await expect(adapter.restoreSiteIfUnchanged(siteKey, 't1')).resolves.toBe(false);
+        await expect(adapter.restoreSiteIfUnchanged(`${siteKey}-other`, 't2')).resolves.toBe(false);
+        await expect(adapter.restoreSiteIfUnchanged(siteKey, 't2')).resolves.toBe(true);
+
+        const restored = await adapter.getSite(siteKey);
+        expect(restored).toMatchObject({ ...site('b', 't2'), rev: 2, writeKeyHash: 'f'.repeat(64) });
+        expect(restored).not.toHaveProperty('deletedAt');
+        await expect(adapter.getDeletedSite(siteKey)).resolves.toBeNull();
+        await expect(adapter.getHistory(siteKey)).resolves.toMatchObject([{ encryptedContent: 'a', rev: 1 }]);
+        await expect(adapter.restoreSiteIfUnchanged(siteKey, 't2')).resolves.toBe(false);
+        await expect(adapter.saveSiteIfUnchanged(siteKey, 't2', site('c', 't3'))).resolves.toBe(true);
+    });
+
+    it('purges tombstones deleted before the cutoff, with their history', async () => {
+        const live = `${siteKey}-live`;
+        await adapter.saveSiteIfUnchanged(live, '', site('a', 't1'));
+        await adapter.saveSiteIfUnchanged(siteKey, '', site('a', 't1'));
+        await adapter.saveSiteIfUnchanged(siteKey, 't1', site('b', 't2'));
+        await adapter.deleteSiteIfUnchanged(siteKey, 't2');
+        const deletedAt = (await adapter.getDeletedSite(siteKey))?.deletedAt ?? 0;
+
+        await expect(adapter.purgeDeletedSites(deletedAt)).resolves.toBe(0);
+        await expect(adapter.getDeletedSite(siteKey)).resolves.not.toBeNull();
+
+        await expect(adapter.purgeDeletedSites(deletedAt + 1)).resolves.toBe(1);
+        await expect(adapter.getDeletedSite(siteKey)).resolves.toBeNull();
+        await expect(adapter.getHistory(siteKey)).resolves.toEqual([]);
+        await expect(adapter.restoreSiteIfUnchanged(siteKey, 't2')).resolves.toBe(false);
+        await expect(adapter.getSite(live)).resolves.toMatchObject({ encryptedContent: 'a' });
+    });
+
+    it('treats deleting a missing site as done', async () => {
+        await expect(adapter.deleteSiteIfUnchanged(siteKey, '')).resolves.toBe(true);
+        await expect(adapter.deleteSiteIfUnchanged(siteKey, 'any')).resolves.toBe(true);
+    });
+
+    it('lists site keys in ascending order', async () => {
+        const keys = [`${siteKey}-b`, `${siteKey}-a`, `${siteKey}-c`];
+        for (const key of keys) {
+            await adapter.saveSiteIfUnchanged(key, '', site('a', 't1'));
+        }
+
+        const listed: string[] = [];
+        for await (const key of adapter.listSites()) {
+            listed.push(key);
+        }
+        expect(listed.filter((key) => keys.includes(key))).toEqual([...keys].sort());
+        expect(listed).toEqual([...listed].sort());
+    });
+
+    it('imports a site with its rev, token and history as given', async () => {
+        await adapter.saveSiteIfUnchanged(siteKey, '', site('old', 't0'));
+        const history = [{ ...site('b', 't2'), rev: 6 }, { ...site('a', 't1'), rev: 5 }];
+
+        await adapter.importSite(siteKey, { ...site('c', 't3'), rev: 7, history });
+
+        await expect(adapter.getSite(siteKey)).resolves.toMatchObject({ ...site('c', 't3'), rev: 7 });
+        await expect(adapter.getHistory(siteKey)).resolves.toEqual(history);
+        await expect(adapter.saveSiteIfUnchanged(siteKey, 't3', site('d', 't4'))).resolves.toBe(true);
+        await expect(adapter.getSite(siteKey)).resolves.toMatchObject({ rev: 8 });
+    });
+
+    it('imports tombstones as tombstones', async () => {
+        await adapter.importSite(siteKey, { ...site('a', 't1'), rev: 4, deletedAt: 1700000000001 });
+
+        await expect(adapter.getSite(siteKey)).resolves.toBeNull();
+        await expect(adapter.getDeletedSite(siteKey)).resolves.toMatchObject({ rev: 4, deletedAt: 1700000000001 });
+    });
+
+    it('can recreate a deleted site, replacing its tombstone', async () => {
+        await adapter.saveSiteIfUnchanged(siteKey, '', site('a', 't1'));
+        await adapter.saveSiteIfUnchanged(siteKey, 't1', site('a2', 't1b'));
+        await adapter.deleteSiteIfUnchanged(siteKey, 't1b');
+
+        await expect(adapter.saveSiteIfUnchanged(siteKey, 't1b', site('b', 't2'))).resolves.toBe(false);
+        await expect(adapter.saveSiteIfUnchanged(siteKey, '', site('b', 't2'))).resolves.toBe(true);
+        await expect(adapter.getSite(siteKey)).resolves.toMatchObject({ encryptedContent: 'b', rev: 1 });
+        await expect(adapter.getHistory(siteKey)).resolves.toEqual([]);
+        await expect(adapter.getDeletedSite(siteKey)).resolves.toBeNull();
+    });
+});
+
+describe('createStorageAdapter', () => {
+    const config = { historyLimit: 10, dbFile: 'db.json', sqliteFile: 'db.sqlite' };
+
+    it('picks the adapter named by DB_TYPE', () => {
+        expect(createStorageAdapter({ ...config, type: 'file' })).toBeInstanceOf(FileAdapter);
+        expect(createStorageAdapter({ ...config, type: 'sqlite' })).toBeInstanceOf(SqliteAdapter);
+        expect(createStorageAdapter({ ...config, type: 'mongodb' })).toBeInstanceOf(MongoAdapter);
+        expect(createStorageAdapter({ ...config, type: 'memory' })).toBeInstanceOf(MemoryAdapter);
+    });
+
+    it('rejects unknown types and Mongo without a URI', async () => {
+        expect(() => createStorageAdapter({ ...config, type: 'postgres' })).toThrow('Unsupported DB_TYPE');
+        await expect(createStorageAdapter({ ...config, type: 'mongodb' }).connect()).rejects.toThrow('MONGODB_URI');
+    });
+});
+
+describe('FileAdapter', () => {
+    const journalLines = (file: string) =>
+        fs.readFileSync(`${file}.journal`, 'utf-8').split('\n').filter(Boolean);
+
+    async function open(file: string, compactBytes?: number): Promise<FileAdapter> {
+        const adapter = new FileAdapter(file, HISTORY_LIMIT, { compactBytes });
+        await adapter.connect();
+        return adapter;
+    }
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('appends one journal line per save instead of rewriting the snapshot', async () => {
+        const file = tempFile('db.json');
+        const adapter = await open(file);
+        await adapter.saveSiteIfUnchanged('notes', '', site('a', 't1'));
+        await adapter.saveSiteIfUnchanged('notes', 't1', site('b', 't2'));
+        await adapter.deleteSiteIfUnchanged('other', '');
+        await adapter.saveSiteIfUnchanged('todo', '', site('c', 't3'));
+
+        expect(fs.existsSync(file)).toBe(false);
+        expect(journalLines(file).map((line) => JSON.parse(line).op)).toEqual(['save', 'save', 'save']);
+        expect(JSON.parse(journalLines(file)[1] ?? '').data.history).toBeUndefined();
+
+        const reopened = await open(file);
+        await expect(reopened.getSite('notes')).resolves.toMatchObject({ encryptedContent: 'b', rev: 2 });
+        await expect(reopened.getHistory('notes')).resolves.toMatchObject([{ encryptedContent: 'a', rev: 1 }]);
+        await expect(reopened.getSite('todo')).resolves.toMatchObject({ encryptedContent: 'c' });
+    });
+
+    it('replays deletes, restores and purges from the journal', async () => {
+        const file = tempFile('db.json');
+        const adapter = await open(file);
+        await adapter.saveSiteIfUnchanged('notes', '', site('a', 't1'));
+        await adapter.saveSiteIfUnchanged('todo', '', site('b', 't2'));
+        await adapter.deleteSiteIfUnchanged('notes', 't1');
+        await adapter.deleteSiteIfUnchanged('todo', 't2');
+        await adapter.restoreSiteIfUnchanged('todo', 't2');
+
+        let reopened = await open(file);
+        await expect(reopened.getSite('notes')).resolves.toBeNull();
+        await expect(reopened.getDeletedSite('notes')).resolves.toMatchObject({ encryptedContent: 'a' });
+        await expect(reopened.getSite('todo')).resolves.toMatchObject({ encryptedContent: 'b' });
+
+        await reopened.purgeDeletedSites(Date.now() + 1);
+        reopened = await open(file);
+        await expect(reopened.getDeletedSite('notes')).resolves.toBeNull();
+    });
+
+    it('compacts the journal into the snapshot once it outgrows it', async () => {
+        const file = tempFile('db.json');
+        const adapter = await open(file, 1);
+        await adapter.saveSiteIfUnchanged('notes', '', site('a', 't1'));
+
+        expect(JSON.parse(fs.readFileSync(file, 'utf-8')).sites.notes).toMatchObject({ encryptedContent: 'a' });
+        expect(fs.existsSync(`${file}.journal`)).toBe(false);
+        expect(fs.existsSync(`${file}.journal.bak`)).toBe(true);
+
+        await adapter.saveSiteIfUnchanged('notes', 't1', site('b', 't2'));
+        const reopened = await open(file);
+        await expect(reopened.getSite('notes')).resolves.toMatchObject({ encryptedContent: 'b', rev: 2 });
+    });
+
+    it('replays a journal the snapshot already contains without changing it', async () => {
+        const file = tempFile('db.json');
+        const adapter = await open(file);
+        await adapter.saveSiteIfUnchanged('notes', '', site('a', 't1'));
+        await adapter.saveSiteIfUnchanged('notes', 't1', site('b', 't2'));
+        await adapter.deleteSiteIfUnchanged('notes', 't2');
+        await adapter.saveSiteIfUnchanged('notes', '', site('c', 't3'));
+        const journal = fs.readFileSync(`${file}.journal`);
+        await adapter.compact();
+
+        // As if the process died after writing the snapshot but before rotating the journal
+        fs.writeFileSync(`${file}.journal`, journal);
+        const reopened = await open(file);
+        await expect(reopened.getSite('notes')).resolves.toMatchObject({ encryptedContent: 'c', rev: 1 });
+        await expect(reopened.getHistory('notes')).resolves.toEqual([]);
+    });
+
+    it('recovers from a torn last line and keeps appending cleanly', async () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const file = tempFile('db.json');
+        const adapter = await open(file);
+        await adapter.saveSiteIfUnchanged('notes', '', site('a', 't1'));
+        fs.appendFileSync(`${file}.journal`, '{"op":"save","site":"notes","da');
+
+        const recovered = await open(file);
+        await expect(recovered.getSite('notes')).resolves.toMatchObject({ encryptedContent: 'a' });
+        expect(fs.existsSync(`${file}.journal`)).toBe(false);
+
+        await recovered.saveSiteIfUnchanged('notes', 't1', site('b', 't2'));
+        const reopened = await open(file);
+        await expect(reopened.getSite('notes')).resolves.toMatchObject({ encryptedContent: 'b', rev: 2 });
+    });
+
+    it('falls back to the previous snapshot and journal when the snapshot is unreadable', async () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const file = tempFile('db.json');
+        const adapter = await open(file);
+        await adapter.saveSiteIfUnchanged('notes', '', site('a', 't1'));
+        await adapter.compact();
+        await adapter.saveSiteIfUnchanged('notes', 't1', site('b', 't2'));
+        await adapter.compact();
+        fs.writeFileSync(file, '{ truncated');
+
+        const reopened = await open(file);
+        await expect(reopened.getSite('notes')).resolves.toMatchObject({ encryptedContent: 'b', rev: 2 });
+        await expect(reopened.getHistory('notes')).resolves.toMatchObject([{ encryptedContent: 'a' }]);
+    });
+
+    it('reads snapshots written before the journal existed', async () => {
+        const file = tempFile('db.json');
+        fs.writeFileSync(file, JSON.stringify({ sites: { notes: { ...site('a', 't1'), rev: 3, history: [] } } }));
+
+        const adapter = await open(file);
+        await expect(adapter.saveSiteIfUnchanged('notes', 't1', site('b', 't2'))).resolves.toBe(true);
+        const reopened = await open(file);
+        await expect(reopened.getSite('notes')).resolves.toMatchObject({ encryptedContent: 'b', rev: 4 });
+    });
+});
+
+describe.skipIf(!sqlite)('SqliteAdapter', () => {
+    it('opens database files in WAL mode and keeps data across reopen', async () => {
+        const file = tempFile('cryptexa.sqlite');
+        const adapter = new SqliteAdapter(file, HISTORY_LIMIT);
+        await adapter.connect();
+        await adapter.saveSiteIfUnchanged('notes', '', site('a', 't1'));
+        await adapter.close();
+
+        const reopened = new SqliteAdapter(file, HISTORY_LIMIT);
+        await reopened.connect();
+        await expect(reopened.getSite('notes')).resolves.toMatchObject({ encryptedContent: 'a' });
+        await reopened.close();
+
+        const raw = new sqlite!.DatabaseSync(file);
+        expect(raw.prepare('PRAGMA journal_mode').get()).toEqual({ journal_mode: 'wal' });
+        raw.close();
+    });
+});
+
+describe.skipIf(!sqlite)('migrateSqlite', () => {
+    it('applies pending migrations once and records the schema version', () => {
+        const db = new sqlite!.DatabaseSync(':memory:');
+
+        expect(migrateSqlite(db)).toBe(SQLITE_MIGRATIONS.length);
+        expect(migrateSqlite(db)).toBe(SQLITE_MIGRATIONS.length);
+        expect(db.prepare('PRAGMA user_version').get()).toEqual({ user_version: SQLITE_MIGRATIONS.length });
+    });
+
+    it('runs only the steps added since the last migration', () => {
+        const db = new sqlite!.DatabaseSync(':memory:');
+        migrateSqlite(db);
+
+        const next = [...SQLITE_MIGRATIONS, 'CREATE TABLE later_step (id INTEGER)'];
+        expect(migrateSqlite(db, next)).toBe(next.length);
+        expect(db.prepare("SELECT name FROM sqlite_master WHERE name = 'later_step'").get()).toBeTruthy();
+    });
+
+    it('rolls back a failing step and refuses schemas from newer servers', () => {
+        const db = new sqlite!.DatabaseSync(':memory:');
+        migrateSqlite(db);
+
+        expect(() => migrateSqlite(db, [...SQLITE_MIGRATIONS, 'CREATE TABLE broken (', 'SELECT 1'])).toThrow();
+        expect(db.prepare('PRAGMA user_version').get()).toEqual({ user_version: SQLITE_MIGRATIONS.length });
+        expect(() => migrateSqlite(db, [])).toThrow('newer than this server');
+    });
+});
@@ -0,0 +1,167 @@
+/**
+ * Tab metadata tests
+ *
+ * @vitest-environment jsdom
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+    closeTab,
+    getClosedTabs,
+    getContentFromTabs,
+    reopenClosedTab,
+    setContentOfTabs,
+    setTabPinned,
+    type TabState
+} from '../../src/ui/tabs';
+import {
+    MOBILE_METADATA_HINT,
+    TAB_COLOR_METADATA_PREFIX,
+    formatTabPayload,
+    getImplicitTabId,
+    parseTabPayload
+} from '../../src/state/tab-payload';
+import { getSeparatorHex } from '../../src/utils/crypto-helpers';
+
+const CREATED = '2024-05-17T10:30:00.000Z';
+const MODIFIED = '2024-05-18T08:00:00.000Z';
+
+function createState(): TabState {
+    let metadata = '';
+    return {
+        getActiveTabId: () => null,
+        getMobileAppMetadataTabContent: () => metadata,
+        setMobileAppMetadataTabContent: (content) => { metadata = content; },
+        updateIsTextModified: () => {}
+    };
+}
+
+function headerByTitle(title: string): HTMLElement {
+    return Array.from(document.querySelectorAll<HTMLElement>('.tab-header'))
+        .find((header) => header.querySelector('.tab-title')!.textContent === title)!;
+}
+
+function headerTitles(): string[] {
+    return Array.from(document.querySelectorAll('.tab-header'), (header) => {
+        const title = header.querySelector('.tab-title')!.textContent!;
+        return header.classList.contains('pinned') ? `${title} (pinned)` : title;
+    });
+}
+
+describe('tab payload', () => {
+    it('keeps color-only tabs in the original format', () => {
+        expect(formatTabPayload('text', { color: '#AA3300' })).toBe(`${TAB_COLOR_METADATA_PREFIX}#aa3300\ntext`);
+        expect(formatTabPayload('text', { color: null })).toBe('text');
+        expect(parseTabPayload(`${TAB_COLOR_METADATA_PREFIX}#aa3300\ntext`)).toEqual({
+            id: null, color: '#aa3300', pinned: false, created: null, modified: null, content: 'text'
+        });
+    });
+
+    it('round-trips pins and timestamps after the color', () => {
+        const metadata = { id: '0123456789abcdef', color: '#00aa00', pinned: true, created: CREATED, modified: MODIFIED };
+        const payload = formatTabPayload('first line\nsecond', metadata);
+
+        expect(payload.split('\n')[0]).toBe(
+            `${TAB_COLOR_METADATA_PREFIX}#00aa00 {"id":"0123456789abcdef","pinned":true,"created":"${CREATED}","modified":"${MODIFIED}"}`
+        );
+        expect(parseTabPayload(payload)).toEqual({ ...metadata, content: 'first line\nsecond' });
+        expect(parseTabPayload(formatTabPayload('', { pinned: true }))).toMatchObject({ color: null, pinned: true, content: '' });
+    });
+
+    it('drops unreadable headers without touching the content', () => {
+        expect(parseTabPayload(`${TAB_COLOR_METADATA_PREFIX}not-a-color\nbody`)).toMatchObject({ color: null, pinned: false, content: 'body' });
+        expect(parseTabPayload(`${TAB_COLOR_METADATA_PREFIX}#aa3300 {broken\nbody`)).toMatchObject({ color: null, content: 'body' });
+        expect(parseTabPayload(`${TAB_COLOR_METADATA_PREFIX} {"pinned":"yes","created":"never"}\nbody`)).toMatchObject({
+            pinned: false, created: null, content: 'body'
+        });
+    });
+});
+
+describe('setContentOfTabs / getContentFromTabs', () => {
+    beforeEach(() => {
+        document.body.innerHTML = '<div class="tab-headers-container"></div><div id="tabs"></div>';
+    });
+
+    it('restores pins in front of the other tabs and saves them back with their ids', async () => {
+        const separator = await getSeparatorHex();
+        const state = createState();
+        const stored = [
+            formatTabPayload('alpha', { created: CREATED }),
+            formatTabPayload('beta', { color: '#123456', pinned: true, created: CREATED, modified: MODIFIED }),
+            'legacy gamma',
+            `mobile ${MOBILE_METADATA_HINT}`
+        ].join(separator);
+
+        await setContentOfTabs(stored, state);
+        expect(headerTitles()).toEqual(['beta (pinned)', 'alpha', 'legacy gamma']);
+        expect((document.querySelector('.tab-header.pinned .close') as HTMLElement).style.display).toBe('none');
+
+        // Tabs identified by position name their ids once they move
+        const saved = (await getContentFromTabs(state)).split(separator);
+        expect(saved).toEqual([
+            formatTabPayload('beta', { id: getImplicitTabId(1), color: '#123456', pinned: true, created: CREATED, modified: MODIFIED }),
+            formatTabPayload('alpha', { id: getImplicitTabId(0), created: CREATED }),
+            'legacy gamma',
+            `mobile ${MOBILE_METADATA_HINT}`
+        ]);
+    });
+
+    it('stamps edits with a modified time', async () => {
+        const state = createState();
+        await setContentOfTabs(formatTabPayload('note', { created: CREATED }), state);
+
+        const textarea = document.querySelector<HTMLTextAreaElement>('textarea.textarea-contents')!;
+        textarea.value = 'note, edited';
+        textarea.dispatchEvent(new Event('input', { bubbles: true }));
+
+        const saved = parseTabPayload(await getContentFromTabs(state));
+        expect(saved.created).toBe(CREATED);
+        expect(saved.modified).not.toBeNull();
+        expect(Date.parse(saved.modified!)).toBeGreaterThan(Date.parse(CREATED));
+    });
+});
+
+describe('closeTab / reopenClosedTab', () => {
+    beforeEach(() => {
+        document.body.innerHTML = '<div class="tab-headers-container"></div><div id="tabs"></div>';
+        while (reopenClosedTab()) { /* empties the closed tabs left by earlier tests */ }
+    });
+
+    it('reopens the last closed tab where it was, as it was saved', async () => {
+        const separator = await getSeparatorHex();
+        const state = createState();
+        const stored = [
+            'alpha',
+            formatTabPayload('beta', { color: '#123456', created: CREATED, modified: MODIFIED }),
+            'gamma'
+        ].join(separator);
+        await setContentOfTabs(stored, state);
+
+        const changes: boolean[] = [];
+        closeTab(headerByTitle('gamma'), (modified) => changes.push(modified));
+        closeTab(headerByTitle('beta'), (modified) => changes.push(modified));
+        expect(headerTitles()).toEqual(['alpha']);
+        expect(getClosedTabs().map(({ title, index }) => ({ title, index }))).toEqual([
+            { title: 'beta', index: 1 },
+            { title: 'gamma', index: 2 }
+        ]);
+
+        expect(reopenClosedTab(1, (modified) => changes.push(modified))?.textContent).toContain('gamma');
+        expect(reopenClosedTab(0, (modified) => changes.push(modified))?.classList.contains('active')).toBe(true);
+        expect(headerTitles()).toEqual(['alpha', 'beta', 'gamma']);
+        expect(await getContentFromTabs(state)).toBe(stored);
+        expect(changes).toEqual([true, true, true, true]);
+        expect(reopenClosedTab()).toBeNull();
+    });
+
+    it('keeps pinned tabs in front of a reopened tab', async () => {
+        const separator = await getSeparatorHex();
+        await setContentOfTabs(['alpha', 'beta', 'gamma'].join(separator), createState());
+
+        closeTab(headerByTitle('alpha'));
+        setTabPinned(headerByTitle('gamma'), true);
+        reopenClosedTab();
+
+        expect(headerTitles()).toEqual(['gamma (pinned)', 'alpha', 'beta']);
+    });
+});